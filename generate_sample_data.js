@@ -75,7 +75,7 @@ async function generateSampleData() {
       sensor_type: "Ultrasonic",
       device_id: `DEV-${Math.floor(Math.random() * 1000)}`,
       location_description: "North fence corner",
-      battery_level: `${Math.floor(Math.random() * 100)}%`,
+      battery_level: Math.floor(Math.random() * 100),
       is_operational: true,
     };
     await db.collection("Sensor_Units").doc(id).set(sensor);
@@ -104,18 +104,44 @@ async function generateSampleData() {
   // 6. Alerts
   for (const sensor of sensors) {
     const id = uuidv4();
+    const farm = farms.find((f) => f.farm_id === sensor.farm_id);
+    const zone = zones.find((z) => z.zone_id === sensor.zone_id);
+    const breachDistance = Math.random() * 50;
     const alert = {
       alert_id: id,
       sensor_id: sensor.sensor_id,
       livestock_id: livestock[0].livestock_id,
       zone_id: sensor.zone_id,
+      zone_name: zone.zone_name,
+      farm_id: sensor.farm_id,
+      farmer_id: farm.farmer_id,
       alert_type: "Boundary Breach",
       breach_level: "High",
-      breach_distance: Math.random() * 50,
+      breach_distance: breachDistance,
+      is_breach: true,
       description: "Livestock moved beyond boundary limit",
-      is_resolved: false,
+      source: "sensor_reading",
+      status: "open",
       detected_at: new Date(),
-      received_at: null,
+      device_timestamp: null,
+      assigned_to: null,
+      acknowledged_at: null,
+      acknowledged_by: null,
+      resolved_at: null,
+      resolved_by: null,
+      resolution_notes: null,
+      time_to_acknowledge_minutes: null,
+      time_to_resolve_minutes: null,
+      response_time_minutes: null,
+      escalation_level: 0,
+      incident_key: `sensor:${sensor.sensor_id}|zone:${sensor.zone_id}`,
+      occurrence_count: 1,
+      first_seen_at: new Date(),
+      last_seen_at: new Date(),
+      peak_breach_level: "High",
+      min_breach_distance: breachDistance,
+      timeline: [],
+      schema_version: 3,
     };
     await db.collection("Alerts").doc(id).set(alert);
   }
@@ -144,8 +170,11 @@ async function generateSampleData() {
     const log = {
       log_id: id,
       sensor_id: sensor.sensor_id,
+      farm_id: sensor.farm_id,
       event_type: "Battery Low",
       description: "Battery level dropped below 20%",
+      battery_level: 18,
+      threshold: 20,
       timestamp: new Date(),
     };
     await db.collection("System_Analog").doc(id).set(log);
@@ -0,0 +1,61 @@
+// jobs/background.job.js
+/**
+ * Background runner for queued Jobs (deletions after their grace period,
+ * data exports); each tick also removes expired export archives
+ *
+ * Enabled unless JOB_RUNNER=false; the interval is JOB_INTERVAL_SECONDS
+ * (default 30).
+ */
+
+const { runDueJobs } = require('../services/job.service');
+const { purgeExpiredExports } = require('../services/export.service');
+
+// Handlers register themselves when their service is loaded
+require('../services/deletion.service');
+
+let timer = null;
+let running = false;
+
+async function tick() {
+  // A long cascade must not overlap with the next run
+  if (running) return;
+  running = true;
+
+  try {
+    const { ran } = await runDueJobs();
+    if (ran > 0) {
+      console.log(`🧹 Job runner: ${ran} job(s) processed`);
+    }
+
+    const purged = await purgeExpiredExports();
+    if (purged > 0) {
+      console.log(`🧹 Job runner: ${purged} expired export(s) removed`);
+    }
+  } catch (error) {
+    console.error('❌ Job runner failed:', error);
+  } finally {
+    running = false;
+  }
+}
+
+function startJobRunner() {
+  if (timer || process.env.JOB_RUNNER === 'false') return;
+
+  const intervalSeconds = parseInt(process.env.JOB_INTERVAL_SECONDS) || 30;
+  timer = setInterval(tick, intervalSeconds * 1000);
+  timer.unref();
+
+  console.log(`⏱️  Job runner checking every ${intervalSeconds}s`);
+}
+
+function stopJobRunner() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+module.exports = {
+  startJobRunner,
+  stopJobRunner
+};
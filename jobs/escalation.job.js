@@ -0,0 +1,51 @@
+// jobs/escalation.job.js
+/**
+ * Background scheduler that walks open alerts and fires due escalation steps
+ *
+ * Enabled unless ESCALATION_SCHEDULER=false; the interval is
+ * ESCALATION_INTERVAL_SECONDS (default 60).
+ */
+
+const { runEscalationSweep } = require('../services/escalation.service');
+
+let timer = null;
+let running = false;
+
+async function tick() {
+  // A slow sweep must not overlap with the next one
+  if (running) return;
+  running = true;
+
+  try {
+    const { checked, escalated } = await runEscalationSweep();
+    if (escalated > 0) {
+      console.log(`⏫ Escalation sweep: ${escalated} of ${checked} open alert(s) escalated`);
+    }
+  } catch (error) {
+    console.error('❌ Escalation sweep failed:', error);
+  } finally {
+    running = false;
+  }
+}
+
+function startEscalationScheduler() {
+  if (timer || process.env.ESCALATION_SCHEDULER === 'false') return;
+
+  const intervalSeconds = parseInt(process.env.ESCALATION_INTERVAL_SECONDS) || 60;
+  timer = setInterval(tick, intervalSeconds * 1000);
+  timer.unref();
+
+  console.log(`⏱️  Escalation scheduler running every ${intervalSeconds}s`);
+}
+
+function stopEscalationScheduler() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+module.exports = {
+  startEscalationScheduler,
+  stopEscalationScheduler
+};
@@ -0,0 +1,55 @@
+// jobs/rollup.job.js
+/**
+ * Background rollup of sensor_readings into minute/hour/day aggregates,
+ * followed by pruning of raw days past RAW_RETENTION_DAYS
+ *
+ * Enabled unless SENSOR_ROLLUPS=false; the interval is
+ * SENSOR_ROLLUP_INTERVAL_MINUTES (default 15).
+ */
+
+const { runRollups } = require('../services/rollup.service');
+
+let timer = null;
+let running = false;
+
+async function tick() {
+  // Rolling up a busy day can outlast the interval
+  if (running) return;
+  running = true;
+
+  try {
+    const { days, readings, skipped, pruned } = await runRollups();
+    if (days > 0 || pruned > 0) {
+      console.log(`📊 Sensor rollups: ${readings} reading(s) over ${days} day(s) rolled up, ${pruned} raw day(s) pruned`);
+    }
+    if (skipped > 0) {
+      console.warn(`⚠️  Sensor rollups: ${skipped} reading(s) without a valid distance or timestamp skipped`);
+    }
+  } catch (error) {
+    console.error('❌ Sensor rollup failed:', error);
+  } finally {
+    running = false;
+  }
+}
+
+function startRollupJob() {
+  if (timer || process.env.SENSOR_ROLLUPS === 'false') return;
+
+  const intervalMinutes = parseInt(process.env.SENSOR_ROLLUP_INTERVAL_MINUTES) || 15;
+  timer = setInterval(tick, intervalMinutes * 60000);
+  timer.unref();
+
+  console.log(`⏱️  Sensor rollups running every ${intervalMinutes}m`);
+}
+
+function stopRollupJob() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+module.exports = {
+  startRollupJob,
+  stopRollupJob
+};
@@ -0,0 +1,52 @@
+// jobs/watchdog.job.js
+/**
+ * Background watchdog that marks silent sensors offline and raises
+ * Sensor Offline alerts
+ *
+ * Enabled unless SENSOR_WATCHDOG=false; the interval is
+ * SENSOR_WATCHDOG_INTERVAL_SECONDS (default 60).
+ */
+
+const { runWatchdogSweep } = require('../services/watchdog.service');
+
+let timer = null;
+let running = false;
+
+async function tick() {
+  // A slow sweep must not overlap with the next one
+  if (running) return;
+  running = true;
+
+  try {
+    const { checked, offline } = await runWatchdogSweep();
+    if (offline > 0) {
+      console.log(`📴 Sensor watchdog: ${offline} of ${checked} online sensor(s) went offline`);
+    }
+  } catch (error) {
+    console.error('❌ Sensor watchdog sweep failed:', error);
+  } finally {
+    running = false;
+  }
+}
+
+function startSensorWatchdog() {
+  if (timer || process.env.SENSOR_WATCHDOG === 'false') return;
+
+  const intervalSeconds = parseInt(process.env.SENSOR_WATCHDOG_INTERVAL_SECONDS) || 60;
+  timer = setInterval(tick, intervalSeconds * 1000);
+  timer.unref();
+
+  console.log(`⏱️  Sensor watchdog running every ${intervalSeconds}s`);
+}
+
+function stopSensorWatchdog() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+module.exports = {
+  startSensorWatchdog,
+  stopSensorWatchdog
+};
@@ -1,5 +1,6 @@
 // middleware/auth.middleware.js
 const { admin } = require('../config/firebase.config');
+const { authenticateDevice } = require('../services/device.service');
 
 /**
  * Middleware to verify Firebase ID token
@@ -53,7 +54,8 @@ const verifyToken = async (req, res, next) => {
     // Verify the Firebase ID token
     let decodedToken;
     try {
-      decodedToken = await admin.auth().verifyIdToken(idToken);
+      // checkRevoked so tokens issued before /api/auth/logout are rejected
+      decodedToken = await admin.auth().verifyIdToken(idToken, true);
       console.log('✅ Token verified for user:', decodedToken.uid);
     } catch (verifyError) {
       console.error('❌ Token verification failed:', verifyError.code, verifyError.message);
@@ -120,7 +122,8 @@ const verifyToken = async (req, res, next) => {
 };
 
 /**
- * Optional: Middleware to verify API Key for IoT devices
+ * Middleware to verify API Key for IoT devices
+ * Keys may be scoped to a farm_id and/or sensor_id; see services/device.service.js
  */
 const verifyApiKey = async (req, res, next) => {
   try {
@@ -134,40 +137,19 @@ const verifyApiKey = async (req, res, next) => {
       });
     }
 
-    // Verify API key exists in database
-    const { firestore } = require('../config/firebase.config');
-    const apiKeySnapshot = await firestore
-      .collection('API_Keys')
-      .where('api_key', '==', apiKey)
-      .where('is_active', '==', true)
-      .limit(1)
-      .get();
+    // Attach the key's owner and scope to request
+    req.apiAuth = await authenticateDevice(apiKey);
 
-    if (apiKeySnapshot.empty) {
-      return res.status(401).json({
+    next();
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
         success: false,
-        message: 'Invalid or inactive API key'
+        message: error.message
       });
     }
 
-    const apiKeyDoc = apiKeySnapshot.docs[0];
-    const apiKeyData = apiKeyDoc.data();
-
-    // Update last used timestamp and usage count
-    await apiKeyDoc.ref.update({
-      last_used: admin.firestore.FieldValue.serverTimestamp(),
-      usage_count: admin.firestore.FieldValue.increment(1)
-    });
-
-    // Attach farmer_id to request
-    req.apiAuth = {
-      farmer_id: apiKeyData.farmer_id,
-      api_key_id: apiKeyDoc.id
-    };
-
-    next();
-
-  } catch (error) {
     console.error('API key verification error:', error);
     return res.status(500).json({
       success: false,
@@ -0,0 +1,43 @@
+// middleware/authorize.middleware.js
+const { authorizeResource, resolveFarmScope } = require('../services/access.service');
+
+/**
+ * Load the resource named by a request field and enforce the user's role on
+ * its farm. Must run after verifyToken. Sets req.resource = { doc, farmDoc, role }.
+ * @param {string} type resource type from services/access.service.js
+ * @param {{param: string, from?: 'params'|'body'|'query', optional?: boolean, permission?: string}} options
+ *   where the resource ID is read (optional skips the check when it is absent)
+ *   and the permission required, 'read' by default
+ */
+const authorize = (type, { param, from = 'params', optional = false, permission = 'read' }) => async (req, res, next) => {
+  try {
+    const id = req[from][param];
+    if (optional && !id) return next();
+
+    req.resource = await authorizeResource(type, id, req.user.userId, permission);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Resolve which farms a list or analytics request covers from its optional
+ * farm/sensor query filters. Must run after verifyToken. Sets req.farmIds.
+ */
+const scopeFarms = ({ farmParam = 'farmId', sensorParam = 'deviceId' } = {}) => async (req, res, next) => {
+  try {
+    req.farmIds = await resolveFarmScope(req.user.userId, {
+      farmId: req.query[farmParam],
+      sensorId: sensorParam ? req.query[sensorParam] : undefined
+    });
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  authorize,
+  scopeFarms
+};
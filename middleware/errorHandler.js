@@ -83,6 +83,12 @@ const asyncHandler = (fn) => (req, res, next) => {
     Promise.resolve(fn(req, res, next)).catch(next);
 };
 
+const httpError = (status, message) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
 const notFound = (req, res, next) => {
     const error = new Error(`Not Found - ${req.originalUrl}`);
     error.status = 404;
@@ -92,5 +98,6 @@ const notFound = (req, res, next) => {
 module.exports = {
     errorHandler,
     asyncHandler,
+    httpError,
     notFound
 };
\ No newline at end of file
@@ -0,0 +1,92 @@
+// migrate_alerts.js
+// Rewrites every Alerts document into the canonical alert model
+// Usage: node migrate_alerts.js [--dry-run]
+const { firestore, FieldValue } = require('./config/firebase.config');
+const {
+  ALERT_SCHEMA_VERSION,
+  LEGACY_FIELDS,
+  normalizeAlert,
+  resolveAlertContext
+} = require('./services/alert.service');
+
+const PAGE_SIZE = 300;
+const DRY_RUN = process.argv.includes('--dry-run');
+
+async function migrateAlerts() {
+  console.log(`🔄 Migrating Alerts to schema v${ALERT_SCHEMA_VERSION}${DRY_RUN ? ' (dry run)' : ''}...\n`);
+
+  // Sensor/zone/farm lookups repeat across alerts, so cache them by key
+  const contextCache = new Map();
+  const stats = { scanned: 0, migrated: 0, skipped: 0 };
+  let lastDoc = null;
+
+  while (true) {
+    let page = firestore
+      .collection('Alerts')
+      .orderBy('__name__')
+      .limit(PAGE_SIZE);
+
+    if (lastDoc) page = page.startAfter(lastDoc);
+
+    const snapshot = await page.get();
+    if (snapshot.empty) break;
+
+    const batch = firestore.batch();
+    let pending = 0;
+
+    for (const doc of snapshot.docs) {
+      stats.scanned++;
+      const data = doc.data();
+
+      if (data.schema_version >= ALERT_SCHEMA_VERSION) {
+        stats.skipped++;
+        continue;
+      }
+
+      const canonical = normalizeAlert(data);
+
+      const cacheKey = [canonical.sensor_id, canonical.zone_id, canonical.farm_id].join('|');
+      if (!contextCache.has(cacheKey)) {
+        contextCache.set(cacheKey, await resolveAlertContext(canonical));
+      }
+      const context = contextCache.get(cacheKey);
+
+      const update = {
+        ...canonical,
+        zone_id: canonical.zone_id || context.zone_id,
+        zone_name: canonical.zone_name || context.zone_name,
+        farm_id: canonical.farm_id || context.farm_id,
+        farmer_id: canonical.farmer_id || context.farmer_id
+      };
+
+      LEGACY_FIELDS.forEach(field => {
+        if (field in data) update[field] = FieldValue.delete();
+      });
+
+      if (DRY_RUN) {
+        console.log(`   ${doc.id}: ${data.deviceId ? 'device' : 'sensor'} shape -> status=${update.status}, sensor=${update.sensor_id}, farm=${update.farm_id}`);
+      } else {
+        batch.update(doc.ref, update);
+        pending++;
+      }
+      stats.migrated++;
+    }
+
+    if (pending > 0) await batch.commit();
+
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+    console.log(`📦 Processed ${stats.scanned} alerts...`);
+  }
+
+  console.log('\n✅ Alert migration complete');
+  console.log(`   Scanned:  ${stats.scanned}`);
+  console.log(`   Migrated: ${stats.migrated}${DRY_RUN ? ' (not written)' : ''}`);
+  console.log(`   Skipped:  ${stats.skipped} (already v${ALERT_SCHEMA_VERSION})`);
+}
+
+migrateAlerts()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Alert migration failed:', error);
+    process.exit(1);
+  });
@@ -3,13 +3,62 @@ const express = require('express');
 const router = express.Router();
 const { body, validationResult, query } = require('express-validator');
 const { firestore, FieldValue } = require('../config/firebase.config');
+const { verifyToken, verifyApiKey } = require('../middleware/auth.middleware');
+const { authorize, scopeFarms } = require('../middleware/authorize.middleware');
+const { ALERT_SOURCE, createAlert, transitionAlert } = require('../services/alert.service');
+const { queryAcrossFarms } = require('../services/access.service');
+const { checkDeviceAccess } = require('../services/device.service');
+const { checkRequestSignature } = require('../services/signature.service');
+
+const authorizeAlert = (permission = 'read') => authorize('alert', { param: 'alertId', permission });
+
+const byDetectedAtDesc = (a, b) =>
+    (b.data().detected_at?.toMillis() || 0) - (a.data().detected_at?.toMillis() || 0);
+
+/**
+ * Build a handler that applies one lifecycle action to :alertId
+ */
+const lifecycleHandler = (action, successMessage, failureMessage) => async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { alertId } = req.params;
+        const { notes, note, assignee } = req.body;
+
+        const alert = await transitionAlert(alertId, action, {
+            userId: req.user.userId,
+            note: notes || note || null,
+            assignee: assignee || null
+        });
+
+        res.status(200).json({
+            success: true,
+            message: successMessage,
+            data: alert
+        });
+
+    } catch (error) {
+        console.error(`${failureMessage} error:`, error);
+        res.status(error.status || 500).json({
+            success: false,
+            message: error.status ? error.message : failureMessage,
+            ...(!error.status && { error: error.message })
+        });
+    }
+};
 
 /**
  * @route   POST /api/alerts
  * @desc    Create new alert from ESP32
- * @access  Public
+ * @access  IoT (X-API-Key)
  */
-router.post('/', [
+router.post('/', verifyApiKey, [
     body('alert').isBoolean(),
     body('distance').isFloat({ min: 0 }),
     body('deviceId').notEmpty().trim()
@@ -24,37 +73,61 @@ router.post('/', [
         }
 
         const { alert, distance, timestamp, deviceId } = req.body;
+        const isBreach = alert === true || alert === 'true';
 
-        const alertData = {
-            alert,
-            distance,
-            deviceId,
-            timestamp: timestamp || FieldValue.serverTimestamp(),
-            created_at: FieldValue.serverTimestamp(),
-            status: alert ? 'active' : 'normal',
-            resolved: false
-        };
-
-        const alertRef = await firestore
-            .collection('Alerts')
-            .add(alertData);
-
-        // Update device last_seen
-        await firestore
+        const sensorDoc = await firestore
             .collection('Sensor_Units')
             .doc(deviceId)
-            .update({
-                last_seen: FieldValue.serverTimestamp(),
-                alerts_count: FieldValue.increment(alert ? 1 : 0)
+            .get();
+
+        if (!sensorDoc.exists) {
+            return res.status(404).json({
+                success: false,
+                message: `Sensor not found with ID: ${deviceId}`
+            });
+        }
+
+        const sensorData = sensorDoc.data();
+
+        const denied = await checkDeviceAccess(req.apiAuth, { farm_id: sensorData.farm_id, sensor_id: deviceId });
+        if (denied) {
+            return res.status(403).json({
+                success: false,
+                message: denied
+            });
+        }
+
+        const unsigned = await checkRequestSignature(req, deviceId, sensorData);
+        if (unsigned) {
+            return res.status(401).json({
+                success: false,
+                message: unsigned
             });
+        }
+
+        const alertData = await createAlert({
+            sensor_id: deviceId,
+            zone_id: sensorData.zone_id,
+            farm_id: sensorData.farm_id,
+            location_description: sensorData.location_description,
+            is_breach: isBreach,
+            breach_distance: parseFloat(distance),
+            device_timestamp: timestamp || null,
+            source: ALERT_SOURCE.DEVICE_ALERT
+        });
+
+        // Update device last_seen
+        await sensorDoc.ref.update({
+            last_seen: FieldValue.serverTimestamp(),
+            alerts_count: FieldValue.increment(isBreach ? 1 : 0)
+        });
 
         res.status(201).json({
             success: true,
-            message: alert ? 'Alert received and logged' : 'Status received',
-            data: {
-                alert_id: alertRef.id,
-                ...alertData
-            }
+            message: !isBreach
+                ? 'Status received'
+                : alertData.grouped ? 'Alert grouped into open incident' : 'Alert received and logged',
+            data: alertData
         });
 
     } catch (error) {
@@ -69,43 +142,49 @@ router.post('/', [
 
 /**
  * @route   GET /api/alerts
- * @desc    Get all alerts with filters
- * @access  Public
+ * @desc    Get alerts on the user's farms with filters
+ * @access  Protected
  */
-router.get('/', async (req, res) => {
+router.get('/', verifyToken, scopeFarms(), async (req, res) => {
     try {
-        const { limit = 20, deviceId, alertType, startDate, endDate } = req.query;
+        const { limit = 20, deviceId, status, alertType, startDate, endDate } = req.query;
 
+        // Farm filter comes from the farms the user can access (req.farmIds)
         let query = firestore.collection('Alerts');
 
         // Apply filters
         if (deviceId) {
-            query = query.where('deviceId', '==', deviceId);
+            query = query.where('sensor_id', '==', deviceId);
+        }
+
+        if (status) {
+            query = query.where('status', '==', status);
         }
 
         if (alertType !== undefined) {
-            query = query.where('alert', '==', alertType === 'true');
+            query = query.where('is_breach', '==', alertType === 'true');
         }
 
         if (startDate) {
-            query = query.where('created_at', '>=', new Date(startDate));
+            query = query.where('detected_at', '>=', new Date(startDate));
         }
 
         if (endDate) {
-            query = query.where('created_at', '<=', new Date(endDate));
+            query = query.where('detected_at', '<=', new Date(endDate));
         }
 
-        query = query.orderBy('created_at', 'desc').limit(parseInt(limit));
+        query = query.orderBy('detected_at', 'desc').limit(parseInt(limit));
 
-        const snapshot = await query.get();
+        // Each farm returns its newest alerts; merge them and keep the newest overall
+        const docs = await queryAcrossFarms(query, req.farmIds);
 
-        const alerts = [];
-        snapshot.forEach(doc => {
-            alerts.push({
+        const alerts = docs
+            .sort(byDetectedAtDesc)
+            .slice(0, parseInt(limit))
+            .map(doc => ({
                 alert_id: doc.id,
                 ...doc.data()
-            });
-        });
+            }));
 
         res.status(200).json({
             success: true,
@@ -128,10 +207,10 @@ router.get('/', async (req, res) => {
 
 /**
  * @route   GET /api/alerts/recent
- * @desc    Get recent alerts (last 24 hours)
- * @access  Public
+ * @desc    Get recent alerts (last 24 hours) on the user's farms
+ * @access  Protected
  */
-router.get('/recent', async (req, res) => {
+router.get('/recent', verifyToken, scopeFarms(), async (req, res) => {
     try {
         const { hours = 24, deviceId, limit = 50 } = req.query;
 
@@ -140,23 +219,24 @@ router.get('/recent', async (req, res) => {
 
         let query = firestore
             .collection('Alerts')
-            .where('created_at', '>=', timeThreshold);
+            .where('detected_at', '>=', timeThreshold);
 
         if (deviceId) {
-            query = query.where('deviceId', '==', deviceId);
+            query = query.where('sensor_id', '==', deviceId);
         }
 
-        query = query.orderBy('created_at', 'desc').limit(parseInt(limit));
+        query = query.orderBy('detected_at', 'desc').limit(parseInt(limit));
 
-        const snapshot = await query.get();
+        // Each farm returns its newest alerts; merge them and keep the newest overall
+        const docs = await queryAcrossFarms(query, req.farmIds);
 
-        const alerts = [];
-        snapshot.forEach(doc => {
-            alerts.push({
+        const alerts = docs
+            .sort(byDetectedAtDesc)
+            .slice(0, parseInt(limit))
+            .map(doc => ({
                 alert_id: doc.id,
                 ...doc.data()
-            });
-        });
+            }));
 
         res.status(200).json({
             success: true,
@@ -180,30 +260,18 @@ router.get('/recent', async (req, res) => {
 /**
  * @route   GET /api/alerts/:alertId
  * @desc    Get single alert details
- * @access  Public
+ * @access  Protected
  */
-router.get('/:alertId', async (req, res) => {
+router.get('/:alertId', verifyToken, authorizeAlert(), async (req, res) => {
     try {
         const { alertId } = req.params;
 
-        const alertDoc = await firestore
-            .collection('Alerts')
-            .doc(alertId)
-            .get();
-
-        if (!alertDoc.exists) {
-            return res.status(404).json({
-                success: false,
-                message: 'Alert not found'
-            });
-        }
-
         res.status(200).json({
             success: true,
             message: 'Alert details retrieved',
             data: {
                 alert_id: alertId,
-                ...alertDoc.data()
+                ...req.resource.doc.data()
             }
         });
 
@@ -218,51 +286,101 @@ router.get('/:alertId', async (req, res) => {
 });
 
 /**
- * @route   PUT /api/alerts/:alertId/resolve
- * @desc    Mark alert as resolved
- * @access  Public
+ * @route   GET /api/alerts/:alertId/timeline
+ * @desc    Get the lifecycle timeline of an alert
+ * @access  Protected
  */
-router.put('/:alertId/resolve', async (req, res) => {
+router.get('/:alertId/timeline', verifyToken, authorizeAlert(), async (req, res) => {
     try {
         const { alertId } = req.params;
-
-        await firestore
-            .collection('Alerts')
-            .doc(alertId)
-            .update({
-                resolved: true,
-                status: 'resolved',
-                resolved_at: FieldValue.serverTimestamp()
-            });
+        const alertData = req.resource.doc.data();
 
         res.status(200).json({
             success: true,
-            message: 'Alert resolved successfully'
+            message: 'Alert timeline retrieved',
+            data: {
+                alert_id: alertId,
+                status: alertData.status,
+                assigned_to: alertData.assigned_to || null,
+                time_to_acknowledge_minutes: alertData.time_to_acknowledge_minutes ?? null,
+                time_to_resolve_minutes: alertData.time_to_resolve_minutes ?? null,
+                timeline: alertData.timeline || []
+            }
         });
 
     } catch (error) {
-        console.error('Resolve alert error:', error);
+        console.error('Get alert timeline error:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to resolve alert',
+            message: 'Failed to get alert timeline',
             error: error.message
         });
     }
 });
 
+/**
+ * @route   PUT /api/alerts/:alertId/acknowledge
+ * @desc    Acknowledge an open alert
+ * @access  Protected
+ */
+router.put('/:alertId/acknowledge', verifyToken, authorizeAlert('alerts:respond'), [
+    body('note').optional().trim()
+], lifecycleHandler('acknowledge', 'Alert acknowledged', 'Failed to acknowledge alert'));
+
+/**
+ * @route   PUT /api/alerts/:alertId/assign
+ * @desc    Assign an alert to a user
+ * @access  Protected
+ */
+router.put('/:alertId/assign', verifyToken, authorizeAlert('alerts:respond'), [
+    body('assignee').notEmpty().trim().withMessage('Assignee user ID is required'),
+    body('note').optional().trim()
+], lifecycleHandler('assign', 'Alert assigned', 'Failed to assign alert'));
+
+/**
+ * @route   PUT /api/alerts/:alertId/start
+ * @desc    Mark an alert as being worked on
+ * @access  Protected
+ */
+router.put('/:alertId/start', verifyToken, authorizeAlert('alerts:respond'), [
+    body('note').optional().trim()
+], lifecycleHandler('start', 'Alert marked in progress', 'Failed to start alert'));
+
+/**
+ * @route   PUT /api/alerts/:alertId/escalate
+ * @desc    Escalate an alert to the next breach level
+ * @access  Protected
+ */
+router.put('/:alertId/escalate', verifyToken, authorizeAlert('alerts:respond'), [
+    body('note').optional().trim()
+], lifecycleHandler('escalate', 'Alert escalated', 'Failed to escalate alert'));
+
+/**
+ * @route   PUT /api/alerts/:alertId/resolve
+ * @desc    Resolve an alert with optional resolution notes
+ * @access  Protected
+ */
+router.put('/:alertId/resolve', verifyToken, authorizeAlert('alerts:respond'), [
+    body('notes').optional().trim()
+], lifecycleHandler('resolve', 'Alert resolved successfully', 'Failed to resolve alert'));
+
+/**
+ * @route   PUT /api/alerts/:alertId/false-alarm
+ * @desc    Close an alert as a false alarm
+ * @access  Protected
+ */
+router.put('/:alertId/false-alarm', verifyToken, authorizeAlert('alerts:respond'), [
+    body('notes').optional().trim()
+], lifecycleHandler('false_alarm', 'Alert closed as false alarm', 'Failed to close alert'));
+
 /**
  * @route   DELETE /api/alerts/:alertId
  * @desc    Delete an alert
- * @access  Public
+ * @access  Protected
  */
-router.delete('/:alertId', async (req, res) => {
+router.delete('/:alertId', verifyToken, authorizeAlert('alerts:delete'), async (req, res) => {
     try {
-        const { alertId } = req.params;
-
-        await firestore
-            .collection('Alerts')
-            .doc(alertId)
-            .delete();
+        await req.resource.doc.ref.delete();
 
         res.status(200).json({
             success: true,
@@ -282,17 +400,18 @@ router.delete('/:alertId', async (req, res) => {
 /**
  * @route   GET /api/alerts/device/:deviceId
  * @desc    Get all alerts for specific device
- * @access  Public
+ * @access  Protected
  */
-router.get('/device/:deviceId', async (req, res) => {
+router.get('/device/:deviceId', verifyToken, authorize('sensor', { param: 'deviceId' }), async (req, res) => {
     try {
         const { deviceId } = req.params;
         const { limit = 50 } = req.query;
 
         const snapshot = await firestore
             .collection('Alerts')
-            .where('deviceId', '==', deviceId)
-            .orderBy('created_at', 'desc')
+            .where('sensor_id', '==', deviceId)
+            .where('farm_id', '==', req.resource.farmDoc.id)
+            .orderBy('detected_at', 'desc')
             .limit(parseInt(limit))
             .get();
 
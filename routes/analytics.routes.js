@@ -2,13 +2,18 @@
 const express = require('express');
 const router = express.Router();
 const { firestore } = require('../config/firebase.config');
+const { verifyToken } = require('../middleware/auth.middleware');
+const { authorize, scopeFarms } = require('../middleware/authorize.middleware');
+const { OPEN_STATUSES } = require('../services/alert.service');
+const { queryAcrossFarms } = require('../services/access.service');
+const { parseRange, summarizeReadings } = require('../services/history.service');
 
 /**
  * @route   GET /api/analytics/dashboard
  * @desc    Get dashboard statistics
- * @access  Public
+ * @access  Protected
  */
-router.get('/dashboard', async (req, res) => {
+router.get('/dashboard', verifyToken, scopeFarms(), async (req, res) => {
     try {
         const { deviceId, timeRange = 'week' } = req.query;
 
@@ -34,13 +39,13 @@ router.get('/dashboard', async (req, res) => {
         // Build query
         let query = firestore
             .collection('Alerts')
-            .where('created_at', '>=', startDate);
+            .where('detected_at', '>=', startDate);
 
         if (deviceId) {
-            query = query.where('deviceId', '==', deviceId);
+            query = query.where('sensor_id', '==', deviceId);
         }
 
-        const snapshot = await query.get();
+        const docs = await queryAcrossFarms(query, req.farmIds);
 
         // Calculate statistics
         let totalAlerts = 0;
@@ -48,12 +53,12 @@ router.get('/dashboard', async (req, res) => {
         let totalDistance = 0;
         const devices = new Set();
 
-        snapshot.forEach(doc => {
+        docs.forEach(doc => {
             const data = doc.data();
             totalAlerts++;
-            if (data.alert && !data.resolved) activeAlerts++;
-            totalDistance += data.distance || 0;
-            devices.add(data.deviceId);
+            if (data.is_breach && OPEN_STATUSES.includes(data.status)) activeAlerts++;
+            totalDistance += data.breach_distance || 0;
+            devices.add(data.sensor_id);
         });
 
         const avgDistance = totalAlerts > 0 ? totalDistance / totalAlerts : 0;
@@ -84,9 +89,9 @@ router.get('/dashboard', async (req, res) => {
 /**
  * @route   GET /api/analytics/trends
  * @desc    Get alert trends over time
- * @access  Public
+ * @access  Protected
  */
-router.get('/trends', async (req, res) => {
+router.get('/trends', verifyToken, scopeFarms(), async (req, res) => {
     try {
         const { startDate, endDate, deviceId, interval = 'day' } = req.query;
 
@@ -99,22 +104,23 @@ router.get('/trends', async (req, res) => {
 
         let query = firestore
             .collection('Alerts')
-            .where('created_at', '>=', new Date(startDate))
-            .where('created_at', '<=', new Date(endDate));
+            .where('detected_at', '>=', new Date(startDate))
+            .where('detected_at', '<=', new Date(endDate));
 
         if (deviceId) {
-            query = query.where('deviceId', '==', deviceId);
+            query = query.where('sensor_id', '==', deviceId);
         }
 
-        query = query.orderBy('created_at', 'asc');
+        query = query.orderBy('detected_at', 'asc');
 
-        const snapshot = await query.get();
+        const docs = (await queryAcrossFarms(query, req.farmIds))
+            .sort((a, b) => a.data().detected_at.toMillis() - b.data().detected_at.toMillis());
 
         // Group by interval
         const trends = {};
-        snapshot.forEach(doc => {
+        docs.forEach(doc => {
             const data = doc.data();
-            const date = data.created_at.toDate();
+            const date = data.detected_at.toDate();
             let key;
 
             switch(interval) {
@@ -138,7 +144,7 @@ router.get('/trends', async (req, res) => {
                 trends[key] = { total: 0, alerts: 0, normal: 0 };
             }
             trends[key].total++;
-            if (data.alert) trends[key].alerts++;
+            if (data.is_breach) trends[key].alerts++;
             else trends[key].normal++;
         });
 
@@ -164,9 +170,9 @@ router.get('/trends', async (req, res) => {
 /**
  * @route   GET /api/analytics/hourly
  * @desc    Get hourly breakdown of alerts
- * @access  Public
+ * @access  Protected
  */
-router.get('/hourly', async (req, res) => {
+router.get('/hourly', verifyToken, scopeFarms(), async (req, res) => {
     try {
         const { date, deviceId } = req.query;
 
@@ -178,14 +184,14 @@ router.get('/hourly', async (req, res) => {
 
         let query = firestore
             .collection('Alerts')
-            .where('created_at', '>=', startOfDay)
-            .where('created_at', '<=', endOfDay);
+            .where('detected_at', '>=', startOfDay)
+            .where('detected_at', '<=', endOfDay);
 
         if (deviceId) {
-            query = query.where('deviceId', '==', deviceId);
+            query = query.where('sensor_id', '==', deviceId);
         }
 
-        const snapshot = await query.get();
+        const docs = await queryAcrossFarms(query, req.farmIds);
 
         // Initialize hourly data
         const hourly = Array.from({ length: 24 }, (_, i) => ({
@@ -195,11 +201,11 @@ router.get('/hourly', async (req, res) => {
             normal: 0
         }));
 
-        snapshot.forEach(doc => {
+        docs.forEach(doc => {
             const data = doc.data();
-            const hour = data.created_at.toDate().getHours();
+            const hour = data.detected_at.toDate().getHours();
             hourly[hour].total++;
-            if (data.alert) hourly[hour].alerts++;
+            if (data.is_breach) hourly[hour].alerts++;
             else hourly[hour].normal++;
         });
 
@@ -225,22 +231,23 @@ router.get('/hourly', async (req, res) => {
 /**
  * @route   GET /api/analytics/devices
  * @desc    Get analytics for all devices
- * @access  Public
+ * @access  Protected
  */
-router.get('/devices', async (req, res) => {
+router.get('/devices', verifyToken, scopeFarms(), async (req, res) => {
     try {
         const { sortBy = 'alerts', limit = 10 } = req.query;
 
-        const snapshot = await firestore
-            .collection('Alerts')
-            .get();
+        const docs = await queryAcrossFarms(firestore.collection('Alerts'), req.farmIds);
 
         // Aggregate by device
         const deviceStats = {};
 
-        snapshot.forEach(doc => {
+        docs.forEach(doc => {
             const data = doc.data();
-            const deviceId = data.deviceId;
+            const deviceId = data.sensor_id;
+
+            // GPS collar alerts are not tied to a sensor unit
+            if (!deviceId) return;
 
             if (!deviceStats[deviceId]) {
                 deviceStats[deviceId] = {
@@ -254,10 +261,10 @@ router.get('/devices', async (req, res) => {
             }
 
             deviceStats[deviceId].totalAlerts++;
-            if (data.alert && !data.resolved) deviceStats[deviceId].activeAlerts++;
-            deviceStats[deviceId].totalDistance += data.distance || 0;
+            if (data.is_breach && OPEN_STATUSES.includes(data.status)) deviceStats[deviceId].activeAlerts++;
+            deviceStats[deviceId].totalDistance += data.breach_distance || 0;
             
-            const timestamp = data.created_at?.toDate();
+            const timestamp = data.detected_at?.toDate();
             if (timestamp && (!deviceStats[deviceId].lastSeen || timestamp > deviceStats[deviceId].lastSeen)) {
                 deviceStats[deviceId].lastSeen = timestamp;
             }
@@ -297,24 +304,30 @@ router.get('/devices', async (req, res) => {
 
 /**
  * @route   GET /api/analytics/devices/:deviceId
- * @desc    Get detailed analytics for specific device
- * @access  Public
+ * @desc    Get detailed analytics for specific device, with reading statistics
+ *          (raw or rollups, whichever covers the range; default range: last 7 days)
+ * @access  Protected
  */
-router.get('/devices/:deviceId', async (req, res) => {
+router.get('/devices/:deviceId', verifyToken, authorize('sensor', { param: 'deviceId' }), async (req, res) => {
     try {
         const { deviceId } = req.params;
         const { startDate, endDate } = req.query;
+        const range = parseRange(startDate, endDate, Date.now(), {
+            names: ['startDate', 'endDate'],
+            defaultRangeMs: 7 * 86400000
+        });
 
         let query = firestore
             .collection('Alerts')
-            .where('deviceId', '==', deviceId);
+            .where('sensor_id', '==', deviceId)
+            .where('farm_id', '==', req.resource.farmDoc.id);
 
         if (startDate) {
-            query = query.where('created_at', '>=', new Date(startDate));
+            query = query.where('detected_at', '>=', new Date(startDate));
         }
 
         if (endDate) {
-            query = query.where('created_at', '<=', new Date(endDate));
+            query = query.where('detected_at', '<=', new Date(endDate));
         }
 
         const snapshot = await query.get();
@@ -328,15 +341,16 @@ router.get('/devices/:deviceId', async (req, res) => {
         snapshot.forEach(doc => {
             const data = doc.data();
             totalAlerts++;
-            if (data.alert && !data.resolved) activeAlerts++;
+            if (data.is_breach && OPEN_STATUSES.includes(data.status)) activeAlerts++;
             
-            const distance = data.distance || 0;
+            const distance = data.breach_distance || 0;
             totalDistance += distance;
             if (distance < minDistance) minDistance = distance;
             if (distance > maxDistance) maxDistance = distance;
         });
 
         const avgDistance = totalAlerts > 0 ? totalDistance / totalAlerts : 0;
+        const readings = await summarizeReadings(deviceId, range.from, range.to);
 
         res.status(200).json({
             success: true,
@@ -347,16 +361,21 @@ router.get('/devices/:deviceId', async (req, res) => {
                 activeAlerts,
                 avgDistance: Math.round(avgDistance * 100) / 100,
                 minDistance: minDistance === Infinity ? 0 : minDistance,
-                maxDistance
+                maxDistance,
+                readings: {
+                    from: range.from,
+                    to: range.to,
+                    ...readings
+                }
             }
         });
 
     } catch (error) {
         console.error('Get device detailed analytics error:', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
-            message: 'Failed to get device analytics',
-            error: error.message
+            message: error.status ? error.message : 'Failed to get device analytics',
+            ...(!error.status && { error: error.message })
         });
     }
 });
@@ -364,9 +383,9 @@ router.get('/devices/:deviceId', async (req, res) => {
 /**
  * @route   GET /api/analytics/heatmap
  * @desc    Get heatmap data (hour vs day of week)
- * @access  Public
+ * @access  Protected
  */
-router.get('/heatmap', async (req, res) => {
+router.get('/heatmap', verifyToken, scopeFarms(), async (req, res) => {
     try {
         const { deviceId, weeks = 4 } = req.query;
 
@@ -375,22 +394,22 @@ router.get('/heatmap', async (req, res) => {
 
         let query = firestore
             .collection('Alerts')
-            .where('created_at', '>=', weeksAgo);
+            .where('detected_at', '>=', weeksAgo);
 
         if (deviceId) {
-            query = query.where('deviceId', '==', deviceId);
+            query = query.where('sensor_id', '==', deviceId);
         }
 
-        const snapshot = await query.get();
+        const docs = await queryAcrossFarms(query, req.farmIds);
 
         // Initialize 24x7 matrix
         const heatmap = Array.from({ length: 7 }, () => 
             Array.from({ length: 24 }, () => 0)
         );
 
-        snapshot.forEach(doc => {
+        docs.forEach(doc => {
             const data = doc.data();
-            const date = data.created_at.toDate();
+            const date = data.detected_at.toDate();
             const dayOfWeek = date.getDay();
             const hour = date.getHours();
             heatmap[dayOfWeek][hour]++;
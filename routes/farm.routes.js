@@ -3,7 +3,44 @@ const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const { verifyToken } = require('../middleware/auth.middleware');
+const { authorize } = require('../middleware/authorize.middleware');
 const { firestore, FieldValue, GeoPoint } = require('../config/firebase.config');
+const { kmlToGeoJSON } = require('../services/kml.service');
+const {
+    planBoundaryImport,
+    applyBoundaryImport,
+    buildFarmFeatureCollection
+} = require('../services/boundary.service');
+const { validateSteps } = require('../services/escalation.service');
+const { parseBands } = require('../services/threshold.service');
+const {
+    FARM_MEMBERS,
+    MEMBER_ROLES,
+    memberDocId,
+    hasPermission,
+    canGrantRole,
+    getFarmRoles
+} = require('../services/access.service');
+const {
+    createInvitation,
+    listPendingInvitations,
+    revokeInvitation
+} = require('../services/invitation.service');
+const { scheduleFarmDeletion } = require('../services/deletion.service');
+const { formatJob } = require('../services/job.service');
+
+const authorizeFarm = (permission = 'read') => authorize('farm', { param: 'farmId', permission });
+
+// Fields PUT /:farmId may change. Ownership, counters, deletion state and the
+// imported boundary are system-managed.
+const UPDATABLE_FIELDS = [
+    'farm_name',
+    'description',
+    'location',
+    'total_area',
+    'breach_thresholds',
+    'alert_dedup_window_minutes'
+];
 
 /**
  * @route   POST /api/farms
@@ -99,23 +136,23 @@ router.post('/', verifyToken, [
 
 /**
  * @route   GET /api/farms
- * @desc    Get all farms for authenticated farmer
+ * @desc    Get all farms the user owns or is a member of
  * @access  Protected
  */
 router.get('/', verifyToken, async (req, res) => {
     try {
-        const farmer_id = req.user.userId;
+        const roles = await getFarmRoles(req.user.userId);
 
-        const farmsSnapshot = await firestore
-            .collection('Farms')
-            .where('farmer_id', '==', farmer_id)
-            .get();
+        const farmDocs = roles.size > 0
+            ? await firestore.getAll(...[...roles.keys()].map(farmId => firestore.collection('Farms').doc(farmId)))
+            : [];
 
         const farms = [];
-        farmsSnapshot.forEach(doc => {
+        farmDocs.filter(doc => doc.exists).forEach(doc => {
             const data = doc.data();
             farms.push({
                 farm_id: doc.id,
+                role: roles.get(doc.id),
                 farm_name: data.farm_name,
                 location: data.location,
                 total_area: data.total_area,
@@ -148,36 +185,14 @@ router.get('/', verifyToken, async (req, res) => {
  * @desc    Get single farm details
  * @access  Protected
  */
-router.get('/:farmId', verifyToken, async (req, res) => {
+router.get('/:farmId', verifyToken, authorizeFarm(), async (req, res) => {
     try {
         const { farmId } = req.params;
-        const farmer_id = req.user.userId;
-
-        const farmDoc = await firestore
-            .collection('Farms')
-            .doc(farmId)
-            .get();
-
-        if (!farmDoc.exists) {
-            return res.status(404).json({
-                success: false,
-                message: 'Farm not found'
-            });
-        }
-
-        const farmData = farmDoc.data();
-
-        // Verify ownership
-        if (farmData.farmer_id !== farmer_id) {
-            return res.status(403).json({
-                success: false,
-                message: 'Access denied'
-            });
-        }
+        const farmData = req.resource.doc.data();
 
         // Get zones
         const zonesSnapshot = await firestore
-            .collection('Zones')
+            .collection('Boundary_Zones')
             .where('farm_id', '==', farmId)
             .get();
 
@@ -232,35 +247,73 @@ router.get('/:farmId', verifyToken, async (req, res) => {
 
 /**
  * @route   PUT /api/farms/:farmId
- * @desc    Update farm information
+ * @desc    Update farm information (farm_name, description, location, total_area,
+ *          breach_thresholds, alert_dedup_window_minutes); other fields are rejected
  * @access  Protected
  */
-router.put('/:farmId', verifyToken, async (req, res) => {
+router.put('/:farmId', verifyToken, authorizeFarm('farm:update'), [
+    body('farm_name').optional().isString().trim().notEmpty().withMessage('Farm name cannot be empty'),
+    body('description').optional({ nullable: true }).isString(),
+    body('location.address').if(body('location').exists()).notEmpty().withMessage('Address is required'),
+    body('location.coordinates.latitude').if(body('location').exists()).isFloat({ min: -90, max: 90 }).withMessage('Valid latitude required'),
+    body('location.coordinates.longitude').if(body('location').exists()).isFloat({ min: -180, max: 180 }).withMessage('Valid longitude required'),
+    body('total_area').optional().isFloat({ min: 0 }).withMessage('Valid area required'),
+    body('alert_dedup_window_minutes').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('alert_dedup_window_minutes must be a number of minutes or null')
+], async (req, res) => {
     try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
         const { farmId } = req.params;
-        const farmer_id = req.user.userId;
-        
-        // Verify ownership
-        const farmDoc = await firestore
-            .collection('Farms')
-            .doc(farmId)
-            .get();
 
-        if (!farmDoc.exists) {
-            return res.status(404).json({
+        const unknown = Object.keys(req.body).filter(field => !UPDATABLE_FIELDS.includes(field));
+        if (unknown.length > 0) {
+            return res.status(400).json({
                 success: false,
-                message: 'Farm not found'
+                message: `These fields cannot be updated: ${unknown.join(', ')}. Updatable fields are: ${UPDATABLE_FIELDS.join(', ')}`
             });
         }
 
-        if (farmDoc.data().farmer_id !== farmer_id) {
-            return res.status(403).json({
+        const updateData = {};
+        UPDATABLE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) {
+                updateData[field] = req.body[field];
+            }
+        });
+
+        if (Object.keys(updateData).length === 0) {
+            return res.status(400).json({
                 success: false,
-                message: 'Access denied'
+                message: `Nothing to update; updatable fields are: ${UPDATABLE_FIELDS.join(', ')}`
             });
         }
 
-        const updateData = { ...req.body };
+        if (updateData.location) {
+            updateData.location = {
+                address: updateData.location.address,
+                coordinates: new GeoPoint(
+                    parseFloat(updateData.location.coordinates.latitude),
+                    parseFloat(updateData.location.coordinates.longitude)
+                )
+            };
+        }
+        if (updateData.total_area !== undefined) {
+            updateData.total_area = parseFloat(updateData.total_area);
+        }
+        if (updateData.alert_dedup_window_minutes !== undefined && updateData.alert_dedup_window_minutes !== null) {
+            updateData.alert_dedup_window_minutes = parseFloat(updateData.alert_dedup_window_minutes);
+        }
+
+        // Farm-wide default bands for every zone and sensor on the farm
+        if (updateData.breach_thresholds !== undefined) {
+            updateData.breach_thresholds = updateData.breach_thresholds === null ? {} : parseBands(updateData.breach_thresholds);
+        }
+
         updateData.updated_at = FieldValue.serverTimestamp();
 
         await firestore
@@ -279,77 +332,620 @@ router.put('/:farmId', verifyToken, async (req, res) => {
 
     } catch (error) {
         console.error('Update farm error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            message: error.status ? error.message : 'Failed to update farm',
+            ...(!error.status && { error: error.message })
+        });
+    }
+});
+
+/**
+ * @route   DELETE /api/farms/:farmId
+ * @desc    Soft-delete a farm; everything under it is purged after the grace period
+ * @access  Protected
+ */
+router.delete('/:farmId', verifyToken, authorizeFarm('farm:delete'), async (req, res) => {
+    try {
+        const jobDoc = await scheduleFarmDeletion(req.resource.doc, req.user.userId);
+        const job = formatJob(jobDoc);
+
+        res.status(202).json({
+            success: true,
+            message: 'Farm scheduled for deletion',
+            data: {
+                farm_id: req.params.farmId,
+                job,
+                purge_after: job.run_after
+            },
+            hint: `Cancel before purge_after with POST /api/jobs/${job.job_id}/cancel`
+        });
+
+    } catch (error) {
+        console.error('Delete farm error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            message: error.status ? error.message : 'Failed to delete farm',
+            ...(!error.status && { error: error.message })
+        });
+    }
+});
+
+/**
+ * @route   POST /api/farms/:farmId/boundaries/import
+ * @desc    Import zones and the farm boundary from GeoJSON or KML (dry run by default)
+ * @access  Protected
+ */
+router.post('/:farmId/boundaries/import', verifyToken, authorizeFarm('zones:write'), [
+    body('format').isIn(['geojson', 'kml']).withMessage('Format must be geojson or kml'),
+    body('data').notEmpty().withMessage('Import data is required'),
+    body('dry_run').optional().isBoolean()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { farmId } = req.params;
+        const { format, data } = req.body;
+        const dryRun = req.body.dry_run === undefined || req.body.dry_run === true || req.body.dry_run === 'true';
+
+        const farmDoc = req.resource.doc;
+
+        let featureCollection;
+        try {
+            if (format === 'kml') {
+                featureCollection = kmlToGeoJSON(data);
+            } else {
+                featureCollection = typeof data === 'string' ? JSON.parse(data) : data;
+            }
+        } catch (parseError) {
+            return res.status(400).json({
+                success: false,
+                message: `Could not parse ${format.toUpperCase()} data`,
+                error: parseError.message
+            });
+        }
+
+        const plan = await planBoundaryImport(farmDoc, featureCollection);
+
+        const diff = {
+            farm_boundary: plan.farm_boundary ? (plan.farm_boundary.changed ? 'update' : 'unchanged') : null,
+            create: plan.create.map(({ index, zone_name }) => ({ index, zone_name })),
+            update: plan.update.map(({ index, zone_id, zone_name, changes }) => ({ index, zone_id, zone_name, changes })),
+            unchanged: plan.unchanged,
+            skipped: plan.skipped,
+            invalid: plan.invalid
+        };
+
+        if (dryRun) {
+            return res.status(200).json({
+                success: true,
+                message: 'Dry run complete, nothing was written',
+                data: {
+                    dry_run: true,
+                    diff
+                }
+            });
+        }
+
+        if (plan.invalid.length > 0) {
+            return res.status(422).json({
+                success: false,
+                message: 'Import contains invalid features, nothing was written',
+                data: { diff }
+            });
+        }
+
+        const created = await applyBoundaryImport(farmDoc, plan);
+
+        res.status(200).json({
+            success: true,
+            message: 'Boundaries imported successfully',
+            data: {
+                dry_run: false,
+                created,
+                updated: diff.update,
+                farm_boundary_updated: diff.farm_boundary === 'update'
+            }
+        });
+
+    } catch (error) {
+        console.error('Import boundaries error:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to update farm',
+            message: 'Failed to import boundaries',
             error: error.message
         });
     }
 });
 
 /**
- * @route   DELETE /api/farms/:farmId
- * @desc    Delete a farm
+ * @route   GET /api/farms/:farmId/boundaries/export
+ * @desc    Export farm location, boundary, zones and sensors as a GeoJSON FeatureCollection
  * @access  Protected
  */
-router.delete('/:farmId', verifyToken, async (req, res) => {
+router.get('/:farmId/boundaries/export', verifyToken, authorizeFarm(), async (req, res) => {
     try {
         const { farmId } = req.params;
-        const farmer_id = req.user.userId;
 
-        // Verify ownership
-        const farmDoc = await firestore
-            .collection('Farms')
+        const farmDoc = req.resource.doc;
+
+        const featureCollection = await buildFarmFeatureCollection(farmDoc);
+
+        // Plain GeoJSON so the file opens directly in QGIS / geojson.io
+        res.set('Content-Type', 'application/geo+json');
+        if (req.query.download === 'true') {
+            res.set('Content-Disposition', `attachment; filename="farm-${farmId}.geojson"`);
+        }
+
+        res.status(200).send(JSON.stringify(featureCollection));
+
+    } catch (error) {
+        console.error('Export boundaries error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to export boundaries',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @route   GET /api/farms/:farmId/escalation-policy
+ * @desc    Get the alert escalation policy for a farm
+ * @access  Protected
+ */
+router.get('/:farmId/escalation-policy', verifyToken, authorizeFarm(), async (req, res) => {
+    try {
+        const { farmId } = req.params;
+
+        const policyDoc = await firestore
+            .collection('Escalation_Policies')
             .doc(farmId)
             .get();
 
-        if (!farmDoc.exists) {
+        res.status(200).json({
+            success: true,
+            message: policyDoc.exists ? 'Escalation policy retrieved' : 'No escalation policy configured',
+            data: policyDoc.exists
+                ? { farm_id: farmId, ...policyDoc.data() }
+                : { farm_id: farmId, enabled: false, steps: [] }
+        });
+
+    } catch (error) {
+        console.error('Get escalation policy error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get escalation policy',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @route   PUT /api/farms/:farmId/escalation-policy
+ * @desc    Create or replace the alert escalation policy for a farm
+ * @access  Protected
+ */
+router.put('/:farmId/escalation-policy', verifyToken, authorizeFarm('escalation:write'), [
+    body('steps').custom(steps => {
+        const error = validateSteps(steps);
+        if (error) throw new Error(error);
+        return true;
+    }),
+    body('enabled').optional().isBoolean()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { farmId } = req.params;
+        const { steps, enabled = true } = req.body;
+
+        const policyData = {
+            farm_id: farmId,
+            enabled,
+            steps: steps.map(step => ({
+                after_minutes: step.after_minutes,
+                targets: step.targets,
+                channels: step.channels
+            })),
+            updated_by: req.user.userId,
+            updated_at: FieldValue.serverTimestamp()
+        };
+
+        await firestore
+            .collection('Escalation_Policies')
+            .doc(farmId)
+            .set(policyData);
+
+        res.status(200).json({
+            success: true,
+            message: 'Escalation policy saved',
+            data: policyData
+        });
+
+    } catch (error) {
+        console.error('Save escalation policy error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to save escalation policy',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @route   GET /api/farms/:farmId/members
+ * @desc    List the farm owner and members with their roles
+ * @access  Protected
+ */
+router.get('/:farmId/members', verifyToken, authorizeFarm(), async (req, res) => {
+    try {
+        const { farmId } = req.params;
+        const farmData = req.resource.doc.data();
+
+        const membersSnapshot = await firestore
+            .collection(FARM_MEMBERS)
+            .where('farm_id', '==', farmId)
+            .get();
+
+        const members = [{
+            user_id: farmData.farmer_id,
+            name: farmData.farmer_name || null,
+            role: 'owner'
+        }];
+
+        membersSnapshot.forEach(doc => {
+            const data = doc.data();
+            members.push({
+                user_id: data.user_id,
+                name: data.name || null,
+                email: data.email || null,
+                role: data.role,
+                added_by: data.added_by,
+                created_at: data.created_at
+            });
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Farm members retrieved',
+            data: members,
+            total: members.length
+        });
+
+    } catch (error) {
+        console.error('Get farm members error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get farm members',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @route   POST /api/farms/:farmId/members
+ * @desc    Add a registered user to the farm with a role
+ * @access  Protected
+ */
+router.post('/:farmId/members', verifyToken, authorizeFarm('members:manage'), [
+    body('user_id').optional().notEmpty().trim(),
+    body('email').optional().isEmail().withMessage('Valid email is required'),
+    body('role').isIn(MEMBER_ROLES).withMessage(`Role must be one of: ${MEMBER_ROLES.join(', ')}`)
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { farmId } = req.params;
+        const { user_id, email, role } = req.body;
+
+        if (!user_id && !email) {
+            return res.status(400).json({
+                success: false,
+                message: 'Either user_id or email is required'
+            });
+        }
+
+        if (!canGrantRole(req.resource.role, role)) {
+            return res.status(403).json({
+                success: false,
+                message: `Your role (${req.resource.role}) cannot grant the ${role} role`
+            });
+        }
+
+        let farmerDoc;
+        if (user_id) {
+            farmerDoc = await firestore.collection('Farmers').doc(user_id).get();
+        } else {
+            const farmerSnapshot = await firestore
+                .collection('Farmers')
+                .where('email', '==', email)
+                .limit(1)
+                .get();
+            farmerDoc = farmerSnapshot.docs[0];
+        }
+
+        if (!farmerDoc || !farmerDoc.exists) {
             return res.status(404).json({
                 success: false,
-                message: 'Farm not found'
+                message: 'No registered user found',
+                hint: 'The user must register through /api/auth/register first'
             });
         }
 
-        if (farmDoc.data().farmer_id !== farmer_id) {
+        const memberId = farmerDoc.id;
+
+        if (memberId === req.resource.doc.data().farmer_id) {
+            return res.status(409).json({
+                success: false,
+                message: 'The farm owner is already a member'
+            });
+        }
+
+        const memberRef = firestore.collection(FARM_MEMBERS).doc(memberDocId(farmId, memberId));
+        const memberDoc = await memberRef.get();
+
+        if (memberDoc.exists) {
+            return res.status(409).json({
+                success: false,
+                message: 'User is already a member of this farm',
+                hint: 'Use PUT /api/farms/:farmId/members/:userId to change their role'
+            });
+        }
+
+        const memberData = {
+            farm_id: farmId,
+            user_id: memberId,
+            name: farmerDoc.data().name || null,
+            email: farmerDoc.data().email || null,
+            role,
+            added_by: req.user.userId,
+            created_at: FieldValue.serverTimestamp(),
+            updated_at: FieldValue.serverTimestamp()
+        };
+
+        await memberRef.set(memberData);
+
+        res.status(201).json({
+            success: true,
+            message: 'Member added successfully',
+            data: {
+                user_id: memberId,
+                role
+            }
+        });
+
+    } catch (error) {
+        console.error('Add farm member error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to add farm member',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @route   PUT /api/farms/:farmId/members/:userId
+ * @desc    Change a member's role
+ * @access  Protected
+ */
+router.put('/:farmId/members/:userId', verifyToken, authorizeFarm('members:manage'), [
+    body('role').isIn(MEMBER_ROLES).withMessage(`Role must be one of: ${MEMBER_ROLES.join(', ')}`)
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { farmId, userId } = req.params;
+        const { role } = req.body;
+
+        const memberRef = firestore.collection(FARM_MEMBERS).doc(memberDocId(farmId, userId));
+        const memberDoc = await memberRef.get();
+
+        if (!memberDoc.exists) {
+            return res.status(404).json({
+                success: false,
+                message: 'Member not found'
+            });
+        }
+
+        if (!canGrantRole(req.resource.role, role) || !canGrantRole(req.resource.role, memberDoc.data().role)) {
             return res.status(403).json({
                 success: false,
-                message: 'Access denied'
+                message: `Your role (${req.resource.role}) cannot change this member's role`
             });
         }
 
-        await firestore
-            .collection('Farms')
-            .doc(farmId)
-            .delete();
+        await memberRef.update({
+            role,
+            updated_at: FieldValue.serverTimestamp()
+        });
 
-        // Update farmer's farm count
-        const farmerDoc = await firestore
-            .collection('Farmers')
-            .doc(farmer_id)
-            .get();
+        res.status(200).json({
+            success: true,
+            message: 'Member role updated',
+            data: {
+                user_id: userId,
+                role
+            }
+        });
 
-        if (farmerDoc.exists) {
-            await firestore
-                .collection('Farmers')
-                .doc(farmer_id)
-                .update({
-                    farms_count: FieldValue.increment(-1)
-                });
+    } catch (error) {
+        console.error('Update farm member error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update farm member',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @route   DELETE /api/farms/:farmId/members/:userId
+ * @desc    Remove a member from the farm (members may also remove themselves)
+ * @access  Protected
+ */
+router.delete('/:farmId/members/:userId', verifyToken, authorizeFarm(), async (req, res) => {
+    try {
+        const { farmId, userId } = req.params;
+        const leaving = userId === req.user.userId;
+
+        const memberRef = firestore.collection(FARM_MEMBERS).doc(memberDocId(farmId, userId));
+        const memberDoc = await memberRef.get();
+
+        if (!memberDoc.exists) {
+            return res.status(404).json({
+                success: false,
+                message: 'Member not found'
+            });
+        }
+
+        if (!leaving && (!hasPermission(req.resource.role, 'members:manage') ||
+            !canGrantRole(req.resource.role, memberDoc.data().role))) {
+            return res.status(403).json({
+                success: false,
+                message: `Your role (${req.resource.role}) cannot remove this member`
+            });
         }
 
+        await memberRef.delete();
+
         res.status(200).json({
             success: true,
-            message: 'Farm deleted successfully'
+            message: leaving ? 'You left the farm' : 'Member removed successfully',
+            data: { user_id: userId }
         });
 
     } catch (error) {
-        console.error('Delete farm error:', error);
+        console.error('Remove farm member error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to remove farm member',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @route   POST /api/farms/:farmId/invitations
+ * @desc    Invite someone by email to join the farm with a role
+ * @access  Protected
+ */
+router.post('/:farmId/invitations', verifyToken, authorizeFarm('members:manage'), [
+    body('email').isEmail().withMessage('Valid email is required'),
+    body('role').isIn(MEMBER_ROLES).withMessage(`Role must be one of: ${MEMBER_ROLES.join(', ')}`)
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { email, role } = req.body;
+
+        if (!canGrantRole(req.resource.role, role)) {
+            return res.status(403).json({
+                success: false,
+                message: `Your role (${req.resource.role}) cannot grant the ${role} role`
+            });
+        }
+
+        const invitation = await createInvitation(req.resource.doc, { email, role }, req.user.userId);
+
+        res.status(201).json({
+            success: true,
+            message: 'Invitation sent',
+            data: invitation
+        });
+
+    } catch (error) {
+        console.error('Create invitation error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            message: error.status ? error.message : 'Failed to create invitation',
+            ...(!error.status && { error: error.message })
+        });
+    }
+});
+
+/**
+ * @route   GET /api/farms/:farmId/invitations
+ * @desc    List the farm's pending invitations
+ * @access  Protected
+ */
+router.get('/:farmId/invitations', verifyToken, authorizeFarm('members:manage'), async (req, res) => {
+    try {
+        const invitations = await listPendingInvitations(req.params.farmId);
+
+        res.status(200).json({
+            success: true,
+            message: 'Pending invitations retrieved',
+            data: invitations,
+            total: invitations.length
+        });
+
+    } catch (error) {
+        console.error('Get invitations error:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to delete farm',
+            message: 'Failed to get invitations',
             error: error.message
         });
     }
 });
 
-module.exports = router;
\ No newline at end of file
+/**
+ * @route   DELETE /api/farms/:farmId/invitations/:invitationId
+ * @desc    Revoke a pending invitation
+ * @access  Protected
+ */
+router.delete('/:farmId/invitations/:invitationId', verifyToken, authorizeFarm('members:manage'), async (req, res) => {
+    try {
+        const { farmId, invitationId } = req.params;
+
+        await revokeInvitation(farmId, invitationId, req.user.userId);
+
+        res.status(200).json({
+            success: true,
+            message: 'Invitation revoked',
+            data: { invitation_id: invitationId }
+        });
+
+    } catch (error) {
+        console.error('Revoke invitation error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            message: error.status ? error.message : 'Failed to revoke invitation',
+            ...(!error.status && { error: error.message })
+        });
+    }
+});
+
+module.exports = router;
@@ -3,6 +3,20 @@ const express = require('express');
 const router = express.Router();
 const { verifyToken } = require('../middleware/auth.middleware');
 const { firestore, FieldValue } = require('../config/firebase.config');
+const { OPEN_STATUSES } = require('../services/alert.service');
+
+/**
+ * Farmer documents are only readable by the farmer themselves
+ */
+const selfOnly = (req, res, next) => {
+  if (req.params.farmerId !== req.user.userId) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+  }
+  next();
+};
 
 /**
  * @route   GET /api/farmers/me
@@ -43,7 +57,7 @@ router.get('/me', verifyToken, async (req, res) => {
     const alertsSnapshot = await firestore
       .collection('Alerts')
       .where('farmer_id', '==', farmer_id)
-      .where('status', '==', 'active')
+      .where('status', 'in', OPEN_STATUSES)
       .get();
 
     res.status(200).json({
@@ -77,10 +91,10 @@ router.get('/me', verifyToken, async (req, res) => {
 
 /**
  * @route   GET /api/farmers/:farmerId
- * @desc    Get specific farmer details (admin view)
+ * @desc    Get specific farmer details (own profile only)
  * @access  Protected
  */
-router.get('/:farmerId', verifyToken, async (req, res) => {
+router.get('/:farmerId', verifyToken, selfOnly, async (req, res) => {
   try {
     const { farmerId } = req.params;
 
@@ -119,7 +133,7 @@ router.get('/:farmerId', verifyToken, async (req, res) => {
  * @desc    Get farmer statistics
  * @access  Protected
  */
-router.get('/:farmerId/stats', verifyToken, async (req, res) => {
+router.get('/:farmerId/stats', verifyToken, selfOnly, async (req, res) => {
   try {
     const { farmerId } = req.params;
 
@@ -137,7 +151,7 @@ router.get('/:farmerId/stats', verifyToken, async (req, res) => {
 
     // Get zones
     const zonesSnapshot = await firestore
-      .collection('Zones')
+      .collection('Boundary_Zones')
       .where('farmer_id', '==', farmerId)
       .get();
 
@@ -145,7 +159,7 @@ router.get('/:farmerId/stats', verifyToken, async (req, res) => {
     const activeAlertsSnapshot = await firestore
       .collection('Alerts')
       .where('farmer_id', '==', farmerId)
-      .where('status', '==', 'active')
+      .where('status', 'in', OPEN_STATUSES)
       .get();
 
     // Get resolved alerts today
@@ -0,0 +1,78 @@
+// routes/invitation.routes.js
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { verifyToken } = require('../middleware/auth.middleware');
+const { asyncHandler } = require('../middleware/errorHandler');
+const {
+  INVITATION_TOKEN_PREFIX,
+  listInvitationsForEmail,
+  respondToInvitation
+} = require('../services/invitation.service');
+
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+const tokenRules = [
+  body('token')
+    .isString()
+    .custom(token => token.startsWith(INVITATION_TOKEN_PREFIX))
+    .withMessage('Valid invitation token is required')
+];
+
+/**
+ * @route   GET /api/invitations
+ * @desc    Pending invitations sent to the signed-in user's email
+ * @access  Protected
+ */
+router.get('/', verifyToken, asyncHandler(async (req, res) => {
+  const invitations = req.user.email ? await listInvitationsForEmail(req.user.email) : [];
+
+  res.status(200).json({
+    success: true,
+    message: 'Pending invitations retrieved',
+    data: invitations,
+    total: invitations.length
+  });
+}));
+
+/**
+ * @route   POST /api/invitations/accept
+ * @desc    Accept an invitation and join the farm with the invited role
+ * @access  Protected (register through /api/auth/register with the invited email first)
+ */
+router.post('/accept', verifyToken, tokenRules, validate, asyncHandler(async (req, res) => {
+  const invitation = await respondToInvitation(req.body.token, req.user, 'accept');
+
+  res.status(200).json({
+    success: true,
+    message: 'Invitation accepted',
+    data: invitation
+  });
+}));
+
+/**
+ * @route   POST /api/invitations/decline
+ * @desc    Decline an invitation
+ * @access  Protected
+ */
+router.post('/decline', verifyToken, tokenRules, validate, asyncHandler(async (req, res) => {
+  const invitation = await respondToInvitation(req.body.token, req.user, 'decline');
+
+  res.status(200).json({
+    success: true,
+    message: 'Invitation declined',
+    data: invitation
+  });
+}));
+
+module.exports = router;
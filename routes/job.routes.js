@@ -0,0 +1,99 @@
+// routes/job.routes.js
+const express = require('express');
+const router = express.Router();
+const { query, validationResult } = require('express-validator');
+const { verifyToken } = require('../middleware/auth.middleware');
+const { asyncHandler, httpError } = require('../middleware/errorHandler');
+const {
+  JOB_STATUSES,
+  formatJob,
+  getOwnedJob,
+  listJobs,
+  cancelJob
+} = require('../services/job.service');
+const { exportFilePath } = require('../services/export.service');
+
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+/**
+ * @route   GET /api/jobs
+ * @desc    The user's background jobs (deletions, exports), newest first
+ * @access  Protected
+ */
+router.get('/', verifyToken, [
+  query('status').optional().isIn(JOB_STATUSES),
+  query('type').optional().isString(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], validate, asyncHandler(async (req, res) => {
+  const { status, type, limit } = req.query;
+  const jobs = await listJobs(req.user.userId, { status, type, limit });
+
+  res.status(200).json({
+    success: true,
+    message: 'Jobs retrieved',
+    data: jobs,
+    total: jobs.length
+  });
+}));
+
+/**
+ * @route   GET /api/jobs/:jobId
+ * @desc    Status and progress of one job
+ * @access  Protected
+ */
+router.get('/:jobId', verifyToken, asyncHandler(async (req, res) => {
+  const jobDoc = await getOwnedJob(req.params.jobId, req.user.userId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Job retrieved',
+    data: formatJob(jobDoc)
+  });
+}));
+
+/**
+ * @route   POST /api/jobs/:jobId/cancel
+ * @desc    Cancel a job that has not started; cancelling a deletion restores the farm or account
+ * @access  Protected
+ */
+router.post('/:jobId/cancel', verifyToken, asyncHandler(async (req, res) => {
+  const job = await cancelJob(req.params.jobId, req.user.userId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Job cancelled',
+    data: job
+  });
+}));
+
+/**
+ * @route   GET /api/jobs/:jobId/download
+ * @desc    Download the archive of a completed data export (JSON, or a zip of CSVs)
+ * @access  Protected
+ */
+router.get('/:jobId/download', verifyToken, asyncHandler(async (req, res) => {
+  const jobDoc = await getOwnedJob(req.params.jobId, req.user.userId);
+  const job = { id: jobDoc.id, ...jobDoc.data() };
+
+  if (job.type !== 'data_export') {
+    throw httpError(400, 'Only data export jobs have a download');
+  }
+
+  if (job.status !== 'completed') {
+    throw httpError(409, `Export is ${job.status}`);
+  }
+
+  res.download(exportFilePath(job));
+}));
+
+module.exports = router;
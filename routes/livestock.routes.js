@@ -3,13 +3,30 @@ const express = require('express');
 const router = express.Router();
 const { body, validationResult, query } = require('express-validator');
 const { firestore, FieldValue } = require('../config/firebase.config');
+const { verifyToken } = require('../middleware/auth.middleware');
+const { authorize, scopeFarms } = require('../middleware/authorize.middleware');
+const { queryAcrossFarms } = require('../services/access.service');
+
+const authorizeLivestock = (permission = 'read') => authorize('livestock', { param: 'livestockId', permission });
+
+// Fields PUT /:livestockId may change. Health records only change through their
+// own endpoints (livestock:health); farm, counters and tracking are system-managed.
+const UPDATABLE_FIELDS = [
+    'zone_id',
+    'health_status',
+    'age_months',
+    'weight_kg',
+    'breed',
+    'gender',
+    'notes'
+];
 
 /**
  * @route   POST /api/livestock
  * @desc    Add new livestock
  * @access  Protected
  */
-router.post('/', [
+router.post('/', verifyToken, authorize('farm', { param: 'farm_id', from: 'body', permission: 'livestock:write' }), [
     body('zone_id').notEmpty(),
     body('farm_id').notEmpty(),
     body('animal_type').isIn(['Goat', 'Chicken', 'Cow', 'Sheep', 'Pig']),
@@ -70,6 +87,13 @@ router.post('/', [
 
         const zoneData = zoneDoc.data();
 
+        if (zoneData.farm_id !== farm_id) {
+            return res.status(400).json({
+                success: false,
+                message: 'Zone does not belong to this farm'
+            });
+        }
+
         // Create livestock document
         const livestockData = {
             zone_id,
@@ -92,6 +116,8 @@ router.post('/', [
             medical_history: [],
             movement_history: [],
             last_known_position: {
+                latitude: null,
+                longitude: null,
                 distance_from_boundary: 0,
                 sensor_id: null,
                 timestamp: FieldValue.serverTimestamp()
@@ -142,18 +168,17 @@ router.post('/', [
  * @desc    Get all livestock with filters
  * @access  Protected
  */
-router.get('/', [
+router.get('/', verifyToken, scopeFarms({ farmParam: 'farm_id', sensorParam: null }), [
     query('farm_id').optional(),
     query('zone_id').optional(),
     query('animal_type').optional(),
-    query('status').optional().isIn(['inside_boundary', 'outside_boundary', 'unknown']),
+    query('status').optional().isIn(['inside_boundary', 'near_boundary', 'outside_boundary', 'unknown']),
     query('health_status').optional(),
     query('limit').optional().isInt({ min: 1, max: 100 }),
     query('offset').optional().isInt({ min: 0 })
 ], async (req, res) => {
     try {
         const {
-            farm_id,
             zone_id,
             animal_type,
             status,
@@ -162,13 +187,9 @@ router.get('/', [
             offset = 0
         } = req.query;
 
+        // Farm filter comes from the farms the user can access (req.farmIds)
         let query = firestore.collection('Livestock');
 
-        // Apply filters
-        if (farm_id) {
-            query = query.where('farm_id', '==', farm_id);
-        }
-
         if (zone_id) {
             query = query.where('zone_id', '==', zone_id);
         }
@@ -185,31 +206,22 @@ router.get('/', [
             query = query.where('health_status', '==', health_status);
         }
 
-        // Apply pagination
-        query = query.limit(parseInt(limit)).offset(parseInt(offset));
-
-        const snapshot = await query.get();
-        const livestock = [];
+        const docs = await queryAcrossFarms(query, req.farmIds);
 
-        snapshot.forEach(doc => {
-            livestock.push({
+        // Apply pagination
+        const livestock = docs
+            .slice(parseInt(offset), parseInt(offset) + parseInt(limit))
+            .map(doc => ({
                 livestock_id: doc.id,
                 ...doc.data()
-            });
-        });
-
-        // Get total count for pagination
-        const countSnapshot = await firestore
-            .collection('Livestock')
-            .where('farm_id', '==', farm_id || '')
-            .get();
+            }));
 
         res.status(200).json({
             success: true,
             message: 'Livestock retrieved',
             data: {
                 count: livestock.length,
-                total: countSnapshot.size,
+                total: docs.length,
                 offset: parseInt(offset),
                 livestock
             }
@@ -230,23 +242,10 @@ router.get('/', [
  * @desc    Get single livestock details
  * @access  Protected
  */
-router.get('/:livestockId', async (req, res) => {
+router.get('/:livestockId', verifyToken, authorizeLivestock(), async (req, res) => {
     try {
         const { livestockId } = req.params;
-
-        const livestockDoc = await firestore
-            .collection('Livestock')
-            .doc(livestockId)
-            .get();
-
-        if (!livestockDoc.exists) {
-            return res.status(404).json({
-                success: false,
-                message: 'Livestock not found'
-            });
-        }
-
-        const livestockData = livestockDoc.data();
+        const livestockData = req.resource.doc.data();
 
         // Get recent movement history from alerts
         const recentAlerts = await firestore
@@ -289,60 +288,76 @@ router.get('/:livestockId', async (req, res) => {
  * @desc    Update livestock information
  * @access  Protected
  */
-router.put('/:livestockId', [
-    body('zone_id').optional(),
+router.put('/:livestockId', verifyToken, authorizeLivestock('livestock:write'), [
+    body('zone_id').optional().notEmpty(),
     body('health_status').optional().isIn(['healthy', 'sick', 'injured', 'quarantine']),
+    body('age_months').optional().isInt({ min: 0 }),
     body('weight_kg').optional().isFloat({ min: 0 }),
     body('notes').optional()
 ], async (req, res) => {
     try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
         const { livestockId } = req.params;
-        const updateData = { ...req.body };
+        const livestockDoc = req.resource.doc;
+        const updateData = {};
+
+        UPDATABLE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) {
+                updateData[field] = req.body[field];
+            }
+        });
 
-        // Remove undefined values
-        Object.keys(updateData).forEach(key => 
-            updateData[key] === undefined && delete updateData[key]
-        );
+        if (Object.keys(updateData).length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Nothing to update; updatable fields are: ${UPDATABLE_FIELDS.join(', ')}`
+            });
+        }
 
         // Add updated timestamp
         updateData.updated_at = FieldValue.serverTimestamp();
 
         // If zone is being changed, update counts
         if (updateData.zone_id) {
-            const livestockDoc = await firestore
-                .collection('Livestock')
-                .doc(livestockId)
+            // Get new zone for denormalization
+            const newZoneDoc = await firestore
+                .collection('Boundary_Zones')
+                .doc(updateData.zone_id)
                 .get();
 
-            if (livestockDoc.exists) {
-                const oldZoneId = livestockDoc.data().zone_id;
-
-                // Decrease old zone count
-                await firestore
-                    .collection('Boundary_Zones')
-                    .doc(oldZoneId)
-                    .update({
-                        current_livestock_count: FieldValue.increment(-1)
-                    });
-
-                // Increase new zone count
-                await firestore
-                    .collection('Boundary_Zones')
-                    .doc(updateData.zone_id)
-                    .update({
-                        current_livestock_count: FieldValue.increment(1)
-                    });
-
-                // Get new zone name for denormalization
-                const newZoneDoc = await firestore
-                    .collection('Boundary_Zones')
-                    .doc(updateData.zone_id)
-                    .get();
-
-                if (newZoneDoc.exists) {
-                    updateData.zone_name = newZoneDoc.data().zone_name;
-                }
+            if (!newZoneDoc.exists || newZoneDoc.data().farm_id !== livestockDoc.data().farm_id) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Zone not found on this farm'
+                });
             }
+
+            const oldZoneId = livestockDoc.data().zone_id;
+
+            // Decrease old zone count
+            await firestore
+                .collection('Boundary_Zones')
+                .doc(oldZoneId)
+                .update({
+                    current_livestock_count: FieldValue.increment(-1)
+                });
+
+            // Increase new zone count
+            await firestore
+                .collection('Boundary_Zones')
+                .doc(updateData.zone_id)
+                .update({
+                    current_livestock_count: FieldValue.increment(1)
+                });
+
+            updateData.zone_name = newZoneDoc.data().zone_name;
         }
 
         await firestore
@@ -374,24 +389,10 @@ router.put('/:livestockId', [
  * @desc    Remove livestock from system
  * @access  Protected
  */
-router.delete('/:livestockId', async (req, res) => {
+router.delete('/:livestockId', verifyToken, authorizeLivestock('livestock:delete'), async (req, res) => {
     try {
         const { livestockId } = req.params;
-
-        // Get livestock data first
-        const livestockDoc = await firestore
-            .collection('Livestock')
-            .doc(livestockId)
-            .get();
-
-        if (!livestockDoc.exists) {
-            return res.status(404).json({
-                success: false,
-                message: 'Livestock not found'
-            });
-        }
-
-        const livestockData = livestockDoc.data();
+        const livestockData = req.resource.doc.data();
 
         // Delete the livestock
         await firestore
@@ -439,7 +440,7 @@ router.delete('/:livestockId', async (req, res) => {
  * @desc    Add vaccination record
  * @access  Protected
  */
-router.post('/:livestockId/vaccination', [
+router.post('/:livestockId/vaccination', verifyToken, authorizeLivestock('livestock:health'), [
     body('vaccine_name').notEmpty(),
     body('vaccination_date').isISO8601(),
     body('next_due_date').optional().isISO8601(),
@@ -494,7 +495,7 @@ router.post('/:livestockId/vaccination', [
  * @desc    Add medical history entry
  * @access  Protected
  */
-router.post('/:livestockId/medical', [
+router.post('/:livestockId/medical', verifyToken, authorizeLivestock('livestock:health'), [
     body('condition').notEmpty(),
     body('treatment').notEmpty(),
     body('date').isISO8601(),
@@ -553,7 +554,7 @@ router.post('/:livestockId/medical', [
  * @desc    Get livestock statistics for a farm
  * @access  Protected
  */
-router.get('/stats/:farmId', async (req, res) => {
+router.get('/stats/:farmId', verifyToken, authorize('farm', { param: 'farmId' }), async (req, res) => {
     try {
         const { farmId } = req.params;
 
@@ -575,6 +576,7 @@ router.get('/stats/:farmId', async (req, res) => {
             },
             by_status: {
                 inside_boundary: 0,
+                near_boundary: 0,
                 outside_boundary: 0,
                 unknown: 0
             }
@@ -0,0 +1,202 @@
+// routes/lorawan.routes.js
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { FieldValue } = require('../config/firebase.config');
+const { verifyToken, verifyApiKey } = require('../middleware/auth.middleware');
+const { asyncHandler, httpError } = require('../middleware/errorHandler');
+const { authorize } = require('../middleware/authorize.middleware');
+const { assertDeviceAccess } = require('../services/device.service');
+const { assertRequestSignature } = require('../services/signature.service');
+const { evaluateReading, recordReadings } = require('../services/reading.service');
+const { recordBatteryLevel } = require('../services/battery.service');
+const { recordHeartbeat } = require('../services/watchdog.service');
+const {
+  hasPayloadDecoder,
+  decodePayload,
+  parseUplink,
+  findSensorByDevEui,
+  parseDevEui,
+  linkDevEui,
+  checkFrame,
+  claimFrame,
+  resetFrameSession
+} = require('../services/lorawan.service');
+
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+/**
+ * @route   POST /api/lorawan/uplink
+ * @desc    Webhook for The Things Stack / ChirpStack uplinks. The payload is
+ *          decoded for the sensor with that DevEUI and goes through the same
+ *          pipeline as POST /api/sensors/reading, with RSSI/SNR in reading.signal.
+ *          Sensors with signature_required need a signed request (see
+ *          signature.service), and repeated frame counters are refused. The
+ *          frame counter is only used up once the uplink is stored, so a
+ *          failed uplink can be retried.
+ *          Other events (joins, acks, ChirpStack ?event= other than "up") are
+ *          acknowledged and ignored.
+ * @access  IoT (X-API-Key, set as a webhook header on the network server)
+ */
+router.post('/uplink', verifyApiKey, asyncHandler(async (req, res) => {
+  if (req.query.event && req.query.event !== 'up') {
+    return res.status(202).json({ success: true, message: `Ignored ${req.query.event} event` });
+  }
+
+  const uplink = parseUplink(req.body);
+  if (!uplink) {
+    return res.status(202).json({ success: true, message: 'Not an uplink; ignored' });
+  }
+  if (!uplink.dev_eui) {
+    throw httpError(400, 'Uplink has no valid DevEUI');
+  }
+
+  // DevEUIs are only unique per farm owner, so look in the key owner's namespace
+  const sensorDoc = await findSensorByDevEui(req.apiAuth.farmer_id, uplink.dev_eui);
+  if (!sensorDoc) {
+    return res.status(404).json({
+      success: false,
+      message: `No sensor registered with DevEUI ${uplink.dev_eui}`,
+      hint: 'Set it with PUT /api/lorawan/devices/:sensorId'
+    });
+  }
+
+  const sensorId = sensorDoc.id;
+  const sensorData = sensorDoc.data();
+  await assertDeviceAccess(req.apiAuth, { farm_id: sensorData.farm_id, sensor_id: sensorId });
+  await assertRequestSignature(req, sensorId, sensorData);
+
+  const replayed = await checkFrame(sensorId, uplink);
+  if (replayed) {
+    throw httpError(409, replayed);
+  }
+
+  const decoded = decodePayload(sensorData, uplink.bytes, uplink.f_port);
+
+  if (decoded.battery_level !== null) {
+    await recordBatteryLevel(sensorId, sensorData, decoded.battery_level, uplink.received_at);
+  }
+
+  // A frame without a distance (no echo, sensor fault) still shows the node is alive
+  if (decoded.distance_measured === null) {
+    await recordHeartbeat(sensorId);
+    await claimFrame(sensorId, uplink);
+    return res.status(200).json({
+      success: true,
+      message: 'Uplink had no distance; heartbeat recorded',
+      data: {
+        sensor_id: sensorId,
+        reading_id: null,
+        battery_level: decoded.battery_level,
+        flags: decoded.flags
+      }
+    });
+  }
+
+  const { reading, reason } = await evaluateReading(sensorId, sensorData, {
+    distance_measured: decoded.distance_measured,
+    timestamp: uplink.received_at
+  });
+  if (!reading) {
+    throw httpError(422, reason);
+  }
+
+  reading.signal = {
+    ...uplink.signal,
+    network: uplink.network,
+    dev_eui: uplink.dev_eui,
+    f_port: uplink.f_port,
+    f_cnt: uplink.f_cnt
+  };
+  reading.device_flags = decoded.flags;
+
+  const [readingId] = await recordReadings([{ sensorData, reading }]);
+  await claimFrame(sensorId, uplink);
+
+  res.status(200).json({
+    success: true,
+    message: 'Sensor reading recorded',
+    data: {
+      sensor_id: sensorId,
+      reading_id: readingId,
+      status: reading.status,
+      breach_level: reading.breach_level,
+      distance_measured: reading.distance_measured,
+      distance_filtered: reading.distance_filtered,
+      battery_level: decoded.battery_level,
+      flags: decoded.flags,
+      signal: reading.signal,
+      timestamp: reading.timestamp
+    }
+  });
+}));
+
+/**
+ * @route   PUT /api/lorawan/devices/:sensorId
+ * @desc    Link a sensor to its LoRaWAN DevEUI and, optionally, a payload decoder
+ *          other than the one for its sensor type (null clears either).
+ *          Linking starts a new frame counter session.
+ * @access  Protected (sensors:write)
+ */
+router.put('/devices/:sensorId', verifyToken, authorize('sensor', { param: 'sensorId', permission: 'sensors:write' }), [
+  body('dev_eui').exists().withMessage('dev_eui is required'),
+  body('payload_decoder')
+    .optional({ nullable: true })
+    .custom(value => hasPayloadDecoder(value))
+    .withMessage('Unknown payload decoder'),
+  validate
+], asyncHandler(async (req, res) => {
+  const { sensorId } = req.params;
+  const { dev_eui, payload_decoder } = req.body;
+  const sensorRef = req.resource.doc.ref;
+
+  const devEui = dev_eui === null ? null : parseDevEui(dev_eui);
+  await linkDevEui(sensorRef, req.resource.farmDoc.data().farmer_id, devEui);
+  await resetFrameSession(sensorId);
+
+  if (payload_decoder !== undefined) {
+    await sensorRef.update({
+      payload_decoder: payload_decoder === null ? FieldValue.delete() : String(payload_decoder).toUpperCase()
+    });
+  }
+
+  const sensorData = (await sensorRef.get()).data();
+
+  res.status(200).json({
+    success: true,
+    message: dev_eui === null ? 'LoRaWAN device unlinked' : 'LoRaWAN device linked',
+    data: {
+      sensor_id: sensorId,
+      dev_eui: sensorData.dev_eui || null,
+      payload_decoder: sensorData.payload_decoder || null
+    }
+  });
+}));
+
+/**
+ * @route   DELETE /api/lorawan/devices/:sensorId/session
+ * @desc    Forget the sensor's frame counter session, e.g. after an ABP node
+ *          restarted its counter; the next uplink starts a new session
+ * @access  Protected (sensors:write)
+ */
+router.delete('/devices/:sensorId/session', verifyToken, authorize('sensor', { param: 'sensorId', permission: 'sensors:write' }), asyncHandler(async (req, res) => {
+  await resetFrameSession(req.params.sensorId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Frame counter session reset',
+    data: { sensor_id: req.params.sensorId }
+  });
+}));
+
+module.exports = router;
@@ -3,16 +3,56 @@ const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const { firestore, FieldValue, admin } = require('../config/firebase.config');
+const { verifyToken } = require('../middleware/auth.middleware');
+const { authorize, scopeFarms } = require('../middleware/authorize.middleware');
+const { httpError } = require('../middleware/errorHandler');
+const { farmTopic } = require('../services/notification.service');
+const { getAccessibleFarm, queryAcrossFarms } = require('../services/access.service');
+
+const authorizeSubscription = (from) => authorize('notification', { param: 'token', from });
+
+/**
+ * Topic sends are farm-scoped: the farm comes from body.farmId or a
+ * farm_<farmId> topic, and the user must be allowed to notify it. Any other
+ * topic is rejected. Sets req.topicFarmId.
+ * @param {boolean} [tokenAllowed] skip when a device token is targeted instead
+ */
+const authorizeTopic = ({ tokenAllowed = false } = {}) => (req, res, next) => {
+    const { farmId, topic, token } = req.body;
+    if (tokenAllowed && token) return next();
+
+    const prefix = farmTopic('');
+    const topicFarmId = typeof topic === 'string' && topic.startsWith(prefix) ? topic.slice(prefix.length) : null;
+
+    if (topic && !topicFarmId) {
+        return next(httpError(400, `Only farm topics (${prefix}<farmId>) can be targeted`));
+    }
+    if (farmId && topicFarmId && farmId !== topicFarmId) {
+        return next(httpError(400, 'topic does not belong to farmId'));
+    }
+
+    const targetFarmId = farmId || topicFarmId;
+    if (!targetFarmId) {
+        return next(httpError(400, `farmId or a ${prefix}<farmId> topic is required`));
+    }
+
+    getAccessibleFarm(targetFarmId, req.user.userId, 'notifications:send')
+        .then(() => {
+            req.topicFarmId = targetFarmId;
+            next();
+        })
+        .catch(next);
+};
 
 /**
  * @route   POST /api/notifications/subscribe
  * @desc    Subscribe device/user to notifications
- * @access  Public
+ * @access  Protected
  */
-router.post('/subscribe', [
+router.post('/subscribe', verifyToken, authorize('farm', { param: 'farmId', from: 'body', optional: true }), [
     body('token').notEmpty().trim(),
     body('deviceId').optional().trim(),
-    body('userId').optional().trim()
+    body('farmId').optional().trim()
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -23,16 +63,21 @@ router.post('/subscribe', [
             });
         }
 
-        const { token, deviceId, userId, topic = 'livestock_alerts' } = req.body;
+        const { token, deviceId, farmId } = req.body;
+        const userId = req.user.userId;
 
-        // Subscribe to topic
-        await admin.messaging().subscribeToTopic(token, topic);
+        // Only farm topics exist; the farm topic receives that farm's breach alerts
+        const topic = farmId ? farmTopic(farmId) : null;
+        if (topic) {
+            await admin.messaging().subscribeToTopic(token, topic);
+        }
 
         // Save subscription to database
         const subscriptionData = {
             token,
             deviceId: deviceId || null,
-            userId: userId || null,
+            userId,
+            farmId: farmId || null,
             topic,
             subscribed_at: FieldValue.serverTimestamp(),
             active: true
@@ -62,9 +107,9 @@ router.post('/subscribe', [
 /**
  * @route   POST /api/notifications/unsubscribe
  * @desc    Unsubscribe from notifications
- * @access  Public
+ * @access  Protected
  */
-router.post('/unsubscribe', [
+router.post('/unsubscribe', verifyToken, authorizeSubscription('body'), [
     body('token').notEmpty().trim()
 ], async (req, res) => {
     try {
@@ -76,10 +121,13 @@ router.post('/unsubscribe', [
             });
         }
 
-        const { token, topic = 'livestock_alerts' } = req.body;
+        const { token } = req.body;
+
+        const subscriptionDoc = req.resource.doc;
 
-        // Unsubscribe from topic
-        await admin.messaging().unsubscribeFromTopic(token, topic);
+        if (subscriptionDoc.data().farmId) {
+            await admin.messaging().unsubscribeFromTopic(token, farmTopic(subscriptionDoc.data().farmId));
+        }
 
         // Update subscription status
         await firestore
@@ -108,9 +156,9 @@ router.post('/unsubscribe', [
 /**
  * @route   POST /api/notifications/send
  * @desc    Send notification (triggered by alert)
- * @access  Public
+ * @access  Protected
  */
-router.post('/send', [
+router.post('/send', verifyToken, authorizeTopic(), [
     body('title').notEmpty().trim(),
     body('body').notEmpty().trim(),
     body('deviceId').optional().trim()
@@ -124,7 +172,9 @@ router.post('/send', [
             });
         }
 
-        const { title, body, deviceId, data = {}, topic = 'livestock_alerts' } = req.body;
+        const { title, body, deviceId, data = {} } = req.body;
+        const farmId = req.topicFarmId;
+        const topic = farmTopic(farmId);
 
         // Build notification payload
         const message = {
@@ -150,6 +200,7 @@ router.post('/send', [
                 title,
                 body,
                 deviceId: deviceId || null,
+                farm_id: farmId,
                 topic,
                 messageId: response,
                 sent_at: FieldValue.serverTimestamp(),
@@ -177,9 +228,9 @@ router.post('/send', [
 /**
  * @route   POST /api/notifications/send-to-device
  * @desc    Send notification to specific device token
- * @access  Public
+ * @access  Protected
  */
-router.post('/send-to-device', [
+router.post('/send-to-device', verifyToken, authorizeSubscription('body'), [
     body('token').notEmpty().trim(),
     body('title').notEmpty().trim(),
     body('body').notEmpty().trim()
@@ -216,6 +267,7 @@ router.post('/send-to-device', [
                 title,
                 body,
                 token,
+                farm_id: req.resource.doc.data().farmId || null,
                 messageId: response,
                 sent_at: FieldValue.serverTimestamp(),
                 status: 'sent'
@@ -241,13 +293,14 @@ router.post('/send-to-device', [
 
 /**
  * @route   GET /api/notifications/logs
- * @desc    Get notification logs
- * @access  Public
+ * @desc    Get notification logs for the user's farms
+ * @access  Protected
  */
-router.get('/logs', async (req, res) => {
+router.get('/logs', verifyToken, scopeFarms(), authorize('alert', { param: 'alertId', from: 'query', optional: true }), async (req, res) => {
     try {
-        const { limit = 50, deviceId } = req.query;
+        const { limit = 50, deviceId, alertId } = req.query;
 
+        // Alert deliveries are logged with the alert's farm_id
         let query = firestore
             .collection('System_Analog')
             .orderBy('sent_at', 'desc')
@@ -257,15 +310,19 @@ router.get('/logs', async (req, res) => {
             query = query.where('deviceId', '==', deviceId);
         }
 
-        const snapshot = await query.get();
+        if (alertId) {
+            query = query.where('alert_id', '==', alertId);
+        }
 
-        const logs = [];
-        snapshot.forEach(doc => {
-            logs.push({
+        const docs = await queryAcrossFarms(query, req.farmIds);
+
+        const logs = docs
+            .sort((a, b) => (b.data().sent_at?.toMillis() || 0) - (a.data().sent_at?.toMillis() || 0))
+            .slice(0, parseInt(limit))
+            .map(doc => ({
                 log_id: doc.id,
                 ...doc.data()
-            });
-        });
+            }));
 
         res.status(200).json({
             success: true,
@@ -288,14 +345,16 @@ router.get('/logs', async (req, res) => {
 
 /**
  * @route   GET /api/notifications/subscriptions
- * @desc    Get all active subscriptions
- * @access  Public
+ * @desc    Get the user's subscriptions, or a farm's with ?farmId
+ * @access  Protected
  */
-router.get('/subscriptions', async (req, res) => {
+router.get('/subscriptions', verifyToken, authorize('farm', { param: 'farmId', from: 'query', optional: true }), async (req, res) => {
     try {
-        const { active = true } = req.query;
+        const { active = 'true', farmId } = req.query;
 
-        let query = firestore.collection('Notifications');
+        let query = farmId
+            ? firestore.collection('Notifications').where('farmId', '==', farmId)
+            : firestore.collection('Notifications').where('userId', '==', req.user.userId);
 
         if (active !== undefined) {
             query = query.where('active', '==', active === 'true');
@@ -333,14 +392,14 @@ router.get('/subscriptions', async (req, res) => {
 /**
  * @route   POST /api/notifications/test
  * @desc    Send test notification
- * @access  Public
+ * @access  Protected
  */
-router.post('/test', [
+router.post('/test', verifyToken, authorizeTopic({ tokenAllowed: true }), authorize('notification', { param: 'token', from: 'body', optional: true }), [
     body('token').optional().trim(),
     body('topic').optional().trim()
 ], async (req, res) => {
     try {
-        const { token, topic = 'livestock_alerts' } = req.body;
+        const { token } = req.body;
 
         const message = {
             notification: {
@@ -357,7 +416,7 @@ router.post('/test', [
         if (token) {
             message.token = token;
         } else {
-            message.topic = topic;
+            message.topic = farmTopic(req.topicFarmId);
         }
 
         const response = await admin.messaging().send(message);
@@ -384,16 +443,11 @@ router.post('/test', [
 /**
  * @route   DELETE /api/notifications/:token
  * @desc    Delete notification subscription
- * @access  Public
+ * @access  Protected
  */
-router.delete('/:token', async (req, res) => {
+router.delete('/:token', verifyToken, authorizeSubscription('params'), async (req, res) => {
     try {
-        const { token } = req.params;
-
-        await firestore
-            .collection('Notifications')
-            .doc(token)
-            .delete();
+        await req.resource.doc.ref.delete();
 
         res.status(200).json({
             success: true,
@@ -412,30 +466,31 @@ router.delete('/:token', async (req, res) => {
 
 /**
  * @route   GET /api/notifications/stats
- * @desc    Get notification statistics
- * @access  Public
+ * @desc    Get notification statistics for the user's farms
+ * @access  Protected
  */
-router.get('/stats', async (req, res) => {
+router.get('/stats', verifyToken, scopeFarms(), async (req, res) => {
     try {
         // Get subscription count
-        const subsSnapshot = await firestore
-            .collection('Notifications')
-            .where('active', '==', true)
-            .get();
+        const subsDocs = await queryAcrossFarms(
+            firestore.collection('Notifications').where('active', '==', true),
+            req.farmIds,
+            'farmId'
+        );
 
         // Get notification logs count (last 24 hours)
         const yesterday = new Date();
         yesterday.setHours(yesterday.getHours() - 24);
 
-        const logsSnapshot = await firestore
-            .collection('System_Analog')
-            .where('sent_at', '>=', yesterday)
-            .get();
+        const logsDocs = await queryAcrossFarms(
+            firestore.collection('System_Analog').where('sent_at', '>=', yesterday),
+            req.farmIds
+        );
 
         let sentCount = 0;
         let failedCount = 0;
 
-        logsSnapshot.forEach(doc => {
+        logsDocs.forEach(doc => {
             const data = doc.data();
             if (data.status === 'sent') sentCount++;
             else if (data.status === 'failed') failedCount++;
@@ -445,10 +500,10 @@ router.get('/stats', async (req, res) => {
             success: true,
             message: 'Notification statistics retrieved',
             data: {
-                activeSubscriptions: subsSnapshot.size,
+                activeSubscriptions: subsDocs.length,
                 notificationsSentLast24h: sentCount,
                 notificationsFailedLast24h: failedCount,
-                totalLogs: logsSnapshot.size
+                totalLogs: logsDocs.length
             }
         });
 
@@ -2,9 +2,39 @@
 const express = require('express');
 const router = express.Router();
 const { body, query, validationResult } = require('express-validator');
-const { firestore, realtimeDb, FieldValue } = require('../config/firebase.config');
-const { verifyToken } = require('../middleware/auth.middleware');
-const { asyncHandler } = require('../middleware/errorHandler');
+const { firestore, realtimeDb, FieldValue, GeoPoint, Timestamp } = require('../config/firebase.config');
+const { verifyToken, verifyApiKey } = require('../middleware/auth.middleware');
+const { asyncHandler, httpError } = require('../middleware/errorHandler');
+const { authorize, scopeFarms } = require('../middleware/authorize.middleware');
+const {
+  POSITION_STATUS,
+  DEFAULT_EDGE_BUFFER_METERS,
+  evaluatePosition,
+  parseZoneBoundary
+} = require('../services/geofence.service');
+const { ALERT_SOURCE, createAlert } = require('../services/alert.service');
+const { checkDeviceAccess, assertDeviceAccess } = require('../services/device.service');
+const { queryAcrossFarms } = require('../services/access.service');
+const { offlineAfterMs, lastSeenAt, getUptime } = require('../services/watchdog.service');
+const { SENSOR_TYPES, evaluateReading, recordReadings } = require('../services/reading.service');
+const { parseBands, thresholdsForSensor } = require('../services/threshold.service');
+const { parseConditioning, conditioningFor } = require('../services/conditioning.service');
+const { parseRange, parseBucket, readingsForRange } = require('../services/history.service');
+const { publishSensorConfig } = require('../services/mqtt.service');
+const { hasPayloadDecoder, parseDevEui, linkDevEui } = require('../services/lorawan.service');
+const {
+  checkRequestSignature,
+  assertRequestSignature,
+  rotateSecret,
+  getSigningStatus
+} = require('../services/signature.service');
+const {
+  parseBatteryLevel,
+  thresholdsFor,
+  formatBattery,
+  getBatteryHistory,
+  recordBatteryLevel
+} = require('../services/battery.service');
 
 const COLLECTIONS = {
   SENSOR_UNITS: 'Sensor_Units',
@@ -15,6 +45,13 @@ const COLLECTIONS = {
   LIVESTOCK: 'Livestock'
 };
 
+// Geofence result -> Livestock.current_status
+const LIVESTOCK_STATUS = {
+  [POSITION_STATUS.INSIDE]: 'inside_boundary',
+  [POSITION_STATUS.NEAR_EDGE]: 'near_boundary',
+  [POSITION_STATUS.OUTSIDE]: 'outside_boundary'
+};
+
 const validate = (req, res, next) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -27,21 +64,19 @@ const validate = (req, res, next) => {
   next();
 };
 
-router.post('/reading', [
+/**
+ * @route   POST /api/sensors/reading
+ * @desc    One distance reading, classified against the sensor → zone → farm thresholds
+ * @access  IoT (X-API-Key)
+ */
+router.post('/reading', verifyApiKey, [
   body('sensor_id').notEmpty().withMessage('Sensor ID is required'),
   body('distance_measured').isFloat({ min: 0 }).withMessage('Distance must be a positive number'),
-  body('sensor_type').isIn(['LIDAR', 'ULTRASONIC', 'Ultrasonic']).withMessage('Invalid sensor type'),
-  body('api_key').notEmpty().withMessage('API key is required'),
+  body('sensor_type').isIn(SENSOR_TYPES).withMessage('Invalid sensor type'),
+  body('timestamp').optional().isInt({ min: 0 }),
   validate
 ], asyncHandler(async (req, res) => {
-  const { sensor_id, distance_measured, sensor_type, api_key } = req.body;
-
-  if (api_key !== process.env.IOT_API_KEY) {
-    return res.status(401).json({
-      success: false,
-      message: 'Invalid API key'
-    });
-  }
+  const { sensor_id } = req.body;
 
   const sensorDoc = await firestore
     .collection(COLLECTIONS.SENSOR_UNITS)
@@ -57,129 +92,306 @@ router.post('/reading', [
   }
 
   const sensorData = sensorDoc.data();
-  const threshold = sensorData.max_distance_threshold || 50;
-  const status = distance_measured < threshold ? 'alert' : 'normal';
-  const timestamp = Date.now();
-  const dateKey = new Date().toISOString().split('T')[0];
-
-  const readingData = {
-    sensor_id,
-    distance_measured,
-    sensor_type,
-    status,
-    timestamp,
-    zone_id: sensorData.zone_id,
-    farm_id: sensorData.farm_id
-  };
-
-  const readingRef = realtimeDb.ref(`sensor_readings/${dateKey}/${sensor_id}`).push();
-  await readingRef.set(readingData);
-
-  await realtimeDb.ref(`sensor_status/${sensor_id}`).set({
-    last_reading: distance_measured,
-    last_timestamp: timestamp,
-    status,
-    is_online: true
-  });
+  await assertDeviceAccess(req.apiAuth, { farm_id: sensorData.farm_id, sensor_id });
+  await assertRequestSignature(req, sensor_id, sensorData);
 
-  await firestore
-    .collection(COLLECTIONS.SENSOR_UNITS)
-    .doc(sensor_id)
-    .update({
-      last_reading: distance_measured,
-      last_reading_time: FieldValue.serverTimestamp(),
-      is_operational: true
+  const { reading, reason } = await evaluateReading(sensor_id, sensorData, req.body);
+  if (!reading) {
+    return res.status(400).json({
+      success: false,
+      message: reason
     });
-
-  if (status === 'alert') {
-    await createAlert(sensor_id, sensorData, distance_measured);
   }
 
+  const [readingId] = await recordReadings([{ sensorData, reading }]);
+
   res.status(200).json({
     success: true,
     message: 'Sensor reading recorded',
     data: {
-      reading_id: readingRef.key,
-      status,
-      timestamp,
-      distance_measured,
-      threshold
+      reading_id: readingId,
+      status: reading.status,
+      raw_status: reading.raw_status,
+      breach_level: reading.breach_level,
+      outlier: reading.outlier,
+      timestamp: reading.timestamp,
+      distance_measured: reading.distance_measured,
+      distance_filtered: reading.distance_filtered,
+      threshold: reading.threshold,
+      thresholds: reading.thresholds
     }
   });
 }));
 
-router.post('/batch', [
+/**
+ * @route   POST /api/sensors/batch
+ * @desc    Many readings at once, through the same pipeline as /reading
+ * @access  IoT (X-API-Key)
+ */
+router.post('/batch', verifyApiKey, [
   body('readings').isArray().withMessage('Readings must be an array'),
-  body('api_key').notEmpty().withMessage('API key is required'),
   validate
 ], asyncHandler(async (req, res) => {
-  const { readings, api_key } = req.body;
+  const { readings } = req.body;
+
+  const results = [];
+  const accepted = [];
+  const thresholdCache = new Map();
+
+  // Readings for unknown sensors or sensors outside the key's scope are rejected one by one
+  const sensorIds = [...new Set(readings.map(reading => reading && reading.sensor_id).filter(Boolean))];
+  const sensorDocs = sensorIds.length > 0
+    ? await firestore.getAll(...sensorIds.map(id => firestore.collection(COLLECTIONS.SENSOR_UNITS).doc(id)))
+    : [];
+  const sensors = new Map(sensorDocs.filter(doc => doc.exists).map(doc => [doc.id, doc.data()]));
+  // One signature check per sensor: its nonce may only be claimed once
+  const signatureChecks = new Map();
+
+  for (const entry of readings) {
+    const sensorId = entry && entry.sensor_id;
+    const sensorData = sensors.get(sensorId);
+
+    if (!sensorData) {
+      results.push({ sensor_id: sensorId, status: 'rejected', reason: 'Sensor not found' });
+      continue;
+    }
 
-  if (api_key !== process.env.IOT_API_KEY) {
-    return res.status(401).json({
+    const denied = await checkDeviceAccess(req.apiAuth, { farm_id: sensorData.farm_id, sensor_id: sensorId });
+    if (denied) {
+      results.push({ sensor_id: sensorId, status: 'rejected', reason: denied });
+      continue;
+    }
+
+    if (!signatureChecks.has(sensorId)) {
+      signatureChecks.set(sensorId, await checkRequestSignature(req, sensorId, sensorData));
+    }
+    const unsigned = signatureChecks.get(sensorId);
+    if (unsigned) {
+      results.push({ sensor_id: sensorId, status: 'rejected', reason: unsigned });
+      continue;
+    }
+
+    const { reading, reason } = await evaluateReading(sensorId, sensorData, entry, thresholdCache);
+    if (!reading) {
+      results.push({ sensor_id: sensorId, status: 'rejected', reason });
+      continue;
+    }
+
+    const result = { sensor_id: sensorId, status: 'queued' };
+    accepted.push({ sensorData, reading, result });
+    results.push(result);
+  }
+
+  const readingIds = await recordReadings(accepted);
+  accepted.forEach(({ reading, result }, index) => {
+    Object.assign(result, {
+      reading_id: readingIds[index],
+      reading_status: reading.status,
+      breach_level: reading.breach_level,
+      distance_measured: reading.distance_measured,
+      distance_filtered: reading.distance_filtered,
+      outlier: reading.outlier
+    });
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `${readings.length} readings processed`,
+    data: results
+  });
+}));
+
+/**
+ * @route   POST /api/sensors/position
+ * @desc    GPS fix from a livestock collar tag, evaluated against the zone polygon
+ * @access  IoT (X-API-Key)
+ */
+router.post('/position', verifyApiKey, [
+  body('livestock_id').optional().notEmpty(),
+  body('tag_id').optional().notEmpty().trim(),
+  body('farm_id').optional().notEmpty(),
+  body('latitude').isFloat({ min: -90, max: 90 }).withMessage('Valid latitude required'),
+  body('longitude').isFloat({ min: -180, max: 180 }).withMessage('Valid longitude required'),
+  body('accuracy').optional().isFloat({ min: 0 }),
+  body('timestamp').optional().isInt({ min: 0 }),
+  validate
+], asyncHandler(async (req, res) => {
+  const { livestock_id, tag_id, farm_id, accuracy } = req.body;
+  const latitude = parseFloat(req.body.latitude);
+  const longitude = parseFloat(req.body.longitude);
+  const timestamp = req.body.timestamp ? parseInt(req.body.timestamp) : Date.now();
+
+  if (!livestock_id && !tag_id) {
+    return res.status(400).json({
       success: false,
-      message: 'Invalid API key'
+      message: 'Either livestock_id or tag_id is required'
     });
   }
 
-  const results = [];
-  const updates = {};
+  let livestockDoc;
+
+  if (livestock_id) {
+    livestockDoc = await firestore.collection(COLLECTIONS.LIVESTOCK).doc(livestock_id).get();
+  } else {
+    // Tags are only unique per farm: look on the requested farm, the key's farm,
+    // or failing both the farms of the key's owner, never across tenants
+    const scopedFarmId = farm_id || req.apiAuth.farm_id;
+    let farmIds;
+
+    if (scopedFarmId) {
+      farmIds = [scopedFarmId];
+    } else {
+      const farmsSnapshot = await firestore
+        .collection(COLLECTIONS.FARMS)
+        .where('farmer_id', '==', req.apiAuth.farmer_id)
+        .get();
+      farmIds = farmsSnapshot.docs.filter(doc => !doc.data().deleted_at).map(doc => doc.id);
+    }
 
-  for (const reading of readings) {
-    const dateKey = new Date(reading.timestamp).toISOString().split('T')[0];
-    const path = `sensor_readings/${dateKey}/${reading.sensor_id}/${Date.now()}`;
-    
-    updates[path] = {
-      sensor_id: reading.sensor_id,
-      distance_measured: reading.distance_measured,
-      sensor_type: reading.sensor_type,
-      status: reading.distance_measured < 50 ? 'alert' : 'normal',
-      timestamp: reading.timestamp
-    };
-    
-    results.push({ sensor_id: reading.sensor_id, status: 'queued' });
+    const tagSnapshots = await Promise.all(farmIds.map(farmId => firestore
+      .collection(COLLECTIONS.LIVESTOCK)
+      .where('identification_tag', '==', tag_id)
+      .where('farm_id', '==', farmId)
+      .limit(2)
+      .get()));
+    const tagDocs = tagSnapshots.flatMap(snapshot => snapshot.docs);
+
+    if (tagDocs.length > 1) {
+      return res.status(409).json({
+        success: false,
+        message: scopedFarmId
+          ? `Tag ${tag_id} is used on more than one animal on this farm`
+          : `Tag ${tag_id} is used on more than one of your farms`,
+        ...(!scopedFarmId && { hint: 'Include farm_id to identify the animal' })
+      });
+    }
+
+    livestockDoc = tagDocs[0];
   }
 
-  await realtimeDb.ref().update(updates);
+  if (!livestockDoc || !livestockDoc.exists) {
+    return res.status(404).json({
+      success: false,
+      message: 'Livestock not found for this collar'
+    });
+  }
+
+  const livestockData = livestockDoc.data();
+  await assertDeviceAccess(req.apiAuth, { farm_id: livestockData.farm_id });
+
+  if (!livestockData.zone_id) {
+    return res.status(422).json({
+      success: false,
+      message: 'Livestock has no zone assigned',
+      hint: 'Assign a zone via PUT /api/livestock/:livestockId'
+    });
+  }
+
+  const zoneDoc = await firestore
+    .collection(COLLECTIONS.BOUNDARY_ZONES)
+    .doc(livestockData.zone_id)
+    .get();
+
+  const boundary = zoneDoc.exists ? parseZoneBoundary(zoneDoc.data()) : null;
+
+  if (!boundary) {
+    return res.status(422).json({
+      success: false,
+      message: 'Assigned zone has no polygon boundary',
+      hint: 'Set a GeoJSON Polygon boundary on the zone via PUT /api/zones/:zoneId'
+    });
+  }
+
+  const zoneData = zoneDoc.data();
+  const edgeBuffer = zoneData.edge_buffer_meters ?? DEFAULT_EDGE_BUFFER_METERS;
+  const result = evaluatePosition({ latitude, longitude }, boundary, edgeBuffer);
+  const currentStatus = LIVESTOCK_STATUS[result.status];
+  const previousStatus = livestockData.current_status;
+  const breached = result.status === POSITION_STATUS.OUTSIDE &&
+    previousStatus !== LIVESTOCK_STATUS[POSITION_STATUS.OUTSIDE];
+
+  const updateData = {
+    current_status: currentStatus,
+    require_alert: result.status === POSITION_STATUS.OUTSIDE,
+    last_detected: FieldValue.serverTimestamp(),
+    last_known_position: {
+      latitude,
+      longitude,
+      accuracy: accuracy !== undefined ? parseFloat(accuracy) : null,
+      distance_from_boundary: result.distance_to_edge,
+      position_status: result.status,
+      sensor_id: null,
+      source: 'gps',
+      timestamp: Timestamp.fromMillis(timestamp)
+    },
+    updated_at: FieldValue.serverTimestamp()
+  };
+
+  if (currentStatus !== previousStatus) {
+    updateData.movement_history = FieldValue.arrayUnion({
+      from_status: previousStatus || 'unknown',
+      to_status: currentStatus,
+      latitude,
+      longitude,
+      distance_from_boundary: result.distance_to_edge,
+      recorded_at: Timestamp.fromMillis(timestamp)
+    });
+  }
+
+  if (breached) {
+    updateData.breach_count = FieldValue.increment(1);
+  }
+
+  await livestockDoc.ref.update(updateData);
+
+  if (breached) {
+    await createPositionAlert(livestockDoc.id, livestockData, zoneData, result.distance_to_edge, edgeBuffer);
+  }
 
   res.status(200).json({
     success: true,
-    message: `${readings.length} readings processed`,
-    data: results
+    message: 'Position recorded',
+    data: {
+      livestock_id: livestockDoc.id,
+      zone_id: livestockData.zone_id,
+      position_status: result.status,
+      current_status: currentStatus,
+      distance_from_boundary: result.distance_to_edge,
+      breach_detected: breached,
+      timestamp
+    }
   });
 }));
 
-router.get('/readings/:sensorId', verifyToken, [
+/**
+ * @route   GET /api/sensors/readings/:sensorId
+ * @desc    Readings between start_date and end_date (default: last 24 hours). Short ranges with raw
+ *          data return raw readings (?cursor= continues a page); longer or pruned ranges, or ?bucket=5m,
+ *          return min/max/mean per bucket from the rollups where possible. ?resolution=raw forces raw.
+ * @access  Protected
+ */
+router.get('/readings/:sensorId', verifyToken, authorize('sensor', { param: 'sensorId' }), [
   query('start_date').optional().isISO8601(),
   query('end_date').optional().isISO8601(),
-  query('limit').optional().isInt({ min: 1, max: 1000 })
+  query('limit').optional().isInt({ min: 1, max: 1000 }),
+  query('order').optional().isIn(['asc', 'desc']),
+  query('cursor').optional().isString(),
+  query('bucket').optional().matches(/^\d+[smhd]$/).withMessage('bucket must look like 30s, 5m, 1h or 1d'),
+  query('resolution').optional().isIn(['auto', 'raw']),
+  validate
 ], asyncHandler(async (req, res) => {
   const { sensorId } = req.params;
-  const { start_date, end_date, limit = 100 } = req.query;
-
-  const dateKey = new Date().toISOString().split('T')[0];
-  const readingsRef = realtimeDb.ref(`sensor_readings/${dateKey}/${sensorId}`);
-  
-  let query = readingsRef.orderByChild('timestamp');
-  
-  if (start_date) {
-    query = query.startAt(new Date(start_date).getTime());
-  }
-  
-  if (end_date) {
-    query = query.endAt(new Date(end_date).getTime());
-  }
-  
-  query = query.limitToLast(parseInt(limit));
-
-  const snapshot = await query.once('value');
-  const readings = [];
-  
-  snapshot.forEach((childSnapshot) => {
-    readings.push({
-      id: childSnapshot.key,
-      ...childSnapshot.val()
-    });
+  const { start_date, end_date, limit = 100, order = 'desc', cursor, bucket, resolution } = req.query;
+  const { from, to } = parseRange(start_date, end_date);
+
+  const result = await readingsForRange(sensorId, {
+    from,
+    to,
+    limit: parseInt(limit),
+    order,
+    cursor,
+    bucketMs: bucket ? parseBucket(bucket) : null,
+    resolution
   });
 
   res.status(200).json({
@@ -187,13 +399,16 @@ router.get('/readings/:sensorId', verifyToken, [
     message: 'Sensor readings retrieved',
     data: {
       sensor_id: sensorId,
-      count: readings.length,
-      readings: readings.reverse()
+      from,
+      to,
+      ...(result.readings && { order }),
+      count: (result.readings || result.buckets).length,
+      ...result
     }
   });
 }));
 
-router.get('/live/:sensorId', verifyToken, asyncHandler(async (req, res) => {
+router.get('/live/:sensorId', verifyToken, authorize('sensor', { param: 'sensorId' }), asyncHandler(async (req, res) => {
   const { sensorId } = req.params;
 
   const statusSnapshot = await realtimeDb
@@ -208,7 +423,8 @@ router.get('/live/:sensorId', verifyToken, asyncHandler(async (req, res) => {
   }
 
   const liveData = statusSnapshot.val();
-  const isStale = Date.now() - liveData.last_timestamp > 300000;
+  const lastSeen = lastSeenAt(liveData);
+  const isStale = Date.now() - lastSeen > offlineAfterMs(req.resource.doc.data());
 
   res.status(200).json({
     success: true,
@@ -216,17 +432,220 @@ router.get('/live/:sensorId', verifyToken, asyncHandler(async (req, res) => {
     data: {
       ...liveData,
       is_stale: isStale,
-      age_seconds: Math.floor((Date.now() - liveData.last_timestamp) / 1000)
+      age_seconds: Math.floor((Date.now() - lastSeen) / 1000)
+    }
+  });
+}));
+
+/**
+ * @route   GET /api/sensors/:sensorId/uptime
+ * @desc    Online/offline intervals and uptime percentage (default: last 24 hours)
+ * @access  Protected
+ */
+router.get('/:sensorId/uptime', verifyToken, authorize('sensor', { param: 'sensorId' }), [
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+  validate
+], asyncHandler(async (req, res) => {
+  const to = req.query.to ? new Date(req.query.to).getTime() : Date.now();
+  const from = req.query.from ? new Date(req.query.from).getTime() : to - 86400000;
+
+  if (from >= to) {
+    return res.status(400).json({
+      success: false,
+      message: '`from` must be before `to`'
+    });
+  }
+
+  const uptime = await getUptime(req.params.sensorId, from, to);
+
+  res.status(200).json({
+    success: true,
+    message: 'Sensor uptime retrieved',
+    data: {
+      sensor_id: req.params.sensorId,
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      ...uptime
+    }
+  });
+}));
+
+/**
+ * @route   GET /api/sensors/:sensorId/thresholds
+ * @desc    Effective breach bands and which level (sensor, zone, farm, default) each comes from
+ * @access  Protected
+ */
+router.get('/:sensorId/thresholds', verifyToken, authorize('sensor', { param: 'sensorId' }), asyncHandler(async (req, res) => {
+  const sensorData = req.resource.doc.data();
+  const { bands, sources, overridden } = await thresholdsForSensor(sensorData);
+
+  res.status(200).json({
+    success: true,
+    message: 'Sensor thresholds retrieved',
+    data: {
+      sensor_id: req.params.sensorId,
+      configured: sensorData.breach_thresholds || {},
+      effective: bands,
+      sources,
+      overridden
     }
   });
 }));
 
-router.post('/register', verifyToken, [
+/**
+ * @route   PUT /api/sensors/:sensorId/thresholds
+ * @desc    Override breach bands on one sensor; omitted bands keep inheriting, null switches a band off
+ * @access  Protected
+ */
+router.put('/:sensorId/thresholds', verifyToken, authorize('sensor', { param: 'sensorId', permission: 'sensors:write' }), asyncHandler(async (req, res) => {
+  if (req.body.breach_thresholds === undefined) {
+    throw httpError(400, 'breach_thresholds is required');
+  }
+
+  // An explicit null clears every override on the sensor
+  const configured = req.body.breach_thresholds === null ? {} : parseBands(req.body.breach_thresholds);
+
+  await req.resource.doc.ref.update({ breach_thresholds: configured });
+
+  const sensorData = { ...req.resource.doc.data(), breach_thresholds: configured };
+  const { bands, sources, overridden } = await thresholdsForSensor(sensorData);
+  await pushDeviceConfig(req.params.sensorId, sensorData);
+
+  res.status(200).json({
+    success: true,
+    message: 'Sensor thresholds updated',
+    data: {
+      sensor_id: req.params.sensorId,
+      configured,
+      effective: bands,
+      sources,
+      overridden
+    }
+  });
+}));
+
+/**
+ * @route   GET /api/sensors/:sensorId/conditioning
+ * @desc    Effective filter, debounce, hysteresis and outlier settings
+ * @access  Protected
+ */
+router.get('/:sensorId/conditioning', verifyToken, authorize('sensor', { param: 'sensorId' }), asyncHandler(async (req, res) => {
+  const sensorData = req.resource.doc.data();
+
+  res.status(200).json({
+    success: true,
+    message: 'Signal conditioning retrieved',
+    data: {
+      sensor_id: req.params.sensorId,
+      configured: sensorData.signal_conditioning || {},
+      effective: conditioningFor(sensorData)
+    }
+  });
+}));
+
+/**
+ * @route   PUT /api/sensors/:sensorId/conditioning
+ * @desc    Override signal conditioning on one sensor; null goes back to the sensor type's defaults
+ * @access  Protected
+ */
+router.put('/:sensorId/conditioning', verifyToken, authorize('sensor', { param: 'sensorId', permission: 'sensors:write' }), asyncHandler(async (req, res) => {
+  if (req.body.signal_conditioning === undefined) {
+    throw httpError(400, 'signal_conditioning is required');
+  }
+
+  const configured = req.body.signal_conditioning === null ? {} : parseConditioning(req.body.signal_conditioning);
+
+  await req.resource.doc.ref.update({ signal_conditioning: configured });
+
+  const sensorData = { ...req.resource.doc.data(), signal_conditioning: configured };
+  await pushDeviceConfig(req.params.sensorId, sensorData);
+
+  res.status(200).json({
+    success: true,
+    message: 'Signal conditioning updated',
+    data: {
+      sensor_id: req.params.sensorId,
+      configured,
+      effective: conditioningFor(sensorData)
+    }
+  });
+}));
+
+/**
+ * @route   GET /api/sensors/:sensorId/signing
+ * @desc    Whether the sensor must sign its requests and whether it has a secret
+ * @access  Protected
+ */
+router.get('/:sensorId/signing', verifyToken, authorize('sensor', { param: 'sensorId' }), asyncHandler(async (req, res) => {
+  const status = await getSigningStatus(req.params.sensorId, req.resource.doc.data());
+
+  res.status(200).json({
+    success: true,
+    message: 'Signing settings retrieved',
+    data: { sensor_id: req.params.sensorId, ...status }
+  });
+}));
+
+/**
+ * @route   POST /api/sensors/:sensorId/signing/secret
+ * @desc    Issue (or rotate) the sensor's HMAC secret. It is only shown in this response;
+ *          a replaced secret keeps working for SIGNING_SECRET_GRACE_HOURS.
+ * @access  Protected (sensors:write)
+ */
+router.post('/:sensorId/signing/secret', verifyToken, authorize('sensor', { param: 'sensorId', permission: 'sensors:write' }), asyncHandler(async (req, res) => {
+  const { secret, previous_valid_until } = await rotateSecret(req.params.sensorId, req.resource.doc.data(), req.user.userId);
+
+  res.status(201).json({
+    success: true,
+    message: previous_valid_until ? 'Signing secret rotated' : 'Signing secret issued',
+    data: {
+      sensor_id: req.params.sensorId,
+      secret,
+      previous_valid_until
+    },
+    warning: 'Store this secret on the device now; it will not be shown again'
+  });
+}));
+
+/**
+ * @route   PUT /api/sensors/:sensorId/signing
+ * @desc    Require (or stop requiring) signed requests from the sensor
+ * @access  Protected (sensors:write)
+ */
+router.put('/:sensorId/signing', verifyToken, authorize('sensor', { param: 'sensorId', permission: 'sensors:write' }), [
+  body('required').isBoolean().withMessage('required must be true or false').toBoolean(),
+  validate
+], asyncHandler(async (req, res) => {
+  const { sensorId } = req.params;
+  const { required } = req.body;
+  const sensorData = req.resource.doc.data();
+
+  if (required && !(await getSigningStatus(sensorId, sensorData)).has_secret) {
+    throw httpError(409, 'Issue a signing secret before requiring signatures');
+  }
+
+  await req.resource.doc.ref.update({ signature_required: required });
+
+  const status = await getSigningStatus(sensorId, { ...sensorData, signature_required: required });
+
+  res.status(200).json({
+    success: true,
+    message: required ? 'Signed requests are now required' : 'Signed requests are no longer required',
+    data: { sensor_id: sensorId, ...status }
+  });
+}));
+
+router.post('/register', verifyToken, authorize('farm', { param: 'farm_id', from: 'body', permission: 'sensors:write' }), [
   body('device_id').notEmpty().withMessage('Device ID is required'),
-  body('sensor_type').isIn(['LIDAR', 'ULTRASONIC', 'Ultrasonic']).withMessage('Invalid sensor type'),
+  body('sensor_type').isIn(SENSOR_TYPES).withMessage('Invalid sensor type'),
   body('zone_id').notEmpty().withMessage('Zone ID is required'),
   body('farm_id').notEmpty().withMessage('Farm ID is required'),
   body('location_description').notEmpty().withMessage('Location description is required'),
+  body('max_distance_threshold').optional().isFloat({ min: 0 }),
+  body('payload_decoder').optional().custom(value => hasPayloadDecoder(value)).withMessage('Unknown payload decoder'),
+  body('coordinates.latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Valid latitude required'),
+  body('coordinates.longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Valid longitude required'),
   validate
 ], asyncHandler(async (req, res) => {
   const { 
@@ -235,40 +654,58 @@ router.post('/register', verifyToken, [
     zone_id, 
     farm_id, 
     location_description,
+    coordinates,
+    max_distance_threshold,
+    breach_thresholds,
+    dev_eui,
+    payload_decoder,
     battery_level = '100%'
   } = req.body;
 
   const zoneDoc = await firestore.collection(COLLECTIONS.BOUNDARY_ZONES).doc(zone_id).get();
-  if (!zoneDoc.exists) {
+  if (!zoneDoc.exists || zoneDoc.data().farm_id !== farm_id) {
     return res.status(404).json({
       success: false,
-      message: 'Zone not found',
+      message: 'Zone not found on this farm',
       hint: 'Check if the zone_id exists in Firestore Boundary_Zones collection'
     });
   }
 
-  const farmDoc = await firestore.collection(COLLECTIONS.FARMS).doc(farm_id).get();
-  if (!farmDoc.exists) {
-    return res.status(404).json({
-      success: false,
-      message: 'Farm not found',
-      hint: 'Check if the farm_id exists in Firestore Farms collection'
-    });
-  }
-
   const sensorData = {
     device_id,
     sensor_type,
     zone_id,
     farm_id,
     location_description,
-    battery_level,
+    coordinates: coordinates && coordinates.latitude !== undefined && coordinates.longitude !== undefined
+      ? new GeoPoint(parseFloat(coordinates.latitude), parseFloat(coordinates.longitude))
+      : null,
+    battery_level: parseBatteryLevel(battery_level) ?? 100,
     is_operational: true
   };
 
-  const sensorRef = await firestore
-    .collection(COLLECTIONS.SENSOR_UNITS)
-    .add(sensorData);
+  if (max_distance_threshold !== undefined) {
+    sensorData.max_distance_threshold = parseFloat(max_distance_threshold);
+  }
+
+  if (breach_thresholds !== undefined && breach_thresholds !== null) {
+    sensorData.breach_thresholds = parseBands(breach_thresholds);
+  }
+
+  if (payload_decoder) {
+    sensorData.payload_decoder = String(payload_decoder).toUpperCase();
+  }
+
+  const sensorRef = firestore.collection(COLLECTIONS.SENSOR_UNITS).doc();
+
+  // LoRaWAN nodes are matched to their sensor by DevEUI (see routes/lorawan.routes.js);
+  // the sensor is created together with its DevEUI reservation
+  if (dev_eui) {
+    sensorData.dev_eui = parseDevEui(dev_eui);
+    await linkDevEui(sensorRef, req.resource.doc.data().farmer_id, sensorData.dev_eui, sensorData);
+  } else {
+    await sensorRef.set(sensorData);
+  }
 
   await realtimeDb.ref(`sensor_status/${sensorRef.id}`).set({
     is_online: false,
@@ -287,22 +724,18 @@ router.post('/register', verifyToken, [
   });
 }));
 
-router.get('/', verifyToken, asyncHandler(async (req, res) => {
-  const { farm_id, zone_id, status = 'all' } = req.query;
+router.get('/', verifyToken, scopeFarms({ farmParam: 'farm_id', sensorParam: null }), asyncHandler(async (req, res) => {
+  const { zone_id, status = 'all' } = req.query;
 
   let query = firestore.collection(COLLECTIONS.SENSOR_UNITS);
 
-  if (farm_id) {
-    query = query.where('farm_id', '==', farm_id);
-  }
-
   if (zone_id) {
     query = query.where('zone_id', '==', zone_id);
   }
 
-  const snapshot = await query.get();
-  
-  if (snapshot.empty) {
+  const docs = await queryAcrossFarms(query, req.farmIds);
+
+  if (docs.length === 0) {
     return res.status(200).json({
       success: true,
       message: 'No sensors found',
@@ -315,7 +748,7 @@ router.get('/', verifyToken, asyncHandler(async (req, res) => {
 
   const sensors = [];
 
-  for (const doc of snapshot.docs) {
+  for (const doc of docs) {
     const sensorData = doc.data();
     
     const statusSnapshot = await realtimeDb
@@ -334,6 +767,7 @@ router.get('/', verifyToken, asyncHandler(async (req, res) => {
     sensors.push({
       sensor_id: doc.id,
       ...sensorData,
+      battery: formatBattery(sensorData),
       live_status: liveStatus
     });
   }
@@ -348,36 +782,64 @@ router.get('/', verifyToken, asyncHandler(async (req, res) => {
   });
 }));
 
-router.put('/:sensorId/battery', [
-  body('battery_level').notEmpty().withMessage('Battery level is required'),
-  body('api_key').notEmpty().withMessage('API key is required'),
+router.put('/:sensorId/battery', verifyApiKey, [
+  body('battery_level')
+    .custom(value => parseBatteryLevel(value) !== null)
+    .withMessage('Battery level must be a percentage between 0 and 100, e.g. 87 or "87%"'),
+  body('timestamp').optional().isInt({ min: 0 }),
   validate
 ], asyncHandler(async (req, res) => {
   const { sensorId } = req.params;
-  const { battery_level, api_key } = req.body;
+  const level = parseBatteryLevel(req.body.battery_level);
+  const timestamp = req.body.timestamp ? parseInt(req.body.timestamp) : Date.now();
 
-  if (api_key !== process.env.IOT_API_KEY) {
-    return res.status(401).json({
+  const sensorRef = firestore.collection(COLLECTIONS.SENSOR_UNITS).doc(sensorId);
+  const sensorDoc = await sensorRef.get();
+
+  if (!sensorDoc.exists) {
+    return res.status(404).json({
       success: false,
-      message: 'Invalid API key'
+      message: `Sensor not found with ID: ${sensorId}`
     });
   }
 
-  await firestore
-    .collection(COLLECTIONS.SENSOR_UNITS)
-    .doc(sensorId)
-    .update({
-      battery_level
-    });
+  await assertDeviceAccess(req.apiAuth, { farm_id: sensorDoc.data().farm_id, sensor_id: sensorId });
+  await assertRequestSignature(req, sensorId, sensorDoc.data());
+
+  const { trend, alerted_threshold } = await recordBatteryLevel(sensorId, sensorDoc.data(), level, timestamp);
+
+  res.status(200).json({
+    success: true,
+    message: alerted_threshold !== null ? `Battery level updated; below ${alerted_threshold}%` : 'Battery level updated',
+    data: {
+      battery_level: level,
+      battery_trend: trend
+    }
+  });
+}));
 
-  await realtimeDb
-    .ref(`sensor_status/${sensorId}/battery_level`)
-    .set(battery_level);
+/**
+ * @route   GET /api/sensors/:sensorId/battery
+ * @desc    Battery history and discharge estimate (default: last 7 days)
+ * @access  Protected
+ */
+router.get('/:sensorId/battery', verifyToken, authorize('sensor', { param: 'sensorId' }), [
+  query('days').optional().isInt({ min: 1, max: 90 }),
+  validate
+], asyncHandler(async (req, res) => {
+  const days = parseInt(req.query.days) || 7;
+  const history = await getBatteryHistory(req.params.sensorId, Date.now() - days * 86400000);
 
   res.status(200).json({
     success: true,
-    message: 'Battery level updated',
-    data: { battery_level }
+    message: 'Battery history retrieved',
+    data: {
+      sensor_id: req.params.sensorId,
+      battery: formatBattery(req.resource.doc.data()),
+      thresholds: thresholdsFor(req.resource.doc.data()),
+      count: history.length,
+      history
+    }
   });
 }));
 
@@ -388,28 +850,30 @@ router.post('/', (req, res) => {
   });
 });
 
-async function createAlert(sensor_id, sensorData, distance) {
+// The settings are saved either way; devices pick them up on their next config/get
+async function pushDeviceConfig(sensorId, sensorData) {
   try {
-    const alertData = {
-      sensor_id,
-      zone_id: sensorData.zone_id,
-      farm_id: sensorData.farm_id,
-      alert_type: 'Boundary Breach',
-      breach_level: distance < 25 ? 'Critical' : 'High',
-      breach_distance: distance,
-      description: `Livestock detected ${distance}m from boundary at ${sensorData.location_description}`,
-      is_resolved: false,
-      detected_at: FieldValue.serverTimestamp(),
-      resolved_at: null
-    };
-
-    const alertRef = await firestore
-      .collection(COLLECTIONS.ALERTS)
-      .add(alertData);
+    await publishSensorConfig(sensorId, sensorData);
+  } catch (error) {
+    console.error(`❌ Failed to push config to sensor ${sensorId}:`, error);
+  }
+}
 
-    console.log(`✅ Alert created: ${alertRef.id}`);
+async function createPositionAlert(livestock_id, livestockData, zoneData, distance, edgeBuffer) {
+  try {
+    await createAlert({
+      livestock_id,
+      zone_id: livestockData.zone_id,
+      zone_name: zoneData.zone_name,
+      farm_id: livestockData.farm_id,
+      farmer_id: zoneData.farmer_id,
+      breach_level: distance > edgeBuffer ? 'Critical' : 'High',
+      breach_distance: distance,
+      description: `${livestockData.animal_type} ${livestockData.identification_tag} is ${distance}m outside ${zoneData.zone_name}`,
+      source: ALERT_SOURCE.GPS_POSITION
+    });
   } catch (error) {
-    console.error('❌ Error creating alert:', error);
+    console.error('❌ Error creating position alert:', error);
   }
 }
 
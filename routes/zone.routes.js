@@ -1,10 +1,364 @@
 // routes/zone.routes.js
 const express = require('express');
 const router = express.Router();
+const { body, query, validationResult } = require('express-validator');
+const { firestore, FieldValue } = require('../config/firebase.config');
+const { verifyToken } = require('../middleware/auth.middleware');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { authorize } = require('../middleware/authorize.middleware');
+const { getAccessibleFarm } = require('../services/access.service');
+const {
+  DEFAULT_EDGE_BUFFER_METERS,
+  validatePolygon,
+  parseZoneBoundary,
+  serializeBoundary
+} = require('../services/geofence.service');
+const { parseBands } = require('../services/threshold.service');
 
-// Example test route
-router.get('/test', (req, res) => {
-  res.json({ message: 'Zone route working properly!' });
-});
+const COLLECTIONS = {
+  BOUNDARY_ZONES: 'Boundary_Zones',
+  LIVESTOCK: 'Livestock',
+  SENSOR_UNITS: 'Sensor_Units'
+};
+
+const ZONE_TYPES = ['safe', 'danger', 'restricted'];
+const UPDATABLE_FIELDS = [
+  'zone_name',
+  'zone_type',
+  'boundary_coordinates',
+  'max_distance_threshold',
+  'breach_thresholds',
+  'edge_buffer_meters',
+  'is_active',
+  'description'
+];
+
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// "lat,lng" as stored by the sample data generator
+const isCoordinatePair = (value) => {
+  const parts = String(value).split(',').map(part => parseFloat(part.trim()));
+  return parts.length === 2 &&
+    parts.every(Number.isFinite) &&
+    Math.abs(parts[0]) <= 90 &&
+    Math.abs(parts[1]) <= 180;
+};
+
+const isPolygon = (value) => {
+  const error = validatePolygon(value);
+  if (error) throw new Error(error);
+  return true;
+};
+
+// Expose the stored polygon as GeoJSON instead of its serialized form
+const formatZone = (doc) => {
+  const { boundary_geojson, ...zoneData } = doc.data();
+  return {
+    zone_id: doc.id,
+    ...zoneData,
+    boundary: parseZoneBoundary({ boundary_geojson })
+  };
+};
+
+/**
+ * @route   POST /api/zones
+ * @desc    Create a boundary zone on a farm
+ * @access  Protected
+ */
+router.post('/', verifyToken, [
+  body('farm_id').notEmpty().withMessage('Farm ID is required'),
+  body('zone_name').notEmpty().trim().withMessage('Zone name is required'),
+  body('zone_type').optional().isIn(ZONE_TYPES).withMessage(`Zone type must be one of: ${ZONE_TYPES.join(', ')}`),
+  body('max_distance_threshold').isFloat({ min: 0 }).withMessage('Max distance threshold must be a positive number'),
+  body('boundary_coordinates').optional().custom(isCoordinatePair).withMessage('Boundary coordinates must be "lat,lng"'),
+  body('boundary').optional().custom(isPolygon),
+  body('edge_buffer_meters').optional().isFloat({ min: 0 }),
+  body('is_active').optional().isBoolean(),
+  body('description').optional().trim(),
+  validate
+], asyncHandler(async (req, res) => {
+  const {
+    farm_id,
+    zone_name,
+    zone_type = 'safe',
+    max_distance_threshold,
+    boundary_coordinates,
+    boundary,
+    edge_buffer_meters = DEFAULT_EDGE_BUFFER_METERS,
+    breach_thresholds,
+    is_active = true,
+    description
+  } = req.body;
+
+  const farmDoc = await getAccessibleFarm(farm_id, req.user.userId, 'zones:write');
+
+  const existingZone = await firestore
+    .collection(COLLECTIONS.BOUNDARY_ZONES)
+    .where('farm_id', '==', farm_id)
+    .where('zone_name', '==', zone_name)
+    .limit(1)
+    .get();
+
+  if (!existingZone.empty) {
+    return res.status(409).json({
+      success: false,
+      message: 'A zone with this name already exists on the farm'
+    });
+  }
+
+  const zoneData = {
+    farm_id,
+    farmer_id: farmDoc.data().farmer_id,
+    zone_name,
+    zone_type,
+    boundary_coordinates: boundary_coordinates || null,
+    boundary_geojson: boundary ? serializeBoundary(boundary) : null,
+    edge_buffer_meters: parseFloat(edge_buffer_meters),
+    max_distance_threshold: parseFloat(max_distance_threshold),
+    breach_thresholds: breach_thresholds ? parseBands(breach_thresholds) : {},
+    current_livestock_count: 0,
+    is_active: is_active === true || is_active === 'true',
+    description: description || null,
+    created_at: FieldValue.serverTimestamp(),
+    updated_at: FieldValue.serverTimestamp()
+  };
+
+  // Create the zone and bump the farm counter atomically
+  const zoneRef = firestore.collection(COLLECTIONS.BOUNDARY_ZONES).doc();
+  const batch = firestore.batch();
+  batch.set(zoneRef, zoneData);
+  batch.update(farmDoc.ref, { zones_count: FieldValue.increment(1) });
+  await batch.commit();
+
+  const { boundary_geojson, ...createdZone } = zoneData;
+
+  res.status(201).json({
+    success: true,
+    message: 'Zone created successfully',
+    data: {
+      zone_id: zoneRef.id,
+      ...createdZone,
+      boundary: boundary || null
+    }
+  });
+}));
+
+/**
+ * @route   GET /api/zones
+ * @desc    List zones for a farm
+ * @access  Protected
+ */
+router.get('/', verifyToken, [
+  query('farm_id').notEmpty().withMessage('farm_id query parameter is required'),
+  query('is_active').optional().isBoolean(),
+  query('zone_type').optional().isIn(ZONE_TYPES),
+  validate
+], asyncHandler(async (req, res) => {
+  const { farm_id, is_active, zone_type } = req.query;
+
+  await getAccessibleFarm(farm_id, req.user.userId);
+
+  let zonesQuery = firestore
+    .collection(COLLECTIONS.BOUNDARY_ZONES)
+    .where('farm_id', '==', farm_id);
+
+  if (is_active !== undefined) {
+    zonesQuery = zonesQuery.where('is_active', '==', is_active === 'true');
+  }
+
+  if (zone_type) {
+    zonesQuery = zonesQuery.where('zone_type', '==', zone_type);
+  }
+
+  const snapshot = await zonesQuery.get();
+
+  const zones = [];
+  snapshot.forEach(doc => {
+    zones.push(formatZone(doc));
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Zones retrieved',
+    data: {
+      count: zones.length,
+      zones
+    }
+  });
+}));
+
+/**
+ * @route   GET /api/zones/:zoneId
+ * @desc    Get zone details with its sensors
+ * @access  Protected
+ */
+router.get('/:zoneId', verifyToken, authorize('zone', { param: 'zoneId' }), asyncHandler(async (req, res) => {
+  const { zoneId } = req.params;
+  const zoneDoc = req.resource.doc;
+
+  const sensorsSnapshot = await firestore
+    .collection(COLLECTIONS.SENSOR_UNITS)
+    .where('zone_id', '==', zoneId)
+    .get();
+
+  const sensors = [];
+  sensorsSnapshot.forEach(doc => {
+    sensors.push({
+      sensor_id: doc.id,
+      ...doc.data()
+    });
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Zone details retrieved',
+    data: {
+      ...formatZone(zoneDoc),
+      sensors
+    }
+  });
+}));
+
+/**
+ * @route   PUT /api/zones/:zoneId
+ * @desc    Update zone settings
+ * @access  Protected
+ */
+router.put('/:zoneId', verifyToken, authorize('zone', { param: 'zoneId', permission: 'zones:write' }), [
+  body('zone_name').optional().notEmpty().trim(),
+  body('zone_type').optional().isIn(ZONE_TYPES),
+  body('max_distance_threshold').optional().isFloat({ min: 0 }),
+  body('boundary_coordinates').optional({ nullable: true }).custom(isCoordinatePair).withMessage('Boundary coordinates must be "lat,lng"'),
+  body('boundary').optional({ nullable: true }).custom(isPolygon),
+  body('edge_buffer_meters').optional().isFloat({ min: 0 }),
+  body('is_active').optional().isBoolean(),
+  body('description').optional().trim(),
+  validate
+], asyncHandler(async (req, res) => {
+  const { zoneId } = req.params;
+
+  const zoneDoc = req.resource.doc;
+  const zoneData = zoneDoc.data();
+
+  const updateData = {};
+  UPDATABLE_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) {
+      updateData[field] = req.body[field];
+    }
+  });
+
+  if (updateData.max_distance_threshold !== undefined) {
+    updateData.max_distance_threshold = parseFloat(updateData.max_distance_threshold);
+  }
+
+  if (updateData.breach_thresholds !== undefined) {
+    updateData.breach_thresholds = updateData.breach_thresholds === null ? {} : parseBands(updateData.breach_thresholds);
+  }
+
+  if (updateData.edge_buffer_meters !== undefined) {
+    updateData.edge_buffer_meters = parseFloat(updateData.edge_buffer_meters);
+  }
+
+  if (req.body.boundary !== undefined) {
+    updateData.boundary_geojson = req.body.boundary ? serializeBoundary(req.body.boundary) : null;
+  }
+
+  if (updateData.is_active !== undefined) {
+    updateData.is_active = updateData.is_active === true || updateData.is_active === 'true';
+  }
+
+  const renamed = updateData.zone_name && updateData.zone_name !== zoneData.zone_name;
+
+  if (renamed) {
+    const existingZone = await firestore
+      .collection(COLLECTIONS.BOUNDARY_ZONES)
+      .where('farm_id', '==', zoneData.farm_id)
+      .where('zone_name', '==', updateData.zone_name)
+      .limit(1)
+      .get();
+
+    if (!existingZone.empty) {
+      return res.status(409).json({
+        success: false,
+        message: 'A zone with this name already exists on the farm'
+      });
+    }
+  }
+
+  updateData.updated_at = FieldValue.serverTimestamp();
+
+  const batch = firestore.batch();
+  batch.update(zoneDoc.ref, updateData);
+
+  // Keep the denormalized zone_name on livestock in sync
+  if (renamed) {
+    const livestockSnapshot = await firestore
+      .collection(COLLECTIONS.LIVESTOCK)
+      .where('zone_id', '==', zoneId)
+      .get();
+
+    livestockSnapshot.forEach(doc => {
+      batch.update(doc.ref, { zone_name: updateData.zone_name });
+    });
+  }
+
+  await batch.commit();
+
+  res.status(200).json({
+    success: true,
+    message: 'Zone updated successfully',
+    data: {
+      zone_id: zoneId,
+      updated_fields: Object.keys(updateData)
+    }
+  });
+}));
+
+/**
+ * @route   DELETE /api/zones/:zoneId
+ * @desc    Delete a zone that has no livestock or sensors assigned
+ * @access  Protected
+ */
+router.delete('/:zoneId', verifyToken, authorize('zone', { param: 'zoneId', permission: 'zones:write' }), asyncHandler(async (req, res) => {
+  const { zoneId } = req.params;
+  const { doc: zoneDoc, farmDoc } = req.resource;
+
+  const [livestockSnapshot, sensorsSnapshot] = await Promise.all([
+    firestore.collection(COLLECTIONS.LIVESTOCK).where('zone_id', '==', zoneId).limit(1).get(),
+    firestore.collection(COLLECTIONS.SENSOR_UNITS).where('zone_id', '==', zoneId).limit(1).get()
+  ]);
+
+  if (!livestockSnapshot.empty || !sensorsSnapshot.empty) {
+    return res.status(409).json({
+      success: false,
+      message: 'Zone still has livestock or sensors assigned',
+      hint: 'Move livestock and sensors to another zone before deleting'
+    });
+  }
+
+  const batch = firestore.batch();
+  batch.delete(zoneDoc.ref);
+  batch.update(farmDoc.ref, { zones_count: FieldValue.increment(-1) });
+  await batch.commit();
+
+  res.status(200).json({
+    success: true,
+    message: 'Zone deleted successfully',
+    data: {
+      zone_id: zoneId,
+      zone_name: zoneDoc.data().zone_name
+    }
+  });
+}));
 
 module.exports = router;
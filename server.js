@@ -8,7 +8,14 @@ const PORT = process.env.PORT || 3000;
 
 // ✅ Middleware
 app.use(cors());
-app.use(express.json());
+// Boundary imports can carry large KML/GeoJSON documents.
+// The raw bytes are kept for device signatures (services/signature.service.js).
+app.use(express.json({
+  limit: '5mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // ✅ Request logging middleware (for debugging)
@@ -20,13 +27,22 @@ app.use((req, res, next) => {
 // ✅ Initialize Firebase (must be before routes if routes depend on Firebase)
 require('./config/firebase.config');
 
+// ✅ Background jobs
+const { startEscalationScheduler, stopEscalationScheduler } = require('./jobs/escalation.job');
+const { startJobRunner, stopJobRunner } = require('./jobs/background.job');
+const { startSensorWatchdog, stopSensorWatchdog } = require('./jobs/watchdog.job');
+const { startRollupJob, stopRollupJob } = require('./jobs/rollup.job');
+
+// ✅ MQTT ingestion (only when MQTT_URL is set)
+const { startMqttGateway, stopMqttGateway } = require('./services/mqtt.service');
+
 // ✅ Import Routes (check that all files exist)
 const authRoutes = require('./routes/auth.routes');
 const farmerRoutes = require('./routes/farmer.routes');
 const farmRoutes = require('./routes/farm.routes');
 
 // ⚠️ These should be wrapped in try-catch or conditionally required to prevent startup crashes
-let livestockRoutes, zoneRoutes, alertRoutes, notificationRoutes, analyticsRoutes, sensorRoutes;
+let livestockRoutes, zoneRoutes, alertRoutes, notificationRoutes, analyticsRoutes, sensorRoutes, invitationRoutes, jobRoutes, lorawanRoutes;
 try {
   livestockRoutes = require('./routes/livestock.routes');
   zoneRoutes = require('./routes/zone.routes');
@@ -34,6 +50,9 @@ try {
   notificationRoutes = require('./routes/notification.routes');
   analyticsRoutes = require('./routes/analytics.routes');
   sensorRoutes = require('./routes/sensor.routes');
+  invitationRoutes = require('./routes/invitation.routes');
+  jobRoutes = require('./routes/job.routes');
+  lorawanRoutes = require('./routes/lorawan.routes');
   console.log('✅ Optional routes loaded successfully.');
 } catch (err) {
   console.warn('⚠️ Some optional routes are missing:', err.message);
@@ -55,7 +74,10 @@ app.get('/', (req, res) => {
       alerts: '/api/alerts',
       notifications: '/api/notifications',
       analytics: '/api/analytics',
-      sensors: '/api/sensors'
+      sensors: '/api/sensors',
+      invitations: '/api/invitations',
+      jobs: '/api/jobs',
+      lorawan: '/api/lorawan'
     }
   });
 });
@@ -79,6 +101,9 @@ if (alertRoutes) app.use('/api/alerts', alertRoutes);
 if (notificationRoutes) app.use('/api/notifications', notificationRoutes);
 if (analyticsRoutes) app.use('/api/analytics', analyticsRoutes);
 if (sensorRoutes) app.use('/api/sensors', sensorRoutes);
+if (invitationRoutes) app.use('/api/invitations', invitationRoutes);
+if (jobRoutes) app.use('/api/jobs', jobRoutes);
+if (lorawanRoutes) app.use('/api/lorawan', lorawanRoutes);
 
 // ✅ 404 Handler (must be after all routes)
 app.use((req, res) => {
@@ -116,11 +141,22 @@ const server = app.listen(PORT, () => {
   console.log(`🔧 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`📅 Started at: ${new Date().toLocaleString()}`);
   console.log('='.repeat(50));
+
+  startEscalationScheduler();
+  startJobRunner();
+  startSensorWatchdog();
+  startRollupJob();
+  startMqttGateway();
 });
 
 // ✅ Graceful Shutdown Fix
 process.on('SIGTERM', () => {
   console.log('SIGTERM signal received: closing HTTP server');
+  stopEscalationScheduler();
+  stopJobRunner();
+  stopSensorWatchdog();
+  stopRollupJob();
+  stopMqttGateway();
   server.close(() => {
     console.log('HTTP server closed');
   });
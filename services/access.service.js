@@ -0,0 +1,235 @@
+// services/access.service.js
+/**
+ * Farm access checks shared by every resource route
+ *
+ * Every resource hangs off a farm: zones, livestock, sensors and alerts carry
+ * farm_id, notification subscriptions carry farmId. Access to a resource is
+ * access to its farm, limited by the user's role on that farm:
+ *   owner         Farms.farmer_id
+ *   other roles   Farm_Members/{farmId}_{userId} { farm_id, user_id, role }
+ * Missing resources are 404, other tenants' and disallowed actions are 403.
+ * Farms waiting out their deletion grace period (deleted_at set) count as missing.
+ */
+
+const { firestore } = require('../config/firebase.config');
+const { httpError } = require('../middleware/errorHandler');
+
+const RESOURCES = {
+  farm: { collection: 'Farms', label: 'Farm' },
+  zone: { collection: 'Boundary_Zones', label: 'Zone' },
+  livestock: { collection: 'Livestock', label: 'Livestock' },
+  sensor: { collection: 'Sensor_Units', label: 'Sensor' },
+  alert: { collection: 'Alerts', label: 'Alert' },
+  notification: { collection: 'Notifications', label: 'Subscription' }
+};
+
+const FARM_MEMBERS = 'Farm_Members';
+
+const ROLES = ['owner', 'manager', 'worker', 'veterinarian', 'viewer'];
+
+// Roles a membership can grant; ownership stays on Farms.farmer_id
+const MEMBER_ROLES = ROLES.filter(role => role !== 'owner');
+
+// Permission -> roles that hold it
+const PERMISSIONS = {
+  'read': ROLES,
+  'farm:update': ['owner', 'manager'],
+  'farm:delete': ['owner'],
+  'members:manage': ['owner', 'manager'],
+  'zones:write': ['owner', 'manager'],
+  'sensors:write': ['owner', 'manager'],
+  'escalation:write': ['owner', 'manager'],
+  'livestock:write': ['owner', 'manager', 'worker'],
+  'livestock:delete': ['owner', 'manager'],
+  'livestock:health': ['owner', 'manager', 'veterinarian'],
+  'alerts:respond': ['owner', 'manager', 'worker'],
+  'alerts:delete': ['owner', 'manager'],
+  'notifications:send': ['owner', 'manager']
+};
+
+const memberDocId = (farmId, userId) => `${farmId}_${userId}`;
+
+const hasPermission = (role, permission) => Boolean(role) && PERMISSIONS[permission].includes(role);
+
+// Managers may only grant, change or remove the non-managing roles
+const canGrantRole = (actorRole, role) =>
+  actorRole === 'owner' || (actorRole === 'manager' && !['owner', 'manager'].includes(role));
+
+const isDeletedFarm = (farmDoc) => Boolean(farmDoc.data().deleted_at);
+
+const farmIdOf = (type, doc) => {
+  if (type === 'farm') return doc.id;
+  if (type === 'notification') return doc.data().farmId || null;
+  return doc.data().farm_id || null;
+};
+
+/**
+ * The user's role on a farm, or null when they have none
+ * @returns {Promise<string|null>}
+ */
+async function getFarmRole(farmDoc, userId) {
+  if (!farmDoc || !farmDoc.exists || isDeletedFarm(farmDoc)) return null;
+  if (farmDoc.data().farmer_id === userId) return 'owner';
+
+  const memberDoc = await firestore
+    .collection(FARM_MEMBERS)
+    .doc(memberDocId(farmDoc.id, userId))
+    .get();
+
+  return memberDoc.exists ? memberDoc.data().role : null;
+}
+
+/**
+ * Throw 403 unless the role holds the permission
+ */
+function assertPermission(role, permission) {
+  if (!role) {
+    throw httpError(403, 'Access denied');
+  }
+
+  if (!hasPermission(role, permission)) {
+    throw httpError(403, `Your role (${role}) does not allow this action`);
+  }
+}
+
+/**
+ * Load a farm the user may access with the given permission
+ * @returns {Promise<FirebaseFirestore.DocumentSnapshot>}
+ */
+async function getAccessibleFarm(farmId, userId, permission = 'read') {
+  if (!farmId) {
+    throw httpError(400, 'Farm ID is required');
+  }
+
+  const farmDoc = await firestore.collection(RESOURCES.farm.collection).doc(farmId).get();
+
+  if (!farmDoc.exists || isDeletedFarm(farmDoc)) {
+    throw httpError(404, 'Farm not found');
+  }
+
+  assertPermission(await getFarmRole(farmDoc, userId), permission);
+
+  return farmDoc;
+}
+
+/**
+ * Load any resource and make sure the user's role on the farm behind it
+ * holds the permission
+ * @param {'farm'|'zone'|'livestock'|'sensor'|'alert'|'notification'} type
+ * @param {string} [permission] key of PERMISSIONS
+ * @returns {Promise<{doc: FirebaseFirestore.DocumentSnapshot, farmDoc: FirebaseFirestore.DocumentSnapshot|null, role: string|null}>}
+ */
+async function authorizeResource(type, id, userId, permission = 'read') {
+  const resource = RESOURCES[type];
+
+  if (!id) {
+    throw httpError(400, `${resource.label} ID is required`);
+  }
+
+  const doc = await firestore.collection(resource.collection).doc(id).get();
+
+  if (!doc.exists || (type === 'farm' && isDeletedFarm(doc))) {
+    throw httpError(404, `${resource.label} not found`);
+  }
+
+  // A user always manages their own device subscriptions
+  if (type === 'notification' && doc.data().userId === userId) {
+    return { doc, farmDoc: null, role: null };
+  }
+
+  const farmId = farmIdOf(type, doc);
+  const farmDoc = type === 'farm'
+    ? doc
+    : farmId ? await firestore.collection(RESOURCES.farm.collection).doc(farmId).get() : null;
+
+  const role = await getFarmRole(farmDoc, userId);
+  assertPermission(role, permission);
+
+  return { doc, farmDoc, role };
+}
+
+/**
+ * Every farm the user owns or is a member of, with their role on it
+ * @returns {Promise<Map<string, string>>} farm_id -> role
+ */
+async function getFarmRoles(userId) {
+  const [ownedSnapshot, memberSnapshot] = await Promise.all([
+    firestore.collection(RESOURCES.farm.collection).where('farmer_id', '==', userId).get(),
+    firestore.collection(FARM_MEMBERS).where('user_id', '==', userId).get()
+  ]);
+
+  const memberFarmIds = memberSnapshot.docs.map(doc => doc.data().farm_id);
+  const memberFarms = memberFarmIds.length > 0
+    ? await firestore.getAll(...memberFarmIds.map(farmId => firestore.collection(RESOURCES.farm.collection).doc(farmId)))
+    : [];
+  const liveMemberFarms = new Set(memberFarms.filter(doc => doc.exists && !isDeletedFarm(doc)).map(doc => doc.id));
+
+  const roles = new Map();
+  memberSnapshot.forEach(doc => {
+    if (liveMemberFarms.has(doc.data().farm_id)) roles.set(doc.data().farm_id, doc.data().role);
+  });
+  ownedSnapshot.forEach(doc => {
+    if (!isDeletedFarm(doc)) roles.set(doc.id, 'owner');
+  });
+
+  return roles;
+}
+
+/**
+ * IDs of every farm the user may access
+ * @returns {Promise<string[]>}
+ */
+async function getAccessibleFarmIds(userId) {
+  return [...(await getFarmRoles(userId)).keys()];
+}
+
+/**
+ * Farms a list/analytics request covers: the requested farm or sensor when
+ * given (after checking access), otherwise every farm the user may access
+ * @returns {Promise<string[]>}
+ */
+async function resolveFarmScope(userId, { farmId, sensorId } = {}) {
+  if (sensorId) {
+    const { farmDoc } = await authorizeResource('sensor', sensorId, userId);
+    return farmId && farmId !== farmDoc.id ? [] : [farmDoc.id];
+  }
+
+  if (farmId) {
+    await getAccessibleFarm(farmId, userId);
+    return [farmId];
+  }
+
+  return getAccessibleFarmIds(userId);
+}
+
+/**
+ * Run a query once per farm (field == id) and merge the documents
+ * @param {FirebaseFirestore.Query} query query without a farm filter
+ * @param {string} [field] farm reference field; Notifications use farmId
+ * @returns {Promise<FirebaseFirestore.QueryDocumentSnapshot[]>}
+ */
+async function queryAcrossFarms(query, farmIds, field = 'farm_id') {
+  const snapshots = await Promise.all(
+    farmIds.map(farmId => query.where(field, '==', farmId).get())
+  );
+
+  return snapshots.flatMap(snapshot => snapshot.docs);
+}
+
+module.exports = {
+  RESOURCES,
+  FARM_MEMBERS,
+  ROLES,
+  MEMBER_ROLES,
+  PERMISSIONS,
+  memberDocId,
+  hasPermission,
+  canGrantRole,
+  getFarmRole,
+  getAccessibleFarm,
+  authorizeResource,
+  getFarmRoles,
+  getAccessibleFarmIds,
+  resolveFarmScope,
+  queryAcrossFarms
+};
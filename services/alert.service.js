@@ -0,0 +1,577 @@
+// services/alert.service.js
+/**
+ * Canonical Alert model shared by every ingestion path
+ *
+ * Alerts document fields:
+ *   alert_type        'Boundary Breach' | 'Status Report' | 'Sensor Offline' | ...
+ *   breach_level      'Critical' | 'High' | 'Warning'; null for status reports
+ *   breach_distance   distance in meters reported with the alert
+ *   is_breach         false for plain device status reports
+ *   description
+ *   sensor_id, zone_id, zone_name, farm_id, farmer_id, livestock_id
+ *   source            'sensor_reading' | 'device_alert' | 'gps_position' | 'watchdog'
+ *   status            lifecycle state, see ALERT_TRANSITIONS ('normal' for status reports)
+ *   detected_at       server time the alert was recorded
+ *   device_timestamp  time reported by the device, if any
+ *   assigned_to, acknowledged_at/_by, resolved_at/_by, resolution_notes
+ *   time_to_acknowledge_minutes, time_to_resolve_minutes, response_time_minutes
+ *   escalation_level
+ *   incident_key      sensor (or livestock) + zone that repeated breaches are grouped by;
+ *                     non-breach alerts given an incident_key (e.g. Sensor Offline) are
+ *                     open incidents too
+ *   occurrence_count, first_seen_at, last_seen_at, peak_breach_level, min_breach_distance
+ *   timeline          [{ action, from_status, to_status, by, note, at }]
+ *   schema_version
+ */
+
+const { firestore, FieldValue, Timestamp } = require('../config/firebase.config');
+const { httpError } = require('../middleware/errorHandler');
+const { dispatchAlertNotification } = require('./notification.service');
+const { notifyWithPolicy } = require('./escalation.service');
+const { classifyDistance, thresholdsForSensor } = require('./threshold.service');
+const { FARM_MEMBERS, memberDocId, hasPermission } = require('./access.service');
+
+const COLLECTIONS = {
+  ALERTS: 'Alerts',
+  SENSOR_UNITS: 'Sensor_Units',
+  BOUNDARY_ZONES: 'Boundary_Zones',
+  FARMS: 'Farms'
+};
+
+const ALERT_SCHEMA_VERSION = 3;
+
+const ALERT_STATUS = {
+  OPEN: 'open',
+  ACKNOWLEDGED: 'acknowledged',
+  IN_PROGRESS: 'in_progress',
+  RESOLVED: 'resolved',
+  FALSE_ALARM: 'false_alarm',
+  NORMAL: 'normal'
+};
+
+// Statuses that still need someone's attention
+const OPEN_STATUSES = [ALERT_STATUS.OPEN, ALERT_STATUS.ACKNOWLEDGED, ALERT_STATUS.IN_PROGRESS];
+const CLOSED_STATUSES = [ALERT_STATUS.RESOLVED, ALERT_STATUS.FALSE_ALARM];
+
+/**
+ * Lifecycle actions: which statuses each may start from and where it leads.
+ * A null `to` keeps the current status (assignment and escalation).
+ */
+const ALERT_TRANSITIONS = {
+  acknowledge: { from: [ALERT_STATUS.OPEN], to: ALERT_STATUS.ACKNOWLEDGED },
+  start: { from: [ALERT_STATUS.OPEN, ALERT_STATUS.ACKNOWLEDGED], to: ALERT_STATUS.IN_PROGRESS },
+  resolve: { from: OPEN_STATUSES, to: ALERT_STATUS.RESOLVED },
+  false_alarm: { from: OPEN_STATUSES, to: ALERT_STATUS.FALSE_ALARM },
+  assign: { from: OPEN_STATUSES, to: null },
+  escalate: { from: OPEN_STATUSES, to: null }
+};
+
+const BREACH_LEVELS = ['Warning', 'High', 'Critical'];
+
+const ALERT_SOURCE = {
+  SENSOR_READING: 'sensor_reading',
+  DEVICE_ALERT: 'device_alert',
+  GPS_POSITION: 'gps_position',
+  WATCHDOG: 'watchdog'
+};
+
+// Fields written by the pre-v2 alert shapes that the canonical model replaces
+const LEGACY_FIELDS = ['alert', 'distance', 'deviceId', 'resolved', 'is_resolved', 'created_at', 'timestamp', 'received_at'];
+
+// Breaches on the same sensor/zone within this many minutes join the open incident
+const DEFAULT_DEDUP_WINDOW_MINUTES = 10;
+
+const severityOf = (level) => BREACH_LEVELS.indexOf(level);
+
+const incidentKeyFor = (context) => {
+  const subject = context.sensor_id ? `sensor:${context.sensor_id}` : `livestock:${context.livestock_id}`;
+  return `${subject}|zone:${context.zone_id || 'none'}`;
+};
+
+// Default bands only; stored alerts predating the threshold chain have no sensor context to hand
+const breachLevelFor = (distance) => classifyDistance(distance) || 'High';
+
+/**
+ * Breach level of a distance under the sensor → zone → farm thresholds.
+ * A device that reports a breach outside every band still gets 'High'.
+ */
+async function breachLevelInContext(distance, context) {
+  let sensorData = {};
+  if (context.sensor_id) {
+    const sensorDoc = await firestore.collection(COLLECTIONS.SENSOR_UNITS).doc(context.sensor_id).get();
+    if (sensorDoc.exists) sensorData = sensorDoc.data();
+  }
+
+  const { bands } = await thresholdsForSensor({ ...sensorData, zone_id: context.zone_id, farm_id: context.farm_id });
+  return classifyDistance(distance, bands) || 'High';
+}
+
+/**
+ * Fill in zone/farm/farmer details that the caller did not already have
+ */
+async function resolveAlertContext(fields) {
+  const context = {
+    sensor_id: fields.sensor_id || null,
+    livestock_id: fields.livestock_id || null,
+    zone_id: fields.zone_id || null,
+    zone_name: fields.zone_name || null,
+    farm_id: fields.farm_id || null,
+    farmer_id: fields.farmer_id || null,
+    location_description: fields.location_description || null,
+    dedup_window_minutes: parseFloat(process.env.ALERT_DEDUP_WINDOW_MINUTES) || DEFAULT_DEDUP_WINDOW_MINUTES
+  };
+
+  if (context.sensor_id && (!context.zone_id || !context.farm_id)) {
+    const sensorDoc = await firestore.collection(COLLECTIONS.SENSOR_UNITS).doc(context.sensor_id).get();
+    if (sensorDoc.exists) {
+      const sensorData = sensorDoc.data();
+      context.zone_id = context.zone_id || sensorData.zone_id || null;
+      context.farm_id = context.farm_id || sensorData.farm_id || null;
+      context.location_description = context.location_description || sensorData.location_description || null;
+    }
+  }
+
+  if (context.zone_id && !context.zone_name) {
+    const zoneDoc = await firestore.collection(COLLECTIONS.BOUNDARY_ZONES).doc(context.zone_id).get();
+    if (zoneDoc.exists) {
+      context.zone_name = zoneDoc.data().zone_name || null;
+    }
+  }
+
+  if (context.farm_id) {
+    const farmDoc = await firestore.collection(COLLECTIONS.FARMS).doc(context.farm_id).get();
+    if (farmDoc.exists) {
+      const farmData = farmDoc.data();
+      context.farmer_id = context.farmer_id || farmData.farmer_id || null;
+      if (Number.isFinite(farmData.alert_dedup_window_minutes)) {
+        context.dedup_window_minutes = farmData.alert_dedup_window_minutes;
+      }
+    }
+  }
+
+  return context;
+}
+
+/**
+ * Fold a breach into the open incident for its sensor/zone, or open a new one.
+ * Runs in a transaction so concurrent readings cannot open duplicate incidents.
+ * @returns {Promise<{alert: object, created: boolean, severity_increased: boolean}>}
+ */
+async function recordIncident(alertData, windowMinutes) {
+  const alertsRef = firestore.collection(COLLECTIONS.ALERTS);
+
+  return firestore.runTransaction(async (transaction) => {
+    const openSnapshot = await transaction.get(
+      alertsRef
+        .where('incident_key', '==', alertData.incident_key)
+        .where('status', 'in', OPEN_STATUSES)
+        .orderBy('last_seen_at', 'desc')
+        .limit(1)
+    );
+
+    const now = Timestamp.now();
+    const openDoc = openSnapshot.docs[0];
+    const withinWindow = openDoc &&
+      now.toMillis() - openDoc.data().last_seen_at.toMillis() <= windowMinutes * 60000;
+
+    if (!withinWindow) {
+      const alertRef = alertsRef.doc();
+      const incident = {
+        ...alertData,
+        first_seen_at: now,
+        last_seen_at: now
+      };
+      transaction.set(alertRef, incident);
+      return { alert: { alert_id: alertRef.id, ...incident }, created: true, severity_increased: false };
+    }
+
+    const existing = openDoc.data();
+    const severityIncreased = severityOf(alertData.breach_level) > severityOf(existing.peak_breach_level);
+    const distance = alertData.breach_distance;
+
+    const update = {
+      occurrence_count: FieldValue.increment(1),
+      last_seen_at: now,
+      breach_distance: distance
+    };
+
+    if (distance !== null && (existing.min_breach_distance === null || distance < existing.min_breach_distance)) {
+      update.min_breach_distance = distance;
+    }
+
+    if (severityIncreased) {
+      update.peak_breach_level = alertData.breach_level;
+      update.breach_level = alertData.breach_level;
+    }
+
+    transaction.update(openDoc.ref, update);
+
+    return {
+      alert: {
+        alert_id: openDoc.id,
+        ...existing,
+        ...update,
+        occurrence_count: (existing.occurrence_count || 1) + 1
+      },
+      created: false,
+      severity_increased: severityIncreased
+    };
+  });
+}
+
+/**
+ * Create an alert in the canonical shape. Breaches are grouped into incidents:
+ * a repeat breach within the dedup window updates the open incident instead
+ * of adding a new document.
+ * @param {object} fields sensor_id and/or livestock_id plus whatever context is known
+ * @returns {Promise<object>} the stored alert/incident with its alert_id
+ */
+async function createAlert(fields) {
+  const context = await resolveAlertContext(fields);
+  const isBreach = fields.is_breach !== false;
+  // Breaches, and condition alerts keyed by the caller, need someone's attention
+  const isIncident = isBreach || Boolean(fields.incident_key);
+  const distance = fields.breach_distance ?? null;
+  let breachLevel = (isIncident && fields.breach_level) || null;
+  if (isBreach && !breachLevel) {
+    breachLevel = distance !== null ? await breachLevelInContext(distance, context) : 'High';
+  }
+
+  const alertData = {
+    alert_type: fields.alert_type || (isBreach ? 'Boundary Breach' : 'Status Report'),
+    breach_level: breachLevel,
+    breach_distance: distance,
+    is_breach: isBreach,
+    description: fields.description ||
+      (isBreach
+        ? `Livestock detected ${distance}m from boundary${context.location_description ? ` at ${context.location_description}` : ''}`
+        : 'Device status report'),
+    sensor_id: context.sensor_id,
+    livestock_id: context.livestock_id,
+    zone_id: context.zone_id,
+    zone_name: context.zone_name,
+    farm_id: context.farm_id,
+    farmer_id: context.farmer_id,
+    source: fields.source || ALERT_SOURCE.SENSOR_READING,
+    status: isIncident ? ALERT_STATUS.OPEN : ALERT_STATUS.NORMAL,
+    detected_at: FieldValue.serverTimestamp(),
+    device_timestamp: fields.device_timestamp ?? null,
+    assigned_to: null,
+    acknowledged_at: null,
+    acknowledged_by: null,
+    resolved_at: null,
+    resolved_by: null,
+    resolution_notes: null,
+    time_to_acknowledge_minutes: null,
+    time_to_resolve_minutes: null,
+    response_time_minutes: null,
+    escalation_level: 0,
+    incident_key: fields.incident_key || (isBreach ? incidentKeyFor(context) : null),
+    occurrence_count: 1,
+    peak_breach_level: breachLevel,
+    min_breach_distance: distance,
+    timeline: [{
+      action: 'created',
+      from_status: null,
+      to_status: isIncident ? ALERT_STATUS.OPEN : ALERT_STATUS.NORMAL,
+      by: 'system',
+      note: null,
+      at: Timestamp.now()
+    }],
+    schema_version: ALERT_SCHEMA_VERSION
+  };
+
+  if (!isIncident) {
+    const alertRef = await firestore
+      .collection(COLLECTIONS.ALERTS)
+      .add(alertData);
+
+    return {
+      alert_id: alertRef.id,
+      ...alertData
+    };
+  }
+
+  // A condition incident stays one alert for as long as it is open
+  const windowMinutes = isBreach ? context.dedup_window_minutes : Infinity;
+  const { alert, created, severity_increased } = await recordIncident(alertData, windowMinutes);
+
+  if (created) {
+    console.log(`✅ Alert created: ${alert.alert_id}`);
+  } else {
+    console.log(`🔁 Breach grouped into incident ${alert.alert_id} (x${alert.occurrence_count})`);
+  }
+
+  // Only a new incident, or one that just got more severe, is pushed. A failed
+  // push must never lose the alert itself. Farms with an escalation policy get
+  // its immediate steps; everyone else gets the default dispatch.
+  try {
+    if (created) {
+      const firedSteps = await notifyWithPolicy(alert);
+      if (firedSteps === null) {
+        await dispatchAlertNotification(alert);
+      }
+    } else if (severity_increased) {
+      await dispatchAlertNotification(alert);
+    }
+  } catch (error) {
+    console.error(`❌ Failed to dispatch notifications for alert ${alert.alert_id}:`, error);
+  }
+
+  return {
+    ...alert,
+    grouped: !created
+  };
+}
+
+const toTimestamp = (value) => {
+  if (!value) return null;
+  if (value instanceof Timestamp) return value;
+  if (value instanceof Date) return Timestamp.fromDate(value);
+  if (typeof value.toDate === 'function') return Timestamp.fromDate(value.toDate());
+
+  const date = new Date(typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value);
+  return isNaN(date.getTime()) ? null : Timestamp.fromDate(date);
+};
+
+/**
+ * Map any historical Alerts document onto the canonical fields
+ * (context lookups such as farmer_id are left to the caller)
+ * @returns {object} canonical field values
+ */
+function normalizeAlert(data) {
+  const isBreach = data.is_breach ?? (data.alert !== undefined ? Boolean(data.alert) : true);
+  const distance = data.breach_distance ?? data.distance ?? null;
+  const isResolved = data.is_resolved === true || data.resolved === true || CLOSED_STATUSES.includes(data.status);
+
+  // Lifecycle statuses are kept; legacy 'active' and missing statuses are derived
+  let status = data.status;
+  if (!Object.values(ALERT_STATUS).includes(status)) {
+    status = isBreach ? ALERT_STATUS.OPEN : ALERT_STATUS.NORMAL;
+    if (isResolved) status = ALERT_STATUS.RESOLVED;
+  }
+
+  // The ESP32 path stored its own clock in `timestamp` and the receive time in `created_at`
+  const detectedAt = toTimestamp(data.detected_at) || toTimestamp(data.created_at) || toTimestamp(data.timestamp);
+
+  return {
+    alert_type: data.alert_type || (isBreach ? 'Boundary Breach' : 'Status Report'),
+    breach_level: isBreach ? (data.breach_level || (distance !== null ? breachLevelFor(distance) : 'High')) : null,
+    breach_distance: distance,
+    is_breach: isBreach,
+    description: data.description || (isBreach ? `Livestock detected ${distance}m from boundary` : 'Device status report'),
+    sensor_id: data.sensor_id || data.deviceId || null,
+    livestock_id: data.livestock_id || null,
+    zone_id: data.zone_id || null,
+    zone_name: data.zone_name || null,
+    farm_id: data.farm_id || null,
+    farmer_id: data.farmer_id || null,
+    source: data.source || (data.deviceId ? ALERT_SOURCE.DEVICE_ALERT : ALERT_SOURCE.SENSOR_READING),
+    status,
+    detected_at: detectedAt,
+    device_timestamp: data.device_timestamp ?? (data.deviceId && data.timestamp && typeof data.timestamp !== 'object' ? data.timestamp : null),
+    assigned_to: data.assigned_to || null,
+    acknowledged_at: toTimestamp(data.acknowledged_at),
+    acknowledged_by: data.acknowledged_by || null,
+    resolved_at: toTimestamp(data.resolved_at) || (isResolved ? detectedAt : null),
+    resolved_by: data.resolved_by || null,
+    resolution_notes: data.resolution_notes || null,
+    time_to_acknowledge_minutes: data.time_to_acknowledge_minutes ?? null,
+    time_to_resolve_minutes: data.time_to_resolve_minutes ?? null,
+    response_time_minutes: data.response_time_minutes ?? null,
+    escalation_level: data.escalation_level || 0,
+    incident_key: data.incident_key || null,
+    occurrence_count: data.occurrence_count || 1,
+    first_seen_at: toTimestamp(data.first_seen_at) || detectedAt,
+    last_seen_at: toTimestamp(data.last_seen_at) || detectedAt,
+    peak_breach_level: data.peak_breach_level || (isBreach ? (data.breach_level || (distance !== null ? breachLevelFor(distance) : 'High')) : null),
+    min_breach_distance: data.min_breach_distance ?? distance,
+    timeline: Array.isArray(data.timeline) ? data.timeline : [],
+    schema_version: ALERT_SCHEMA_VERSION
+  };
+}
+
+const minutesSince = (timestamp, now) => timestamp
+  ? Math.round((now.toMillis() - timestamp.toMillis()) / 60000 * 10) / 10
+  : null;
+
+/**
+ * Why a user cannot be assigned an alert on this farm, or null when they can.
+ * The assignee must own the farm or be a member whose role may respond to alerts.
+ */
+async function assigneeProblem(transaction, farmId, assignee) {
+  if (!farmId) return 'Alert is not linked to a farm';
+
+  const [farmDoc, memberDoc] = await Promise.all([
+    transaction.get(firestore.collection(COLLECTIONS.FARMS).doc(farmId)),
+    transaction.get(firestore.collection(FARM_MEMBERS).doc(memberDocId(farmId, assignee)))
+  ]);
+
+  const role = farmDoc.exists && farmDoc.data().farmer_id === assignee
+    ? 'owner'
+    : (memberDoc.exists ? memberDoc.data().role : null);
+
+  if (!role) return `User ${assignee} is not a member of this farm`;
+
+  if (!hasPermission(role, 'alerts:respond')) {
+    return `User ${assignee} is a ${role} on this farm and cannot respond to alerts`;
+  }
+
+  return null;
+}
+
+/**
+ * Apply a lifecycle action to an alert, recording who did it on the timeline
+ * @param {string} alertId
+ * @param {string} action key of ALERT_TRANSITIONS
+ * @param {{userId: string, note?: string, assignee?: string}} options
+ * @returns {Promise<object>} the updated alert
+ */
+async function transitionAlert(alertId, action, { userId, note = null, assignee = null }) {
+  const transition = ALERT_TRANSITIONS[action];
+  if (!transition) {
+    throw httpError(400, `Unknown alert action: ${action}`);
+  }
+
+  const alertRef = firestore.collection(COLLECTIONS.ALERTS).doc(alertId);
+
+  return firestore.runTransaction(async (transaction) => {
+    const alertDoc = await transaction.get(alertRef);
+
+    if (!alertDoc.exists) {
+      throw httpError(404, 'Alert not found');
+    }
+
+    const alert = alertDoc.data();
+
+    if (!transition.from.includes(alert.status)) {
+      throw httpError(409, `Cannot ${action.replace('_', ' ')} an alert that is ${alert.status}`);
+    }
+
+    if (action === 'assign') {
+      const problem = await assigneeProblem(transaction, alert.farm_id, assignee);
+      if (problem) {
+        throw httpError(422, problem);
+      }
+    }
+
+    const now = Timestamp.now();
+    const toStatus = transition.to || alert.status;
+    const update = {
+      status: toStatus,
+      updated_at: now
+    };
+
+    // Any hands-on action counts as the first response if nobody acknowledged yet
+    const firstResponse = !alert.acknowledged_at && ['acknowledge', 'start', 'resolve', 'false_alarm'].includes(action);
+    if (firstResponse) {
+      update.acknowledged_at = now;
+      update.acknowledged_by = userId;
+      update.time_to_acknowledge_minutes = minutesSince(alert.detected_at, now);
+      update.response_time_minutes = update.time_to_acknowledge_minutes;
+    }
+
+    if (action === 'assign') {
+      update.assigned_to = assignee;
+    }
+
+    if (action === 'start' && !alert.assigned_to) {
+      update.assigned_to = userId;
+    }
+
+    if (action === 'escalate') {
+      const levelIndex = BREACH_LEVELS.indexOf(alert.breach_level);
+      update.escalation_level = (alert.escalation_level || 0) + 1;
+      if (levelIndex >= 0 && levelIndex < BREACH_LEVELS.length - 1) {
+        update.breach_level = BREACH_LEVELS[levelIndex + 1];
+      }
+    }
+
+    if (CLOSED_STATUSES.includes(toStatus)) {
+      update.resolved_at = now;
+      update.resolved_by = userId;
+      update.resolution_notes = note;
+      update.time_to_resolve_minutes = minutesSince(alert.detected_at, now);
+    }
+
+    const entry = {
+      action,
+      from_status: alert.status,
+      to_status: toStatus,
+      by: userId,
+      note,
+      at: now
+    };
+    if (action === 'assign') entry.assigned_to = assignee;
+    if (action === 'escalate') entry.escalation_level = update.escalation_level;
+
+    update.timeline = FieldValue.arrayUnion(entry);
+
+    transaction.update(alertRef, update);
+
+    const { timeline, ...current } = { ...alert, ...update };
+    return {
+      alert_id: alertId,
+      ...current,
+      timeline: [...(alert.timeline || []), entry]
+    };
+  });
+}
+
+/**
+ * Close the open incident for a key once its condition has cleared by itself
+ * (e.g. an offline sensor reporting again)
+ * @returns {Promise<object[]>} the alerts that were resolved
+ */
+async function autoResolveIncident(incidentKey, note) {
+  const snapshot = await firestore
+    .collection(COLLECTIONS.ALERTS)
+    .where('incident_key', '==', incidentKey)
+    .where('status', 'in', OPEN_STATUSES)
+    .get();
+
+  return Promise.all(snapshot.docs.map(doc => firestore.runTransaction(async (transaction) => {
+    const alertDoc = await transaction.get(doc.ref);
+    const alert = alertDoc.data();
+    if (!OPEN_STATUSES.includes(alert.status)) return null;
+
+    const now = Timestamp.now();
+    const update = {
+      status: ALERT_STATUS.RESOLVED,
+      resolved_at: now,
+      resolved_by: 'system',
+      resolution_notes: note,
+      time_to_resolve_minutes: minutesSince(alert.detected_at, now),
+      updated_at: now,
+      timeline: FieldValue.arrayUnion({
+        action: 'auto_resolve',
+        from_status: alert.status,
+        to_status: ALERT_STATUS.RESOLVED,
+        by: 'system',
+        note,
+        at: now
+      })
+    };
+
+    transaction.update(doc.ref, update);
+
+    const { timeline, ...resolved } = update;
+    return { alert_id: doc.id, ...alert, ...resolved };
+  })));
+}
+
+module.exports = {
+  ALERT_SCHEMA_VERSION,
+  ALERT_STATUS,
+  ALERT_SOURCE,
+  OPEN_STATUSES,
+  CLOSED_STATUSES,
+  ALERT_TRANSITIONS,
+  LEGACY_FIELDS,
+  breachLevelFor,
+  resolveAlertContext,
+  createAlert,
+  normalizeAlert,
+  transitionAlert,
+  autoResolveIncident
+};
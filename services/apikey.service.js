@@ -0,0 +1,266 @@
+// services/apikey.service.js
+/**
+ * IoT API keys
+ *
+ * API_Keys documents never hold the key itself:
+ *   farmer_id, name, description
+ *   key_hash            sha256 of the full key
+ *   key_prefix          first characters, shown masked in listings
+ *   farm_id, sensor_id  optional scope (see services/device.service.js)
+ *   expires_at          optional; also set to the end of the grace period on rotation
+ *   is_active, revoked_at, rotated_to, rotated_at
+ *   last_used, usage_count, created_at
+ *
+ * Keys created before hashing stored the plaintext in `api_key`; they still
+ * verify and are upgraded to a hash the first time they are used.
+ */
+
+const crypto = require('crypto');
+const { firestore, FieldValue, Timestamp } = require('../config/firebase.config');
+const { httpError } = require('../middleware/errorHandler');
+
+const COLLECTIONS = {
+  API_KEYS: 'API_Keys',
+  FARMS: 'Farms',
+  SENSOR_UNITS: 'Sensor_Units'
+};
+
+const API_KEY_PREFIX = 'zk_';
+const VISIBLE_PREFIX_LENGTH = 11;
+const DEFAULT_GRACE_MINUTES = 60;
+
+const hashApiKey = (apiKey) => crypto.createHash('sha256').update(apiKey).digest('hex');
+
+const generateApiKey = () => API_KEY_PREFIX + crypto.randomBytes(32).toString('hex');
+
+const maskKey = (prefix) => `${prefix}${'*'.repeat(8)}`;
+
+/**
+ * Check that a requested scope is inside the farmer's own farms
+ * @returns {Promise<string|null>} error message, or null when valid
+ */
+async function validateKeyScope(farmerId, { farm_id, sensor_id }) {
+  if (farm_id) {
+    const farmDoc = await firestore.collection(COLLECTIONS.FARMS).doc(farm_id).get();
+    if (!farmDoc.exists || farmDoc.data().farmer_id !== farmerId) {
+      return 'Farm not found or not owned by you';
+    }
+  }
+
+  if (sensor_id) {
+    const sensorDoc = await firestore.collection(COLLECTIONS.SENSOR_UNITS).doc(sensor_id).get();
+    if (!sensorDoc.exists) {
+      return 'Sensor not found';
+    }
+
+    const sensorFarmId = sensorDoc.data().farm_id;
+    if (farm_id && sensorFarmId !== farm_id) {
+      return 'Sensor does not belong to the given farm';
+    }
+
+    const farmDoc = await firestore.collection(COLLECTIONS.FARMS).doc(sensorFarmId).get();
+    if (!farmDoc.exists || farmDoc.data().farmer_id !== farmerId) {
+      return 'Sensor not found or not owned by you';
+    }
+  }
+
+  return null;
+}
+
+// A fresh key and the record to store for it
+function newKeyRecord(farmerId, { name, description = null, farm_id = null, sensor_id = null, expires_at = null }) {
+  const apiKey = generateApiKey();
+
+  const keyData = {
+    farmer_id: farmerId,
+    name,
+    description,
+    key_hash: hashApiKey(apiKey),
+    key_prefix: apiKey.substring(0, VISIBLE_PREFIX_LENGTH),
+    farm_id,
+    sensor_id,
+    expires_at: expires_at ? Timestamp.fromDate(new Date(expires_at)) : null,
+    created_at: FieldValue.serverTimestamp(),
+    last_used: null,
+    usage_count: 0,
+    is_active: true,
+    revoked_at: null,
+    rotated_to: null,
+    rotated_at: null
+  };
+
+  return { apiKey, keyData };
+}
+
+const createdKeyView = (keyId, apiKey, keyData) => ({
+  api_key_id: keyId,
+  api_key: apiKey,
+  ...formatApiKey({ ...keyData, created_at: Timestamp.now() })
+});
+
+/**
+ * Create and store a new key
+ * @returns {Promise<object>} the stored record plus the plaintext api_key (only ever returned here)
+ */
+async function createApiKey(farmerId, options) {
+  const { apiKey, keyData } = newKeyRecord(farmerId, options);
+  const keyRef = await firestore.collection(COLLECTIONS.API_KEYS).add(keyData);
+
+  return createdKeyView(keyRef.id, apiKey, keyData);
+}
+
+/**
+ * Why a stored key can no longer be used
+ * @returns {string|null}
+ */
+function keyUnusableReason(keyData, now = Date.now()) {
+  if (keyData.is_active === false) return 'API key has been revoked';
+  if (keyData.expires_at && keyData.expires_at.toMillis() <= now) return 'API key has expired';
+  return null;
+}
+
+/**
+ * Look up a presented key, upgrading legacy plaintext records on the way
+ * @returns {Promise<FirebaseFirestore.DocumentSnapshot|null>}
+ */
+async function findApiKey(apiKey) {
+  const keysRef = firestore.collection(COLLECTIONS.API_KEYS);
+  const keyHash = hashApiKey(apiKey);
+
+  const hashed = await keysRef.where('key_hash', '==', keyHash).limit(1).get();
+  if (!hashed.empty) return hashed.docs[0];
+
+  const legacy = await keysRef.where('api_key', '==', apiKey).limit(1).get();
+  if (legacy.empty) return null;
+
+  const legacyDoc = legacy.docs[0];
+  await legacyDoc.ref.update({
+    key_hash: keyHash,
+    key_prefix: apiKey.substring(0, VISIBLE_PREFIX_LENGTH),
+    api_key: FieldValue.delete()
+  });
+
+  return legacyDoc.ref.get();
+}
+
+/**
+ * Record one successful use of a key
+ */
+async function recordApiKeyUse(keyRef) {
+  await keyRef.update({
+    last_used: FieldValue.serverTimestamp(),
+    usage_count: FieldValue.increment(1)
+  });
+}
+
+/**
+ * Listing view of a key: never the key or its hash
+ */
+function formatApiKey(keyData) {
+  const prefix = keyData.key_prefix || (keyData.api_key || '').substring(0, VISIBLE_PREFIX_LENGTH);
+  const unusable = keyUnusableReason(keyData);
+
+  return {
+    name: keyData.name || null,
+    description: keyData.description || null,
+    masked_key: maskKey(prefix),
+    farm_id: keyData.farm_id || null,
+    sensor_id: keyData.sensor_id || null,
+    status: unusable ? (keyData.is_active === false ? 'revoked' : 'expired') : 'active',
+    expires_at: keyData.expires_at || null,
+    last_used: keyData.last_used || null,
+    usage_count: keyData.usage_count || 0,
+    created_at: keyData.created_at || null,
+    revoked_at: keyData.revoked_at || null,
+    rotated_to: keyData.rotated_to || null,
+    rotated_at: keyData.rotated_at || null
+  };
+}
+
+// Expiry of a replacement key: the one asked for, else the old key's lifetime from now
+function replacementExpiry(oldKey, expiresAt, now) {
+  if (expiresAt) return new Date(expiresAt);
+  if (!oldKey.expires_at) return null;
+
+  const lifetimeMs = oldKey.created_at && oldKey.created_at.toMillis
+    ? oldKey.expires_at.toMillis() - oldKey.created_at.toMillis()
+    : 0;
+  return lifetimeMs > 0 ? new Date(now + lifetimeMs) : null;
+}
+
+/**
+ * Replace a key with a fresh one carrying the same name and scope. The old
+ * key keeps working for graceMinutes so devices can be re-flashed. Revoked,
+ * expired and already rotated keys cannot be rotated.
+ * @param {{expires_at?: string|Date}} [options] expiry of the new key; by
+ *   default it gets the same lifetime as the old one, starting now
+ * @returns {Promise<object>} the new key as returned by createApiKey
+ */
+async function rotateApiKey(keyDoc, graceMinutes = DEFAULT_GRACE_MINUTES, { expires_at = null } = {}) {
+  const keysRef = firestore.collection(COLLECTIONS.API_KEYS);
+
+  return firestore.runTransaction(async (transaction) => {
+    const current = await transaction.get(keyDoc.ref);
+    const oldKey = current.data();
+    const now = Date.now();
+
+    if (oldKey.rotated_to) {
+      throw httpError(409, `API key was already rotated to ${oldKey.rotated_to}; rotate that key instead`);
+    }
+    const unusable = keyUnusableReason(oldKey, now);
+    if (unusable) {
+      throw httpError(409, `${unusable}; create a new key instead`);
+    }
+
+    const { apiKey, keyData } = newKeyRecord(oldKey.farmer_id, {
+      name: oldKey.name,
+      description: oldKey.description || null,
+      farm_id: oldKey.farm_id || null,
+      sensor_id: oldKey.sensor_id || null,
+      expires_at: replacementExpiry(oldKey, expires_at, now)
+    });
+    const newKeyRef = keysRef.doc();
+
+    const graceEnd = Timestamp.fromMillis(now + graceMinutes * 60000);
+    const keepsExpiry = oldKey.expires_at && oldKey.expires_at.toMillis() < graceEnd.toMillis();
+
+    transaction.set(newKeyRef, keyData);
+    transaction.update(keyDoc.ref, {
+      expires_at: keepsExpiry ? oldKey.expires_at : graceEnd,
+      is_active: graceMinutes > 0,
+      revoked_at: graceMinutes > 0 ? null : FieldValue.serverTimestamp(),
+      rotated_to: newKeyRef.id,
+      rotated_at: FieldValue.serverTimestamp()
+    });
+
+    return {
+      ...createdKeyView(newKeyRef.id, apiKey, keyData),
+      previous_key_id: keyDoc.id,
+      previous_key_valid_until: graceMinutes > 0 ? (keepsExpiry ? oldKey.expires_at : graceEnd) : null
+    };
+  });
+}
+
+/**
+ * Revoke a key immediately
+ */
+async function revokeApiKey(keyRef) {
+  await keyRef.update({
+    is_active: false,
+    revoked_at: FieldValue.serverTimestamp()
+  });
+}
+
+module.exports = {
+  API_KEY_PREFIX,
+  DEFAULT_GRACE_MINUTES,
+  hashApiKey,
+  validateKeyScope,
+  createApiKey,
+  findApiKey,
+  keyUnusableReason,
+  recordApiKeyUse,
+  formatApiKey,
+  rotateApiKey,
+  revokeApiKey
+};
@@ -0,0 +1,55 @@
+// services/audit.service.js
+/**
+ * Security audit trail
+ *
+ * Audit_Logs documents:
+ *   event       e.g. login.success, login.failure, login.locked, logout
+ *   user_id     when known
+ *   email       the identifier that was presented
+ *   ip, user_agent
+ *   details     event-specific extras
+ *   created_at
+ *
+ * Writing an entry never fails the request that triggered it.
+ */
+
+const { firestore, FieldValue } = require('../config/firebase.config');
+
+const COLLECTIONS = {
+  AUDIT_LOGS: 'Audit_Logs'
+};
+
+/**
+ * Request fields worth keeping on every entry
+ */
+const requestContext = (req) => ({
+  ip: req.ip || null,
+  user_agent: req.get('user-agent') || null
+});
+
+/**
+ * Append one audit entry
+ * @returns {Promise<string|null>} the entry ID, or null when it could not be written
+ */
+async function recordAudit(event, { user_id = null, email = null, ip = null, user_agent = null, details = {} } = {}) {
+  try {
+    const entryRef = await firestore.collection(COLLECTIONS.AUDIT_LOGS).add({
+      event,
+      user_id,
+      email,
+      ip,
+      user_agent,
+      details,
+      created_at: FieldValue.serverTimestamp()
+    });
+    return entryRef.id;
+  } catch (error) {
+    console.error(`Audit log write failed (${event}):`, error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  requestContext,
+  recordAudit
+};
@@ -0,0 +1,247 @@
+// services/battery.service.js
+/**
+ * Sensor battery history, discharge estimates and Battery Low alerts
+ *
+ * Every report is kept as a numeric time series in RTDB:
+ *   battery_history/{sensorId}/{pushId}  { level, timestamp }
+ * and summarised on the Sensor_Units document:
+ *   battery_level         latest level, 0-100 (older documents hold strings like "100%")
+ *   battery_trend         { discharge_rate_per_day, days_remaining, estimated_empty_at, samples, window_hours }
+ *   battery_alert_threshold  lowest threshold already alerted on; cleared when the battery is replaced
+ *
+ * Thresholds come from Sensor_Units.battery_thresholds, else
+ * BATTERY_LOW_THRESHOLDS (e.g. "20,10,5"). Crossing one opens the sensor's
+ * Battery Low alert (or raises its severity) and logs a 'Battery Low' event
+ * to System_Analog. The alert is only resolved once the battery has clearly
+ * been recharged or replaced: a jump of REPLACEMENT_JUMP points in one report,
+ * or a level BATTERY_CLEAR_MARGIN (default 10) points above the highest
+ * threshold. A reading that merely wobbles across the threshold keeps it open.
+ */
+
+const { firestore, realtimeDb, FieldValue, Timestamp } = require('../config/firebase.config');
+const { ALERT_SOURCE, createAlert, autoResolveIncident } = require('./alert.service');
+
+const COLLECTIONS = {
+  SENSOR_UNITS: 'Sensor_Units',
+  SYSTEM_ANALOG: 'System_Analog'
+};
+
+const DEFAULT_THRESHOLDS = [20, 10, 5];
+const DEFAULT_TREND_WINDOW_HOURS = 168;
+// A jump this large means the battery was swapped or recharged
+const REPLACEMENT_JUMP = 20;
+const DEFAULT_CLEAR_MARGIN = 10;
+const DAY_MS = 86400000;
+
+const batteryIncidentKey = (sensorId) => `battery:sensor:${sensorId}`;
+
+/**
+ * Battery level as a number 0-100 from 87, "87", "87%" or "87.5 %"
+ * @returns {number|null}
+ */
+function parseBatteryLevel(value) {
+  if (value === null || value === undefined || value === '') return null;
+
+  const level = typeof value === 'number' ? value : parseFloat(String(value).replace('%', '').trim());
+  if (!Number.isFinite(level) || level < 0 || level > 100) return null;
+
+  return Math.round(level * 10) / 10;
+}
+
+/**
+ * Alert thresholds for a sensor, highest first
+ */
+function thresholdsFor(sensorData = {}) {
+  let thresholds = Array.isArray(sensorData.battery_thresholds) ? sensorData.battery_thresholds : null;
+
+  if (!thresholds && process.env.BATTERY_LOW_THRESHOLDS) {
+    thresholds = process.env.BATTERY_LOW_THRESHOLDS.split(',');
+  }
+
+  const parsed = (thresholds || DEFAULT_THRESHOLDS).map(Number).filter(t => t > 0 && t < 100);
+  return [...new Set(parsed)].sort((a, b) => b - a);
+}
+
+/**
+ * Least-squares discharge rate over the samples since the last battery swap
+ * @param {{level: number, timestamp: number}[]} samples oldest first
+ */
+function estimateTrend(samples, windowHours) {
+  let current = [];
+  samples.forEach(sample => {
+    const previous = current[current.length - 1];
+    if (previous && sample.level - previous.level >= REPLACEMENT_JUMP) current = [];
+    current.push(sample);
+  });
+
+  const latest = current[current.length - 1];
+  const trend = {
+    discharge_rate_per_day: null,
+    days_remaining: null,
+    estimated_empty_at: null,
+    samples: current.length,
+    window_hours: windowHours
+  };
+
+  if (current.length < 2 || latest.timestamp - current[0].timestamp < 3600000) return trend;
+
+  const meanT = current.reduce((sum, s) => sum + s.timestamp, 0) / current.length;
+  const meanL = current.reduce((sum, s) => sum + s.level, 0) / current.length;
+  let numerator = 0;
+  let denominator = 0;
+  current.forEach(s => {
+    numerator += (s.timestamp - meanT) * (s.level - meanL);
+    denominator += (s.timestamp - meanT) ** 2;
+  });
+
+  // Slope is level per ms; report the drain as a positive rate per day
+  const ratePerDay = -(numerator / denominator) * DAY_MS;
+  trend.discharge_rate_per_day = Math.round(ratePerDay * 100) / 100;
+
+  if (ratePerDay > 0) {
+    const days = latest.level / ratePerDay;
+    trend.days_remaining = Math.round(days * 10) / 10;
+    trend.estimated_empty_at = new Date(latest.timestamp + days * DAY_MS).toISOString();
+  }
+
+  return trend;
+}
+
+/**
+ * API view of a sensor's battery state
+ */
+function formatBattery(sensorData = {}) {
+  const trend = sensorData.battery_trend || null;
+  const rate = trend ? trend.discharge_rate_per_day : null;
+
+  return {
+    level: parseBatteryLevel(sensorData.battery_level),
+    direction: rate === null ? 'unknown' : rate > 0.1 ? 'discharging' : rate < -0.1 ? 'charging' : 'stable',
+    discharge_rate_per_day: rate,
+    days_remaining: trend ? trend.days_remaining : null,
+    estimated_empty_at: trend ? trend.estimated_empty_at : null,
+    updated_at: sensorData.battery_updated_at || null
+  };
+}
+
+/**
+ * Battery samples since `from`, oldest first
+ */
+async function getBatteryHistory(sensorId, from, to = Date.now()) {
+  const snapshot = await realtimeDb
+    .ref(`battery_history/${sensorId}`)
+    .orderByChild('timestamp')
+    .startAt(from)
+    .endAt(to)
+    .once('value');
+
+  const samples = [];
+  snapshot.forEach(child => {
+    samples.push({ level: child.val().level, timestamp: child.val().timestamp });
+  });
+  return samples;
+}
+
+async function logBatteryEvent(sensorId, sensorData, level, threshold) {
+  try {
+    await firestore.collection(COLLECTIONS.SYSTEM_ANALOG).add({
+      sensor_id: sensorId,
+      farm_id: sensorData.farm_id || null,
+      event_type: 'Battery Low',
+      description: `Battery level dropped below ${threshold}%`,
+      battery_level: level,
+      threshold,
+      timestamp: FieldValue.serverTimestamp()
+    });
+  } catch (error) {
+    console.error('❌ Failed to log battery event:', error);
+  }
+}
+
+/**
+ * Whether a report shows the battery was recharged or replaced, so an open
+ * Battery Low alert can be cleared
+ * @param {number|null} previousLevel the level reported before this one
+ */
+function batteryRecovered(previousLevel, level, thresholds) {
+  if (thresholds.length === 0 || level <= thresholds[0]) return false;
+
+  if (previousLevel !== null && level - previousLevel >= REPLACEMENT_JUMP) return true;
+
+  const margin = parseFloat(process.env.BATTERY_CLEAR_MARGIN);
+  const clearAt = Math.min(100, thresholds[0] + (Number.isFinite(margin) && margin >= 0 ? margin : DEFAULT_CLEAR_MARGIN));
+  return level >= clearAt;
+}
+
+/**
+ * Store one battery report, refresh the trend and alert on threshold crossings
+ * @returns {Promise<{level: number, trend: object, alerted_threshold: number|null}>}
+ */
+async function recordBatteryLevel(sensorId, sensorData, level, timestamp = Date.now()) {
+  await realtimeDb.ref(`battery_history/${sensorId}`).push({ level, timestamp });
+
+  const windowHours = Number(process.env.BATTERY_TREND_WINDOW_HOURS) || DEFAULT_TREND_WINDOW_HOURS;
+  const samples = await getBatteryHistory(sensorId, timestamp - windowHours * 3600000, timestamp);
+  const trend = estimateTrend(samples, windowHours);
+
+  const thresholds = thresholdsFor(sensorData);
+  const alerted = sensorData.battery_alert_threshold ?? null;
+  const crossed = thresholds.filter(threshold => level <= threshold);
+  const lowest = crossed.length > 0 ? crossed[crossed.length - 1] : null;
+
+  const update = {
+    battery_level: level,
+    battery_trend: trend,
+    battery_updated_at: Timestamp.fromMillis(timestamp)
+  };
+
+  let alertedThreshold = null;
+
+  if (lowest !== null && (alerted === null || lowest < alerted)) {
+    update.battery_alert_threshold = lowest;
+    alertedThreshold = lowest;
+  } else if (alerted !== null && batteryRecovered(parseBatteryLevel(sensorData.battery_level), level, thresholds)) {
+    update.battery_alert_threshold = null;
+  }
+
+  await firestore.collection(COLLECTIONS.SENSOR_UNITS).doc(sensorId).update(update);
+  await realtimeDb.ref(`sensor_status/${sensorId}`).update({ battery_level: level });
+
+  if (alertedThreshold !== null) {
+    // The lowest configured threshold is critical, the one above it high
+    const rank = thresholds.indexOf(alertedThreshold);
+    const breachLevel = rank === thresholds.length - 1 ? 'Critical' : rank === thresholds.length - 2 ? 'High' : 'Warning';
+
+    await logBatteryEvent(sensorId, sensorData, level, alertedThreshold);
+
+    await createAlert({
+      alert_type: 'Battery Low',
+      is_breach: false,
+      incident_key: batteryIncidentKey(sensorId),
+      breach_level: breachLevel,
+      sensor_id: sensorId,
+      zone_id: sensorData.zone_id,
+      farm_id: sensorData.farm_id,
+      location_description: sensorData.location_description,
+      description: `Sensor ${sensorData.device_id || sensorId} battery at ${level}% (below ${alertedThreshold}%)` +
+        (trend.days_remaining !== null ? `, about ${trend.days_remaining} days remaining` : ''),
+      device_timestamp: timestamp,
+      source: ALERT_SOURCE.SENSOR_READING
+    });
+  } else if (update.battery_alert_threshold === null) {
+    await autoResolveIncident(batteryIncidentKey(sensorId), `Battery back at ${level}%`);
+  }
+
+  return { level, trend, alerted_threshold: alertedThreshold };
+}
+
+module.exports = {
+  DEFAULT_THRESHOLDS,
+  parseBatteryLevel,
+  thresholdsFor,
+  batteryRecovered,
+  estimateTrend,
+  formatBattery,
+  getBatteryHistory,
+  recordBatteryLevel
+};
@@ -0,0 +1,414 @@
+// services/boundary.service.js
+/**
+ * Import/export of farm boundaries and Boundary_Zones as GeoJSON
+ *
+ * Feature roles are carried in properties.feature_type:
+ *   farm           - Point, the farm location GeoPoint (export only)
+ *   farm_boundary  - Polygon, the outer boundary of the farm
+ *   zone           - Polygon, a Boundary_Zones document (default for polygons)
+ *   sensor         - Point, a Sensor_Units position (export only)
+ *
+ * A zone drawn as a MultiPolygon (e.g. a KML MultiGeometry) is imported as one
+ * zone per part, named "<name> (1)", "<name> (2)", ... A farm_boundary must be
+ * a single Polygon.
+ */
+
+const { firestore, FieldValue } = require('../config/firebase.config');
+const {
+  DEFAULT_EDGE_BUFFER_METERS,
+  validatePolygon,
+  parseZoneBoundary,
+  serializeBoundary
+} = require('./geofence.service');
+
+const COLLECTIONS = {
+  BOUNDARY_ZONES: 'Boundary_Zones',
+  FARMS: 'Farms',
+  LIVESTOCK: 'Livestock',
+  SENSOR_UNITS: 'Sensor_Units'
+};
+
+// Writes per batch, under Firestore's 500 limit with room for the farm update
+const BATCH_SIZE = 400;
+
+const ZONE_TYPES = ['safe', 'danger', 'restricted'];
+const DEFAULT_MAX_DISTANCE_THRESHOLD = 50;
+const EXPORT_ONLY_TYPES = ['farm', 'sensor'];
+
+const toNumber = (value, fallback) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : fallback;
+};
+
+/**
+ * Turn imported feature properties into Boundary_Zones fields
+ */
+function zoneFieldsFromFeature(feature, existing = {}) {
+  const props = feature.properties || {};
+
+  return {
+    zone_name: String(props.zone_name || props.name).trim(),
+    zone_type: ZONE_TYPES.includes(props.zone_type) ? props.zone_type : (existing.zone_type || 'safe'),
+    max_distance_threshold: toNumber(
+      props.max_distance_threshold,
+      existing.max_distance_threshold ?? DEFAULT_MAX_DISTANCE_THRESHOLD
+    ),
+    edge_buffer_meters: toNumber(
+      props.edge_buffer_meters,
+      existing.edge_buffer_meters ?? DEFAULT_EDGE_BUFFER_METERS
+    ),
+    description: props.description ?? existing.description ?? null,
+    boundary_geojson: serializeBoundary(feature.geometry)
+  };
+}
+
+/**
+ * Split MultiPolygon zone features into one Polygon feature per part
+ * @returns {Array<{index: number, feature: object}>} index is the feature's position in the import
+ */
+function expandFeatures(features) {
+  const expanded = [];
+
+  features.forEach((feature, index) => {
+    const props = (feature && feature.properties) || {};
+    const geometry = feature && feature.geometry;
+    const isZone = (props.feature_type || 'zone') === 'zone';
+
+    if (!isZone || !geometry || geometry.type !== 'MultiPolygon' || !Array.isArray(geometry.coordinates) || geometry.coordinates.length === 0) {
+      expanded.push({ index, feature });
+      return;
+    }
+
+    const name = props.zone_name || props.name;
+    const parts = geometry.coordinates;
+
+    parts.forEach((coordinates, i) => {
+      // A matched zone_id would make every part update the same zone, so parts match by name
+      const { zone_id, ...partProps } = props;
+      expanded.push({
+        index,
+        feature: {
+          ...feature,
+          geometry: { type: 'Polygon', coordinates },
+          properties: parts.length > 1
+            ? { ...partProps, zone_name: name ? `${String(name).trim()} (${i + 1})` : name }
+            : props
+        }
+      });
+    });
+  });
+
+  return expanded;
+}
+
+/**
+ * Compare an import against the farm's current zones without writing anything
+ * @returns {Promise<object>} plan with create/update/unchanged/skipped/invalid lists
+ */
+async function planBoundaryImport(farmDoc, featureCollection) {
+  const plan = {
+    farm_boundary: null,
+    create: [],
+    update: [],
+    unchanged: [],
+    skipped: [],
+    invalid: []
+  };
+
+  if (!featureCollection || featureCollection.type !== 'FeatureCollection' || !Array.isArray(featureCollection.features)) {
+    plan.invalid.push({ index: null, error: 'Input must be a GeoJSON FeatureCollection' });
+    return plan;
+  }
+
+  const zonesSnapshot = await firestore
+    .collection(COLLECTIONS.BOUNDARY_ZONES)
+    .where('farm_id', '==', farmDoc.id)
+    .get();
+
+  const zonesById = new Map();
+  const zonesByName = new Map();
+  zonesSnapshot.forEach(doc => {
+    zonesById.set(doc.id, doc);
+    zonesByName.set(doc.data().zone_name, doc);
+  });
+
+  const seenNames = new Set();
+
+  // Parts of a split MultiPolygon share the feature's index and differ by name
+  expandFeatures(featureCollection.features).forEach(({ index, feature }) => {
+    const props = (feature && feature.properties) || {};
+    const featureType = props.feature_type || 'zone';
+    const name = props.zone_name || props.name;
+
+    if (!feature || feature.type !== 'Feature') {
+      plan.invalid.push({ index, name, error: 'Item is not a GeoJSON Feature' });
+      return;
+    }
+
+    if (EXPORT_ONLY_TYPES.includes(featureType)) {
+      plan.skipped.push({ index, name, reason: `${featureType} features are export only` });
+      return;
+    }
+
+    if (feature.geometry && feature.geometry.type === 'Point') {
+      plan.skipped.push({ index, name, reason: 'Point geometry cannot define a boundary' });
+      return;
+    }
+
+    if (featureType === 'farm_boundary' && feature.geometry && feature.geometry.type === 'MultiPolygon') {
+      plan.invalid.push({ index, name, error: 'farm_boundary must be a single Polygon, not a MultiPolygon' });
+      return;
+    }
+
+    const geometryError = validatePolygon(feature.geometry);
+    if (geometryError) {
+      plan.invalid.push({ index, name, error: geometryError });
+      return;
+    }
+
+    if (featureType === 'farm_boundary') {
+      if (plan.farm_boundary) {
+        plan.invalid.push({ index, name, error: 'Only one farm_boundary feature is allowed' });
+        return;
+      }
+      const boundary_geojson = serializeBoundary(feature.geometry);
+      plan.farm_boundary = {
+        index,
+        changed: boundary_geojson !== (farmDoc.data().boundary_geojson || null),
+        boundary_geojson
+      };
+      return;
+    }
+
+    if (featureType !== 'zone') {
+      plan.invalid.push({ index, name, error: `Unknown feature_type: ${featureType}` });
+      return;
+    }
+
+    if (!name || !String(name).trim()) {
+      plan.invalid.push({ index, error: 'Zone features need a name or zone_name property' });
+      return;
+    }
+
+    const zoneName = String(name).trim();
+    if (seenNames.has(zoneName)) {
+      plan.invalid.push({ index, name: zoneName, error: 'Duplicate zone name in import' });
+      return;
+    }
+    seenNames.add(zoneName);
+
+    const existingDoc = (props.zone_id && zonesById.get(props.zone_id)) || zonesByName.get(zoneName);
+
+    if (!existingDoc) {
+      plan.create.push({ index, zone_name: zoneName, fields: zoneFieldsFromFeature(feature) });
+      return;
+    }
+
+    const takenBy = zonesByName.get(zoneName);
+    if (takenBy && takenBy.id !== existingDoc.id) {
+      plan.invalid.push({ index, name: zoneName, error: 'A zone with this name already exists on the farm' });
+      return;
+    }
+
+    const existing = existingDoc.data();
+    const fields = zoneFieldsFromFeature(feature, existing);
+    const changes = Object.keys(fields).filter(field => fields[field] !== (existing[field] ?? null));
+
+    if (changes.length === 0) {
+      plan.unchanged.push({ index, zone_id: existingDoc.id, zone_name: zoneName });
+      return;
+    }
+
+    plan.update.push({
+      index,
+      zone_id: existingDoc.id,
+      zone_name: zoneName,
+      changes: changes.map(field => field === 'boundary_geojson' ? 'boundary' : field),
+      renamed: fields.zone_name !== existing.zone_name,
+      fields
+    });
+  });
+
+  return plan;
+}
+
+/**
+ * Write a previously computed plan, keeping Farms.zones_count in step
+ *
+ * Writes go out in batches of BATCH_SIZE; each batch carries the zones_count
+ * increment for the zones it creates, so a failure part way leaves the count right.
+ */
+async function applyBoundaryImport(farmDoc, plan) {
+  const zones = firestore.collection(COLLECTIONS.BOUNDARY_ZONES);
+  const writes = [];
+  const created = [];
+
+  plan.create.forEach(item => {
+    const zoneRef = zones.doc();
+    writes.push({
+      ref: zoneRef,
+      create: true,
+      data: {
+        farm_id: farmDoc.id,
+        farmer_id: farmDoc.data().farmer_id,
+        ...item.fields,
+        boundary_coordinates: null,
+        current_livestock_count: 0,
+        is_active: true,
+        created_at: FieldValue.serverTimestamp(),
+        updated_at: FieldValue.serverTimestamp()
+      }
+    });
+    created.push({ zone_id: zoneRef.id, zone_name: item.zone_name });
+  });
+
+  for (const item of plan.update) {
+    writes.push({
+      ref: zones.doc(item.zone_id),
+      data: { ...item.fields, updated_at: FieldValue.serverTimestamp() }
+    });
+
+    // Keep the denormalized zone_name on livestock in sync, as PUT /api/zones/:zoneId does
+    if (item.renamed) {
+      const livestockSnapshot = await firestore
+        .collection(COLLECTIONS.LIVESTOCK)
+        .where('zone_id', '==', item.zone_id)
+        .get();
+
+      livestockSnapshot.forEach(doc => {
+        writes.push({ ref: doc.ref, data: { zone_name: item.fields.zone_name } });
+      });
+    }
+  }
+
+  const boundaryChanged = plan.farm_boundary && plan.farm_boundary.changed;
+  const chunkCount = Math.max(1, Math.ceil(writes.length / BATCH_SIZE));
+
+  for (let chunk = 0; chunk < chunkCount; chunk++) {
+    const batch = firestore.batch();
+    const chunkWrites = writes.slice(chunk * BATCH_SIZE, (chunk + 1) * BATCH_SIZE);
+
+    chunkWrites.forEach(write => {
+      if (write.create) {
+        batch.set(write.ref, write.data);
+      } else {
+        batch.update(write.ref, write.data);
+      }
+    });
+
+    const farmUpdate = {};
+    const createdInChunk = chunkWrites.filter(write => write.create).length;
+    if (createdInChunk > 0) {
+      farmUpdate.zones_count = FieldValue.increment(createdInChunk);
+    }
+    if (boundaryChanged && chunk === chunkCount - 1) {
+      farmUpdate.boundary_geojson = plan.farm_boundary.boundary_geojson;
+      farmUpdate.updated_at = FieldValue.serverTimestamp();
+    }
+    if (Object.keys(farmUpdate).length > 0) {
+      batch.update(farmDoc.ref, farmUpdate);
+    }
+
+    if (chunkWrites.length > 0 || Object.keys(farmUpdate).length > 0) {
+      await batch.commit();
+    }
+  }
+
+  return created;
+}
+
+const pointFeature = (geoPoint, properties) => ({
+  type: 'Feature',
+  geometry: {
+    type: 'Point',
+    coordinates: [geoPoint.longitude, geoPoint.latitude]
+  },
+  properties
+});
+
+/**
+ * Farm location, farm boundary, zones and sensor positions as one FeatureCollection
+ */
+async function buildFarmFeatureCollection(farmDoc) {
+  const farmData = farmDoc.data();
+  const features = [];
+
+  const location = farmData.location || {};
+  if (location.coordinates && Number.isFinite(location.coordinates.latitude)) {
+    features.push(pointFeature(location.coordinates, {
+      feature_type: 'farm',
+      farm_id: farmDoc.id,
+      farm_name: farmData.farm_name,
+      address: location.address || null
+    }));
+  }
+
+  const farmBoundary = parseZoneBoundary(farmData);
+  if (farmBoundary) {
+    features.push({
+      type: 'Feature',
+      geometry: farmBoundary,
+      properties: {
+        feature_type: 'farm_boundary',
+        farm_id: farmDoc.id,
+        name: farmData.farm_name
+      }
+    });
+  }
+
+  const [zonesSnapshot, sensorsSnapshot] = await Promise.all([
+    firestore.collection(COLLECTIONS.BOUNDARY_ZONES).where('farm_id', '==', farmDoc.id).get(),
+    firestore.collection(COLLECTIONS.SENSOR_UNITS).where('farm_id', '==', farmDoc.id).get()
+  ]);
+
+  zonesSnapshot.forEach(doc => {
+    const zone = doc.data();
+    const properties = {
+      feature_type: 'zone',
+      zone_id: doc.id,
+      name: zone.zone_name,
+      zone_type: zone.zone_type || 'safe',
+      max_distance_threshold: zone.max_distance_threshold ?? null,
+      edge_buffer_meters: zone.edge_buffer_meters ?? null,
+      is_active: zone.is_active !== false,
+      description: zone.description || null
+    };
+
+    const boundary = parseZoneBoundary(zone);
+    if (boundary) {
+      features.push({ type: 'Feature', geometry: boundary, properties });
+      return;
+    }
+
+    // Legacy zones only have a "lat,lng" reference point
+    const [latitude, longitude] = String(zone.boundary_coordinates || '').split(',').map(parseFloat);
+    if (Number.isFinite(latitude) && Number.isFinite(longitude)) {
+      features.push(pointFeature({ latitude, longitude }, properties));
+    }
+  });
+
+  sensorsSnapshot.forEach(doc => {
+    const sensor = doc.data();
+    if (!sensor.coordinates || !Number.isFinite(sensor.coordinates.latitude)) return;
+
+    features.push(pointFeature(sensor.coordinates, {
+      feature_type: 'sensor',
+      sensor_id: doc.id,
+      device_id: sensor.device_id || null,
+      sensor_type: sensor.sensor_type || null,
+      zone_id: sensor.zone_id || null,
+      location_description: sensor.location_description || null
+    }));
+  });
+
+  return {
+    type: 'FeatureCollection',
+    features
+  };
+}
+
+module.exports = {
+  planBoundaryImport,
+  applyBoundaryImport,
+  buildFarmFeatureCollection
+};
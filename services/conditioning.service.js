@@ -0,0 +1,265 @@
+// services/conditioning.service.js
+/**
+ * Signal conditioning for distance readings, applied before a reading's
+ * status is decided
+ *
+ * Settings (Sensor_Units.signal_conditioning overrides SIGNAL_CONDITIONING
+ * JSON per sensor type, which overrides DEFAULT_CONDITIONING):
+ *   filter             'median' | 'moving_average' | 'none'
+ *   window             samples the filter looks at
+ *   confirm_samples    N of the last confirm_window samples must agree
+ *   confirm_window     M, before the status flips (N-of-M)
+ *   hysteresis_meters  an alert is entered below the outermost threshold band
+ *                      and only left at that distance plus this margin
+ *   max_jump_meters    a raw value this far from the previous one is an outlier
+ *                      and ignored; null disables outlier rejection
+ *   max_outliers       after this many outliers in a row the next jump is
+ *                      accepted as a real change
+ *
+ * Filter state per sensor lives in RTDB:
+ *   sensor_conditioning/{sensorId}  { samples, votes, state, breach_level, last_raw, last_timestamp, outliers }
+ */
+
+const { realtimeDb } = require('../config/firebase.config');
+const { httpError } = require('../middleware/errorHandler');
+const { classifyDistance, outermostBand } = require('./threshold.service');
+
+const FILTERS = ['median', 'moving_average', 'none'];
+
+const DEFAULT_CONDITIONING = {
+  LIDAR: {
+    filter: 'median',
+    window: 3,
+    confirm_samples: 2,
+    confirm_window: 3,
+    hysteresis_meters: 2,
+    max_jump_meters: null,
+    max_outliers: 3
+  },
+  ULTRASONIC: {
+    filter: 'median',
+    window: 5,
+    confirm_samples: 3,
+    confirm_window: 5,
+    hysteresis_meters: 5,
+    max_jump_meters: 30,
+    max_outliers: 3
+  }
+};
+
+// Unknown sensor types get the raw signal, as before conditioning existed
+const PASSTHROUGH = {
+  filter: 'none',
+  window: 1,
+  confirm_samples: 1,
+  confirm_window: 1,
+  hysteresis_meters: 0,
+  max_jump_meters: null,
+  max_outliers: 3
+};
+
+const INTEGER_FIELDS = ['window', 'confirm_samples', 'confirm_window', 'max_outliers'];
+const DISTANCE_FIELDS = ['hysteresis_meters', 'max_jump_meters'];
+
+/**
+ * Validate a signal_conditioning object from a request body
+ * @returns {object} the settings that were given
+ */
+function parseConditioning(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw httpError(400, 'signal_conditioning must be an object');
+  }
+
+  const known = ['filter', ...INTEGER_FIELDS, ...DISTANCE_FIELDS];
+  const unknown = Object.keys(input).filter(key => !known.includes(key));
+  if (unknown.length > 0) {
+    throw httpError(400, `Unknown signal conditioning setting(s): ${unknown.join(', ')}`);
+  }
+
+  const settings = {};
+
+  if (input.filter !== undefined) {
+    if (!FILTERS.includes(input.filter)) {
+      throw httpError(400, `filter must be one of: ${FILTERS.join(', ')}`);
+    }
+    settings.filter = input.filter;
+  }
+
+  INTEGER_FIELDS.forEach(field => {
+    if (input[field] === undefined) return;
+    const value = Number(input[field]);
+    if (!Number.isInteger(value) || value < 1 || value > 50) {
+      throw httpError(400, `${field} must be a whole number from 1 to 50`);
+    }
+    settings[field] = value;
+  });
+
+  DISTANCE_FIELDS.forEach(field => {
+    if (input[field] === undefined) return;
+    const value = input[field] === null ? null : parseFloat(input[field]);
+    if (value !== null && (!Number.isFinite(value) || value < 0)) {
+      throw httpError(400, `${field} must be a distance in meters${field === 'max_jump_meters' ? ' or null' : ''}`);
+    }
+    if (value === null && field === 'hysteresis_meters') {
+      throw httpError(400, 'hysteresis_meters must be a distance in meters');
+    }
+    settings[field] = value;
+  });
+
+  if (settings.confirm_samples !== undefined && settings.confirm_window !== undefined &&
+    settings.confirm_samples > settings.confirm_window) {
+    throw httpError(400, 'confirm_samples cannot exceed confirm_window');
+  }
+
+  return settings;
+}
+
+function typeSettings() {
+  try {
+    return { ...DEFAULT_CONDITIONING, ...JSON.parse(process.env.SIGNAL_CONDITIONING || '{}') };
+  } catch (error) {
+    console.error('❌ SIGNAL_CONDITIONING is not valid JSON; using defaults');
+    return DEFAULT_CONDITIONING;
+  }
+}
+
+/**
+ * Effective conditioning settings for a sensor
+ */
+function conditioningFor(sensorData = {}) {
+  const type = String(sensorData.sensor_type || '').toUpperCase();
+  const settings = {
+    ...PASSTHROUGH,
+    ...(typeSettings()[type] || {}),
+    ...(sensorData.signal_conditioning || {})
+  };
+
+  // A misconfigured rule must not make the status impossible to change
+  settings.confirm_samples = Math.min(settings.confirm_samples, settings.confirm_window);
+  return settings;
+}
+
+function applyFilter(filter, samples) {
+  if (filter === 'median') {
+    const sorted = [...samples].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  }
+
+  if (filter === 'moving_average') {
+    return samples.reduce((sum, value) => sum + value, 0) / samples.length;
+  }
+
+  return samples[samples.length - 1];
+}
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Run one reading through the filter, updating `state` in place
+ * @returns {{distance_filtered: number|null, status: string, breach_level: string|null, outlier: boolean}}
+ */
+function conditionSample(state, reading, bands, settings) {
+  const raw = reading.distance_measured;
+
+  const isOutlier = settings.max_jump_meters !== null &&
+    state.last_raw !== null &&
+    Math.abs(raw - state.last_raw) > settings.max_jump_meters &&
+    state.outliers < settings.max_outliers;
+
+  state.last_timestamp = reading.timestamp;
+
+  if (isOutlier) {
+    state.outliers += 1;
+    return { distance_filtered: null, status: state.state, breach_level: state.breach_level, outlier: true };
+  }
+
+  // A jump that kept coming back is a real change; start the filter over from it
+  if (state.outliers > 0 && state.last_raw !== null && Math.abs(raw - state.last_raw) > (settings.max_jump_meters ?? Infinity)) {
+    state.samples = [];
+    state.votes = [];
+  }
+
+  state.outliers = 0;
+  state.last_raw = raw;
+  state.samples = [...state.samples, raw].slice(-settings.window);
+
+  const filtered = round(applyFilter(settings.filter, state.samples));
+  const enter = outermostBand(bands);
+
+  if (enter === null) {
+    state.state = 'normal';
+    state.breach_level = null;
+    state.votes = [];
+  } else {
+    const vote = state.state === 'alert'
+      ? filtered >= enter + settings.hysteresis_meters
+      : filtered < enter;
+    state.votes = [...state.votes, vote].slice(-settings.confirm_window);
+
+    if (state.votes.filter(Boolean).length >= settings.confirm_samples) {
+      state.state = state.state === 'alert' ? 'normal' : 'alert';
+      state.votes = [];
+    }
+
+    // Inside the hysteresis margin the alert keeps the level it had
+    state.breach_level = state.state === 'alert'
+      ? classifyDistance(filtered, bands) || state.breach_level || 'Warning'
+      : null;
+  }
+
+  return { distance_filtered: filtered, status: state.state, breach_level: state.breach_level, outlier: false };
+}
+
+const emptyState = () => ({
+  samples: [],
+  votes: [],
+  state: 'normal',
+  breach_level: null,
+  last_raw: null,
+  last_timestamp: null,
+  outliers: 0
+});
+
+/**
+ * Condition one sensor's readings (oldest first) and set distance_filtered,
+ * status, breach_level and outlier on each. Readings older than the last one
+ * conditioned keep their raw classification and are marked late.
+ * @param {object[]} readings evaluated readings of this sensor, each with its bands
+ */
+async function conditionReadings(sensorId, sensorData, readings) {
+  const settings = conditioningFor(sensorData);
+  let results = [];
+
+  await realtimeDb.ref(`sensor_conditioning/${sensorId}`).transaction((stored) => {
+    const state = { ...emptyState(), ...(stored || {}) };
+    state.samples = state.samples || [];
+    state.votes = state.votes || [];
+
+    results = readings.map(reading => {
+      if (state.last_timestamp !== null && reading.timestamp < state.last_timestamp) {
+        return {
+          distance_filtered: null,
+          status: reading.raw_status,
+          breach_level: reading.raw_breach_level,
+          outlier: false,
+          late: true
+        };
+      }
+      return conditionSample(state, reading, reading.thresholds, settings);
+    });
+
+    return state;
+  });
+
+  readings.forEach((reading, index) => Object.assign(reading, results[index]));
+}
+
+module.exports = {
+  FILTERS,
+  DEFAULT_CONDITIONING,
+  parseConditioning,
+  conditioningFor,
+  conditionSample,
+  conditionReadings
+};
@@ -0,0 +1,336 @@
+// services/deletion.service.js
+/**
+ * Cascading deletion of farms and farmer accounts
+ *
+ * Deletion is soft first: DELETE /api/farms/:farmId and DELETE /api/auth/account
+ * only mark the farm or farmer with deleted_at / deletion_job_id and queue a
+ * job that runs after the grace period (FARM_DELETION_GRACE_HOURS, default 24;
+ * ACCOUNT_DELETION_GRACE_HOURS, default 168). Asking again while that job is
+ * pending is refused with a 409, so there is only ever one job to cancel.
+ * An account deletion also marks every owned farm not already pending its own
+ * deletion, so those farms stop taking device data and lose member access for
+ * the grace period; the owner can still sign in to cancel.
+ * Cancelling the job during the grace period restores everything; once it
+ * runs, everything below the farm or farmer is removed:
+ *
+ *   farm     Boundary_Zones, Sensor_Units (+ RTDB sensor_status, sensor_uptime,
+ *            battery_history, sensor_conditioning, lorawan_sessions, sensor_readings,
+ *            sensor_rollups, Device_Secrets, LoRaWAN_Devices),
+ *            Livestock, Alerts, Farm_Members, Farm_Invitations,
+ *            Escalation_Policies, farm-scoped API_Keys and Notifications
+ *   account  every owned farm as above, API_Keys, Notifications,
+ *            memberships on other farms, Jobs and their export archives,
+ *            the Farmers document and the auth user
+ */
+
+const { admin, firestore, realtimeDb, FieldValue, Timestamp } = require('../config/firebase.config');
+const { httpError } = require('../middleware/errorHandler');
+const { FARM_MEMBERS } = require('./access.service');
+const { registerJobHandler, queueJob, getLiveJob } = require('./job.service');
+const { removeIdentity } = require('./identity.service');
+const { RESOLUTIONS, readingDateKeys } = require('./rollup.service');
+const { removeExport } = require('./export.service');
+
+const COLLECTIONS = {
+  FARMS: 'Farms',
+  FARMERS: 'Farmers',
+  BOUNDARY_ZONES: 'Boundary_Zones',
+  SENSOR_UNITS: 'Sensor_Units',
+  LIVESTOCK: 'Livestock',
+  ALERTS: 'Alerts',
+  API_KEYS: 'API_Keys',
+  NOTIFICATIONS: 'Notifications',
+  INVITATIONS: 'Farm_Invitations',
+  ESCALATION_POLICIES: 'Escalation_Policies',
+  DEVICE_SECRETS: 'Device_Secrets',
+  LORAWAN_DEVICES: 'LoRaWAN_Devices',
+  JOBS: 'Jobs'
+};
+
+const DEFAULT_FARM_GRACE_HOURS = 24;
+const DEFAULT_ACCOUNT_GRACE_HOURS = 168;
+
+// Firestore batches take up to 500 writes
+const BATCH_SIZE = 400;
+// Paths per RTDB multi-path update
+const RTDB_CHUNK_SIZE = 500;
+
+const graceMs = (name, fallback) => (Number(process.env[name]) || fallback) * 3600000;
+
+/**
+ * Delete every document a query matches, in batches
+ * @returns {Promise<number>} documents deleted
+ */
+async function deleteQuery(query) {
+  let deleted = 0;
+
+  for (;;) {
+    const snapshot = await query.limit(BATCH_SIZE).get();
+    if (snapshot.empty) return deleted;
+
+    const batch = firestore.batch();
+    snapshot.forEach(doc => batch.delete(doc.ref));
+    await batch.commit();
+
+    deleted += snapshot.size;
+  }
+}
+
+/**
+ * Remove the realtime data of the given sensors
+ * @returns {Promise<number>} paths cleared
+ */
+async function deleteSensorRealtimeData(sensorIds) {
+  if (sensorIds.length === 0) return 0;
+
+  const dateKeys = await readingDateKeys();
+  const paths = [];
+
+  sensorIds.forEach(sensorId => {
+    paths.push(
+      `sensor_status/${sensorId}`,
+      `sensor_uptime/${sensorId}`,
+      `battery_history/${sensorId}`,
+      `sensor_conditioning/${sensorId}`,
+      `lorawan_sessions/${sensorId}`,
+      ...Object.keys(RESOLUTIONS).map(resolution => `sensor_rollups/${resolution}/${sensorId}`)
+    );
+    dateKeys.forEach(dateKey => paths.push(`sensor_readings/${dateKey}/${sensorId}`));
+  });
+
+  for (let i = 0; i < paths.length; i += RTDB_CHUNK_SIZE) {
+    const updates = {};
+    paths.slice(i, i + RTDB_CHUNK_SIZE).forEach(path => { updates[path] = null; });
+    await realtimeDb.ref().update(updates);
+  }
+
+  return paths.length;
+}
+
+/**
+ * Remove a farm and everything that hangs off it
+ * @param {function} [reportProgress] (step, done, total) from the job runner
+ * @returns {Promise<object>} documents deleted per collection
+ */
+async function deleteFarmCascade(farmId, reportProgress = async () => {}) {
+  const deleted = {};
+  const byFarm = (collection, field = 'farm_id') => firestore.collection(collection).where(field, '==', farmId);
+
+  const sensorsSnapshot = await byFarm(COLLECTIONS.SENSOR_UNITS).get();
+  const sensorIds = sensorsSnapshot.docs.map(doc => doc.id);
+
+  const steps = [
+    ['sensor_realtime_paths', () => deleteSensorRealtimeData(sensorIds)],
+    [COLLECTIONS.SENSOR_UNITS, () => deleteQuery(byFarm(COLLECTIONS.SENSOR_UNITS))],
+    [COLLECTIONS.DEVICE_SECRETS, () => deleteQuery(byFarm(COLLECTIONS.DEVICE_SECRETS))],
+    [COLLECTIONS.LORAWAN_DEVICES, () => deleteQuery(byFarm(COLLECTIONS.LORAWAN_DEVICES))],
+    [COLLECTIONS.BOUNDARY_ZONES, () => deleteQuery(byFarm(COLLECTIONS.BOUNDARY_ZONES))],
+    [COLLECTIONS.LIVESTOCK, () => deleteQuery(byFarm(COLLECTIONS.LIVESTOCK))],
+    [COLLECTIONS.ALERTS, () => deleteQuery(byFarm(COLLECTIONS.ALERTS))],
+    [COLLECTIONS.API_KEYS, () => deleteQuery(byFarm(COLLECTIONS.API_KEYS))],
+    [COLLECTIONS.NOTIFICATIONS, () => deleteQuery(byFarm(COLLECTIONS.NOTIFICATIONS, 'farmId'))],
+    [FARM_MEMBERS, () => deleteQuery(byFarm(FARM_MEMBERS))],
+    [COLLECTIONS.INVITATIONS, () => deleteQuery(byFarm(COLLECTIONS.INVITATIONS))],
+    [COLLECTIONS.ESCALATION_POLICIES, async () => {
+      await firestore.collection(COLLECTIONS.ESCALATION_POLICIES).doc(farmId).delete();
+      return 1;
+    }]
+  ];
+
+  for (const [index, [name, step]] of steps.entries()) {
+    await reportProgress(`farm ${farmId}: ${name}`, index, steps.length + 1);
+    deleted[name] = await step();
+  }
+
+  const farmRef = firestore.collection(COLLECTIONS.FARMS).doc(farmId);
+  const farmDoc = await farmRef.get();
+
+  if (farmDoc.exists) {
+    await farmRef.delete();
+    deleted[COLLECTIONS.FARMS] = 1;
+
+    const farmerRef = firestore.collection(COLLECTIONS.FARMERS).doc(farmDoc.data().farmer_id);
+    const farmerDoc = await farmerRef.get();
+    if (farmerDoc.exists) {
+      await farmerRef.update({ farms_count: FieldValue.increment(-1) });
+    }
+  }
+
+  await reportProgress(`farm ${farmId}: done`, steps.length + 1, steps.length + 1);
+
+  return deleted;
+}
+
+/**
+ * Remove a farmer's jobs and export archives, except the job doing the removing
+ * @returns {Promise<number>} jobs deleted
+ */
+async function deleteJobs(farmerId, currentJobId) {
+  const snapshot = await firestore.collection(COLLECTIONS.JOBS).where('owner_id', '==', farmerId).get();
+  const jobDocs = snapshot.docs.filter(doc => doc.id !== currentJobId);
+
+  for (const jobDoc of jobDocs) {
+    if (jobDoc.data().type === 'data_export') await removeExport(jobDoc.id);
+  }
+
+  for (let i = 0; i < jobDocs.length; i += BATCH_SIZE) {
+    const batch = firestore.batch();
+    jobDocs.slice(i, i + BATCH_SIZE).forEach(doc => batch.delete(doc.ref));
+    await batch.commit();
+  }
+
+  return jobDocs.length;
+}
+
+/**
+ * Remove a farmer, their farms and everything under them
+ * @param {string} [currentJobId] the account_deletion job running this, which is kept
+ * @returns {Promise<object>} documents deleted per collection
+ */
+async function deleteAccountCascade(farmerId, reportProgress = async () => {}, currentJobId = null) {
+  const totals = {};
+  const add = (counts) => Object.entries(counts).forEach(([name, count]) => {
+    totals[name] = (totals[name] || 0) + count;
+  });
+
+  const farmsSnapshot = await firestore.collection(COLLECTIONS.FARMS).where('farmer_id', '==', farmerId).get();
+
+  for (const farmDoc of farmsSnapshot.docs) {
+    add(await deleteFarmCascade(farmDoc.id, reportProgress));
+  }
+
+  await reportProgress('account: keys, subscriptions, memberships and jobs', 0, 1);
+
+  add({
+    [COLLECTIONS.API_KEYS]: await deleteQuery(firestore.collection(COLLECTIONS.API_KEYS).where('farmer_id', '==', farmerId)),
+    [COLLECTIONS.NOTIFICATIONS]: await deleteQuery(firestore.collection(COLLECTIONS.NOTIFICATIONS).where('userId', '==', farmerId)),
+    [FARM_MEMBERS]: await deleteQuery(firestore.collection(FARM_MEMBERS).where('user_id', '==', farmerId)),
+    [COLLECTIONS.JOBS]: await deleteJobs(farmerId, currentJobId)
+  });
+
+  const farmerRef = firestore.collection(COLLECTIONS.FARMERS).doc(farmerId);
+  const farmerDoc = await farmerRef.get();
+  const email = farmerDoc.exists ? farmerDoc.data().email : null;
+
+  await farmerRef.delete();
+  add({ [COLLECTIONS.FARMERS]: farmerDoc.exists ? 1 : 0 });
+
+  await removeIdentity(farmerId, email);
+
+  try {
+    await admin.auth().deleteUser(farmerId);
+  } catch (error) {
+    if (error.code !== 'auth/user-not-found') throw error;
+  }
+
+  await reportProgress('account: done', 1, 1);
+
+  return totals;
+}
+
+/**
+ * Soft-delete a farm and queue its cascade after the grace period
+ * @returns {Promise<FirebaseFirestore.DocumentSnapshot>} the job
+ */
+async function scheduleFarmDeletion(farmDoc, requestedBy) {
+  const delayMs = graceMs('FARM_DELETION_GRACE_HOURS', DEFAULT_FARM_GRACE_HOURS);
+
+  const jobRef = await firestore.runTransaction(async (transaction) => {
+    const current = await transaction.get(farmDoc.ref);
+    if (!current.exists) {
+      throw httpError(404, 'Farm not found');
+    }
+
+    const pending = await getLiveJob(transaction, current.data().deletion_job_id);
+    if (pending) {
+      throw httpError(409, `Farm is already scheduled for deletion (job ${pending.id})`);
+    }
+
+    const ref = queueJob(transaction, 'farm_deletion', requestedBy, { farm_id: farmDoc.id }, { delayMs });
+    transaction.update(farmDoc.ref, {
+      deleted_at: FieldValue.serverTimestamp(),
+      purge_after: Timestamp.fromMillis(Date.now() + delayMs),
+      deletion_job_id: ref.id
+    });
+    return ref;
+  });
+
+  return jobRef.get();
+}
+
+/**
+ * Soft-delete an account and queue its cascade after the grace period
+ * @returns {Promise<FirebaseFirestore.DocumentSnapshot>} the job
+ */
+async function scheduleAccountDeletion(farmerId) {
+  const delayMs = graceMs('ACCOUNT_DELETION_GRACE_HOURS', DEFAULT_ACCOUNT_GRACE_HOURS);
+  const farmerRef = firestore.collection(COLLECTIONS.FARMERS).doc(farmerId);
+
+  const jobRef = await firestore.runTransaction(async (transaction) => {
+    const farmerDoc = await transaction.get(farmerRef);
+
+    const pending = await getLiveJob(transaction, farmerDoc.exists ? farmerDoc.data().deletion_job_id : null);
+    if (pending) {
+      throw httpError(409, `Account is already scheduled for deletion (job ${pending.id})`);
+    }
+
+    const farmsSnapshot = await transaction.get(
+      firestore.collection(COLLECTIONS.FARMS).where('farmer_id', '==', farmerId)
+    );
+
+    const ref = queueJob(transaction, 'account_deletion', farmerId, { farmer_id: farmerId }, { delayMs });
+    const softDelete = {
+      deleted_at: FieldValue.serverTimestamp(),
+      purge_after: Timestamp.fromMillis(Date.now() + delayMs),
+      deletion_job_id: ref.id
+    };
+
+    transaction.set(farmerRef, { is_active: false, ...softDelete }, { merge: true });
+
+    // Farms already pending their own deletion keep their job
+    farmsSnapshot.docs
+      .filter(doc => !doc.data().deleted_at)
+      .forEach(doc => transaction.update(doc.ref, softDelete));
+
+    return ref;
+  });
+
+  return jobRef.get();
+}
+
+// Undo a soft delete, unless a later deletion has taken it over
+async function restore(ref, jobId, extra = {}) {
+  const doc = await ref.get();
+  if (!doc.exists || doc.data().deletion_job_id !== jobId) return;
+
+  await ref.update({
+    deleted_at: null,
+    purge_after: null,
+    deletion_job_id: null,
+    ...extra
+  });
+}
+
+registerJobHandler('farm_deletion', {
+  run: (job, reportProgress) => deleteFarmCascade(job.params.farm_id, reportProgress).then(deleted => ({ deleted })),
+  onCancel: (job) => restore(firestore.collection(COLLECTIONS.FARMS).doc(job.params.farm_id), job.id)
+});
+
+registerJobHandler('account_deletion', {
+  run: (job, reportProgress) => deleteAccountCascade(job.params.farmer_id, reportProgress, job.id).then(deleted => ({ deleted })),
+  onCancel: async (job) => {
+    await restore(firestore.collection(COLLECTIONS.FARMERS).doc(job.params.farmer_id), job.id, { is_active: true });
+
+    const farmsSnapshot = await firestore.collection(COLLECTIONS.FARMS).where('deletion_job_id', '==', job.id).get();
+    for (const farmDoc of farmsSnapshot.docs) {
+      await restore(farmDoc.ref, job.id);
+    }
+  }
+});
+
+module.exports = {
+  deleteFarmCascade,
+  deleteAccountCascade,
+  scheduleFarmDeletion,
+  scheduleAccountDeletion
+};
@@ -0,0 +1,103 @@
+// services/device.service.js
+/**
+ * What an IoT API key may post data for
+ *
+ * API_Keys belong to a farmer and may be narrowed with:
+ *   farm_id    only sensors/animals on this farm
+ *   sensor_id  only this one sensor (a per-device key)
+ *
+ * A key never reaches beyond the farms its farmer owns.
+ */
+
+const { firestore } = require('../config/firebase.config');
+const { httpError } = require('../middleware/errorHandler');
+const { findApiKey, keyUnusableReason, recordApiKeyUse } = require('./apikey.service');
+
+const COLLECTIONS = {
+  FARMS: 'Farms'
+};
+
+/**
+ * Authenticate a presented device key and record its use
+ * @returns {Promise<{farmer_id: string, api_key_id: string, farm_id: string|null, sensor_id: string|null}>}
+ *   the key's owner and scope (req.apiAuth)
+ */
+async function authenticateDevice(apiKey) {
+  // Verify API key exists in database (stored hashed; legacy plaintext keys are upgraded)
+  const apiKeyDoc = await findApiKey(apiKey);
+  if (!apiKeyDoc) {
+    throw httpError(401, 'Invalid or inactive API key');
+  }
+
+  const apiKeyData = apiKeyDoc.data();
+  const unusable = keyUnusableReason(apiKeyData);
+  if (unusable) {
+    throw httpError(401, unusable);
+  }
+
+  await recordApiKeyUse(apiKeyDoc.ref);
+
+  return {
+    farmer_id: apiKeyData.farmer_id,
+    api_key_id: apiKeyDoc.id,
+    farm_id: apiKeyData.farm_id || null,
+    sensor_id: apiKeyData.sensor_id || null
+  };
+}
+
+/**
+ * Whether the farm belongs to the key's farmer. Owners are cached on the
+ * apiAuth object so a batch only reads each farm once.
+ */
+async function ownsFarm(apiAuth, farmId) {
+  if (!farmId) return false;
+
+  apiAuth.farmOwners = apiAuth.farmOwners || new Map();
+
+  if (!apiAuth.farmOwners.has(farmId)) {
+    const farmDoc = await firestore.collection(COLLECTIONS.FARMS).doc(farmId).get();
+    // Farms pending deletion no longer take device data
+    const live = farmDoc.exists && !farmDoc.data().deleted_at;
+    apiAuth.farmOwners.set(farmId, live ? farmDoc.data().farmer_id : null);
+  }
+
+  return apiAuth.farmOwners.get(farmId) === apiAuth.farmer_id;
+}
+
+/**
+ * Check a key against the farm (and sensor) a payload is for
+ * @param {object} apiAuth req.apiAuth set by verifyApiKey
+ * @param {{farm_id: string, sensor_id?: string}} target
+ * @returns {Promise<string|null>} why access is denied, or null when allowed
+ */
+async function checkDeviceAccess(apiAuth, { farm_id, sensor_id = null }) {
+  if (apiAuth.sensor_id && apiAuth.sensor_id !== sensor_id) {
+    return 'API key is not issued for this sensor';
+  }
+
+  if (apiAuth.farm_id && apiAuth.farm_id !== farm_id) {
+    return 'API key is not issued for this farm';
+  }
+
+  if (!(await ownsFarm(apiAuth, farm_id))) {
+    return 'API key does not belong to the owner of this farm';
+  }
+
+  return null;
+}
+
+/**
+ * Same as checkDeviceAccess but throws a 403 when denied
+ */
+async function assertDeviceAccess(apiAuth, target) {
+  const reason = await checkDeviceAccess(apiAuth, target);
+  if (reason) {
+    throw httpError(403, reason);
+  }
+}
+
+module.exports = {
+  authenticateDevice,
+  checkDeviceAccess,
+  assertDeviceAccess
+};
@@ -0,0 +1,281 @@
+// services/escalation.service.js
+/**
+ * Per-farm escalation policies for unacknowledged alerts
+ *
+ * Escalation_Policies/{farmId}:
+ *   enabled  boolean
+ *   steps    [{ after_minutes, targets: ['owner'|'farm_hands'|'everyone'], channels: ['push'|'sms'] }]
+ *
+ * Step i fires once the alert has been open for steps[i].after_minutes and
+ * is recorded in Alerts.escalation_steps_fired. Nothing fires after the
+ * alert leaves the 'open' status (acknowledged, in progress or closed).
+ * Every open incident escalates, whatever raised it: boundary breaches as
+ * well as condition alerts such as Sensor Offline and Battery Low.
+ */
+
+const { firestore, FieldValue, Timestamp } = require('../config/firebase.config');
+const { farmTopic, getUserTokens, deliverAlert, logDelivery } = require('./notification.service');
+const { sendSms } = require('./sms.service');
+const { FARM_MEMBERS } = require('./access.service');
+
+const COLLECTIONS = {
+  ALERTS: 'Alerts',
+  ESCALATION_POLICIES: 'Escalation_Policies',
+  FARMS: 'Farms',
+  FARMERS: 'Farmers'
+};
+
+const ESCALATION_TARGETS = ['owner', 'farm_hands', 'everyone'];
+const ESCALATION_CHANNELS = ['push', 'sms'];
+
+// Alert types that open incidents; status reports never need escalating
+const ESCALATING_ALERT_TYPES = ['Boundary Breach', 'Sensor Offline', 'Battery Low'];
+
+// Farm_Members roles the 'farm_hands' target reaches
+const FARM_HAND_ROLES = ['manager', 'worker'];
+
+/**
+ * Validate a list of policy steps
+ * @returns {string|null} error message, or null when valid
+ */
+function validateSteps(steps) {
+  if (!Array.isArray(steps) || steps.length === 0) {
+    return 'Steps must be a non-empty array';
+  }
+
+  for (let i = 0; i < steps.length; i++) {
+    const step = steps[i];
+
+    if (!Number.isInteger(step.after_minutes) || step.after_minutes < 0) {
+      return `Step ${i + 1}: after_minutes must be a non-negative integer`;
+    }
+
+    if (i > 0 && step.after_minutes < steps[i - 1].after_minutes) {
+      return `Step ${i + 1}: steps must be ordered by after_minutes`;
+    }
+
+    if (!Array.isArray(step.targets) || step.targets.length === 0 ||
+        !step.targets.every(target => ESCALATION_TARGETS.includes(target))) {
+      return `Step ${i + 1}: targets must be any of ${ESCALATION_TARGETS.join(', ')}`;
+    }
+
+    if (!Array.isArray(step.channels) || step.channels.length === 0 ||
+        !step.channels.every(channel => ESCALATION_CHANNELS.includes(channel))) {
+      return `Step ${i + 1}: channels must be any of ${ESCALATION_CHANNELS.join(', ')}`;
+    }
+  }
+
+  return null;
+}
+
+async function getPolicy(farmId) {
+  if (!farmId) return null;
+
+  const policyDoc = await firestore
+    .collection(COLLECTIONS.ESCALATION_POLICIES)
+    .doc(farmId)
+    .get();
+
+  if (!policyDoc.exists) return null;
+
+  const policy = policyDoc.data();
+  return policy.enabled === false ? null : policy;
+}
+
+/**
+ * Work out who a step's targets refer to on this farm
+ */
+async function resolveRecipients(alert, targets) {
+  const farmDoc = await firestore.collection(COLLECTIONS.FARMS).doc(alert.farm_id).get();
+  const ownerId = farmDoc.exists ? farmDoc.data().farmer_id : alert.farmer_id;
+  const everyone = targets.includes('everyone');
+
+  const userIds = new Set();
+  let tokens = [];
+
+  if (everyone || targets.includes('owner')) {
+    userIds.add(ownerId);
+    tokens = tokens.concat(await getUserTokens(ownerId));
+  }
+
+  if (everyone || targets.includes('farm_hands')) {
+    // Farm hands are the farm's managers and workers
+    const snapshot = await firestore
+      .collection(FARM_MEMBERS)
+      .where('farm_id', '==', alert.farm_id)
+      .where('role', 'in', FARM_HAND_ROLES)
+      .get();
+
+    const handIds = snapshot.docs
+      .map(doc => doc.data().user_id)
+      .filter(userId => userId && !userIds.has(userId));
+
+    handIds.forEach(userId => userIds.add(userId));
+    const handTokens = await Promise.all(handIds.map(userId => getUserTokens(userId)));
+    tokens = tokens.concat(...handTokens);
+  }
+
+  return {
+    userIds: [...userIds].filter(Boolean),
+    tokens,
+    topic: everyone ? farmTopic(alert.farm_id) : null
+  };
+}
+
+async function sendStepSms(alert, userIds, stepIndex) {
+  const farmerDocs = await Promise.all(
+    userIds.map(userId => firestore.collection(COLLECTIONS.FARMERS).doc(userId).get())
+  );
+
+  // Condition alerts have no zone or distance to report, their description says what is wrong
+  const body = alert.is_breach !== false
+    ? `ZoneAlert: ${alert.breach_level || ''} ${alert.alert_type} at ${alert.zone_name || 'unknown zone'} ` +
+      `(${alert.breach_distance ?? '?'}m) is still unacknowledged.`
+    : `ZoneAlert: ${alert.alert_type} is still unacknowledged. ${alert.description}`;
+
+  await Promise.all(farmerDocs.map(async (farmerDoc) => {
+    const phone = farmerDoc.exists ? farmerDoc.data().phone : null;
+    if (!phone) return;
+
+    const entry = {
+      event_type: 'Alert SMS',
+      alert_id: alert.alert_id,
+      farm_id: alert.farm_id,
+      escalation_step: stepIndex,
+      phone,
+      body
+    };
+
+    try {
+      const result = await sendSms(phone, body);
+      await logDelivery({ ...entry, messageId: result.id, status: 'sent' });
+    } catch (error) {
+      await logDelivery({ ...entry, status: 'failed', error: error.message });
+    }
+  }));
+}
+
+/**
+ * Deliver one policy step for an alert
+ */
+async function fireStep(alert, step, stepIndex) {
+  const recipients = await resolveRecipients(alert, step.targets);
+
+  if (step.channels.includes('push')) {
+    await deliverAlert(alert, {
+      tokens: recipients.tokens,
+      topic: recipients.topic,
+      logFields: { escalation_step: stepIndex }
+    });
+  }
+
+  if (step.channels.includes('sms')) {
+    await sendStepSms(alert, recipients.userIds, stepIndex);
+  }
+}
+
+/**
+ * Claim and fire every step that is due for an alert. Steps are claimed in a
+ * transaction first so two scheduler instances never send the same step twice.
+ * @returns {Promise<number[]>} indexes of the steps fired
+ */
+async function escalateAlert(alertId, policy, now = Date.now()) {
+  const alertRef = firestore.collection(COLLECTIONS.ALERTS).doc(alertId);
+
+  const claim = await firestore.runTransaction(async (transaction) => {
+    const alertDoc = await transaction.get(alertRef);
+    if (!alertDoc.exists) return null;
+
+    const alert = alertDoc.data();
+    if (alert.status !== 'open' || !alert.detected_at) return null;
+
+    // Clamped so small clock differences never hold back the immediate steps
+    const openMinutes = Math.max(0, (now - alert.detected_at.toMillis()) / 60000);
+    const fired = alert.escalation_steps_fired || [];
+    const due = policy.steps
+      .map((step, index) => ({ step, index }))
+      .filter(({ step, index }) => !fired.includes(index) && step.after_minutes <= openMinutes);
+
+    if (due.length === 0) return null;
+
+    const at = Timestamp.now();
+    transaction.update(alertRef, {
+      escalation_steps_fired: FieldValue.arrayUnion(...due.map(({ index }) => index)),
+      last_escalated_at: at,
+      timeline: FieldValue.arrayUnion(...due.map(({ step, index }) => ({
+        action: 'notify',
+        from_status: alert.status,
+        to_status: alert.status,
+        by: 'system',
+        note: `Escalation step ${index + 1}: ${step.targets.join(', ')} via ${step.channels.join(', ')}`,
+        at
+      })))
+    });
+
+    return { alert: { alert_id: alertId, ...alert }, due };
+  });
+
+  if (!claim) return [];
+
+  for (const { step, index } of claim.due) {
+    try {
+      await fireStep(claim.alert, step, index);
+    } catch (error) {
+      console.error(`❌ Escalation step ${index + 1} failed for alert ${alertId}:`, error);
+    }
+  }
+
+  return claim.due.map(({ index }) => index);
+}
+
+/**
+ * First notification for a new alert: the farm's immediate policy steps,
+ * or null when the farm has no policy and the default dispatch should run
+ */
+async function notifyWithPolicy(alert) {
+  const policy = await getPolicy(alert.farm_id);
+  if (!policy) return null;
+
+  return escalateAlert(alert.alert_id, policy);
+}
+
+/**
+ * Walk every open incident and fire due escalation steps
+ * @returns {Promise<{checked: number, escalated: number}>}
+ */
+async function runEscalationSweep() {
+  const snapshot = await firestore
+    .collection(COLLECTIONS.ALERTS)
+    .where('status', '==', 'open')
+    .where('alert_type', 'in', ESCALATING_ALERT_TYPES)
+    .get();
+
+  const policies = new Map();
+  let escalated = 0;
+
+  for (const doc of snapshot.docs) {
+    const { farm_id } = doc.data();
+    if (!policies.has(farm_id)) {
+      policies.set(farm_id, await getPolicy(farm_id));
+    }
+
+    const policy = policies.get(farm_id);
+    if (!policy) continue;
+
+    const fired = await escalateAlert(doc.id, policy);
+    if (fired.length > 0) escalated++;
+  }
+
+  return { checked: snapshot.size, escalated };
+}
+
+module.exports = {
+  ESCALATION_TARGETS,
+  ESCALATION_CHANNELS,
+  ESCALATING_ALERT_TYPES,
+  validateSteps,
+  getPolicy,
+  escalateAlert,
+  notifyWithPolicy,
+  runEscalationSweep
+};
@@ -0,0 +1,269 @@
+// services/export.service.js
+/**
+ * "Download my data": everything a farmer owns, as JSON or CSV
+ *
+ * Runs as a data_export job. The archive is written under EXPORT_DIR
+ * (default ./exports):
+ *   json  {jobId}.json with one key per collection
+ *   csv   {jobId}.zip holding {collection}.csv, one file per collection
+ * and downloaded through GET /api/jobs/:jobId/download. Sensor readings
+ * cover the last EXPORT_READINGS_DAYS days (default 30).
+ *
+ * Archives expire EXPORT_TTL_HOURS (default 72) after they are written; the
+ * job runner removes expired ones, and an account deletion removes the
+ * account's exports with its Jobs.
+ */
+
+const fs = require('fs/promises');
+const { createWriteStream } = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+const { firestore, realtimeDb, Timestamp, GeoPoint } = require('../config/firebase.config');
+const { httpError } = require('../middleware/errorHandler');
+const { FARM_MEMBERS } = require('./access.service');
+const { formatApiKey } = require('./apikey.service');
+const { registerJobHandler } = require('./job.service');
+
+const COLLECTIONS = {
+  FARMERS: 'Farmers',
+  FARMS: 'Farms',
+  BOUNDARY_ZONES: 'Boundary_Zones',
+  SENSOR_UNITS: 'Sensor_Units',
+  LIVESTOCK: 'Livestock',
+  ALERTS: 'Alerts',
+  API_KEYS: 'API_Keys',
+  NOTIFICATIONS: 'Notifications',
+  AUDIT_LOGS: 'Audit_Logs'
+};
+
+const EXPORT_FORMATS = ['json', 'csv'];
+const DEFAULT_READINGS_DAYS = 30;
+const DEFAULT_TTL_HOURS = 72;
+const DAY_MS = 86400000;
+
+const exportDir = () => process.env.EXPORT_DIR || path.join(process.cwd(), 'exports');
+
+const exportTtlMs = () => (Number(process.env.EXPORT_TTL_HOURS) || DEFAULT_TTL_HOURS) * 3600000;
+
+/**
+ * Firestore values as plain JSON
+ */
+function plain(value) {
+  if (value instanceof Timestamp) return value.toDate().toISOString();
+  if (value instanceof GeoPoint) return { latitude: value.latitude, longitude: value.longitude };
+  if (Array.isArray(value)) return value.map(plain);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, inner]) => [key, plain(inner)]));
+  }
+  return value;
+}
+
+const docsToRecords = (idField, docs) => docs.map(doc => ({ [idField]: doc.id, ...plain(doc.data()) }));
+
+async function queryPerFarm(collection, farmIds, idField) {
+  const snapshots = await Promise.all(
+    farmIds.map(farmId => firestore.collection(collection).where('farm_id', '==', farmId).get())
+  );
+  return docsToRecords(idField, snapshots.flatMap(snapshot => snapshot.docs));
+}
+
+async function recentReadings(sensorIds) {
+  const days = Number(process.env.EXPORT_READINGS_DAYS) || DEFAULT_READINGS_DAYS;
+  const records = [];
+
+  for (let offset = days - 1; offset >= 0; offset--) {
+    const dateKey = new Date(Date.now() - offset * DAY_MS).toISOString().split('T')[0];
+
+    const snapshots = await Promise.all(
+      sensorIds.map(sensorId => realtimeDb.ref(`sensor_readings/${dateKey}/${sensorId}`).once('value'))
+    );
+
+    snapshots.forEach((snapshot, index) => {
+      snapshot.forEach(child => {
+        records.push({ sensor_id: sensorIds[index], date: dateKey, reading_id: child.key, ...child.val() });
+      });
+    });
+  }
+
+  return records;
+}
+
+/**
+ * Gather everything owned by a farmer
+ * @returns {Promise<Object<string, object[]>>} collection name -> records
+ */
+async function collectFarmerData(farmerId, reportProgress = async () => {}) {
+  await reportProgress('profile and farms', 0, 4);
+
+  const [farmerDoc, farmsSnapshot, keysSnapshot, membershipsSnapshot, subscriptionsSnapshot, auditSnapshot] = await Promise.all([
+    firestore.collection(COLLECTIONS.FARMERS).doc(farmerId).get(),
+    firestore.collection(COLLECTIONS.FARMS).where('farmer_id', '==', farmerId).get(),
+    firestore.collection(COLLECTIONS.API_KEYS).where('farmer_id', '==', farmerId).get(),
+    firestore.collection(FARM_MEMBERS).where('user_id', '==', farmerId).get(),
+    firestore.collection(COLLECTIONS.NOTIFICATIONS).where('userId', '==', farmerId).get(),
+    firestore.collection(COLLECTIONS.AUDIT_LOGS).where('user_id', '==', farmerId).get()
+  ]);
+
+  const farmIds = farmsSnapshot.docs.map(doc => doc.id);
+
+  await reportProgress('zones, sensors and livestock', 1, 4);
+
+  const [zones, sensors, livestock] = await Promise.all([
+    queryPerFarm(COLLECTIONS.BOUNDARY_ZONES, farmIds, 'zone_id'),
+    queryPerFarm(COLLECTIONS.SENSOR_UNITS, farmIds, 'sensor_id'),
+    queryPerFarm(COLLECTIONS.LIVESTOCK, farmIds, 'livestock_id')
+  ]);
+
+  await reportProgress('alerts', 2, 4);
+  const alerts = await queryPerFarm(COLLECTIONS.ALERTS, farmIds, 'alert_id');
+
+  await reportProgress('sensor readings', 3, 4);
+  const readings = await recentReadings(sensors.map(sensor => sensor.sensor_id));
+
+  return {
+    profile: farmerDoc.exists ? [{ farmer_id: farmerDoc.id, ...plain(farmerDoc.data()) }] : [],
+    farms: docsToRecords('farm_id', farmsSnapshot.docs),
+    zones,
+    sensors,
+    sensor_readings: readings,
+    livestock,
+    alerts,
+    // Never the key or its hash
+    api_keys: keysSnapshot.docs.map(doc => ({ api_key_id: doc.id, ...plain(formatApiKey(doc.data())) })),
+    memberships: docsToRecords('membership_id', membershipsSnapshot.docs),
+    notification_subscriptions: docsToRecords('subscription_id', subscriptionsSnapshot.docs),
+    audit_log: docsToRecords('entry_id', auditSnapshot.docs)
+  };
+}
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Records as CSV; columns are the union of every record's top-level fields
+ */
+function toCsv(records) {
+  const columns = [...new Set(records.flatMap(record => Object.keys(record)))];
+  const lines = [columns.map(csvCell).join(',')];
+  records.forEach(record => lines.push(columns.map(column => csvCell(record[column])).join(',')));
+  return lines.join('\n') + '\n';
+}
+
+// One CSV per collection in a single zip
+function writeCsvArchive(filePath, data) {
+  return new Promise((resolve, reject) => {
+    const output = createWriteStream(filePath);
+    const archive = archiver('zip');
+
+    output.on('close', resolve);
+    output.on('error', reject);
+    archive.on('error', reject);
+
+    archive.pipe(output);
+    Object.entries(data).forEach(([collection, records]) => {
+      archive.append(toCsv(records), { name: `${collection}.csv` });
+    });
+    archive.finalize();
+  });
+}
+
+/**
+ * Write the archive for an export job
+ * @returns {Promise<{format: string, files: {name: string, records: number}[],
+ *   contents: {name: string, records: number}[], expires_at: string}>}
+ */
+async function writeExport(jobId, format, data) {
+  const dir = exportDir();
+  await fs.mkdir(dir, { recursive: true });
+
+  const name = `${jobId}.${format === 'json' ? 'json' : 'zip'}`;
+  if (format === 'json') {
+    await fs.writeFile(path.join(dir, name), JSON.stringify({ exported_at: new Date().toISOString(), ...data }, null, 2));
+  } else {
+    await writeCsvArchive(path.join(dir, name), data);
+  }
+
+  const contents = Object.entries(data).map(([collection, records]) => ({
+    name: format === 'json' ? collection : `${collection}.csv`,
+    records: records.length
+  }));
+  const records = contents.reduce((sum, entry) => sum + entry.records, 0);
+
+  return {
+    format,
+    files: [{ name, records }],
+    contents,
+    expires_at: new Date(Date.now() + exportTtlMs()).toISOString()
+  };
+}
+
+/**
+ * Absolute path of a finished export job's archive
+ */
+function exportFilePath(job) {
+  const [file] = (job.result && job.result.files) || [];
+
+  if (!file) {
+    throw httpError(404, 'Export has no archive');
+  }
+  if (job.result.expires_at && Date.parse(job.result.expires_at) <= Date.now()) {
+    throw httpError(410, 'Export has expired; start a new one');
+  }
+
+  return path.join(exportDir(), file.name);
+}
+
+/**
+ * Remove the archive of an export job, if it is still there
+ */
+async function removeExport(jobId) {
+  await Promise.all(['json', 'zip'].map(extension =>
+    fs.rm(path.join(exportDir(), `${jobId}.${extension}`), { force: true })));
+}
+
+/**
+ * Remove archives older than EXPORT_TTL_HOURS
+ * @returns {Promise<number>} archives removed
+ */
+async function purgeExpiredExports(now = Date.now()) {
+  let entries;
+  try {
+    entries = await fs.readdir(exportDir());
+  } catch (error) {
+    if (error.code === 'ENOENT') return 0;
+    throw error;
+  }
+
+  let removed = 0;
+  for (const entry of entries) {
+    const entryPath = path.join(exportDir(), entry);
+    const { mtimeMs } = await fs.stat(entryPath);
+    if (now - mtimeMs < exportTtlMs()) continue;
+
+    await fs.rm(entryPath, { recursive: true, force: true });
+    removed++;
+  }
+
+  return removed;
+}
+
+registerJobHandler('data_export', {
+  run: async (job, reportProgress) => {
+    const data = await collectFarmerData(job.owner_id, reportProgress);
+    await reportProgress('writing archive', 4, 4);
+    return writeExport(job.id, job.params.format, data);
+  }
+});
+
+module.exports = {
+  EXPORT_FORMATS,
+  collectFarmerData,
+  toCsv,
+  writeExport,
+  exportFilePath,
+  removeExport,
+  purgeExpiredExports
+};
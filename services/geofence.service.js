@@ -0,0 +1,201 @@
+// services/geofence.service.js
+/**
+ * Geofence geometry helpers for Boundary_Zones
+ *
+ * Zone boundaries are GeoJSON Polygons: coordinates are [longitude, latitude]
+ * pairs, the first ring is the outer boundary and any further rings are holes.
+ * Firestore cannot store nested arrays, so the polygon is persisted on the zone
+ * document as a JSON string in `boundary_geojson`.
+ */
+
+const EARTH_RADIUS_METERS = 6371008.8;
+const DEFAULT_EDGE_BUFFER_METERS = 10;
+
+const POSITION_STATUS = {
+  INSIDE: 'inside',
+  NEAR_EDGE: 'near_edge',
+  OUTSIDE: 'outside'
+};
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+const isPosition = (position) =>
+  Array.isArray(position) &&
+  position.length >= 2 &&
+  Number.isFinite(position[0]) &&
+  Number.isFinite(position[1]) &&
+  Math.abs(position[0]) <= 180 &&
+  Math.abs(position[1]) <= 90;
+
+// Shoelace formula in degrees, only used to reject degenerate rings
+const ringArea = (ring) => {
+  let area = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    area += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+  }
+  return area / 2;
+};
+
+/**
+ * Validate a GeoJSON Polygon geometry
+ * @returns {string|null} error message, or null when the polygon is valid
+ */
+function validatePolygon(geometry) {
+  if (!geometry || typeof geometry !== 'object') {
+    return 'Boundary must be a GeoJSON Polygon object';
+  }
+
+  if (geometry.type !== 'Polygon') {
+    return `Unsupported geometry type: ${geometry.type}. Only Polygon is supported`;
+  }
+
+  if (!Array.isArray(geometry.coordinates) || geometry.coordinates.length === 0) {
+    return 'Polygon must have at least one ring';
+  }
+
+  for (let r = 0; r < geometry.coordinates.length; r++) {
+    const ring = geometry.coordinates[r];
+    const label = r === 0 ? 'Outer ring' : `Hole ${r}`;
+
+    if (!Array.isArray(ring) || ring.length < 4) {
+      return `${label} must have at least 4 positions`;
+    }
+
+    if (!ring.every(isPosition)) {
+      return `${label} contains an invalid [longitude, latitude] position`;
+    }
+
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    if (first[0] !== last[0] || first[1] !== last[1]) {
+      return `${label} is not closed (first and last positions must match)`;
+    }
+
+    if (ringArea(ring) === 0) {
+      return `${label} has zero area`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Ray casting test against a single linear ring
+ */
+function pointInRing(point, ring) {
+  const [x, y] = point;
+  let inside = false;
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+
+    const intersects = (yi > y) !== (yj > y) &&
+      x < (xj - xi) * (y - yi) / (yj - yi) + xi;
+
+    if (intersects) inside = !inside;
+  }
+
+  return inside;
+}
+
+/**
+ * A point is inside a polygon when it is inside the outer ring and outside every hole
+ */
+function pointInPolygon(point, polygon) {
+  const [outer, ...holes] = polygon.coordinates;
+
+  if (!pointInRing(point, outer)) return false;
+
+  return !holes.some(hole => pointInRing(point, hole));
+}
+
+/**
+ * Shortest distance in meters from a point to any edge of the polygon
+ * (outer ring or holes). Uses an equirectangular projection centred on the
+ * point, which is accurate enough at paddock scale.
+ */
+function distanceToEdge(point, polygon) {
+  const [lng0, lat0] = point;
+  const cosLat = Math.cos(toRadians(lat0));
+
+  const project = ([lng, lat]) => [
+    toRadians(lng - lng0) * cosLat * EARTH_RADIUS_METERS,
+    toRadians(lat - lat0) * EARTH_RADIUS_METERS
+  ];
+
+  let minDistance = Infinity;
+
+  polygon.coordinates.forEach(ring => {
+    for (let i = 0; i < ring.length - 1; i++) {
+      const [ax, ay] = project(ring[i]);
+      const [bx, by] = project(ring[i + 1]);
+      const dx = bx - ax;
+      const dy = by - ay;
+      const lengthSquared = dx * dx + dy * dy;
+
+      // Projection of the origin (the point) onto the segment, clamped to it
+      const t = lengthSquared === 0
+        ? 0
+        : Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSquared));
+
+      const distance = Math.hypot(ax + t * dx, ay + t * dy);
+      if (distance < minDistance) minDistance = distance;
+    }
+  });
+
+  return minDistance;
+}
+
+/**
+ * Decide whether a GPS fix is inside, near the edge of, or outside a zone
+ * @param {{latitude: number, longitude: number}} position
+ * @param {object} polygon GeoJSON Polygon
+ * @param {number} edgeBufferMeters inside points closer than this to an edge are "near_edge"
+ */
+function evaluatePosition(position, polygon, edgeBufferMeters = DEFAULT_EDGE_BUFFER_METERS) {
+  const point = [position.longitude, position.latitude];
+  const inside = pointInPolygon(point, polygon);
+  const distance = distanceToEdge(point, polygon);
+
+  let status = POSITION_STATUS.OUTSIDE;
+  if (inside) {
+    status = distance < edgeBufferMeters ? POSITION_STATUS.NEAR_EDGE : POSITION_STATUS.INSIDE;
+  }
+
+  return {
+    status,
+    inside,
+    distance_to_edge: Math.round(distance * 100) / 100
+  };
+}
+
+/**
+ * Read the polygon stored on a zone document, if any
+ */
+function parseZoneBoundary(zoneData) {
+  if (!zoneData || !zoneData.boundary_geojson) return null;
+
+  try {
+    const geometry = JSON.parse(zoneData.boundary_geojson);
+    return validatePolygon(geometry) ? null : geometry;
+  } catch (error) {
+    return null;
+  }
+}
+
+const serializeBoundary = (geometry) => JSON.stringify({
+  type: 'Polygon',
+  coordinates: geometry.coordinates
+});
+
+module.exports = {
+  POSITION_STATUS,
+  DEFAULT_EDGE_BUFFER_METERS,
+  validatePolygon,
+  pointInPolygon,
+  distanceToEdge,
+  evaluatePosition,
+  parseZoneBoundary,
+  serializeBoundary
+};
@@ -0,0 +1,330 @@
+// services/history.service.js
+/**
+ * Historical sensor readings across the daily RTDB partitions
+ *   sensor_readings/{YYYY-MM-DD}/{sensorId}/{readingId}
+ * and their rollups (see rollup.service)
+ *
+ * Range queries walk every partition between the bounds (UTC days, the
+ * same keys the ingestion pipeline writes) and return the readings in
+ * timestamp order. Pages are continued with an opaque cursor; downsampled
+ * queries return min/max/mean per time bucket instead of raw readings.
+ *
+ * Downsampling reads each day from wherever is cheapest: the rollups once
+ * the day is settled and the bucket is a whole number of minutes, hours or
+ * days, raw readings otherwise. Days whose raw data was pruned always come
+ * from the rollups, at minute resolution at best.
+ */
+
+const { realtimeDb } = require('../config/firebase.config');
+const { httpError } = require('../middleware/errorHandler');
+const {
+  RESOLUTIONS,
+  dateKeyOf,
+  getRollupStates,
+  isSettled,
+  emptyAggregate,
+  addReading,
+  mergeAggregates
+} = require('./rollup.service');
+
+const DAY_MS = 86400000;
+const DEFAULT_RANGE_MS = DAY_MS;
+const MAX_RANGE_DAYS = 366;
+const MAX_BUCKETS = 5000;
+const DEFAULT_RAW_QUERY_MAX_HOURS = 48;
+
+const BUCKET_UNITS = { s: 1000, m: 60000, h: 3600000, d: DAY_MS };
+
+/**
+ * Partition keys covering [from, to], oldest first
+ */
+function dateKeysBetween(from, to) {
+  const keys = [];
+  for (let day = Date.parse(dateKeyOf(from)); day <= to; day += DAY_MS) {
+    keys.push(dateKeyOf(day));
+  }
+  return keys;
+}
+
+/**
+ * Bounds of a history query; defaults to the `defaultRangeMs` (24 hours) before
+ * the end, which defaults to now
+ * @param {{names?: string[], defaultRangeMs?: number}} [options] names are the
+ *   caller's [start, end] parameter names, used in error messages
+ * @returns {{from: number, to: number}}
+ */
+function parseRange(startDate, endDate, now = Date.now(), { names = ['start_date', 'end_date'], defaultRangeMs = DEFAULT_RANGE_MS } = {}) {
+  const [startName, endName] = names;
+  const to = endDate ? new Date(endDate).getTime() : now;
+  const from = startDate ? new Date(startDate).getTime() : to - defaultRangeMs;
+
+  if (!Number.isFinite(from) || !Number.isFinite(to)) {
+    throw httpError(400, `${startName} and ${endName} must be ISO 8601 dates`);
+  }
+  if (from > to) {
+    throw httpError(400, `${startName} must be before ${endName}`);
+  }
+  if (to - from > MAX_RANGE_DAYS * DAY_MS) {
+    throw httpError(400, `A history query covers at most ${MAX_RANGE_DAYS} days`);
+  }
+
+  return { from, to };
+}
+
+/**
+ * Bucket size in ms from "30s", "5m", "1h" or "1d"
+ */
+function parseBucket(value) {
+  const match = /^(\d+)([smhd])$/.exec(String(value));
+  if (!match || Number(match[1]) === 0) {
+    throw httpError(400, 'bucket must look like 30s, 5m, 1h or 1d');
+  }
+  return Number(match[1]) * BUCKET_UNITS[match[2]];
+}
+
+const encodeCursor = (reading) =>
+  Buffer.from(JSON.stringify({ t: reading.timestamp, k: reading.id })).toString('base64url');
+
+function decodeCursor(cursor) {
+  try {
+    const { t, k } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (Number.isFinite(t) && typeof k === 'string') return { timestamp: t, id: k };
+  } catch (error) {
+    // fall through to the 400 below
+  }
+  throw httpError(400, 'Invalid cursor');
+}
+
+/**
+ * One page of raw readings in timestamp order
+ * @param {{from: number, to: number, limit: number, order?: 'asc'|'desc', cursor?: string}} options
+ * @returns {Promise<{readings: object[], next_cursor: string|null}>}
+ */
+async function queryReadings(sensorId, { from, to, limit, order = 'desc', cursor = null }) {
+  const after = cursor ? decodeCursor(cursor) : null;
+  const ascending = order === 'asc';
+
+  let dateKeys = dateKeysBetween(from, to);
+  if (after) {
+    const cursorKey = dateKeyOf(after.timestamp);
+    dateKeys = dateKeys.filter(key => (ascending ? key >= cursorKey : key <= cursorKey));
+  }
+  if (!ascending) dateKeys.reverse();
+
+  // One extra reading tells whether there is another page
+  const wanted = limit + 1;
+  const readings = [];
+
+  for (const dateKey of dateKeys) {
+    const remaining = wanted - readings.length;
+    if (remaining <= 0) break;
+
+    const inCursorPartition = after && dateKeyOf(after.timestamp) === dateKey;
+    let partitionQuery = realtimeDb.ref(`sensor_readings/${dateKey}/${sensorId}`).orderByChild('timestamp');
+
+    // The cursor reading itself comes back first (last) and is dropped below
+    if (ascending) {
+      partitionQuery = inCursorPartition
+        ? partitionQuery.startAt(after.timestamp, after.id)
+        : partitionQuery.startAt(from);
+      partitionQuery = partitionQuery.endAt(to).limitToFirst(remaining + (inCursorPartition ? 1 : 0));
+    } else {
+      partitionQuery = partitionQuery.startAt(from);
+      partitionQuery = inCursorPartition
+        ? partitionQuery.endAt(after.timestamp, after.id)
+        : partitionQuery.endAt(to);
+      partitionQuery = partitionQuery.limitToLast(remaining + (inCursorPartition ? 1 : 0));
+    }
+
+    const snapshot = await partitionQuery.once('value');
+    const page = [];
+    snapshot.forEach(child => {
+      if (inCursorPartition && child.key === after.id) return;
+      page.push({ id: child.key, ...child.val() });
+    });
+
+    readings.push(...(ascending ? page : page.reverse()));
+  }
+
+  const hasMore = readings.length > limit;
+  const pageReadings = readings.slice(0, limit);
+
+  return {
+    readings: pageReadings,
+    next_cursor: hasMore ? encodeCursor(pageReadings[pageReadings.length - 1]) : null
+  };
+}
+
+// Coarsest rollup resolution that divides the bucket evenly
+function rollupResolutionFor(bucketMs) {
+  const fitting = Object.entries(RESOLUTIONS).filter(([, size]) => size <= bucketMs && bucketMs % size === 0);
+  return fitting.length > 0 ? fitting[fitting.length - 1][0] : null;
+}
+
+/**
+ * Bucket size for a range when the caller did not pick one
+ */
+function autoBucketMs(from, to) {
+  const span = to - from;
+  if (span <= 2 * DAY_MS) return RESOLUTIONS.minute;
+  if (span <= 60 * DAY_MS) return RESOLUTIONS.hour;
+  return RESOLUTIONS.day;
+}
+
+function formatBucket(aggregate, bucketMs, to) {
+  return {
+    bucket_start: aggregate.bucket_start,
+    bucket_end: Math.min(aggregate.bucket_start + bucketMs, to),
+    sample_count: aggregate.sample_count,
+    min: aggregate.min,
+    max: aggregate.max,
+    mean: aggregate.mean,
+    mean_filtered: aggregate.filtered_count > 0
+      ? Math.round(aggregate.filtered_sum / aggregate.filtered_count * 100) / 100
+      : null,
+    breach_count: aggregate.breach_count
+  };
+}
+
+// Aggregates per bucket, oldest first, and how many days came from each source
+async function collectBuckets(sensorId, { from, to, bucketMs }) {
+  if ((to - from) / bucketMs > MAX_BUCKETS) {
+    throw httpError(400, `That bucket size gives more than ${MAX_BUCKETS} buckets; use a larger bucket or a shorter range`);
+  }
+
+  const dateKeys = dateKeysBetween(from, to);
+  const states = await getRollupStates(dateKeys);
+  const resolution = rollupResolutionFor(bucketMs);
+  const buckets = new Map();
+  const sources = {};
+
+  const bucketFor = (timestamp) => {
+    const start = Math.floor(timestamp / bucketMs) * bucketMs;
+    if (!buckets.has(start)) buckets.set(start, emptyAggregate(start));
+    return buckets.get(start);
+  };
+
+  // One day at a time, so a week of 1 Hz data is never held all at once
+  for (const dateKey of dateKeys) {
+    const state = states[dateKey];
+    const dayStart = Date.parse(dateKey);
+    const useRollups = state.pruned || (resolution && isSettled(state));
+
+    if (useRollups) {
+      const dayResolution = resolution || 'minute';
+      const size = RESOLUTIONS[dayResolution];
+      const snapshot = await realtimeDb
+        .ref(`sensor_rollups/${dayResolution}/${sensorId}`)
+        .orderByKey()
+        .startAt(String(Math.max(dayStart, Math.floor(from / size) * size)))
+        .endAt(String(Math.min(dayStart + DAY_MS - 1, to)))
+        .once('value');
+
+      snapshot.forEach(child => {
+        mergeAggregates(bucketFor(Number(child.key)), child.val());
+      });
+      sources[dayResolution] = (sources[dayResolution] || 0) + 1;
+      continue;
+    }
+
+    const snapshot = await realtimeDb
+      .ref(`sensor_readings/${dateKey}/${sensorId}`)
+      .orderByChild('timestamp')
+      .startAt(from)
+      .endAt(to)
+      .once('value');
+
+    snapshot.forEach(child => {
+      const reading = child.val();
+      if (!Number.isFinite(reading.distance_measured)) return;
+      addReading(bucketFor(reading.timestamp), reading);
+    });
+    sources.raw = (sources.raw || 0) + 1;
+  }
+
+  return {
+    aggregates: [...buckets.values()].sort((a, b) => a.bucket_start - b.bucket_start),
+    sources
+  };
+}
+
+/**
+ * Readings in [from, to] reduced to min/max/mean per bucket (aligned to UTC),
+ * oldest first. Empty buckets are left out.
+ * @returns {Promise<{buckets: object[], sources: Object<string, number>}>} sources counts days per source
+ */
+async function downsampleReadings(sensorId, { from, to, bucketMs }) {
+  const { aggregates, sources } = await collectBuckets(sensorId, { from, to, bucketMs });
+  return {
+    buckets: aggregates.map(aggregate => formatBucket(aggregate, bucketMs, to)),
+    sources
+  };
+}
+
+/**
+ * Raw readings or buckets for a range, whichever suits it: raw pages for
+ * ranges up to RAW_QUERY_MAX_HOURS (default 48) whose raw data is still
+ * there, buckets otherwise. A bucket, a cursor or resolution=raw from the
+ * caller wins.
+ * @param {{from: number, to: number, limit: number, order?: string, cursor?: string, bucketMs?: number, resolution?: 'auto'|'raw'}} options
+ */
+async function readingsForRange(sensorId, { from, to, limit, order, cursor, bucketMs = null, resolution = 'auto' }) {
+  if (!bucketMs) {
+    const states = await getRollupStates(dateKeysBetween(from, to));
+    const pruned = Object.entries(states).filter(([, state]) => state.pruned).map(([dateKey]) => dateKey);
+    const rawMaxMs = (Number(process.env.RAW_QUERY_MAX_HOURS) || DEFAULT_RAW_QUERY_MAX_HOURS) * 3600000;
+
+    if (resolution === 'raw' && pruned.length > 0) {
+      throw httpError(409, `Raw readings for ${pruned[pruned.length - 1]} and earlier have been pruned; query with a bucket instead`);
+    }
+
+    // A cursor continues raw pages it was handed out for
+    if (resolution === 'raw' || cursor || (pruned.length === 0 && to - from <= rawMaxMs)) {
+      const page = await queryReadings(sensorId, { from, to, limit, order, cursor });
+      return { source: 'raw', ...page };
+    }
+
+    bucketMs = autoBucketMs(from, to);
+  }
+
+  const { buckets, sources } = await downsampleReadings(sensorId, { from, to, bucketMs });
+  const used = Object.keys(sources);
+
+  return {
+    source: used.length > 1 ? 'mixed' : (used[0] || 'raw'),
+    sources,
+    bucket_ms: bucketMs,
+    buckets
+  };
+}
+
+/**
+ * Totals over a range for analytics, from rollups where possible
+ * @returns {Promise<{sample_count: number, min: number|null, max: number|null, mean: number|null, breach_count: number, sources: object}>}
+ */
+async function summarizeReadings(sensorId, from, to) {
+  const { aggregates, sources } = await collectBuckets(sensorId, { from, to, bucketMs: autoBucketMs(from, to) });
+
+  const total = emptyAggregate(from);
+  aggregates.forEach(aggregate => mergeAggregates(total, aggregate));
+
+  return {
+    sample_count: total.sample_count,
+    min: total.min,
+    max: total.max,
+    mean: total.mean,
+    breach_count: total.breach_count,
+    sources
+  };
+}
+
+module.exports = {
+  MAX_RANGE_DAYS,
+  dateKeysBetween,
+  parseRange,
+  parseBucket,
+  queryReadings,
+  downsampleReadings,
+  readingsForRange,
+  summarizeReadings
+};
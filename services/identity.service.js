@@ -0,0 +1,269 @@
+// services/identity.service.js
+/**
+ * Password authentication through a pluggable identity provider
+ *
+ * The provider is picked with IDENTITY_PROVIDER (default "firebase"):
+ *   firebase  Firebase Auth REST API; needs FIREBASE_API_KEY (the Web API key)
+ *   local     bcrypt hashes in Local_Credentials/{email}; works offline and in tests
+ *
+ * Providers are added with registerIdentityProvider(name, provider) where
+ * provider.verifyPassword(email, password) resolves to
+ * { uid, email, id_token?, refresh_token?, expires_in? } or null for bad
+ * credentials, and optional setPassword(uid, email, password) /
+ * removeUser(uid, email) keep the provider in step with Firebase Auth.
+ *
+ * Failed attempts are counted per email in Login_Attempts. After
+ * LOGIN_MAX_ATTEMPTS failures within LOGIN_ATTEMPT_WINDOW_MINUTES the email is
+ * locked for LOGIN_LOCKOUT_MINUTES. The lockout check and the count happen in
+ * one transaction before the password is checked, so parallel guesses cannot
+ * all get past the check; a successful sign-in clears the count again. Every
+ * outcome is written to Audit_Logs.
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { firestore, FieldValue, Timestamp } = require('../config/firebase.config');
+const { httpError } = require('../middleware/errorHandler');
+const { recordAudit } = require('./audit.service');
+
+const COLLECTIONS = {
+  FARMERS: 'Farmers',
+  LOCAL_CREDENTIALS: 'Local_Credentials',
+  LOGIN_ATTEMPTS: 'Login_Attempts'
+};
+
+const DEFAULTS = {
+  MAX_ATTEMPTS: 5,
+  ATTEMPT_WINDOW_MINUTES: 15,
+  LOCKOUT_MINUTES: 15
+};
+
+const BCRYPT_ROUNDS = 10;
+
+// Firebase sign-in errors that mean "wrong credentials" rather than an outage
+const FIREBASE_CREDENTIAL_ERRORS = [
+  'EMAIL_NOT_FOUND',
+  'INVALID_PASSWORD',
+  'INVALID_LOGIN_CREDENTIALS',
+  'INVALID_EMAIL',
+  'USER_DISABLED'
+];
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+const numberFromEnv = (name, fallback) => Number(process.env[name]) || fallback;
+
+let dummyHash = null;
+
+const providers = {
+  firebase: {
+    async verifyPassword(email, password) {
+      const apiKey = process.env.FIREBASE_API_KEY;
+
+      if (!apiKey) {
+        throw httpError(503, 'Password sign-in is not configured (FIREBASE_API_KEY is not set)');
+      }
+
+      const response = await fetch(
+        `https://identitytoolkit.googleapis.com/v1/accounts:signInWithPassword?key=${apiKey}`,
+        {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ email, password, returnSecureToken: true })
+        }
+      );
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        const code = ((data.error && data.error.message) || '').split(' ')[0];
+        if (FIREBASE_CREDENTIAL_ERRORS.includes(code)) return null;
+        throw httpError(502, `Identity provider error: ${code || response.status}`);
+      }
+
+      return {
+        uid: data.localId,
+        email: data.email,
+        id_token: data.idToken,
+        refresh_token: data.refreshToken,
+        expires_in: data.expiresIn
+      };
+    }
+  },
+
+  local: {
+    async verifyPassword(email, password) {
+      const credentialDoc = await firestore
+        .collection(COLLECTIONS.LOCAL_CREDENTIALS)
+        .doc(normalizeEmail(email))
+        .get();
+
+      // Compare against a dummy hash so unknown emails cost the same time
+      dummyHash = dummyHash || bcrypt.hash('', BCRYPT_ROUNDS);
+      const hash = credentialDoc.exists ? credentialDoc.data().password_hash : await dummyHash;
+      const matches = await bcrypt.compare(password, hash);
+
+      if (!credentialDoc.exists || !matches) return null;
+
+      return {
+        uid: credentialDoc.data().uid,
+        email: credentialDoc.data().email
+      };
+    },
+
+    async setPassword(uid, email, password) {
+      await firestore
+        .collection(COLLECTIONS.LOCAL_CREDENTIALS)
+        .doc(normalizeEmail(email))
+        .set({
+          uid,
+          email: normalizeEmail(email),
+          password_hash: await bcrypt.hash(password, BCRYPT_ROUNDS),
+          updated_at: FieldValue.serverTimestamp()
+        });
+    },
+
+    async removeUser(uid, email) {
+      await firestore.collection(COLLECTIONS.LOCAL_CREDENTIALS).doc(normalizeEmail(email)).delete();
+    }
+  }
+};
+
+function registerIdentityProvider(name, provider) {
+  providers[name] = provider;
+}
+
+function getIdentityProvider() {
+  const name = process.env.IDENTITY_PROVIDER || 'firebase';
+  const provider = providers[name];
+
+  if (!provider) {
+    throw new Error(`Unknown identity provider: ${name}`);
+  }
+
+  return { name, provider };
+}
+
+/**
+ * Keep the provider's copy of a password in step (no-op for providers that
+ * read Firebase Auth directly)
+ */
+async function syncPassword(uid, email, password) {
+  const { provider } = getIdentityProvider();
+  if (provider.setPassword) await provider.setPassword(uid, email, password);
+}
+
+/**
+ * Drop whatever the provider keeps for a deleted user
+ */
+async function removeIdentity(uid, email) {
+  const { provider } = getIdentityProvider();
+  if (provider.removeUser && email) await provider.removeUser(uid, email);
+}
+
+const attemptsRef = (email) => firestore
+  .collection(COLLECTIONS.LOGIN_ATTEMPTS)
+  .doc(crypto.createHash('sha256').update(normalizeEmail(email)).digest('hex'));
+
+/**
+ * Refuse a locked email, otherwise count this attempt as failed (locking the
+ * email once the limit is reached) until it proves otherwise
+ * @returns {Promise<{locked: boolean, failed_count: number, locked_until: Timestamp|null}>}
+ */
+async function claimAttempt(email) {
+  const ref = attemptsRef(email);
+  const maxAttempts = numberFromEnv('LOGIN_MAX_ATTEMPTS', DEFAULTS.MAX_ATTEMPTS);
+  const windowMs = numberFromEnv('LOGIN_ATTEMPT_WINDOW_MINUTES', DEFAULTS.ATTEMPT_WINDOW_MINUTES) * 60000;
+  const lockoutMs = numberFromEnv('LOGIN_LOCKOUT_MINUTES', DEFAULTS.LOCKOUT_MINUTES) * 60000;
+
+  return firestore.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    const now = Date.now();
+    const previous = doc.exists ? doc.data() : null;
+
+    if (previous && previous.locked_until && previous.locked_until.toMillis() > now) {
+      return { locked: true, failed_count: previous.failed_count, locked_until: previous.locked_until };
+    }
+
+    // Failures older than the window start a fresh count
+    const inWindow = previous && previous.first_failed_at &&
+      now - previous.first_failed_at.toMillis() < windowMs;
+
+    const failedCount = inWindow ? previous.failed_count + 1 : 1;
+    const lockedUntil = failedCount >= maxAttempts ? Timestamp.fromMillis(now + lockoutMs) : null;
+
+    transaction.set(ref, {
+      email: normalizeEmail(email),
+      failed_count: failedCount,
+      first_failed_at: inWindow ? previous.first_failed_at : Timestamp.fromMillis(now),
+      last_failed_at: Timestamp.fromMillis(now),
+      locked_until: lockedUntil
+    });
+
+    return { locked: false, failed_count: failedCount, locked_until: lockedUntil };
+  });
+}
+
+/**
+ * Verify an email and password, enforcing lockout and writing audit entries
+ * @param {{ip?: string, user_agent?: string}} context request details for the audit log
+ * @returns {Promise<{uid: string, email: string, name: string|null, provider: string,
+ *   id_token?: string, refresh_token?: string, expires_in?: string}>}
+ */
+async function authenticate(email, password, context = {}) {
+  const { name: providerName, provider } = getIdentityProvider();
+  const audit = (event, extra = {}) => recordAudit(event, {
+    email: normalizeEmail(email),
+    ...context,
+    ...extra,
+    details: { provider: providerName, ...(extra.details || {}) }
+  });
+
+  const attempt = await claimAttempt(email);
+
+  if (attempt.locked) {
+    const lockedUntil = attempt.locked_until;
+    await audit('login.locked', { details: { locked_until: lockedUntil.toDate().toISOString() } });
+
+    const error = httpError(429, 'Too many failed login attempts. Try again later.');
+    error.retryAfter = Math.ceil((lockedUntil.toMillis() - Date.now()) / 1000);
+    throw error;
+  }
+
+  const identity = await provider.verifyPassword(email, password);
+
+  if (!identity) {
+    await audit('login.failure', { details: { failed_count: attempt.failed_count } });
+
+    if (attempt.locked_until) {
+      await audit('login.lockout', { details: { locked_until: attempt.locked_until.toDate().toISOString() } });
+    }
+
+    throw httpError(401, 'Invalid email or password');
+  }
+
+  await attemptsRef(email).delete();
+
+  const farmerRef = firestore.collection(COLLECTIONS.FARMERS).doc(identity.uid);
+  const farmerDoc = await farmerRef.get();
+
+  if (farmerDoc.exists) {
+    await farmerRef.update({ last_login: FieldValue.serverTimestamp() });
+  }
+
+  await audit('login.success', { user_id: identity.uid });
+
+  return {
+    ...identity,
+    name: farmerDoc.exists ? farmerDoc.data().name || null : null,
+    provider: providerName
+  };
+}
+
+module.exports = {
+  registerIdentityProvider,
+  getIdentityProvider,
+  syncPassword,
+  removeIdentity,
+  authenticate
+};
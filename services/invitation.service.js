@@ -0,0 +1,289 @@
+// services/invitation.service.js
+/**
+ * Email invitations to join a farm
+ *
+ * Farm_Invitations documents never hold the token itself:
+ *   farm_id, farm_name, email (lower-cased), role, invited_by
+ *   token_hash    sha256 of the token mailed to the invitee
+ *   status        pending | accepted | declined | revoked | failed
+ *                 (failed: the email could not be sent; the farm may invite again)
+ *   expires_at    INVITATION_TTL_HOURS (default 72) after creation
+ *   created_at, responded_at, responded_by
+ *
+ * The invitee registers through /api/auth/register with the invited email,
+ * then accepts or declines with the token at /api/invitations.
+ */
+
+const crypto = require('crypto');
+const { firestore, FieldValue, Timestamp } = require('../config/firebase.config');
+const { httpError } = require('../middleware/errorHandler');
+const { FARM_MEMBERS, memberDocId } = require('./access.service');
+const { sendMail } = require('./mailer.service');
+
+const COLLECTIONS = {
+  INVITATIONS: 'Farm_Invitations'
+};
+
+const INVITATION_TOKEN_PREFIX = 'inv_';
+const DEFAULT_TTL_HOURS = 72;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+const ttlHours = () => Number(process.env.INVITATION_TTL_HOURS) || DEFAULT_TTL_HOURS;
+
+/**
+ * pending invitations past expires_at report as expired
+ */
+function invitationStatus(invitation, now = Date.now()) {
+  if (invitation.status === 'pending' && invitation.expires_at && invitation.expires_at.toMillis() <= now) {
+    return 'expired';
+  }
+  return invitation.status;
+}
+
+/**
+ * Listing view of an invitation: never the token or its hash
+ */
+function formatInvitation(doc) {
+  const data = doc.data();
+
+  return {
+    invitation_id: doc.id,
+    farm_id: data.farm_id,
+    farm_name: data.farm_name || null,
+    email: data.email,
+    role: data.role,
+    status: invitationStatus(data),
+    invited_by: data.invited_by,
+    expires_at: data.expires_at || null,
+    created_at: data.created_at || null,
+    responded_at: data.responded_at || null
+  };
+}
+
+function invitationEmail({ farmName, role, token, expiresAt }) {
+  const appUrl = process.env.APP_URL;
+  const link = appUrl ? `${appUrl.replace(/\/$/, '')}/invitations/accept?token=${token}` : null;
+
+  return {
+    subject: `You've been invited to ${farmName} on ZoneAlert`,
+    text: [
+      `You have been invited to join ${farmName} as ${role}.`,
+      '',
+      'If you do not have a ZoneAlert account yet, register with this email address first.',
+      link ? `Accept the invitation: ${link}` : `Invitation token: ${token}`,
+      'Accept with POST /api/invitations/accept or decline with POST /api/invitations/decline, sending { "token": "<token>" }.',
+      '',
+      `This invitation expires on ${expiresAt.toISOString()}.`
+    ].join('\n')
+  };
+}
+
+/**
+ * Create an invitation and mail the token to the invitee
+ * @returns {Promise<object>} formatted invitation plus the mail delivery id
+ */
+async function createInvitation(farmDoc, { email, role }, invitedBy) {
+  const farm = farmDoc.data();
+  const invitee = normalizeEmail(email);
+  const invitationsRef = firestore.collection(COLLECTIONS.INVITATIONS);
+
+  const pendingSnapshot = await invitationsRef
+    .where('farm_id', '==', farmDoc.id)
+    .where('email', '==', invitee)
+    .where('status', '==', 'pending')
+    .get();
+
+  if (pendingSnapshot.docs.some(doc => invitationStatus(doc.data()) === 'pending')) {
+    throw httpError(409, 'A pending invitation already exists for this email');
+  }
+
+  const farmerSnapshot = await firestore
+    .collection('Farmers')
+    .where('email', '==', invitee)
+    .limit(1)
+    .get();
+
+  if (!farmerSnapshot.empty) {
+    const userId = farmerSnapshot.docs[0].id;
+    const memberDoc = await firestore.collection(FARM_MEMBERS).doc(memberDocId(farmDoc.id, userId)).get();
+
+    if (userId === farm.farmer_id || memberDoc.exists) {
+      throw httpError(409, 'User is already a member of this farm');
+    }
+  }
+
+  const token = INVITATION_TOKEN_PREFIX + crypto.randomBytes(24).toString('hex');
+  const expiresAt = new Date(Date.now() + ttlHours() * 3600000);
+
+  const invitationData = {
+    farm_id: farmDoc.id,
+    farm_name: farm.farm_name || null,
+    email: invitee,
+    role,
+    invited_by: invitedBy,
+    token_hash: hashToken(token),
+    status: 'pending',
+    expires_at: Timestamp.fromDate(expiresAt),
+    created_at: FieldValue.serverTimestamp(),
+    responded_at: null,
+    responded_by: null
+  };
+
+  const invitationRef = await invitationsRef.add(invitationData);
+
+  let mail;
+  try {
+    mail = await sendMail({
+      to: invitee,
+      ...invitationEmail({ farmName: farm.farm_name || 'a farm', role, token, expiresAt })
+    });
+  } catch (error) {
+    // Nobody holds the token, so the invitation must not block a retry
+    console.error('❌ Invitation email failed:', error);
+    await invitationRef.update({
+      status: 'failed',
+      failure_reason: error.message,
+      failed_at: FieldValue.serverTimestamp()
+    });
+    throw httpError(502, 'The invitation email could not be sent; please try again');
+  }
+
+  return {
+    ...formatInvitation({ id: invitationRef.id, data: () => ({ ...invitationData, created_at: Timestamp.now() }) }),
+    mail_id: mail.id
+  };
+}
+
+/**
+ * Pending, unexpired invitations of a farm
+ * @returns {Promise<object[]>}
+ */
+async function listPendingInvitations(farmId) {
+  const snapshot = await firestore
+    .collection(COLLECTIONS.INVITATIONS)
+    .where('farm_id', '==', farmId)
+    .where('status', '==', 'pending')
+    .get();
+
+  return snapshot.docs
+    .filter(doc => invitationStatus(doc.data()) === 'pending')
+    .map(formatInvitation);
+}
+
+/**
+ * Pending, unexpired invitations addressed to an email
+ * @returns {Promise<object[]>}
+ */
+async function listInvitationsForEmail(email) {
+  const snapshot = await firestore
+    .collection(COLLECTIONS.INVITATIONS)
+    .where('email', '==', normalizeEmail(email))
+    .where('status', '==', 'pending')
+    .get();
+
+  return snapshot.docs
+    .filter(doc => invitationStatus(doc.data()) === 'pending')
+    .map(formatInvitation);
+}
+
+/**
+ * Revoke a pending invitation of the farm
+ */
+async function revokeInvitation(farmId, invitationId, revokedBy) {
+  const invitationRef = firestore.collection(COLLECTIONS.INVITATIONS).doc(invitationId);
+  const invitationDoc = await invitationRef.get();
+
+  if (!invitationDoc.exists || invitationDoc.data().farm_id !== farmId) {
+    throw httpError(404, 'Invitation not found');
+  }
+
+  const status = invitationStatus(invitationDoc.data());
+  if (status !== 'pending') {
+    throw httpError(409, `Invitation is already ${status}`);
+  }
+
+  await invitationRef.update({
+    status: 'revoked',
+    responded_at: FieldValue.serverTimestamp(),
+    responded_by: revokedBy
+  });
+}
+
+/**
+ * Accept or decline an invitation with its token. The signed-in user's email
+ * must be the invited one; accepting creates the Farm_Members document.
+ * @param {{userId: string, email: string, name?: string}} user req.user
+ * @param {'accept'|'decline'} action
+ * @returns {Promise<object>} the formatted invitation after the response
+ */
+async function respondToInvitation(token, user, action) {
+  const snapshot = await firestore
+    .collection(COLLECTIONS.INVITATIONS)
+    .where('token_hash', '==', hashToken(String(token || '')))
+    .limit(1)
+    .get();
+
+  if (snapshot.empty) {
+    throw httpError(404, 'Invitation not found');
+  }
+
+  const invitationRef = snapshot.docs[0].ref;
+
+  return firestore.runTransaction(async (transaction) => {
+    const invitationDoc = await transaction.get(invitationRef);
+    const invitation = invitationDoc.data();
+
+    if (normalizeEmail(user.email) !== invitation.email) {
+      throw httpError(403, 'This invitation was sent to a different email address');
+    }
+
+    const status = invitationStatus(invitation);
+    if (status !== 'pending') {
+      throw httpError(410, `Invitation is ${status}`);
+    }
+
+    const update = {
+      status: action === 'accept' ? 'accepted' : 'declined',
+      responded_at: FieldValue.serverTimestamp(),
+      responded_by: user.userId
+    };
+
+    if (action === 'accept') {
+      const memberRef = firestore.collection(FARM_MEMBERS).doc(memberDocId(invitation.farm_id, user.userId));
+      const memberDoc = await transaction.get(memberRef);
+
+      if (!memberDoc.exists) {
+        transaction.set(memberRef, {
+          farm_id: invitation.farm_id,
+          user_id: user.userId,
+          name: user.name || null,
+          email: invitation.email,
+          role: invitation.role,
+          added_by: invitation.invited_by,
+          invitation_id: invitationDoc.id,
+          created_at: FieldValue.serverTimestamp(),
+          updated_at: FieldValue.serverTimestamp()
+        });
+      }
+    }
+
+    transaction.update(invitationRef, update);
+
+    return formatInvitation({
+      id: invitationDoc.id,
+      data: () => ({ ...invitation, ...update, responded_at: Timestamp.now() })
+    });
+  });
+}
+
+module.exports = {
+  INVITATION_TOKEN_PREFIX,
+  createInvitation,
+  listPendingInvitations,
+  listInvitationsForEmail,
+  revokeInvitation,
+  respondToInvitation
+};
@@ -0,0 +1,265 @@
+// services/job.service.js
+/**
+ * Long-running background jobs with progress reporting
+ *
+ * Jobs documents:
+ *   type          key of the handler registry (account_deletion, farm_deletion, data_export, ...)
+ *   owner_id      user who requested the job; only they can see or cancel it
+ *   params        handler input, e.g. { farm_id } or { format }
+ *   status        scheduled | running | completed | failed | cancelled
+ *   run_after     not started before this time (the soft-delete grace period)
+ *   progress      { step, done, total }
+ *   result, error
+ *   created_at, updated_at, started_at, finished_at
+ *
+ * Handlers are added with registerJobHandler(type, { run, onCancel? }); run
+ * receives (job, reportProgress) and resolves to the job result. Due jobs are
+ * picked up by jobs/background.job.js.
+ */
+
+const { firestore, FieldValue, Timestamp } = require('../config/firebase.config');
+const { httpError } = require('../middleware/errorHandler');
+
+const COLLECTIONS = {
+  JOBS: 'Jobs'
+};
+
+const JOB_STATUSES = ['scheduled', 'running', 'completed', 'failed', 'cancelled'];
+const DUE_BATCH_SIZE = 10;
+
+const handlers = {};
+
+function registerJobHandler(type, handler) {
+  handlers[type] = handler;
+}
+
+/**
+ * API view of a job
+ */
+function formatJob(doc) {
+  const data = doc.data();
+
+  return {
+    job_id: doc.id,
+    type: data.type,
+    status: data.status,
+    params: data.params || {},
+    run_after: data.run_after || null,
+    progress: data.progress || null,
+    result: data.result || null,
+    error: data.error || null,
+    created_at: data.created_at || null,
+    started_at: data.started_at || null,
+    finished_at: data.finished_at || null
+  };
+}
+
+function newJobData(type, ownerId, params, delayMs) {
+  if (!handlers[type]) {
+    throw new Error(`Unknown job type: ${type}`);
+  }
+
+  return {
+    type,
+    owner_id: ownerId,
+    params,
+    status: 'scheduled',
+    run_after: Timestamp.fromMillis(Date.now() + delayMs),
+    progress: null,
+    result: null,
+    error: null,
+    created_at: FieldValue.serverTimestamp(),
+    updated_at: FieldValue.serverTimestamp(),
+    started_at: null,
+    finished_at: null
+  };
+}
+
+/**
+ * Queue a job; delayMs pushes run_after into the future
+ * @returns {Promise<FirebaseFirestore.DocumentSnapshot>}
+ */
+async function createJob(type, ownerId, params = {}, { delayMs = 0 } = {}) {
+  const jobRef = await firestore.collection(COLLECTIONS.JOBS).add(newJobData(type, ownerId, params, delayMs));
+  return jobRef.get();
+}
+
+/**
+ * Same as createJob, as one of the writes of a transaction
+ * @returns {FirebaseFirestore.DocumentReference}
+ */
+function queueJob(transaction, type, ownerId, params = {}, { delayMs = 0 } = {}) {
+  const jobRef = firestore.collection(COLLECTIONS.JOBS).doc();
+  transaction.set(jobRef, newJobData(type, ownerId, params, delayMs));
+  return jobRef;
+}
+
+/**
+ * A job that is still waiting or running, read inside a transaction
+ * @returns {Promise<FirebaseFirestore.DocumentSnapshot|null>}
+ */
+async function getLiveJob(transaction, jobId) {
+  if (!jobId) return null;
+
+  const jobDoc = await transaction.get(firestore.collection(COLLECTIONS.JOBS).doc(jobId));
+  return jobDoc.exists && ['scheduled', 'running'].includes(jobDoc.data().status) ? jobDoc : null;
+}
+
+/**
+ * Load a job owned by the user
+ * @returns {Promise<FirebaseFirestore.DocumentSnapshot>}
+ */
+async function getOwnedJob(jobId, userId) {
+  const jobDoc = await firestore.collection(COLLECTIONS.JOBS).doc(jobId).get();
+
+  if (!jobDoc.exists) {
+    throw httpError(404, 'Job not found');
+  }
+
+  if (jobDoc.data().owner_id !== userId) {
+    throw httpError(403, 'Access denied');
+  }
+
+  return jobDoc;
+}
+
+/**
+ * The user's jobs, newest first
+ * @returns {Promise<object[]>}
+ */
+async function listJobs(userId, { status, type, limit = 50 } = {}) {
+  let query = firestore.collection(COLLECTIONS.JOBS).where('owner_id', '==', userId);
+
+  if (status) query = query.where('status', '==', status);
+  if (type) query = query.where('type', '==', type);
+
+  const snapshot = await query.orderBy('created_at', 'desc').limit(limit).get();
+  return snapshot.docs.map(formatJob);
+}
+
+/**
+ * Cancel a job that has not started yet (e.g. undo a deletion during its grace period)
+ * @returns {Promise<object>} the cancelled job
+ */
+async function cancelJob(jobId, userId) {
+  const { ref } = await getOwnedJob(jobId, userId);
+
+  // Same transaction discipline as claimJob, so a job the runner just claimed
+  // is never marked cancelled (and undone) while it runs
+  const job = await firestore.runTransaction(async (transaction) => {
+    const jobDoc = await transaction.get(ref);
+    const data = jobDoc.data();
+
+    if (data.status !== 'scheduled') {
+      throw httpError(409, `Job is already ${data.status}`);
+    }
+
+    transaction.update(ref, {
+      status: 'cancelled',
+      finished_at: FieldValue.serverTimestamp(),
+      updated_at: FieldValue.serverTimestamp()
+    });
+    return data;
+  });
+
+  const handler = handlers[job.type];
+  if (handler && handler.onCancel) {
+    await handler.onCancel({ id: ref.id, ...job });
+  }
+
+  return formatJob(await ref.get());
+}
+
+/**
+ * Move a scheduled job to running; false when another worker got there first
+ * or it was cancelled meanwhile
+ */
+async function claimJob(jobRef) {
+  return firestore.runTransaction(async (transaction) => {
+    const jobDoc = await transaction.get(jobRef);
+    if (!jobDoc.exists || jobDoc.data().status !== 'scheduled') return false;
+
+    transaction.update(jobRef, {
+      status: 'running',
+      started_at: FieldValue.serverTimestamp(),
+      updated_at: FieldValue.serverTimestamp()
+    });
+    return true;
+  });
+}
+
+/**
+ * Run one claimed job to completion, recording progress and the outcome
+ */
+async function runJob(jobDoc) {
+  if (!(await claimJob(jobDoc.ref))) return false;
+
+  const job = { id: jobDoc.id, ...jobDoc.data() };
+
+  const reportProgress = (step, done = 0, total = 0) => jobDoc.ref.update({
+    progress: { step, done, total },
+    updated_at: FieldValue.serverTimestamp()
+  });
+
+  try {
+    const handler = handlers[job.type];
+    if (!handler) {
+      throw new Error(`No handler registered for job type: ${job.type}`);
+    }
+
+    const result = await handler.run(job, reportProgress);
+
+    await jobDoc.ref.update({
+      status: 'completed',
+      result: result || null,
+      finished_at: FieldValue.serverTimestamp(),
+      updated_at: FieldValue.serverTimestamp()
+    });
+  } catch (error) {
+    console.error(`❌ Job ${job.id} (${job.type}) failed:`, error);
+
+    await jobDoc.ref.update({
+      status: 'failed',
+      error: error.message,
+      finished_at: FieldValue.serverTimestamp(),
+      updated_at: FieldValue.serverTimestamp()
+    });
+  }
+
+  return true;
+}
+
+/**
+ * Run every scheduled job whose run_after has passed
+ * @returns {Promise<{due: number, ran: number}>}
+ */
+async function runDueJobs() {
+  const snapshot = await firestore
+    .collection(COLLECTIONS.JOBS)
+    .where('status', '==', 'scheduled')
+    .where('run_after', '<=', Timestamp.now())
+    .orderBy('run_after')
+    .limit(DUE_BATCH_SIZE)
+    .get();
+
+  let ran = 0;
+  // One at a time: cascades are write-heavy
+  for (const jobDoc of snapshot.docs) {
+    if (await runJob(jobDoc)) ran++;
+  }
+
+  return { due: snapshot.size, ran };
+}
+
+module.exports = {
+  JOB_STATUSES,
+  registerJobHandler,
+  formatJob,
+  createJob,
+  queueJob,
+  getLiveJob,
+  getOwnedJob,
+  listJobs,
+  cancelJob,
+  runDueJobs
+};
@@ -0,0 +1,138 @@
+// services/kml.service.js
+/**
+ * Minimal KML reader for paddocks drawn in Google Earth / QGIS
+ *
+ * Converts Placemarks into a GeoJSON FeatureCollection. Supported geometry:
+ * Polygon (with innerBoundaryIs holes), MultiGeometry of Polygons and Point.
+ * Placemark <name>, <description> and <ExtendedData> become feature properties.
+ * A MultiGeometry of several Polygons becomes a MultiPolygon, which the boundary
+ * import splits into one zone per part.
+ */
+
+const ENTITIES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&apos;': "'"
+};
+
+const decodeText = (text) => text
+  .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+  .replace(/&(amp|lt|gt|quot|apos);/g, entity => ENTITIES[entity])
+  .trim();
+
+const firstTag = (xml, tag) => {
+  const match = xml.match(new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)</${tag}>`));
+  return match ? match[1] : null;
+};
+
+const allTags = (xml, tag) => {
+  const pattern = new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)</${tag}>`, 'g');
+  const matches = [];
+  let match;
+  while ((match = pattern.exec(xml)) !== null) {
+    matches.push(match[1]);
+  }
+  return matches;
+};
+
+// "lng,lat[,alt] lng,lat[,alt] ..." -> [[lng, lat], ...]
+const parseCoordinates = (text) => decodeText(text)
+  .split(/\s+/)
+  .filter(Boolean)
+  .map(tuple => tuple.split(',').slice(0, 2).map(Number));
+
+const parsePolygon = (polygonXml) => {
+  const outer = firstTag(polygonXml, 'outerBoundaryIs');
+  const rings = [];
+
+  if (outer) {
+    rings.push(parseCoordinates(firstTag(outer, 'coordinates') || ''));
+  }
+
+  allTags(polygonXml, 'innerBoundaryIs').forEach(inner => {
+    rings.push(parseCoordinates(firstTag(inner, 'coordinates') || ''));
+  });
+
+  return rings;
+};
+
+const parseGeometry = (placemarkXml) => {
+  const polygons = allTags(placemarkXml, 'Polygon').map(parsePolygon);
+
+  if (polygons.length === 1) {
+    return { type: 'Polygon', coordinates: polygons[0] };
+  }
+
+  if (polygons.length > 1) {
+    return { type: 'MultiPolygon', coordinates: polygons };
+  }
+
+  const point = firstTag(placemarkXml, 'Point');
+  if (point) {
+    return { type: 'Point', coordinates: parseCoordinates(firstTag(point, 'coordinates') || '')[0] || [] };
+  }
+
+  return null;
+};
+
+const parseExtendedData = (placemarkXml) => {
+  const properties = {};
+  const extended = firstTag(placemarkXml, 'ExtendedData');
+  if (!extended) return properties;
+
+  const dataPattern = /<Data\b[^>]*name="([^"]+)"[^>]*>([\s\S]*?)<\/Data>/g;
+  let match;
+  while ((match = dataPattern.exec(extended)) !== null) {
+    const value = firstTag(match[2], 'value');
+    properties[match[1]] = value !== null ? decodeText(value) : null;
+  }
+
+  const simplePattern = /<SimpleData\b[^>]*name="([^"]+)"[^>]*>([\s\S]*?)<\/SimpleData>/g;
+  while ((match = simplePattern.exec(extended)) !== null) {
+    properties[match[1]] = decodeText(match[2]);
+  }
+
+  return properties;
+};
+
+/**
+ * Parse a KML document into a GeoJSON FeatureCollection
+ * @throws {Error} when the document contains no Placemarks
+ */
+function kmlToGeoJSON(kml) {
+  if (typeof kml !== 'string' || !/<kml\b/i.test(kml)) {
+    throw new Error('Invalid KML document');
+  }
+
+  // Drop namespace prefixes such as <kml:Placemark> so the tag lookups stay simple
+  const xml = kml.replace(/<(\/?)[a-zA-Z0-9]+:/g, '<$1');
+  const placemarks = allTags(xml, 'Placemark');
+
+  if (placemarks.length === 0) {
+    throw new Error('KML document contains no Placemarks');
+  }
+
+  return {
+    type: 'FeatureCollection',
+    features: placemarks.map(placemark => {
+      const name = firstTag(placemark, 'name');
+      const description = firstTag(placemark, 'description');
+
+      return {
+        type: 'Feature',
+        geometry: parseGeometry(placemark),
+        properties: {
+          ...(name !== null && { name: decodeText(name) }),
+          ...(description !== null && { description: decodeText(description) }),
+          ...parseExtendedData(placemark)
+        }
+      };
+    })
+  };
+}
+
+module.exports = {
+  kmlToGeoJSON
+};
@@ -0,0 +1,326 @@
+// services/lorawan.service.js
+/**
+ * LoRaWAN uplinks from a network server webhook
+ *
+ * Accepted formats (detected from the body):
+ *   tts         The Things Stack v3 webhook ("uplink_message")
+ *   chirpstack  ChirpStack v4 HTTP integration up event ("deviceInfo"),
+ *               and the v3 shape ("devEUI")
+ *
+ * DevEUIs (16 upper-case hex digits) are reserved per farm owner in
+ *   LoRaWAN_Devices/{farmerId}_{devEui}  { dev_eui, sensor_id, farm_id, farmer_id, linked_at }
+ * and mirrored on Sensor_Units.dev_eui. The reservation is written in the same
+ * transaction as the sensor, so one owner's DevEUI maps to one sensor, and an
+ * uplink is looked up under the farmer of the API key that delivered it:
+ * another tenant can neither claim nor probe a DevEUI.
+ *
+ * Each sensor's frame counter session is kept in RTDB
+ *   lorawan_sessions/{sensorId}  { dev_addr, f_cnt, received_at }
+ * and a frame counter at or below the last one in the same session (DevAddr)
+ * is refused as a replay or duplicate. A new DevAddr (a rejoin) starts a new
+ * session only with a later received_at. Frames are checked before they are
+ * processed and the session only advances once the reading is stored, so the
+ * network server can retry an uplink that failed. Re-linking the DevEUI or
+ * DELETE /api/lorawan/devices/:sensorId/session clears the session, e.g. after
+ * an ABP node's counter resets.
+ *
+ * The application payload is decoded by the decoder named in
+ * Sensor_Units.payload_decoder, else the one for its sensor_type. Decoders
+ * are added with registerPayloadDecoder(name, fn) where fn receives
+ * (bytes, fPort) and returns { distance_measured?, battery_level?, flags? }.
+ */
+
+const { firestore, realtimeDb, FieldValue } = require('../config/firebase.config');
+const { httpError } = require('../middleware/errorHandler');
+
+const COLLECTIONS = {
+  SENSOR_UNITS: 'Sensor_Units',
+  LORAWAN_DEVICES: 'LoRaWAN_Devices'
+};
+
+const DEV_EUI_PATTERN = /^[0-9A-F]{16}$/;
+
+// 0xFFFF in the distance field means the sensor had no echo/return
+const NO_DISTANCE = 0xffff;
+
+/**
+ * Default frame for the ZoneAlert distance nodes (big-endian):
+ *   bytes 0-1  distance in centimetres, 0xFFFF when there was no reading
+ *   byte  2    battery percentage, 0xFF when unknown
+ *   byte  3    flags: bit 0 tamper, bit 1 sensor fault, bit 2 low battery
+ */
+function decodeDistanceFrame(bytes) {
+  if (bytes.length < 2) {
+    throw httpError(422, 'Payload too short for a distance frame');
+  }
+
+  const centimetres = bytes.readUInt16BE(0);
+  const battery = bytes.length > 2 ? bytes.readUInt8(2) : 0xff;
+  const flagByte = bytes.length > 3 ? bytes.readUInt8(3) : 0;
+  const flags = {
+    tamper: Boolean(flagByte & 0x01),
+    sensor_fault: Boolean(flagByte & 0x02),
+    low_battery: Boolean(flagByte & 0x04)
+  };
+
+  return {
+    distance_measured: centimetres === NO_DISTANCE || flags.sensor_fault ? null : centimetres / 100,
+    battery_level: battery <= 100 ? battery : null,
+    flags
+  };
+}
+
+const decoders = {
+  LIDAR: decodeDistanceFrame,
+  ULTRASONIC: decodeDistanceFrame
+};
+
+function registerPayloadDecoder(name, decode) {
+  decoders[name.toUpperCase()] = decode;
+}
+
+const hasPayloadDecoder = (name) => Boolean(decoders[String(name).toUpperCase()]);
+
+/**
+ * Decode an uplink's bytes for a sensor
+ * @returns {{distance_measured: number|null, battery_level: number|null, flags: object}}
+ */
+function decodePayload(sensorData, bytes, fPort) {
+  const name = String(sensorData.payload_decoder || sensorData.sensor_type || '').toUpperCase();
+  const decode = decoders[name];
+
+  if (!decode) {
+    throw httpError(422, `No payload decoder for "${name}"`);
+  }
+
+  const decoded = decode(bytes, fPort) || {};
+  return {
+    distance_measured: decoded.distance_measured ?? null,
+    battery_level: decoded.battery_level ?? null,
+    flags: decoded.flags || {}
+  };
+}
+
+/**
+ * DevEUI as 16 upper-case hex digits, from hex (any case, optional
+ * separators) or base64 as ChirpStack v3 sends it
+ * @returns {string|null}
+ */
+function normalizeDevEui(value) {
+  if (!value || typeof value !== 'string') return null;
+
+  const hex = value.replace(/[-:\s]/g, '').toUpperCase();
+  if (DEV_EUI_PATTERN.test(hex)) return hex;
+
+  const decoded = Buffer.from(value, 'base64');
+  return decoded.length === 8 ? decoded.toString('hex').toUpperCase() : null;
+}
+
+// Strongest gateway's signal, plus how many gateways heard the frame
+function bestSignal(gateways) {
+  const heard = gateways.filter(gateway => Number.isFinite(gateway.rssi));
+  if (heard.length === 0) return { rssi: null, snr: null, gateway_id: null, gateway_count: 0 };
+
+  const best = heard.reduce((a, b) => (b.rssi > a.rssi ? b : a));
+  return {
+    rssi: best.rssi,
+    snr: Number.isFinite(best.snr) ? best.snr : null,
+    gateway_id: best.gateway_id || null,
+    gateway_count: heard.length
+  };
+}
+
+const toMillis = (value) => {
+  const millis = value ? Date.parse(value) : NaN;
+  return Number.isFinite(millis) ? millis : Date.now();
+};
+
+/**
+ * Normalise a network server uplink
+ * @returns {{network: string, dev_eui: string, dev_addr: string|null, f_port: number|null, f_cnt: number,
+ *   bytes: Buffer, received_at: number, signal: object}|null} null for non-uplink events (joins, acks).
+ *   A missing f_cnt is 0, which The Things Stack leaves out.
+ */
+function parseUplink(body) {
+  if (!body || typeof body !== 'object') {
+    throw httpError(400, 'Uplink body must be JSON');
+  }
+
+  if (body.end_device_ids) {
+    const uplink = body.uplink_message;
+    if (!uplink) return null;
+
+    return {
+      network: 'tts',
+      dev_eui: normalizeDevEui(body.end_device_ids.dev_eui),
+      dev_addr: body.end_device_ids.dev_addr || null,
+      f_port: uplink.f_port ?? null,
+      f_cnt: uplink.f_cnt ?? 0,
+      bytes: Buffer.from(uplink.frm_payload || '', 'base64'),
+      received_at: toMillis(uplink.received_at || body.received_at),
+      signal: bestSignal((uplink.rx_metadata || []).map(rx => ({
+        rssi: rx.rssi ?? rx.channel_rssi,
+        snr: rx.snr,
+        gateway_id: rx.gateway_ids && rx.gateway_ids.gateway_id
+      })))
+    };
+  }
+
+  if (body.deviceInfo || body.devEUI) {
+    if (body.data === undefined) return null;
+
+    return {
+      network: 'chirpstack',
+      dev_eui: normalizeDevEui(body.deviceInfo ? body.deviceInfo.devEui : body.devEUI),
+      dev_addr: body.devAddr || null,
+      f_port: body.fPort ?? null,
+      f_cnt: body.fCnt ?? 0,
+      bytes: Buffer.from(body.data || '', 'base64'),
+      received_at: toMillis(body.time),
+      signal: bestSignal((body.rxInfo || []).map(rx => ({
+        rssi: rx.rssi,
+        snr: rx.snr ?? rx.loRaSNR,
+        gateway_id: rx.gatewayId || rx.gatewayID
+      })))
+    };
+  }
+
+  throw httpError(400, 'Unrecognised uplink format; expected a The Things Stack or ChirpStack uplink');
+}
+
+const deviceRef = (farmerId, devEui) =>
+  firestore.collection(COLLECTIONS.LORAWAN_DEVICES).doc(`${farmerId}_${devEui}`);
+
+/**
+ * The farmer's sensor linked to a DevEUI
+ * @returns {Promise<FirebaseFirestore.DocumentSnapshot|null>}
+ */
+async function findSensorByDevEui(farmerId, devEui) {
+  const device = await deviceRef(farmerId, devEui).get();
+  if (!device.exists) return null;
+
+  const sensorDoc = await firestore.collection(COLLECTIONS.SENSOR_UNITS).doc(device.data().sensor_id).get();
+  return sensorDoc.exists && sensorDoc.data().dev_eui === devEui ? sensorDoc : null;
+}
+
+/**
+ * A DevEUI from a request body, normalised
+ */
+function parseDevEui(value) {
+  const devEui = normalizeDevEui(value);
+  if (!devEui) {
+    throw httpError(400, 'dev_eui must be 16 hex digits');
+  }
+  return devEui;
+}
+
+/**
+ * Link a sensor to a DevEUI (null unlinks) in the farm owner's namespace,
+ * releasing the one it had. Given newSensorData, the sensor document is
+ * created in the same transaction instead of updated.
+ * @param {FirebaseFirestore.DocumentReference} sensorRef
+ * @param {string} farmerId owner of the sensor's farm
+ */
+async function linkDevEui(sensorRef, farmerId, devEui, newSensorData = null) {
+  await firestore.runTransaction(async (transaction) => {
+    const sensorDoc = newSensorData ? null : await transaction.get(sensorRef);
+    const reservationRef = devEui ? deviceRef(farmerId, devEui) : null;
+    const reservation = reservationRef ? await transaction.get(reservationRef) : null;
+
+    if (reservation && reservation.exists && reservation.data().sensor_id !== sensorRef.id) {
+      throw httpError(409, `DevEUI ${devEui} is already linked to another of your sensors`);
+    }
+
+    const sensorData = newSensorData || sensorDoc.data();
+    if (sensorData.dev_eui && sensorData.dev_eui !== devEui) {
+      transaction.delete(deviceRef(farmerId, sensorData.dev_eui));
+    }
+
+    if (reservationRef) {
+      transaction.set(reservationRef, {
+        dev_eui: devEui,
+        sensor_id: sensorRef.id,
+        farm_id: sensorData.farm_id,
+        farmer_id: farmerId,
+        linked_at: FieldValue.serverTimestamp()
+      });
+    }
+
+    if (newSensorData) {
+      transaction.set(sensorRef, { ...newSensorData, dev_eui: devEui });
+    } else {
+      transaction.update(sensorRef, {
+        dev_eui: devEui || FieldValue.delete(),
+        updated_at: FieldValue.serverTimestamp()
+      });
+    }
+  });
+}
+
+const sessionRef = (sensorId) => realtimeDb.ref(`lorawan_sessions/${sensorId}`);
+
+// Why a frame is not newer than the stored session, or null
+function staleFrameReason(session, uplink) {
+  if (!session) return null;
+
+  const sameSession = (session.dev_addr || null) === uplink.dev_addr;
+  if (sameSession && uplink.f_cnt <= session.f_cnt) {
+    return `Frame counter ${uplink.f_cnt} was already received (last ${session.f_cnt})`;
+  }
+  if (!sameSession && uplink.received_at <= session.received_at) {
+    return 'Uplink from an earlier session than the last one received';
+  }
+  return null;
+}
+
+/**
+ * Check an uplink against the sensor's frame counter session without using it up
+ * @returns {Promise<string|null>} why the frame is refused, or null when it is new
+ */
+async function checkFrame(sensorId, uplink) {
+  const snapshot = await sessionRef(sensorId).once('value');
+  return staleFrameReason(snapshot.val(), uplink);
+}
+
+/**
+ * Advance a sensor's frame counter session to this uplink, once it is stored
+ * @returns {Promise<string|null>} why the session was not advanced (a
+ *   concurrent duplicate got there first), or null
+ */
+async function claimFrame(sensorId, uplink) {
+  let reason = null;
+
+  await sessionRef(sensorId).transaction((session) => {
+    reason = staleFrameReason(session, uplink);
+    if (reason) return undefined;
+
+    return {
+      dev_addr: uplink.dev_addr,
+      f_cnt: uplink.f_cnt,
+      received_at: uplink.received_at
+    };
+  });
+
+  return reason;
+}
+
+/**
+ * Forget a sensor's frame counter session; the next uplink starts a new one
+ */
+async function resetFrameSession(sensorId) {
+  await sessionRef(sensorId).remove();
+}
+
+module.exports = {
+  registerPayloadDecoder,
+  hasPayloadDecoder,
+  decodePayload,
+  normalizeDevEui,
+  parseUplink,
+  findSensorByDevEui,
+  parseDevEui,
+  linkDevEui,
+  checkFrame,
+  claimFrame,
+  resetFrameSession
+};
@@ -0,0 +1,65 @@
+// services/mailer.service.js
+/**
+ * Pluggable email sending
+ *
+ * The transport is picked with MAIL_TRANSPORT (default "console", which only
+ * logs). "file" writes each message as JSON into MAIL_OUTBOX_DIR (default
+ * ./mail-outbox) so invitations can be opened without an SMTP server.
+ * Providers are added with registerMailTransport(name, fn) where fn receives
+ * { from, to, subject, text } and resolves to { id }.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_FROM = 'ZoneAlert <no-reply@zonealert.local>';
+
+const transports = {
+  console: async ({ to, subject, text }) => {
+    console.log(`📧 Email to ${to}: ${subject}\n${text}`);
+    return { id: `console-${Date.now()}` };
+  },
+
+  file: async (message) => {
+    const dir = process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'mail-outbox');
+    const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(
+      path.join(dir, `${id}.json`),
+      JSON.stringify({ ...message, sent_at: new Date().toISOString() }, null, 2)
+    );
+
+    return { id: `file-${id}` };
+  }
+};
+
+function registerMailTransport(name, send) {
+  transports[name] = send;
+}
+
+/**
+ * Send one email through the configured transport
+ * @returns {Promise<{id: string}>}
+ */
+async function sendMail({ to, subject, text }) {
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  const transport = transports[name];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+
+  return transport({
+    from: process.env.MAIL_FROM || DEFAULT_FROM,
+    to,
+    subject,
+    text
+  });
+}
+
+module.exports = {
+  registerMailTransport,
+  sendMail
+};
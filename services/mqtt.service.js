@@ -0,0 +1,264 @@
+// services/mqtt.service.js
+/**
+ * MQTT ingestion gateway for sensor units
+ *
+ * Devices publish JSON to (prefix MQTT_TOPIC_PREFIX, default "zonealert"):
+ *   zonealert/{farmId}/{sensorId}/reading     { api_key, distance_measured, sensor_type?, timestamp? }
+ *   zonealert/{farmId}/{sensorId}/battery     { api_key, battery_level, timestamp? }
+ *   zonealert/{farmId}/{sensorId}/config/get  { api_key }
+ * The API key may also be sent as the MQTT 5 user property "x-api-key".
+ * Signed messages carry x-signature, x-signature-timestamp and
+ * x-signature-nonce user properties over the raw payload (see signature.service).
+ * Readings go through the same pipeline as POST /api/sensors/reading.
+ *
+ * The gateway answers on:
+ *   zonealert/{farmId}/{sensorId}/ack     { ok, topic, message, data }
+ *   zonealert/{farmId}/{sensorId}/config  retained device configuration
+ * and republishes the config whenever a sensor's thresholds or conditioning
+ * change.
+ *
+ * Runs only when MQTT_URL is set (e.g. mqtt://localhost:1883 for a local
+ * Mosquitto); MQTT_USERNAME, MQTT_PASSWORD and MQTT_CLIENT_ID are optional.
+ * MQTT_PROTOCOL_VERSION (default 5) may be set to 4 for MQTT 3.1.1 brokers,
+ * where devices send api_key in the payload and cannot sign.
+ * Validated keys are cached for MQTT_AUTH_CACHE_SECONDS (default 60).
+ */
+
+const crypto = require('crypto');
+const mqtt = require('mqtt');
+const { firestore } = require('../config/firebase.config');
+const { authenticateDevice, assertDeviceAccess } = require('./device.service');
+const { SIGNATURE_HEADERS, checkSignature } = require('./signature.service');
+const { evaluateReading, recordReadings } = require('./reading.service');
+const { parseBatteryLevel, thresholdsFor, recordBatteryLevel } = require('./battery.service');
+const { thresholdsForSensor } = require('./threshold.service');
+const { conditioningFor } = require('./conditioning.service');
+const { offlineAfterMs } = require('./watchdog.service');
+const { httpError } = require('../middleware/errorHandler');
+
+const COLLECTIONS = {
+  SENSOR_UNITS: 'Sensor_Units'
+};
+
+const DEFAULT_AUTH_CACHE_SECONDS = 60;
+
+let client = null;
+const authCache = new Map();
+
+const topicPrefix = () => process.env.MQTT_TOPIC_PREFIX || 'zonealert';
+const sensorTopic = (farmId, sensorId, suffix) => `${topicPrefix()}/${farmId}/${sensorId}/${suffix}`;
+
+const userProperties = (packet) => (packet && packet.properties && packet.properties.userProperties) || {};
+
+/**
+ * Device key from the payload or the MQTT 5 user properties
+ */
+function presentedKey(payload, packet) {
+  return payload.api_key || userProperties(packet)['x-api-key'] || null;
+}
+
+/**
+ * Signature user properties, named like the HTTP headers
+ */
+function presentedSignature(packet) {
+  const properties = userProperties(packet);
+  return {
+    signature: properties[SIGNATURE_HEADERS.signature],
+    timestamp: properties[SIGNATURE_HEADERS.timestamp],
+    nonce: properties[SIGNATURE_HEADERS.nonce]
+  };
+}
+
+/**
+ * authenticateDevice with a short cache, so a node reporting every few
+ * seconds does not cost a key lookup per message
+ */
+async function authenticateCached(apiKey) {
+  const cacheKey = crypto.createHash('sha256').update(apiKey).digest('hex');
+  const cached = authCache.get(cacheKey);
+  if (cached && cached.expires > Date.now()) return cached.apiAuth;
+
+  const apiAuth = await authenticateDevice(apiKey);
+  const ttlSeconds = Number(process.env.MQTT_AUTH_CACHE_SECONDS) || DEFAULT_AUTH_CACHE_SECONDS;
+  authCache.set(cacheKey, { apiAuth, expires: Date.now() + ttlSeconds * 1000 });
+  return apiAuth;
+}
+
+/**
+ * Configuration a device needs to report sensibly
+ */
+async function deviceConfigFor(sensorId, sensorData) {
+  const { bands } = await thresholdsForSensor(sensorData);
+
+  return {
+    sensor_id: sensorId,
+    farm_id: sensorData.farm_id,
+    sensor_type: sensorData.sensor_type,
+    breach_thresholds: bands,
+    signal_conditioning: conditioningFor(sensorData),
+    battery_thresholds: thresholdsFor(sensorData),
+    offline_after_seconds: offlineAfterMs(sensorData) / 1000,
+    report_interval_seconds: sensorData.report_interval_seconds ?? null,
+    issued_at: Date.now()
+  };
+}
+
+function publish(topic, message, options = {}) {
+  return new Promise((resolve, reject) => {
+    client.publish(topic, JSON.stringify(message), { qos: 1, ...options }, error => (error ? reject(error) : resolve()));
+  });
+}
+
+/**
+ * Push a sensor's current configuration to it (retained, so a device that
+ * is asleep gets it on its next connect). No-op when the gateway is not running.
+ * @returns {Promise<boolean>} whether it was published
+ */
+async function publishSensorConfig(sensorId, sensorData) {
+  if (!client || !client.connected || !sensorData.farm_id) return false;
+
+  const config = await deviceConfigFor(sensorId, sensorData);
+  await publish(sensorTopic(sensorData.farm_id, sensorId, 'config'), config, { retain: true });
+  return true;
+}
+
+const HANDLERS = {
+  reading: async (sensorId, sensorData, payload) => {
+    const { reading, reason } = await evaluateReading(sensorId, sensorData, payload);
+    if (!reading) throw httpError(400, reason);
+
+    const [readingId] = await recordReadings([{ sensorData, reading }]);
+
+    return {
+      message: 'Sensor reading recorded',
+      data: {
+        reading_id: readingId,
+        status: reading.status,
+        breach_level: reading.breach_level,
+        distance_measured: reading.distance_measured,
+        distance_filtered: reading.distance_filtered,
+        timestamp: reading.timestamp
+      }
+    };
+  },
+
+  battery: async (sensorId, sensorData, payload) => {
+    const level = parseBatteryLevel(payload.battery_level);
+    if (level === null) throw httpError(400, 'Battery level must be a percentage between 0 and 100');
+
+    const timestamp = payload.timestamp ? Number(payload.timestamp) : Date.now();
+    if (!Number.isInteger(timestamp) || timestamp < 0) throw httpError(400, 'Timestamp must be epoch milliseconds');
+    const { trend } = await recordBatteryLevel(sensorId, sensorData, level, timestamp);
+
+    return {
+      message: 'Battery level updated',
+      data: { battery_level: level, battery_trend: trend }
+    };
+  },
+
+  'config/get': async (sensorId, sensorData) => {
+    await publishSensorConfig(sensorId, sensorData);
+    return { message: 'Configuration published' };
+  }
+};
+
+/**
+ * Handle one uplink message; every outcome is acknowledged on the ack topic
+ */
+async function handleMessage(topic, buffer, packet) {
+  const parts = topic.split('/');
+  if (parts.length < 4 || parts[0] !== topicPrefix()) return;
+
+  const [, farmId, sensorId, ...rest] = parts;
+  const action = rest.join('/');
+  const handler = HANDLERS[action];
+  if (!handler) return;
+
+  const ack = (ok, message, data = null) =>
+    publish(sensorTopic(farmId, sensorId, 'ack'), { ok, topic: action, message, data }).catch(error => {
+      console.error('❌ MQTT ack failed:', error.message);
+    });
+
+  try {
+    let payload;
+    try {
+      payload = JSON.parse(buffer.toString());
+    } catch (error) {
+      throw httpError(400, 'Payload must be JSON');
+    }
+    if (!payload || typeof payload !== 'object') throw httpError(400, 'Payload must be a JSON object');
+
+    const apiKey = presentedKey(payload, packet);
+    if (!apiKey) throw httpError(401, 'API key is required');
+
+    const apiAuth = await authenticateCached(apiKey);
+
+    const sensorDoc = await firestore.collection(COLLECTIONS.SENSOR_UNITS).doc(sensorId).get();
+    if (!sensorDoc.exists) throw httpError(404, `Sensor not found with ID: ${sensorId}`);
+
+    const sensorData = sensorDoc.data();
+    if (sensorData.farm_id !== farmId) throw httpError(404, 'Sensor is not on this farm');
+
+    await assertDeviceAccess(apiAuth, { farm_id: farmId, sensor_id: sensorId });
+
+    const unsigned = await checkSignature(sensorId, sensorData, presentedSignature(packet), buffer);
+    if (unsigned) throw httpError(401, unsigned);
+
+    const { message, data } = await handler(sensorId, sensorData, payload);
+    await ack(true, message, data);
+  } catch (error) {
+    if (!error.status) {
+      console.error(`❌ MQTT ${action} from ${sensorId} failed:`, error);
+    }
+    await ack(false, error.status ? error.message : `Failed to process ${action}`);
+  }
+}
+
+/**
+ * Connect and subscribe; does nothing unless MQTT_URL is set
+ */
+function startMqttGateway() {
+  if (client || !process.env.MQTT_URL) return;
+
+  client = mqtt.connect(process.env.MQTT_URL, {
+    clientId: process.env.MQTT_CLIENT_ID || `zonealert-api-${crypto.randomBytes(4).toString('hex')}`,
+    username: process.env.MQTT_USERNAME,
+    password: process.env.MQTT_PASSWORD,
+    protocolVersion: Number(process.env.MQTT_PROTOCOL_VERSION) || 5,
+    reconnectPeriod: 5000
+  });
+
+  client.on('connect', () => {
+    const topics = Object.keys(HANDLERS).map(action => `${topicPrefix()}/+/+/${action}`);
+    client.subscribe(topics, { qos: 1 }, error => {
+      if (error) {
+        console.error('❌ MQTT subscribe failed:', error.message);
+        return;
+      }
+      console.log(`📡 MQTT gateway subscribed on ${process.env.MQTT_URL}`);
+    });
+  });
+
+  client.on('message', (topic, buffer, packet) => {
+    handleMessage(topic, buffer, packet);
+  });
+
+  client.on('error', error => {
+    console.error('❌ MQTT gateway error:', error.message);
+  });
+}
+
+function stopMqttGateway() {
+  if (client) {
+    client.end();
+    client = null;
+  }
+  authCache.clear();
+}
+
+module.exports = {
+  startMqttGateway,
+  stopMqttGateway,
+  publishSensorConfig,
+  handleMessage
+};
@@ -0,0 +1,196 @@
+// services/notification.service.js
+/**
+ * FCM delivery for alerts
+ *
+ * Alerts go to every active token the owning farmer subscribed through
+ * POST /api/notifications/subscribe, and to the farm topic (farm_<farmId>).
+ * Each delivery attempt is logged to System_Analog with the alert_id.
+ */
+
+const { admin, firestore, FieldValue } = require('../config/firebase.config');
+
+const COLLECTIONS = {
+  NOTIFICATIONS: 'Notifications',
+  SYSTEM_ANALOG: 'System_Analog'
+};
+
+// Tokens FCM will never deliver to again
+const STALE_TOKEN_ERRORS = [
+  'messaging/registration-token-not-registered',
+  'messaging/invalid-registration-token'
+];
+
+const farmTopic = (farmId) => `farm_${farmId}`;
+
+/**
+ * Active FCM tokens subscribed by a user
+ */
+async function getUserTokens(userId) {
+  if (!userId) return [];
+
+  const snapshot = await firestore
+    .collection(COLLECTIONS.NOTIFICATIONS)
+    .where('userId', '==', userId)
+    .where('active', '==', true)
+    .get();
+
+  return snapshot.docs.map(doc => doc.data().token || doc.id);
+}
+
+/**
+ * Notification payload for an alert; FCM data values must be strings
+ */
+function buildAlertMessage(alert) {
+  const zoneName = alert.zone_name || 'Unknown zone';
+  const distance = alert.breach_distance !== null && alert.breach_distance !== undefined
+    ? `${alert.breach_distance}m`
+    : 'unknown distance';
+
+  return {
+    notification: {
+      title: `🚨 ${alert.breach_level || 'New'} ${alert.alert_type || 'alert'} - ${zoneName}`,
+      body: `${alert.description || 'Boundary breach detected'} (${distance})`
+    },
+    data: {
+      type: 'alert',
+      alert_id: String(alert.alert_id),
+      alert_type: String(alert.alert_type || ''),
+      breach_level: String(alert.breach_level || ''),
+      breach_distance: String(alert.breach_distance ?? ''),
+      zone_id: String(alert.zone_id || ''),
+      zone_name: zoneName,
+      farm_id: String(alert.farm_id || ''),
+      timestamp: new Date().toISOString()
+    }
+  };
+}
+
+async function logDelivery(entry) {
+  try {
+    await firestore
+      .collection(COLLECTIONS.SYSTEM_ANALOG)
+      .add({
+        event_type: 'Alert Notification',
+        token: null,
+        topic: null,
+        messageId: null,
+        error: null,
+        ...entry,
+        sent_at: FieldValue.serverTimestamp()
+      });
+  } catch (error) {
+    console.error('❌ Failed to log notification delivery:', error);
+  }
+}
+
+/**
+ * Send a message to a list of tokens, logging each delivery
+ * @returns {Promise<{sent: number, failed: number}>}
+ */
+async function sendToTokens(tokens, message, logFields) {
+  const result = { sent: 0, failed: 0 };
+  if (tokens.length === 0) return result;
+
+  const response = await admin.messaging().sendEachForMulticast({ ...message, tokens });
+
+  await Promise.all(response.responses.map(async (sendResponse, index) => {
+    const token = tokens[index];
+
+    if (sendResponse.success) {
+      result.sent++;
+    } else {
+      result.failed++;
+      if (STALE_TOKEN_ERRORS.includes(sendResponse.error?.code)) {
+        await firestore
+          .collection(COLLECTIONS.NOTIFICATIONS)
+          .doc(token)
+          .update({ active: false, unsubscribed_at: FieldValue.serverTimestamp() })
+          .catch(() => {});
+      }
+    }
+
+    await logDelivery({
+      ...logFields,
+      title: message.notification.title,
+      body: message.notification.body,
+      token,
+      messageId: sendResponse.messageId || null,
+      status: sendResponse.success ? 'sent' : 'failed',
+      error: sendResponse.success ? null : sendResponse.error?.message || 'Unknown error'
+    });
+  }));
+
+  return result;
+}
+
+/**
+ * Send a message to an FCM topic, logging the delivery
+ * @returns {Promise<boolean>} whether the send succeeded
+ */
+async function sendToTopic(topic, message, logFields) {
+  const entry = {
+    ...logFields,
+    title: message.notification.title,
+    body: message.notification.body,
+    topic
+  };
+
+  try {
+    const messageId = await admin.messaging().send({ ...message, topic });
+    await logDelivery({ ...entry, messageId, status: 'sent' });
+    return true;
+  } catch (error) {
+    await logDelivery({ ...entry, status: 'failed', error: error.message });
+    return false;
+  }
+}
+
+/**
+ * Push an alert to explicit recipients
+ * @param {object} alert canonical alert including alert_id
+ * @param {{tokens?: string[], topic?: string|null, logFields?: object}} recipients
+ */
+async function deliverAlert(alert, { tokens = [], topic = null, logFields = {} }) {
+  const message = buildAlertMessage(alert);
+  const fields = {
+    alert_id: alert.alert_id,
+    farm_id: alert.farm_id || null,
+    deviceId: alert.sensor_id || null,
+    ...logFields
+  };
+
+  const tokenResult = await sendToTokens([...new Set(tokens)], message, fields);
+  const topicSent = topic ? await sendToTopic(topic, message, fields) : false;
+
+  console.log(`📨 Alert ${alert.alert_id} dispatched: ${tokenResult.sent} device(s), topic ${topicSent ? 'sent' : 'skipped/failed'}`);
+
+  return {
+    tokens_sent: tokenResult.sent,
+    tokens_failed: tokenResult.failed,
+    topic_sent: topicSent
+  };
+}
+
+/**
+ * Push a newly created alert to the farmer's devices and the farm topic
+ * @param {object} alert canonical alert including alert_id
+ */
+async function dispatchAlertNotification(alert) {
+  const tokens = await getUserTokens(alert.farmer_id);
+
+  return deliverAlert(alert, {
+    tokens,
+    topic: alert.farm_id ? farmTopic(alert.farm_id) : null
+  });
+}
+
+module.exports = {
+  farmTopic,
+  getUserTokens,
+  buildAlertMessage,
+  sendToTokens,
+  sendToTopic,
+  logDelivery,
+  deliverAlert,
+  dispatchAlertNotification
+};
@@ -0,0 +1,168 @@
+// services/reading.service.js
+/**
+ * Distance reading ingestion shared by POST /api/sensors/reading and /batch
+ *
+ * Every reading goes through the same steps:
+ *   evaluate  classify the raw distance against the sensor's threshold chain
+ *             (see threshold.service) and tag it with its zone and farm
+ *   condition filter, debounce and outlier rejection decide the status
+ *             (see conditioning.service)
+ *   store     sensor_readings/{date}/{sensorId}/{pushId} with both
+ *             distance_measured (raw) and distance_filtered
+ *   status    heartbeat, sensor_status and Sensor_Units from the newest reading
+ *   alert     one createAlert per breaching reading (grouped into incidents)
+ */
+
+const { firestore, realtimeDb, Timestamp } = require('../config/firebase.config');
+const { ALERT_SOURCE, createAlert } = require('./alert.service');
+const { recordHeartbeat } = require('./watchdog.service');
+const { classifyDistance, outermostBand, thresholdsForSensor } = require('./threshold.service');
+const { conditionReadings } = require('./conditioning.service');
+
+const COLLECTIONS = {
+  SENSOR_UNITS: 'Sensor_Units'
+};
+
+const SENSOR_TYPES = ['LIDAR', 'ULTRASONIC', 'Ultrasonic'];
+
+/**
+ * Check one raw reading and classify it for its sensor
+ * @param {{distance_measured: *, sensor_type?: string, timestamp?: *}} reading
+ * @param {Map} cache shared across a batch, see thresholdsForSensor
+ * @returns {Promise<{reading?: object, reason?: string}>} reason when the reading is rejected
+ */
+async function evaluateReading(sensorId, sensorData, reading, cache) {
+  const distance = parseFloat(reading.distance_measured);
+  if (!Number.isFinite(distance) || distance < 0) {
+    return { reason: 'Distance must be a positive number' };
+  }
+
+  const sensorType = reading.sensor_type || sensorData.sensor_type;
+  if (!SENSOR_TYPES.includes(sensorType)) {
+    return { reason: 'Invalid sensor type' };
+  }
+
+  const timestamp = reading.timestamp !== undefined && reading.timestamp !== null
+    ? Number(reading.timestamp)
+    : Date.now();
+  if (!Number.isInteger(timestamp) || timestamp < 0) {
+    return { reason: 'Timestamp must be epoch milliseconds' };
+  }
+
+  const { bands } = await thresholdsForSensor(sensorData, cache);
+  const breachLevel = classifyDistance(distance, bands);
+
+  // status and breach_level are settled by conditioning in recordReadings
+  return {
+    reading: {
+      sensor_id: sensorId,
+      distance_measured: distance,
+      sensor_type: sensorType,
+      raw_status: breachLevel ? 'alert' : 'normal',
+      raw_breach_level: breachLevel,
+      threshold: outermostBand(bands),
+      thresholds: bands,
+      timestamp,
+      zone_id: sensorData.zone_id || null,
+      farm_id: sensorData.farm_id || null
+    }
+  };
+}
+
+async function createSensorAlert(sensorData, reading) {
+  try {
+    await createAlert({
+      sensor_id: reading.sensor_id,
+      zone_id: sensorData.zone_id,
+      farm_id: sensorData.farm_id,
+      location_description: sensorData.location_description,
+      breach_level: reading.breach_level,
+      breach_distance: reading.distance_filtered ?? reading.distance_measured,
+      device_timestamp: reading.timestamp,
+      source: ALERT_SOURCE.SENSOR_READING
+    });
+  } catch (error) {
+    console.error('❌ Error creating alert:', error);
+  }
+}
+
+/**
+ * Condition and store evaluated readings and bring each sensor's status up
+ * to date. Sets status, breach_level and distance_filtered on each reading.
+ * @param {{sensorData: object, reading: object}[]} entries from evaluateReading
+ * @returns {Promise<string[]>} the reading IDs, in the order given
+ */
+async function recordReadings(entries) {
+  if (entries.length === 0) return [];
+
+  const bySensor = new Map();
+  entries.forEach(entry => {
+    const sensorId = entry.reading.sensor_id;
+    if (!bySensor.has(sensorId)) bySensor.set(sensorId, { sensorData: entry.sensorData, readings: [] });
+    bySensor.get(sensorId).readings.push(entry.reading);
+  });
+
+  for (const [sensorId, { sensorData, readings }] of bySensor) {
+    readings.sort((a, b) => a.timestamp - b.timestamp);
+    await conditionReadings(sensorId, sensorData, readings);
+  }
+
+  const updates = {};
+  const readingIds = entries.map(({ reading }) => {
+    const dateKey = new Date(reading.timestamp).toISOString().split('T')[0];
+    const readingRef = realtimeDb.ref(`sensor_readings/${dateKey}/${reading.sensor_id}`).push();
+    const { thresholds, raw_breach_level, ...stored } = reading;
+    updates[`sensor_readings/${dateKey}/${reading.sensor_id}/${readingRef.key}`] = stored;
+    return readingRef.key;
+  });
+
+  // Readings for an earlier day send that day back through the rollup job
+  const today = new Date().toISOString().split('T')[0];
+  entries.forEach(({ reading }) => {
+    const dateKey = new Date(reading.timestamp).toISOString().split('T')[0];
+    if (dateKey < today) updates[`rollup_state/${dateKey}/dirty_at`] = Date.now();
+  });
+
+  await realtimeDb.ref().update(updates);
+
+  // Only the newest reading of each sensor sets its status
+  const latest = new Map();
+  entries.forEach(entry => {
+    const current = latest.get(entry.reading.sensor_id);
+    if (!current || entry.reading.timestamp >= current.reading.timestamp) {
+      latest.set(entry.reading.sensor_id, entry);
+    }
+  });
+
+  for (const [sensorId, { reading }] of latest) {
+    await recordHeartbeat(sensorId);
+
+    await realtimeDb.ref(`sensor_status/${sensorId}`).update({
+      last_reading: reading.distance_measured,
+      last_filtered: reading.distance_filtered,
+      last_timestamp: reading.timestamp,
+      status: reading.status
+    });
+
+    await firestore.collection(COLLECTIONS.SENSOR_UNITS).doc(sensorId).update({
+      last_reading: reading.distance_measured,
+      last_reading_time: Timestamp.fromMillis(reading.timestamp),
+      is_operational: true
+    });
+  }
+
+  // Late readings only fill in history; the alert state has moved past them
+  for (const { sensorData, reading } of entries) {
+    if (reading.status === 'alert' && !reading.late) {
+      await createSensorAlert(sensorData, reading);
+    }
+  }
+
+  return readingIds;
+}
+
+module.exports = {
+  SENSOR_TYPES,
+  evaluateReading,
+  recordReadings
+};
@@ -0,0 +1,312 @@
+// services/rollup.service.js
+/**
+ * Per-sensor rollups of sensor_readings and raw data retention
+ *
+ * Each day partition is reduced to minute, hour and day aggregates:
+ *   sensor_rollups/{minute|hour|day}/{sensorId}/{bucketStartMs}
+ *     { bucket_start, sample_count, min, max, sum, mean, breach_count, filtered_sum, filtered_count }
+ * and its progress is kept in
+ *   rollup_state/{YYYY-MM-DD}  { rolled_up_at, final, dirty_at, pruned, skipped }
+ *
+ * Today's partition is rolled up again on every run. A past day is final once
+ * ROLLUP_GRACE_MINUTES (default 60) have passed after midnight UTC; readings
+ * arriving for it later set dirty_at and it is rolled up again. Raw partitions
+ * older than RAW_RETENTION_DAYS (default 30) are deleted once final; late
+ * readings for a pruned day are merged into its existing rollups.
+ *
+ * Every sensor found under a day's partition is rolled up and pruned, including
+ * sensors deleted since. Readings without a finite distance or timestamp
+ * cannot be aggregated; they are counted in `skipped` and deleted with the
+ * rest of the day.
+ *
+ * Only readings that were read (and so rolled up or skipped) are ever
+ * deleted: a reading stored while a day is being pruned or merged stays
+ * behind, and the dirty_at it set brings the day back through the next run.
+ */
+
+const { realtimeDb } = require('../config/firebase.config');
+
+const DAY_MS = 86400000;
+const RESOLUTIONS = {
+  minute: 60000,
+  hour: 3600000,
+  day: DAY_MS
+};
+const DEFAULT_RETENTION_DAYS = 30;
+const DEFAULT_GRACE_MINUTES = 60;
+const RTDB_CHUNK_SIZE = 500;
+
+const dateKeyOf = (timestamp) => new Date(timestamp).toISOString().split('T')[0];
+
+const rawRetentionDays = () => Number(process.env.RAW_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS;
+
+/**
+ * Date partitions (YYYY-MM-DD) of sensor_readings from the oldest one to today
+ */
+async function readingDateKeys(now = Date.now()) {
+  const oldest = await realtimeDb.ref('sensor_readings').orderByKey().limitToFirst(1).once('value');
+
+  let firstKey = null;
+  oldest.forEach(child => { firstKey = child.key; });
+  if (!firstKey || Number.isNaN(Date.parse(firstKey))) return [];
+
+  const keys = [];
+  for (let day = Date.parse(firstKey); day <= now; day += DAY_MS) {
+    keys.push(dateKeyOf(day));
+  }
+  return keys;
+}
+
+/**
+ * rollup_state entries for the given days
+ * @returns {Promise<Object<string, object>>} dateKey -> state ({} when never rolled up)
+ */
+async function getRollupStates(dateKeys) {
+  if (dateKeys.length === 0) return {};
+
+  const snapshot = await realtimeDb
+    .ref('rollup_state')
+    .orderByKey()
+    .startAt(dateKeys[0])
+    .endAt(dateKeys[dateKeys.length - 1])
+    .once('value');
+
+  const states = Object.fromEntries(dateKeys.map(key => [key, {}]));
+  snapshot.forEach(child => { states[child.key] = child.val() || {}; });
+  return states;
+}
+
+/**
+ * Whether a day's rollups are complete and nothing arrived since
+ */
+const isSettled = (state) => Boolean(state.final) && !(state.dirty_at > state.rolled_up_at);
+
+/**
+ * An empty aggregate for one bucket
+ */
+const emptyAggregate = (bucketStart) => ({
+  bucket_start: bucketStart,
+  sample_count: 0,
+  min: null,
+  max: null,
+  sum: 0,
+  mean: null,
+  breach_count: 0,
+  filtered_sum: 0,
+  filtered_count: 0
+});
+
+/**
+ * Fold one raw reading into an aggregate
+ */
+function addReading(aggregate, reading) {
+  const distance = reading.distance_measured;
+  aggregate.sample_count += 1;
+  aggregate.sum += distance;
+  aggregate.min = aggregate.min === null ? distance : Math.min(aggregate.min, distance);
+  aggregate.max = aggregate.max === null ? distance : Math.max(aggregate.max, distance);
+  if (Number.isFinite(reading.distance_filtered)) {
+    aggregate.filtered_sum += reading.distance_filtered;
+    aggregate.filtered_count += 1;
+  }
+  if (reading.status === 'alert') aggregate.breach_count += 1;
+  aggregate.mean = Math.round(aggregate.sum / aggregate.sample_count * 100) / 100;
+  return aggregate;
+}
+
+/**
+ * Fold one aggregate into another (e.g. minutes into a chart bucket)
+ */
+function mergeAggregates(target, source) {
+  if (!source || !source.sample_count) return target;
+
+  target.sample_count += source.sample_count;
+  target.sum += source.sum;
+  target.min = target.min === null ? source.min : Math.min(target.min, source.min);
+  target.max = target.max === null ? source.max : Math.max(target.max, source.max);
+  target.breach_count += source.breach_count || 0;
+  target.filtered_sum += source.filtered_sum || 0;
+  target.filtered_count += source.filtered_count || 0;
+  target.mean = Math.round(target.sum / target.sample_count * 100) / 100;
+  return target;
+}
+
+/**
+ * Delete the given raw readings of one sensor's day
+ */
+async function removeReadings(dateKey, sensorId, keys) {
+  for (let i = 0; i < keys.length; i += RTDB_CHUNK_SIZE) {
+    const chunk = {};
+    keys.slice(i, i + RTDB_CHUNK_SIZE).forEach(key => { chunk[key] = null; });
+    await realtimeDb.ref(`sensor_readings/${dateKey}/${sensorId}`).update(chunk);
+  }
+}
+
+/**
+ * The sensors with readings in a day partition, each with its readings snapshot
+ * @returns {Promise<Array<{sensorId: string, snapshot: object}>>}
+ */
+async function readingsOfDay(dateKey) {
+  const daySnapshot = await realtimeDb.ref(`sensor_readings/${dateKey}`).once('value');
+
+  const sensors = [];
+  daySnapshot.forEach(child => { sensors.push({ sensorId: child.key, snapshot: child }); });
+  return sensors;
+}
+
+/**
+ * Roll one sensor's day up into minute, hour and day aggregates
+ * @param {object} snapshot the sensor's readings under sensor_readings/{dateKey}
+ * @param {boolean} merge add to the stored rollups instead of replacing them (pruned days)
+ * @returns {Promise<{readings: number, skipped: number}>} raw readings rolled up, and
+ *   those without a finite distance or timestamp
+ */
+async function rollupSensorDay(sensorId, dateKey, snapshot, merge) {
+  const buckets = Object.fromEntries(Object.keys(RESOLUTIONS).map(resolution => [resolution, new Map()]));
+  const keys = [];
+  let count = 0;
+  let skipped = 0;
+
+  snapshot.forEach(child => {
+    keys.push(child.key);
+    const reading = child.val();
+    if (!reading || !Number.isFinite(reading.distance_measured) || !Number.isFinite(reading.timestamp)) {
+      skipped += 1;
+      return;
+    }
+
+    count += 1;
+    Object.entries(RESOLUTIONS).forEach(([resolution, size]) => {
+      const start = Math.floor(reading.timestamp / size) * size;
+      const map = buckets[resolution];
+      if (!map.has(start)) map.set(start, emptyAggregate(start));
+      addReading(map.get(start), reading);
+    });
+  });
+
+  const dayStart = Date.parse(dateKey);
+  const updates = {};
+
+  for (const [resolution, map] of Object.entries(buckets)) {
+    let existing = {};
+    if (merge) {
+      const stored = await realtimeDb
+        .ref(`sensor_rollups/${resolution}/${sensorId}`)
+        .orderByKey()
+        .startAt(String(dayStart))
+        .endAt(String(dayStart + DAY_MS - 1))
+        .once('value');
+      existing = stored.val() || {};
+    }
+
+    map.forEach((aggregate, start) => {
+      const stored = existing[start];
+      updates[`${resolution}/${sensorId}/${start}`] = stored
+        ? mergeAggregates({ ...emptyAggregate(start), ...stored }, aggregate)
+        : aggregate;
+    });
+  }
+
+  const paths = Object.keys(updates);
+  for (let i = 0; i < paths.length; i += RTDB_CHUNK_SIZE) {
+    const chunk = {};
+    paths.slice(i, i + RTDB_CHUNK_SIZE).forEach(path => { chunk[path] = updates[path]; });
+    await realtimeDb.ref('sensor_rollups').update(chunk);
+  }
+
+  // Merged readings must not be counted twice on the next run
+  if (merge) {
+    await removeReadings(dateKey, sensorId, keys);
+  }
+
+  return { readings: count, skipped };
+}
+
+/**
+ * Delete a settled day's raw readings and mark it pruned
+ * @returns {Promise<boolean>} false when a reading arrived since the rollup
+ */
+async function pruneDay(dateKey) {
+  const keysBySensor = new Map();
+  for (const { sensorId, snapshot } of await readingsOfDay(dateKey)) {
+    const keys = [];
+    snapshot.forEach(child => { keys.push(child.key); });
+    if (keys.length > 0) keysBySensor.set(sensorId, keys);
+  }
+
+  // Checked after the keys were read: any reading among them was stored with
+  // its dirty_at in the same update, so a late one shows up here
+  const stateSnapshot = await realtimeDb.ref(`rollup_state/${dateKey}`).once('value');
+  if (!isSettled(stateSnapshot.val() || {})) return false;
+
+  for (const [sensorId, keys] of keysBySensor) {
+    await removeReadings(dateKey, sensorId, keys);
+  }
+  await realtimeDb.ref(`rollup_state/${dateKey}`).update({ pruned: true });
+  return true;
+}
+
+/**
+ * Roll up every day that is not settled, then prune raw days past retention
+ * @returns {Promise<{days: number, readings: number, skipped: number, pruned: number}>}
+ */
+async function runRollups(now = Date.now()) {
+  const dateKeys = await readingDateKeys(now);
+  if (dateKeys.length === 0) return { days: 0, readings: 0, skipped: 0, pruned: 0 };
+
+  const states = await getRollupStates(dateKeys);
+  const graceMs = (Number(process.env.ROLLUP_GRACE_MINUTES) || DEFAULT_GRACE_MINUTES) * 60000;
+  const retentionStart = dateKeyOf(now - rawRetentionDays() * DAY_MS);
+
+  let days = 0;
+  let readings = 0;
+  let skipped = 0;
+  let pruned = 0;
+
+  for (const dateKey of dateKeys) {
+    const state = states[dateKey];
+
+    if (!isSettled(state)) {
+      const startedAt = Date.now();
+      const merge = Boolean(state.pruned);
+      let daySkipped = 0;
+
+      for (const { sensorId, snapshot } of await readingsOfDay(dateKey)) {
+        const counts = await rollupSensorDay(sensorId, dateKey, snapshot, merge);
+        readings += counts.readings;
+        daySkipped += counts.skipped;
+      }
+      skipped += daySkipped;
+
+      state.rolled_up_at = startedAt;
+      state.final = Date.parse(dateKey) + DAY_MS + graceMs <= now;
+      // A merge only sees the late readings, the ones skipped before were already deleted
+      state.skipped = merge ? (state.skipped || 0) + daySkipped : daySkipped;
+      await realtimeDb.ref(`rollup_state/${dateKey}`).update({
+        rolled_up_at: state.rolled_up_at,
+        final: state.final,
+        skipped: state.skipped
+      });
+      days++;
+    }
+
+    if (dateKey < retentionStart && isSettled(state) && !state.pruned && await pruneDay(dateKey)) {
+      pruned++;
+    }
+  }
+
+  return { days, readings, skipped, pruned };
+}
+
+module.exports = {
+  RESOLUTIONS,
+  dateKeyOf,
+  rawRetentionDays,
+  readingDateKeys,
+  getRollupStates,
+  isSettled,
+  emptyAggregate,
+  addReading,
+  mergeAggregates,
+  runRollups
+};
@@ -0,0 +1,219 @@
+// services/signature.service.js
+/**
+ * HMAC-signed device payloads
+ *
+ * A sensor may be issued a shared secret (Device_Secrets/{sensorId}, never
+ * returned after it is created). A signed request carries:
+ *   X-Signature            hex HMAC-SHA256 of "{timestamp}.{nonce}.{raw body}"
+ *   X-Signature-Timestamp  epoch milliseconds when the device signed it
+ *   X-Signature-Nonce      8-128 of [A-Za-z0-9_-], never reused
+ * MQTT devices send the same three as MQTT 5 user properties, signing the
+ * raw message payload. The LoRaWAN webhook takes the headers like any other
+ * route, so a signing proxy (or integration) must sit in front of it for
+ * sensors that require signatures.
+ *
+ * Sensors with Sensor_Units.signature_required must sign; other sensors are
+ * checked only when they send a signature. Timestamps more than
+ * SIGNATURE_MAX_SKEW_SECONDS (default 300) from server time are rejected, and
+ * each nonce is remembered per sensor for as long as its timestamp could
+ * still pass, so a captured request cannot be replayed. The nonce cache is
+ * in process memory, like the background jobs.
+ *
+ * After a rotation the previous secret keeps working for
+ * SIGNING_SECRET_GRACE_HOURS (default 24) so devices can be updated.
+ */
+
+const crypto = require('crypto');
+const { firestore, FieldValue, Timestamp } = require('../config/firebase.config');
+const { httpError } = require('../middleware/errorHandler');
+
+const COLLECTIONS = {
+  DEVICE_SECRETS: 'Device_Secrets'
+};
+
+const SIGNATURE_HEADERS = {
+  signature: 'x-signature',
+  timestamp: 'x-signature-timestamp',
+  nonce: 'x-signature-nonce'
+};
+
+const DEFAULT_MAX_SKEW_SECONDS = 300;
+const DEFAULT_GRACE_HOURS = 24;
+const NONCE_PATTERN = /^[A-Za-z0-9_-]{8,128}$/;
+
+// `${sensorId}:${nonce}` -> expiry; insertion order is expiry order
+const seenNonces = new Map();
+
+const maxSkewMs = () => (Number(process.env.SIGNATURE_MAX_SKEW_SECONDS) || DEFAULT_MAX_SKEW_SECONDS) * 1000;
+
+const generateSecret = () => crypto.randomBytes(32).toString('hex');
+
+/**
+ * Signature a device should send for a payload
+ * @param {Buffer|string} body the exact bytes sent
+ */
+function computeSignature(secret, timestamp, nonce, body) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${nonce}.`)
+    .update(body)
+    .digest('hex');
+}
+
+const signaturesMatch = (expected, presented) => {
+  const a = Buffer.from(expected, 'hex');
+  const b = Buffer.from(String(presented).replace(/^sha256=/, ''), 'hex');
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * Secrets a signature may currently be made with, newest first
+ */
+async function activeSecrets(sensorId, now = Date.now()) {
+  const secretDoc = await firestore.collection(COLLECTIONS.DEVICE_SECRETS).doc(sensorId).get();
+  if (!secretDoc.exists) return [];
+
+  const { secret, previous_secret, previous_valid_until } = secretDoc.data();
+  const secrets = [secret];
+  if (previous_secret && previous_valid_until && previous_valid_until.toMillis() > now) {
+    secrets.push(previous_secret);
+  }
+  return secrets;
+}
+
+// Remember a nonce; false when it was already used
+function claimNonce(sensorId, nonce, now) {
+  for (const [key, expires] of seenNonces) {
+    if (expires > now) break;
+    seenNonces.delete(key);
+  }
+
+  const key = `${sensorId}:${nonce}`;
+  if (seenNonces.has(key)) return false;
+
+  // A timestamp up to the skew ahead stays acceptable until skew after that
+  seenNonces.set(key, now + 2 * maxSkewMs());
+  return true;
+}
+
+/**
+ * Check a payload's signature for a sensor
+ * @param {{signature?: string, timestamp?: string, nonce?: string}} presented
+ * @param {Buffer|string} body the raw payload
+ * @returns {Promise<string|null>} why it is rejected, or null when accepted
+ */
+async function checkSignature(sensorId, sensorData, presented, body) {
+  const { signature, timestamp, nonce } = presented;
+
+  if (!signature) {
+    return sensorData.signature_required
+      ? 'This sensor requires signed requests (X-Signature, X-Signature-Timestamp, X-Signature-Nonce)'
+      : null;
+  }
+
+  const now = Date.now();
+  const signedAt = Number(timestamp);
+  if (!Number.isInteger(signedAt)) {
+    return 'X-Signature-Timestamp must be epoch milliseconds';
+  }
+  if (Math.abs(now - signedAt) > maxSkewMs()) {
+    return 'Signature timestamp is outside the allowed clock skew';
+  }
+  if (!nonce || !NONCE_PATTERN.test(nonce)) {
+    return 'X-Signature-Nonce must be 8-128 letters, digits, "-" or "_"';
+  }
+
+  const secrets = await activeSecrets(sensorId, now);
+  if (secrets.length === 0) {
+    return 'No signing secret has been issued for this sensor';
+  }
+
+  const valid = secrets.some(secret => signaturesMatch(computeSignature(secret, timestamp, nonce, body || ''), signature));
+  if (!valid) {
+    return 'Invalid signature';
+  }
+
+  // Only a valid signature uses up its nonce, so forgeries cannot block a device
+  if (!claimNonce(sensorId, nonce, now)) {
+    return 'Request has already been received (nonce reused)';
+  }
+
+  return null;
+}
+
+const presentedHeaders = (req) => ({
+  signature: req.headers[SIGNATURE_HEADERS.signature],
+  timestamp: req.headers[SIGNATURE_HEADERS.timestamp],
+  nonce: req.headers[SIGNATURE_HEADERS.nonce]
+});
+
+/**
+ * checkSignature for an HTTP request, over the body captured in server.js
+ * @returns {Promise<string|null>}
+ */
+const checkRequestSignature = (req, sensorId, sensorData) =>
+  checkSignature(sensorId, sensorData, presentedHeaders(req), req.rawBody);
+
+/**
+ * Same as checkRequestSignature but throws a 401 when rejected
+ */
+async function assertRequestSignature(req, sensorId, sensorData) {
+  const reason = await checkRequestSignature(req, sensorId, sensorData);
+  if (reason) {
+    throw httpError(401, reason);
+  }
+}
+
+/**
+ * Issue a new secret for a sensor; the old one stays valid for the grace period
+ * @returns {Promise<{secret: string, previous_valid_until: Date|null}>}
+ */
+async function rotateSecret(sensorId, sensorData, userId) {
+  const secretRef = firestore.collection(COLLECTIONS.DEVICE_SECRETS).doc(sensorId);
+  const secret = generateSecret();
+  let previousValidUntil = null;
+
+  await firestore.runTransaction(async (transaction) => {
+    const existing = await transaction.get(secretRef);
+    const graceHours = Number(process.env.SIGNING_SECRET_GRACE_HOURS) || DEFAULT_GRACE_HOURS;
+    previousValidUntil = existing.exists ? new Date(Date.now() + graceHours * 3600000) : null;
+
+    transaction.set(secretRef, {
+      sensor_id: sensorId,
+      farm_id: sensorData.farm_id,
+      secret,
+      previous_secret: existing.exists ? existing.data().secret : null,
+      previous_valid_until: previousValidUntil ? Timestamp.fromDate(previousValidUntil) : null,
+      created_by: userId,
+      created_at: FieldValue.serverTimestamp()
+    });
+  });
+
+  return { secret, previous_valid_until: previousValidUntil };
+}
+
+/**
+ * Signing settings of a sensor, without the secret
+ */
+async function getSigningStatus(sensorId, sensorData) {
+  const secretDoc = await firestore.collection(COLLECTIONS.DEVICE_SECRETS).doc(sensorId).get();
+  const data = secretDoc.exists ? secretDoc.data() : {};
+
+  return {
+    signature_required: Boolean(sensorData.signature_required),
+    has_secret: secretDoc.exists,
+    secret_created_at: data.created_at ? data.created_at.toDate() : null,
+    previous_valid_until: data.previous_valid_until ? data.previous_valid_until.toDate() : null,
+    max_skew_seconds: maxSkewMs() / 1000
+  };
+}
+
+module.exports = {
+  SIGNATURE_HEADERS,
+  computeSignature,
+  checkSignature,
+  checkRequestSignature,
+  assertRequestSignature,
+  rotateSecret,
+  getSigningStatus
+};
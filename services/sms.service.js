@@ -0,0 +1,39 @@
+// services/sms.service.js
+/**
+ * Pluggable SMS sending
+ *
+ * The transport is picked with SMS_TRANSPORT (default "console", which only
+ * logs). Gateways are added with registerSmsTransport(name, fn) where fn
+ * receives { to, body } and resolves to { id }.
+ */
+
+const transports = {
+  console: async ({ to, body }) => {
+    console.log(`📱 SMS to ${to}: ${body}`);
+    return { id: `console-${Date.now()}` };
+  }
+};
+
+function registerSmsTransport(name, send) {
+  transports[name] = send;
+}
+
+/**
+ * Send one SMS through the configured transport
+ * @returns {Promise<{id: string}>}
+ */
+async function sendSms(to, body) {
+  const name = process.env.SMS_TRANSPORT || 'console';
+  const transport = transports[name];
+
+  if (!transport) {
+    throw new Error(`Unknown SMS transport: ${name}`);
+  }
+
+  return transport({ to, body });
+}
+
+module.exports = {
+  registerSmsTransport,
+  sendSms
+};
@@ -0,0 +1,208 @@
+// services/threshold.service.js
+/**
+ * Breach thresholds for distance readings
+ *
+ * A reading closer than a band's distance (meters) falls in that band:
+ *   critical < high < warning
+ * Each band is resolved on its own, first match wins:
+ *   Sensor_Units.breach_thresholds.{band}
+ *   Sensor_Units.max_distance_threshold       (high only)
+ *   Boundary_Zones.breach_thresholds.{band}
+ *   Boundary_Zones.max_distance_threshold     (high only)
+ *   Farms.breach_thresholds.{band}
+ *   BREACH_THRESHOLDS JSON, e.g. {"critical": 25, "high": 50, "warning": 80}
+ *   DEFAULT_BANDS
+ * A band set to null switches it off at that level instead of inheriting.
+ * Bands resolved from different levels can cross (a legacy sensor's
+ * max_distance_threshold of 10 inside the default critical of 25); the band
+ * from further up the chain is then dropped, so the most specific setting wins.
+ */
+
+const { firestore } = require('../config/firebase.config');
+const { httpError } = require('../middleware/errorHandler');
+
+const COLLECTIONS = {
+  BOUNDARY_ZONES: 'Boundary_Zones',
+  FARMS: 'Farms'
+};
+
+// Innermost band first; each maps to the alert breach_level it produces
+const BANDS = [
+  { band: 'critical', level: 'Critical' },
+  { band: 'high', level: 'High' },
+  { band: 'warning', level: 'Warning' }
+];
+const BAND_NAMES = BANDS.map(({ band }) => band);
+
+const DEFAULT_BANDS = {
+  critical: 25,
+  high: 50,
+  warning: null
+};
+
+// Most specific level first
+const SOURCES = ['sensor', 'zone', 'farm', 'default'];
+
+const isBandValue = (value) => value === null || (typeof value === 'number' && Number.isFinite(value) && value >= 0);
+
+/**
+ * Validate a breach_thresholds object from a request body. Bands left out
+ * are inherited; the ones given must be ordered critical < high < warning.
+ * @returns {object} the bands that were given
+ */
+function parseBands(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw httpError(400, 'breach_thresholds must be an object like { "critical": 25, "high": 50, "warning": 80 }');
+  }
+
+  const unknown = Object.keys(input).filter(key => !BAND_NAMES.includes(key));
+  if (unknown.length > 0) {
+    throw httpError(400, `Unknown threshold band(s): ${unknown.join(', ')}`);
+  }
+
+  const bands = {};
+  BAND_NAMES.forEach(band => {
+    if (input[band] === undefined) return;
+
+    const value = input[band] === null ? null : parseFloat(input[band]);
+    if (!isBandValue(value)) {
+      throw httpError(400, `breach_thresholds.${band} must be a distance in meters or null`);
+    }
+    bands[band] = value;
+  });
+
+  const given = BAND_NAMES.filter(band => typeof bands[band] === 'number');
+  for (let i = 1; i < given.length; i++) {
+    if (bands[given[i]] <= bands[given[i - 1]]) {
+      throw httpError(400, `breach_thresholds.${given[i]} must be greater than ${given[i - 1]}`);
+    }
+  }
+
+  return bands;
+}
+
+function defaultBands() {
+  try {
+    const configured = JSON.parse(process.env.BREACH_THRESHOLDS || '{}');
+    return { ...DEFAULT_BANDS, ...configured };
+  } catch (error) {
+    console.error('❌ BREACH_THRESHOLDS is not valid JSON; using defaults');
+    return DEFAULT_BANDS;
+  }
+}
+
+// The candidates for one band at one level of the chain, most specific first
+function levelCandidates(data, band) {
+  if (!data) return [];
+
+  const candidates = [];
+  const configured = data.breach_thresholds;
+  if (configured && typeof configured === 'object' && configured[band] !== undefined) {
+    candidates.push(configured[band]);
+  }
+  if (band === 'high' && Number.isFinite(data.max_distance_threshold)) {
+    candidates.push(data.max_distance_threshold);
+  }
+  return candidates;
+}
+
+// Drop crossed bands until critical < high < warning holds again
+function dropCrossedBands(bands, sources) {
+  const overridden = {};
+
+  for (;;) {
+    const set = BAND_NAMES.filter(band => typeof bands[band] === 'number');
+    const index = set.findIndex((band, i) => i > 0 && bands[set[i - 1]] >= bands[band]);
+    if (index === -1) return overridden;
+
+    const inner = set[index - 1];
+    const outer = set[index];
+    const [loser, winner] = SOURCES.indexOf(sources[inner]) >= SOURCES.indexOf(sources[outer])
+      ? [inner, outer]
+      : [outer, inner];
+
+    bands[loser] = null;
+    overridden[loser] = winner;
+  }
+}
+
+/**
+ * Effective bands for a sensor given its zone and farm documents
+ * @returns {{bands: object, sources: object, overridden: object}} sources name the level each
+ *   band came from; overridden names, per dropped band, the more specific band that crossed it
+ */
+function resolveBands({ sensor = null, zone = null, farm = null } = {}) {
+  const defaults = defaultBands();
+  const chain = [['sensor', sensor], ['zone', zone], ['farm', farm]];
+  const bands = {};
+  const sources = {};
+
+  BAND_NAMES.forEach(band => {
+    for (const [source, data] of chain) {
+      const candidates = levelCandidates(data, band).filter(isBandValue);
+      if (candidates.length > 0) {
+        bands[band] = candidates[0];
+        sources[band] = source;
+        return;
+      }
+    }
+
+    bands[band] = isBandValue(defaults[band]) ? defaults[band] : null;
+    sources[band] = 'default';
+  });
+
+  const overridden = dropCrossedBands(bands, sources);
+
+  return { bands, sources, overridden };
+}
+
+/**
+ * Breach level of a distance, or null when it is outside every band
+ */
+function classifyDistance(distance, bands = resolveBands().bands) {
+  const match = BANDS.find(({ band }) => typeof bands[band] === 'number' && distance < bands[band]);
+  return match ? match.level : null;
+}
+
+/**
+ * Distance below which a reading counts as a breach at all
+ */
+function outermostBand(bands) {
+  const limits = BAND_NAMES.map(band => bands[band]).filter(value => typeof value === 'number');
+  return limits.length > 0 ? Math.max(...limits) : null;
+}
+
+/**
+ * Resolve the chain for a sensor, reading its zone and farm. Pass the same
+ * cache for a batch so each zone and farm is read once.
+ * @returns {Promise<{bands: object, sources: object, overridden: object}>}
+ */
+async function thresholdsForSensor(sensorData, cache = new Map()) {
+  const load = (collection, id) => {
+    if (!id) return Promise.resolve(null);
+
+    const key = `${collection}/${id}`;
+    if (!cache.has(key)) {
+      cache.set(key, firestore.collection(collection).doc(id).get()
+        .then(doc => (doc.exists ? doc.data() : null)));
+    }
+    return cache.get(key);
+  };
+
+  const [zone, farm] = await Promise.all([
+    load(COLLECTIONS.BOUNDARY_ZONES, sensorData.zone_id),
+    load(COLLECTIONS.FARMS, sensorData.farm_id)
+  ]);
+
+  return resolveBands({ sensor: sensorData, zone, farm });
+}
+
+module.exports = {
+  BAND_NAMES,
+  DEFAULT_BANDS,
+  parseBands,
+  resolveBands,
+  classifyDistance,
+  outermostBand,
+  thresholdsForSensor
+};
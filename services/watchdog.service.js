@@ -0,0 +1,268 @@
+// services/watchdog.service.js
+/**
+ * Sensor heartbeat tracking and the offline watchdog
+ *
+ * A sensor is offline once it has been silent longer than its silence limit:
+ *   Sensor_Units.offline_after_seconds                  per-sensor override
+ *   SENSOR_OFFLINE_SECONDS JSON, e.g. {"LIDAR": 300}   per sensor type
+ *   DEFAULT_OFFLINE_SECONDS                             built-in per-type defaults
+ *
+ * Going offline raises a 'Sensor Offline' alert (incident key offline:sensor:{id});
+ * the next reading resolves it automatically. Every online/offline stretch is
+ * recorded in RTDB for uptime reporting:
+ *   sensor_uptime/{sensorId}/{intervalId}  { state, started_at, ended_at }
+ * and sensor_status/{sensorId}.uptime_interval_id points at the open one.
+ *
+ * Liveness runs on server receipt time (sensor_status.last_heartbeat), never on
+ * the device's own clock: a node whose clock runs ahead would otherwise never go
+ * offline, and one behind would flap. Device time stays on the reading
+ * (last_timestamp).
+ */
+
+const { firestore, realtimeDb } = require('../config/firebase.config');
+const { ALERT_SOURCE, createAlert, autoResolveIncident } = require('./alert.service');
+
+const COLLECTIONS = {
+  SENSOR_UNITS: 'Sensor_Units'
+};
+
+// Seconds of silence before a sensor of each type counts as offline
+const DEFAULT_OFFLINE_SECONDS = {
+  LIDAR: 300,
+  ULTRASONIC: 600
+};
+const FALLBACK_OFFLINE_SECONDS = 300;
+
+const offlineIncidentKey = (sensorId) => `offline:sensor:${sensorId}`;
+
+function typeThresholds() {
+  try {
+    return { ...DEFAULT_OFFLINE_SECONDS, ...JSON.parse(process.env.SENSOR_OFFLINE_SECONDS || '{}') };
+  } catch (error) {
+    console.error('❌ SENSOR_OFFLINE_SECONDS is not valid JSON; using defaults');
+    return DEFAULT_OFFLINE_SECONDS;
+  }
+}
+
+/**
+ * Silence (ms) after which this sensor counts as offline
+ */
+function offlineAfterMs(sensorData = {}) {
+  if (Number.isFinite(sensorData.offline_after_seconds)) {
+    return sensorData.offline_after_seconds * 1000;
+  }
+
+  const type = String(sensorData.sensor_type || '').toUpperCase();
+  return (typeThresholds()[type] || FALLBACK_OFFLINE_SECONDS) * 1000;
+}
+
+/**
+ * When the server last heard from a sensor. Status entries written before
+ * last_heartbeat existed only have last_timestamp.
+ */
+const lastSeenAt = (status) => status.last_heartbeat ?? status.last_timestamp ?? 0;
+
+/**
+ * Close the open uptime interval (if any) and open a new one
+ * @returns {Promise<string>} the new interval ID
+ */
+async function switchUptimeInterval(sensorId, openIntervalId, state, at) {
+  const uptimeRef = realtimeDb.ref(`sensor_uptime/${sensorId}`);
+  const intervalRef = uptimeRef.push();
+  const updates = {
+    [`${intervalRef.key}`]: { state, started_at: at, ended_at: null }
+  };
+
+  if (openIntervalId) {
+    updates[`${openIntervalId}/ended_at`] = at;
+  }
+
+  await uptimeRef.update(updates);
+  return intervalRef.key;
+}
+
+/**
+ * Record that a sensor's report was received at `receivedAt` (server time).
+ * Brings an offline or new sensor online: opens an online uptime interval and
+ * resolves its Sensor Offline alert.
+ * @returns {Promise<boolean>} true when the sensor came back online
+ */
+async function recordHeartbeat(sensorId, receivedAt = Date.now()) {
+  const statusRef = realtimeDb.ref(`sensor_status/${sensorId}`);
+  let previous = null;
+
+  const { committed } = await statusRef.transaction((status) => {
+    previous = status ? { ...status } : null;
+    return {
+      ...(status || {}),
+      is_online: true,
+      last_heartbeat: Math.max(receivedAt, (status && status.last_heartbeat) || 0),
+      offline_since: null
+    };
+  });
+
+  if (!committed) return false;
+
+  const wasOnline = previous && previous.is_online && previous.uptime_interval_id;
+  if (wasOnline) return false;
+
+  const intervalId = await switchUptimeInterval(
+    sensorId,
+    previous ? previous.uptime_interval_id : null,
+    'online',
+    receivedAt
+  );
+  await statusRef.update({ uptime_interval_id: intervalId });
+
+  if (previous && previous.offline_since) {
+    const resolved = await autoResolveIncident(offlineIncidentKey(sensorId), 'Sensor reporting again');
+    if (resolved.some(Boolean)) {
+      console.log(`✅ Sensor ${sensorId} back online; offline alert resolved`);
+    }
+
+    await firestore.collection(COLLECTIONS.SENSOR_UNITS).doc(sensorId).update({
+      is_operational: true
+    });
+  }
+
+  return true;
+}
+
+/**
+ * Mark one silent sensor offline, unless a reading arrived meanwhile
+ * @returns {Promise<boolean>} true when it was marked offline
+ */
+async function markOffline(sensorId, sensorData, limitMs, now) {
+  const statusRef = realtimeDb.ref(`sensor_status/${sensorId}`);
+  let lastSeen = null;
+  let openIntervalId = null;
+
+  const { committed } = await statusRef.transaction((status) => {
+    lastSeen = null;
+    // The first attempt may run on an empty local cache; null lets the server value through
+    if (status === null) return null;
+    if (!status.is_online) return undefined;
+
+    lastSeen = lastSeenAt(status);
+    if (now - lastSeen <= limitMs) return undefined;
+
+    openIntervalId = status.uptime_interval_id || null;
+    return {
+      ...status,
+      is_online: false,
+      status: 'offline',
+      offline_since: lastSeen
+    };
+  });
+
+  if (!committed || lastSeen === null || now - lastSeen <= limitMs) return false;
+
+  const intervalId = await switchUptimeInterval(sensorId, openIntervalId, 'offline', lastSeen);
+  await statusRef.update({ uptime_interval_id: intervalId });
+
+  await firestore.collection(COLLECTIONS.SENSOR_UNITS).doc(sensorId).update({
+    is_operational: false
+  });
+
+  const silentMinutes = Math.round((now - lastSeen) / 60000);
+
+  await createAlert({
+    alert_type: 'Sensor Offline',
+    is_breach: false,
+    incident_key: offlineIncidentKey(sensorId),
+    sensor_id: sensorId,
+    zone_id: sensorData.zone_id,
+    farm_id: sensorData.farm_id,
+    location_description: sensorData.location_description,
+    description: `Sensor ${sensorData.device_id || sensorId}${sensorData.location_description ? ` at ${sensorData.location_description}` : ''} ` +
+      `has not reported for ${silentMinutes} minutes`,
+    device_timestamp: lastSeen,
+    source: ALERT_SOURCE.WATCHDOG
+  });
+
+  return true;
+}
+
+/**
+ * Check every online sensor and mark the silent ones offline
+ * @returns {Promise<{checked: number, offline: number}>}
+ */
+async function runWatchdogSweep(now = Date.now()) {
+  const statusSnapshot = await realtimeDb.ref('sensor_status').once('value');
+
+  const online = [];
+  statusSnapshot.forEach(child => {
+    const status = child.val();
+    if (status && status.is_online) online.push(child.key);
+  });
+
+  if (online.length === 0) return { checked: 0, offline: 0 };
+
+  const sensorDocs = await firestore.getAll(
+    ...online.map(sensorId => firestore.collection(COLLECTIONS.SENSOR_UNITS).doc(sensorId))
+  );
+
+  let offline = 0;
+
+  for (const sensorDoc of sensorDocs) {
+    if (!sensorDoc.exists) continue;
+
+    const status = statusSnapshot.child(sensorDoc.id).val();
+    const lastSeen = lastSeenAt(status);
+    const limitMs = offlineAfterMs(sensorDoc.data());
+
+    if (now - lastSeen <= limitMs) continue;
+
+    try {
+      if (await markOffline(sensorDoc.id, sensorDoc.data(), limitMs, now)) offline++;
+    } catch (error) {
+      console.error(`❌ Failed to mark sensor ${sensorDoc.id} offline:`, error);
+    }
+  }
+
+  return { checked: online.length, offline };
+}
+
+/**
+ * Online/offline intervals of a sensor overlapping [from, to], with totals
+ * @returns {Promise<{intervals: object[], online_ms: number, offline_ms: number, uptime_percent: number|null}>}
+ */
+async function getUptime(sensorId, from, to = Date.now()) {
+  const snapshot = await realtimeDb
+    .ref(`sensor_uptime/${sensorId}`)
+    .orderByChild('started_at')
+    .endAt(to)
+    .once('value');
+
+  const intervals = [];
+  const totals = { online: 0, offline: 0 };
+
+  snapshot.forEach(child => {
+    const interval = child.val();
+    const end = interval.ended_at || to;
+    if (end < from) return;
+
+    const overlap = Math.min(end, to) - Math.max(interval.started_at, from);
+    if (overlap > 0) totals[interval.state] += overlap;
+
+    intervals.push({ interval_id: child.key, ...interval });
+  });
+
+  const tracked = totals.online + totals.offline;
+
+  return {
+    intervals,
+    online_ms: totals.online,
+    offline_ms: totals.offline,
+    uptime_percent: tracked > 0 ? Math.round(totals.online / tracked * 10000) / 100 : null
+  };
+}
+
+module.exports = {
+  DEFAULT_OFFLINE_SECONDS,
+  offlineAfterMs,
+  lastSeenAt,
+  recordHeartbeat,
+  runWatchdogSweep,
+  getUptime
+};
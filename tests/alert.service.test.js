@@ -0,0 +1,72 @@
+// tests/alert.service.test.js
+jest.mock('../config/firebase.config', () => {
+  const mockStore = new Map();
+
+  const docRef = (collection, id) => {
+    const path = `${collection}/${id}`;
+    return {
+      id,
+      path,
+      get: async () => ({ id, exists: mockStore.has(path), data: () => mockStore.get(path) })
+    };
+  };
+
+  return {
+    mockStore,
+    admin: {},
+    realtimeDb: {},
+    FieldValue: { arrayUnion: (...entries) => ({ arrayUnion: entries }) },
+    Timestamp: { now: () => ({ toMillis: () => Date.now() }) },
+    firestore: {
+      collection: (collection) => ({ doc: (id) => docRef(collection, id) }),
+      runTransaction: async (fn) => fn({
+        get: (ref) => ref.get(),
+        update: (ref, data) => {
+          const current = { ...mockStore.get(ref.path) };
+          Object.entries(data).forEach(([field, value]) => {
+            current[field] = value && value.arrayUnion ? [...(current[field] || []), ...value.arrayUnion] : value;
+          });
+          mockStore.set(ref.path, current);
+        }
+      })
+    }
+  };
+});
+
+jest.mock('../services/notification.service', () => ({}));
+jest.mock('../services/escalation.service', () => ({}));
+jest.mock('../services/threshold.service', () => ({}));
+
+const { mockStore } = require('../config/firebase.config');
+const { transitionAlert } = require('../services/alert.service');
+
+const assign = (assignee) => transitionAlert('alert1', 'assign', { userId: 'owner1', assignee });
+
+describe('alert.service assign', () => {
+  beforeEach(() => {
+    mockStore.clear();
+    mockStore.set('Farms/farm1', { farmer_id: 'owner1' });
+    mockStore.set('Farm_Members/farm1_worker1', { farm_id: 'farm1', user_id: 'worker1', role: 'worker' });
+    mockStore.set('Farm_Members/farm1_viewer1', { farm_id: 'farm1', user_id: 'viewer1', role: 'viewer' });
+    mockStore.set('Farm_Members/farm2_stranger', { farm_id: 'farm2', user_id: 'stranger', role: 'manager' });
+    mockStore.set('Alerts/alert1', { farm_id: 'farm1', status: 'open', timeline: [] });
+  });
+
+  test('assigns to a member who can respond, or to the owner', async () => {
+    expect(await assign('worker1')).toMatchObject({ assigned_to: 'worker1' });
+    expect(mockStore.get('Alerts/alert1').assigned_to).toBe('worker1');
+
+    expect(await assign('owner1')).toMatchObject({ assigned_to: 'owner1' });
+  });
+
+  test('refuses a user with no role on the farm', async () => {
+    await expect(assign('stranger'))
+      .rejects.toMatchObject({ status: 422, message: 'User stranger is not a member of this farm' });
+    expect(mockStore.get('Alerts/alert1').assigned_to).toBeUndefined();
+  });
+
+  test('refuses a member whose role cannot respond to alerts', async () => {
+    await expect(assign('viewer1'))
+      .rejects.toMatchObject({ status: 422, message: 'User viewer1 is a viewer on this farm and cannot respond to alerts' });
+  });
+});
@@ -0,0 +1,111 @@
+// tests/apikey.service.test.js
+jest.mock('../config/firebase.config', () => {
+  const mockStore = new Map();
+  let autoId = 0;
+
+  const fromMillis = (ms) => ({ toMillis: () => ms, toDate: () => new Date(ms) });
+
+  const docRef = (id) => {
+    const ref = {
+      id,
+      get: async () => ({ id, ref, exists: mockStore.has(id), data: () => mockStore.get(id) }),
+      set: async (data) => { mockStore.set(id, data); },
+      update: async (data) => { mockStore.set(id, { ...mockStore.get(id), ...data }); }
+    };
+    return ref;
+  };
+
+  return {
+    mockStore,
+    FieldValue: { serverTimestamp: () => 'server-timestamp' },
+    Timestamp: { fromMillis, fromDate: (date) => fromMillis(date.getTime()), now: () => fromMillis(Date.now()) },
+    firestore: {
+      collection: () => ({ doc: (id = `key${++autoId}`) => docRef(id) }),
+      runTransaction: async (fn) => fn({
+        get: (ref) => ref.get(),
+        set: (ref, data) => ref.set(data),
+        update: (ref, data) => ref.update(data)
+      })
+    }
+  };
+});
+
+const { mockStore, firestore, Timestamp } = require('../config/firebase.config');
+const { rotateApiKey, keyUnusableReason } = require('../services/apikey.service');
+
+const HOUR_MS = 3600000;
+const DAY_MS = 24 * HOUR_MS;
+
+const keyDoc = (id) => firestore.collection('API_Keys').doc(id).get();
+
+function storeKey(id, overrides = {}) {
+  mockStore.set(id, {
+    farmer_id: 'farmer1',
+    name: 'Gate sensor',
+    farm_id: 'farm1',
+    sensor_id: null,
+    key_hash: 'hash',
+    key_prefix: 'zk_abcdefgh',
+    is_active: true,
+    created_at: Timestamp.fromMillis(Date.now() - 20 * DAY_MS),
+    expires_at: Timestamp.fromMillis(Date.now() + 10 * DAY_MS),
+    rotated_to: null,
+    ...overrides
+  });
+}
+
+describe('apikey.service rotateApiKey', () => {
+  beforeEach(() => {
+    mockStore.clear();
+  });
+
+  test('gives the new key the old key\'s lifetime from now and links the two', async () => {
+    storeKey('old');
+    const before = Date.now();
+
+    const rotated = await rotateApiKey(await keyDoc('old'), 60);
+    const newKey = mockStore.get(rotated.api_key_id);
+
+    expect(rotated.api_key).toMatch(/^zk_/);
+    expect(newKey).toMatchObject({ name: 'Gate sensor', farm_id: 'farm1', is_active: true, rotated_to: null });
+    expect(newKey.expires_at.toMillis()).toBeGreaterThanOrEqual(before + 30 * DAY_MS);
+    expect(mockStore.get('old')).toMatchObject({ rotated_to: rotated.api_key_id, is_active: true });
+    expect(mockStore.get('old').expires_at.toMillis()).toBeLessThanOrEqual(Date.now() + HOUR_MS);
+  });
+
+  test('uses the expiry from the request', async () => {
+    storeKey('old');
+    const expiresAt = new Date(Date.now() + 90 * DAY_MS);
+
+    const rotated = await rotateApiKey(await keyDoc('old'), 60, { expires_at: expiresAt.toISOString() });
+    expect(mockStore.get(rotated.api_key_id).expires_at.toMillis()).toBe(expiresAt.getTime());
+  });
+
+  test('a key without an expiry is replaced by one without an expiry', async () => {
+    storeKey('old', { expires_at: null });
+
+    const rotated = await rotateApiKey(await keyDoc('old'), 0);
+    expect(mockStore.get(rotated.api_key_id).expires_at).toBeNull();
+    expect(keyUnusableReason(mockStore.get('old'))).toBe('API key has been revoked');
+  });
+
+  test('refuses expired, revoked and already rotated keys', async () => {
+    storeKey('expired', { expires_at: Timestamp.fromMillis(Date.now() - 1000) });
+    storeKey('revoked', { is_active: false });
+    storeKey('rotated', { rotated_to: 'successor' });
+
+    await expect(rotateApiKey(await keyDoc('expired'))).rejects.toMatchObject({ status: 409, message: expect.stringMatching('expired') });
+    await expect(rotateApiKey(await keyDoc('revoked'))).rejects.toMatchObject({ status: 409, message: expect.stringMatching('revoked') });
+    await expect(rotateApiKey(await keyDoc('rotated'))).rejects.toMatchObject({ status: 409, message: expect.stringMatching('already rotated to successor') });
+
+    expect(mockStore.size).toBe(3);
+  });
+
+  test('a key can only be rotated once', async () => {
+    storeKey('old');
+    await rotateApiKey(await keyDoc('old'), 60);
+
+    await expect(rotateApiKey(await keyDoc('old'), 60)).rejects.toMatchObject({ status: 409 });
+    expect(mockStore.size).toBe(2);
+  });
+});
@@ -0,0 +1,93 @@
+// tests/battery.service.test.js
+jest.mock('../config/firebase.config', () => ({ firestore: {}, realtimeDb: {} }));
+
+const { parseBatteryLevel, thresholdsFor, batteryRecovered, estimateTrend } = require('../services/battery.service');
+
+const HOUR_MS = 3600000;
+
+// One sample an hour, oldest first
+const hourly = (levels, start = Date.UTC(2026, 0, 1)) =>
+  levels.map((level, i) => ({ level, timestamp: start + i * HOUR_MS }));
+
+describe('battery.service', () => {
+  beforeEach(() => {
+    delete process.env.BATTERY_LOW_THRESHOLDS;
+    delete process.env.BATTERY_CLEAR_MARGIN;
+  });
+
+  test('parseBatteryLevel accepts numbers and percentage strings', () => {
+    expect(parseBatteryLevel(87)).toBe(87);
+    expect(parseBatteryLevel('87%')).toBe(87);
+    expect(parseBatteryLevel('87.46 %')).toBe(87.5);
+    expect(parseBatteryLevel(101)).toBeNull();
+    expect(parseBatteryLevel('full')).toBeNull();
+    expect(parseBatteryLevel('')).toBeNull();
+  });
+
+  test('thresholdsFor sorts and de-duplicates, highest first', () => {
+    expect(thresholdsFor({ battery_thresholds: [10, 30, 10, 150] })).toEqual([30, 10]);
+
+    process.env.BATTERY_LOW_THRESHOLDS = '5,15';
+    expect(thresholdsFor({})).toEqual([15, 5]);
+  });
+
+  describe('batteryRecovered', () => {
+    const thresholds = [20, 10, 5];
+
+    test('a report just over the threshold keeps the alert', () => {
+      expect(batteryRecovered(19, 21, thresholds)).toBe(false);
+      expect(batteryRecovered(21, 25, thresholds)).toBe(false);
+    });
+
+    test('a replacement jump clears it, but not one that stays below the threshold', () => {
+      expect(batteryRecovered(4, 24, thresholds)).toBe(true);
+      expect(batteryRecovered(0, 20, thresholds)).toBe(false);
+    });
+
+    test('climbing past the clear margin clears it', () => {
+      expect(batteryRecovered(25, 29, thresholds)).toBe(false);
+      expect(batteryRecovered(29, 30, thresholds)).toBe(true);
+      expect(batteryRecovered(null, 30, thresholds)).toBe(true);
+    });
+
+    test('the margin comes from BATTERY_CLEAR_MARGIN and stops at 100', () => {
+      process.env.BATTERY_CLEAR_MARGIN = '2';
+      expect(batteryRecovered(20, 22, thresholds)).toBe(true);
+
+      process.env.BATTERY_CLEAR_MARGIN = '50';
+      expect(batteryRecovered(85, 99, [60])).toBe(false);
+      expect(batteryRecovered(99, 100, [60])).toBe(true);
+    });
+  });
+
+  describe('estimateTrend', () => {
+    test('fits the discharge rate and projects when the battery runs out', () => {
+      const samples = hourly([90, 89, 88, 87, 86, 85, 84, 83, 82, 81]);
+      const trend = estimateTrend(samples, 24);
+
+      expect(trend.discharge_rate_per_day).toBe(24);
+      expect(trend.days_remaining).toBe(3.4);
+      expect(Date.parse(trend.estimated_empty_at)).toBe(samples[9].timestamp + 81 / 24 * 86400000);
+      expect(trend.samples).toBe(10);
+    });
+
+    test('starts over after a battery swap', () => {
+      const trend = estimateTrend(hourly([30, 28, 100, 99, 98]), 24);
+      expect(trend.samples).toBe(3);
+      expect(trend.discharge_rate_per_day).toBe(24);
+    });
+
+    test('needs at least an hour of samples', () => {
+      const start = Date.UTC(2026, 0, 1);
+      const trend = estimateTrend([{ level: 90, timestamp: start }, { level: 89, timestamp: start + 60000 }], 24);
+      expect(trend).toMatchObject({ discharge_rate_per_day: null, days_remaining: null, samples: 2 });
+    });
+
+    test('a charging battery has no empty estimate', () => {
+      const trend = estimateTrend(hourly([50, 52, 54]), 24);
+      expect(trend.discharge_rate_per_day).toBe(-48);
+      expect(trend.days_remaining).toBeNull();
+      expect(trend.estimated_empty_at).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,150 @@
+// tests/boundary.service.test.js
+jest.mock('../config/firebase.config', () => {
+  const mockStore = new Map();
+  const mockCommits = [];
+  let autoId = 0;
+
+  const snapshot = (ref) => ({ id: ref.id, ref, exists: mockStore.has(ref.path), data: () => mockStore.get(ref.path) });
+
+  const docRef = (collection, id) => {
+    const ref = { id, path: `${collection}/${id}`, get: async () => snapshot(ref) };
+    return ref;
+  };
+
+  const query = (collection, filters = []) => ({
+    where: (field, op, value) => query(collection, [...filters, [field, value]]),
+    get: async () => {
+      const docs = [...mockStore.keys()]
+        .filter(path => path.startsWith(`${collection}/`))
+        .map(path => snapshot(docRef(collection, path.slice(collection.length + 1))))
+        .filter(doc => filters.every(([field, value]) => doc.data()[field] === value));
+      return { docs, empty: docs.length === 0, size: docs.length, forEach: (fn) => docs.forEach(fn) };
+    }
+  });
+
+  const applyField = (current, value) => (value && value.increment !== undefined ? (current || 0) + value.increment : value);
+
+  return {
+    mockStore,
+    mockCommits,
+    admin: {},
+    realtimeDb: {},
+    FieldValue: { serverTimestamp: () => 'server-timestamp', increment: (n) => ({ increment: n }) },
+    firestore: {
+      collection: (collection) => ({
+        ...query(collection),
+        doc: (id = `auto${++autoId}`) => docRef(collection, id)
+      }),
+      batch: () => {
+        const writes = [];
+        return {
+          set: (ref, data) => writes.push(() => mockStore.set(ref.path, data)),
+          update: (ref, data) => writes.push(() => {
+            const current = { ...mockStore.get(ref.path) };
+            Object.entries(data).forEach(([field, value]) => { current[field] = applyField(current[field], value); });
+            mockStore.set(ref.path, current);
+          }),
+          commit: async () => {
+            if (writes.length > 500) throw new Error('A batch can contain at most 500 writes');
+            writes.forEach(write => write());
+            mockCommits.push(writes.length);
+          }
+        };
+      }
+    }
+  };
+});
+
+const { mockStore, mockCommits, firestore } = require('../config/firebase.config');
+const { planBoundaryImport, applyBoundaryImport } = require('../services/boundary.service');
+
+const square = (x, y) => [[[x, y], [x + 0.001, y], [x + 0.001, y + 0.001], [x, y + 0.001], [x, y]]];
+
+const feature = (geometry, properties) => ({ type: 'Feature', geometry, properties });
+const collection = (...features) => ({ type: 'FeatureCollection', features });
+
+const farmDoc = () => firestore.collection('Farms').doc('farm1').get();
+
+describe('boundary.service import', () => {
+  beforeEach(() => {
+    mockStore.clear();
+    mockCommits.length = 0;
+    mockStore.set('Farms/farm1', { farmer_id: 'farmer1', farm_name: 'North', zones_count: 0 });
+  });
+
+  test('a MultiPolygon zone becomes one zone per part', async () => {
+    const plan = await planBoundaryImport(await farmDoc(), collection(
+      feature({ type: 'MultiPolygon', coordinates: [square(36, -1), square(37, -1)] }, { name: 'Paddock', zone_id: 'ignored' })
+    ));
+
+    expect(plan.invalid).toEqual([]);
+    expect(plan.create.map(item => item.zone_name)).toEqual(['Paddock (1)', 'Paddock (2)']);
+    expect(plan.create.every(item => item.index === 0)).toBe(true);
+    expect(JSON.parse(plan.create[1].fields.boundary_geojson)).toEqual({ type: 'Polygon', coordinates: square(37, -1) });
+  });
+
+  test('a single-part MultiPolygon keeps its name', async () => {
+    const plan = await planBoundaryImport(await farmDoc(), collection(
+      feature({ type: 'MultiPolygon', coordinates: [square(36, -1)] }, { name: 'Paddock' })
+    ));
+
+    expect(plan.create.map(item => item.zone_name)).toEqual(['Paddock']);
+  });
+
+  test('a MultiPolygon farm boundary is rejected', async () => {
+    const plan = await planBoundaryImport(await farmDoc(), collection(
+      feature({ type: 'MultiPolygon', coordinates: [square(36, -1), square(37, -1)] }, { feature_type: 'farm_boundary' })
+    ));
+
+    expect(plan.farm_boundary).toBeNull();
+    expect(plan.invalid).toEqual([
+      { index: 0, name: undefined, error: 'farm_boundary must be a single Polygon, not a MultiPolygon' }
+    ]);
+  });
+
+  test('renaming a zone onto another zone\'s name is invalid', async () => {
+    mockStore.set('Boundary_Zones/zoneA', { farm_id: 'farm1', zone_name: 'A' });
+    mockStore.set('Boundary_Zones/zoneB', { farm_id: 'farm1', zone_name: 'B' });
+
+    const plan = await planBoundaryImport(await farmDoc(), collection(
+      feature({ type: 'Polygon', coordinates: square(36, -1) }, { zone_id: 'zoneA', name: 'B' })
+    ));
+
+    expect(plan.update).toEqual([]);
+    expect(plan.invalid[0]).toMatchObject({ index: 0, error: 'A zone with this name already exists on the farm' });
+  });
+
+  test('a renamed zone updates zone_name on its livestock', async () => {
+    mockStore.set('Boundary_Zones/zoneA', { farm_id: 'farm1', zone_name: 'A' });
+    mockStore.set('Livestock/cow1', { zone_id: 'zoneA', zone_name: 'A' });
+    mockStore.set('Livestock/cow2', { zone_id: 'zoneB', zone_name: 'B' });
+
+    const doc = await farmDoc();
+    const plan = await planBoundaryImport(doc, collection(
+      feature({ type: 'Polygon', coordinates: square(36, -1) }, { zone_id: 'zoneA', name: 'Renamed' })
+    ));
+    await applyBoundaryImport(doc, plan);
+
+    expect(mockStore.get('Boundary_Zones/zoneA').zone_name).toBe('Renamed');
+    expect(mockStore.get('Livestock/cow1').zone_name).toBe('Renamed');
+    expect(mockStore.get('Livestock/cow2').zone_name).toBe('B');
+  });
+
+  test('large imports are written in several batches with zones_count kept right', async () => {
+    const features = Array.from({ length: 900 }, (_, i) => feature(
+      { type: 'Polygon', coordinates: square(36 + i * 0.01, -1) },
+      { name: `Zone ${i}` }
+    ));
+    features.push(feature({ type: 'Polygon', coordinates: square(30, -2) }, { feature_type: 'farm_boundary' }));
+
+    const doc = await farmDoc();
+    const plan = await planBoundaryImport(doc, collection(...features));
+    const created = await applyBoundaryImport(doc, plan);
+
+    expect(created).toHaveLength(900);
+    expect(mockCommits.length).toBe(3);
+    expect(Math.max(...mockCommits)).toBeLessThanOrEqual(500);
+    expect(mockStore.get('Farms/farm1').zones_count).toBe(900);
+    expect(mockStore.get('Farms/farm1').boundary_geojson).toBe(JSON.stringify({ type: 'Polygon', coordinates: square(30, -2) }));
+  });
+});
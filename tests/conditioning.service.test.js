@@ -0,0 +1,127 @@
+// tests/conditioning.service.test.js
+jest.mock('../config/firebase.config', () => ({ realtimeDb: {} }));
+
+const { conditionSample, conditioningFor, parseConditioning } = require('../services/conditioning.service');
+
+const BANDS = { critical: 25, high: 50, warning: null };
+
+const SETTINGS = {
+  filter: 'none',
+  window: 1,
+  confirm_samples: 2,
+  confirm_window: 3,
+  hysteresis_meters: 5,
+  max_jump_meters: 30,
+  max_outliers: 2
+};
+
+const freshState = () => ({
+  samples: [],
+  votes: [],
+  state: 'normal',
+  breach_level: null,
+  last_raw: null,
+  last_timestamp: null,
+  outliers: 0
+});
+
+// Feed distances through one state, one second apart
+function run(state, distances, settings = SETTINGS) {
+  return distances.map((distance, i) =>
+    conditionSample(state, { distance_measured: distance, timestamp: 1000 * (i + 1) }, BANDS, settings));
+}
+
+describe('conditioning.service', () => {
+  beforeEach(() => {
+    delete process.env.SIGNAL_CONDITIONING;
+  });
+
+  describe('conditionSample', () => {
+    test('needs confirm_samples agreeing votes before entering an alert', () => {
+      const state = freshState();
+      const [first, second] = run(state, [40, 40]);
+
+      expect(first).toMatchObject({ status: 'normal', breach_level: null });
+      expect(second).toMatchObject({ status: 'alert', breach_level: 'High', distance_filtered: 40 });
+    });
+
+    test('a single close reading among far ones does not flip the status', () => {
+      const results = run(freshState(), [40, 60, 60, 40, 60]);
+      expect(results.map(r => r.status)).toEqual(['normal', 'normal', 'normal', 'normal', 'normal']);
+    });
+
+    test('leaves an alert only past the hysteresis margin, keeping the level inside it', () => {
+      const state = freshState();
+      run(state, [40, 40]);
+
+      // 52 is past the 50 m band but inside the 5 m margin
+      const inside = run(state, [52, 52, 52]);
+      expect(inside.map(r => r.status)).toEqual(['alert', 'alert', 'alert']);
+      expect(inside[2].breach_level).toBe('High');
+
+      const outside = run(state, [56, 56]);
+      expect(outside.map(r => r.status)).toEqual(['alert', 'normal']);
+      expect(outside[1].breach_level).toBeNull();
+    });
+
+    test('ignores jumps until max_outliers of them in a row', () => {
+      const state = freshState();
+      run(state, [60]);
+
+      const [a, b, c] = run(state, [10, 10, 10]);
+      expect(a).toMatchObject({ outlier: true, distance_filtered: null, status: 'normal' });
+      expect(b).toMatchObject({ outlier: true });
+
+      // The third jump is accepted as a real change and restarts the filter
+      expect(c).toMatchObject({ outlier: false, distance_filtered: 10 });
+      expect(state.samples).toEqual([10]);
+      expect(state.outliers).toBe(0);
+    });
+
+    test('filters over the window before voting', () => {
+      const state = freshState();
+      const settings = { ...SETTINGS, filter: 'median', window: 3, confirm_samples: 1, confirm_window: 1 };
+
+      const results = run(state, [60, 60, 10], { ...settings, max_jump_meters: null });
+      expect(results[2]).toMatchObject({ distance_filtered: 60, status: 'normal' });
+    });
+
+    test('stays normal when every band is switched off', () => {
+      const state = freshState();
+      const result = conditionSample(state, { distance_measured: 1, timestamp: 1 }, { critical: null, high: null, warning: null }, SETTINGS);
+      expect(result).toMatchObject({ status: 'normal', breach_level: null });
+    });
+  });
+
+  describe('conditioningFor', () => {
+    test('layers sensor settings over the type defaults', () => {
+      const settings = conditioningFor({ sensor_type: 'lidar', signal_conditioning: { window: 7 } });
+      expect(settings).toMatchObject({ filter: 'median', window: 7, confirm_samples: 2, confirm_window: 3 });
+    });
+
+    test('passes unknown sensor types through unfiltered', () => {
+      expect(conditioningFor({ sensor_type: 'RADAR' })).toMatchObject({ filter: 'none', window: 1, confirm_samples: 1 });
+    });
+
+    test('caps confirm_samples at confirm_window', () => {
+      const settings = conditioningFor({ sensor_type: 'LIDAR', signal_conditioning: { confirm_samples: 9 } });
+      expect(settings.confirm_samples).toBe(3);
+    });
+  });
+
+  describe('parseConditioning', () => {
+    test('rejects unknown settings and filters', () => {
+      expect(() => parseConditioning({ smoothing: 1 })).toThrow('Unknown signal conditioning setting');
+      expect(() => parseConditioning({ filter: 'kalman' })).toThrow('filter must be one of');
+    });
+
+    test('rejects more confirm_samples than confirm_window', () => {
+      expect(() => parseConditioning({ confirm_samples: 4, confirm_window: 3 })).toThrow('cannot exceed');
+    });
+
+    test('allows max_jump_meters but not hysteresis_meters to be null', () => {
+      expect(parseConditioning({ max_jump_meters: null })).toEqual({ max_jump_meters: null });
+      expect(() => parseConditioning({ hysteresis_meters: null })).toThrow('hysteresis_meters');
+    });
+  });
+});
@@ -0,0 +1,134 @@
+// tests/deletion.service.test.js
+jest.mock('../config/firebase.config', () => {
+  const mockStore = new Map();
+  let autoId = 0;
+
+  const snapshot = (ref) => ({ id: ref.id, ref, exists: mockStore.has(ref.path), data: () => mockStore.get(ref.path) });
+
+  const docRef = (collection, id) => {
+    const ref = {
+      id,
+      path: `${collection}/${id}`,
+      get: async () => snapshot(ref),
+      set: async (data, { merge = false } = {}) => {
+        mockStore.set(ref.path, merge ? { ...mockStore.get(ref.path), ...data } : data);
+      },
+      update: async (data) => {
+        if (!mockStore.has(ref.path)) throw new Error(`No document to update: ${ref.path}`);
+        mockStore.set(ref.path, { ...mockStore.get(ref.path), ...data });
+      },
+      delete: async () => { mockStore.delete(ref.path); }
+    };
+    return ref;
+  };
+
+  const query = (collection, filters = []) => ({
+    where: (field, op, value) => query(collection, [...filters, [field, value]]),
+    get: async () => {
+      const docs = [...mockStore.keys()]
+        .filter(path => path.startsWith(`${collection}/`))
+        .map(path => snapshot(docRef(collection, path.slice(collection.length + 1))))
+        .filter(doc => filters.every(([field, value]) => doc.data()[field] === value));
+      return { docs, empty: docs.length === 0, size: docs.length, forEach: (fn) => docs.forEach(fn) };
+    }
+  });
+
+  return {
+    mockStore,
+    admin: {},
+    realtimeDb: {},
+    FieldValue: { serverTimestamp: () => 'server-timestamp', increment: (n) => ({ increment: n }) },
+    Timestamp: { fromMillis: (ms) => ({ toMillis: () => ms }), now: () => ({ toMillis: () => Date.now() }) },
+    firestore: {
+      collection: (collection) => ({
+        ...query(collection),
+        doc: (id = `auto${++autoId}`) => docRef(collection, id),
+        add: async (data) => {
+          const ref = docRef(collection, `auto${++autoId}`);
+          await ref.set(data);
+          return ref;
+        }
+      }),
+      runTransaction: async (fn) => fn({
+        get: (target) => target.get(),
+        set: (ref, data, options) => ref.set(data, options),
+        update: (ref, data) => ref.update(data)
+      })
+    }
+  };
+});
+
+const { mockStore, firestore } = require('../config/firebase.config');
+const { scheduleFarmDeletion, scheduleAccountDeletion } = require('../services/deletion.service');
+const { cancelJob } = require('../services/job.service');
+
+const farmDoc = (farmId) => firestore.collection('Farms').doc(farmId).get();
+
+describe('deletion.service scheduling', () => {
+  beforeEach(() => {
+    mockStore.clear();
+    mockStore.set('Farmers/farmer1', { name: 'Ada', is_active: true });
+    mockStore.set('Farms/farm1', { farmer_id: 'farmer1', farm_name: 'North' });
+  });
+
+  test('a farm deletion queues one job and marks the farm', async () => {
+    const jobDoc = await scheduleFarmDeletion(await farmDoc('farm1'), 'farmer1');
+
+    expect(jobDoc.data()).toMatchObject({ type: 'farm_deletion', status: 'scheduled', params: { farm_id: 'farm1' } });
+    expect(mockStore.get('Farms/farm1')).toMatchObject({ deleted_at: 'server-timestamp', deletion_job_id: jobDoc.id });
+  });
+
+  test('a farm already waiting for deletion is refused', async () => {
+    const first = await scheduleFarmDeletion(await farmDoc('farm1'), 'farmer1');
+
+    await expect(scheduleFarmDeletion(await farmDoc('farm1'), 'farmer1'))
+      .rejects.toMatchObject({ status: 409, message: `Farm is already scheduled for deletion (job ${first.id})` });
+    expect((await firestore.collection('Jobs').where('type', '==', 'farm_deletion').get()).size).toBe(1);
+  });
+
+  test('a farm can be scheduled again once its job was cancelled', async () => {
+    const first = await scheduleFarmDeletion(await farmDoc('farm1'), 'farmer1');
+    await cancelJob(first.id, 'farmer1');
+
+    const second = await scheduleFarmDeletion(await farmDoc('farm1'), 'farmer1');
+    expect(second.id).not.toBe(first.id);
+    expect(mockStore.get('Farms/farm1').deletion_job_id).toBe(second.id);
+  });
+
+  test('an account waiting for deletion is refused, and cancelling restores it', async () => {
+    const first = await scheduleAccountDeletion('farmer1');
+    expect(mockStore.get('Farmers/farmer1')).toMatchObject({ is_active: false, deletion_job_id: first.id });
+
+    await expect(scheduleAccountDeletion('farmer1')).rejects.toMatchObject({ status: 409 });
+
+    await cancelJob(first.id, 'farmer1');
+    expect(mockStore.get('Farmers/farmer1')).toMatchObject({ is_active: true, deleted_at: null, deletion_job_id: null });
+  });
+
+  describe('account deletion and owned farms', () => {
+    beforeEach(() => {
+      mockStore.set('Farms/farm2', { farmer_id: 'farmer1', farm_name: 'South' });
+      mockStore.set('Farms/other', { farmer_id: 'farmer2', farm_name: 'Elsewhere' });
+    });
+
+    test('soft-deletes every owned farm with the account', async () => {
+      const job = await scheduleAccountDeletion('farmer1');
+
+      expect(mockStore.get('Farms/farm1')).toMatchObject({ deleted_at: 'server-timestamp', deletion_job_id: job.id });
+      expect(mockStore.get('Farms/farm2')).toMatchObject({ deleted_at: 'server-timestamp', deletion_job_id: job.id });
+      expect(mockStore.get('Farms/other').deleted_at).toBeUndefined();
+    });
+
+    test('cancelling restores the farms it marked and leaves a farm pending its own deletion', async () => {
+      const farmJob = await scheduleFarmDeletion(await farmDoc('farm2'), 'farmer1');
+      const accountJob = await scheduleAccountDeletion('farmer1');
+      expect(mockStore.get('Farms/farm2').deletion_job_id).toBe(farmJob.id);
+
+      await cancelJob(accountJob.id, 'farmer1');
+
+      expect(mockStore.get('Farms/farm1')).toMatchObject({ deleted_at: null, deletion_job_id: null });
+      expect(mockStore.get('Farms/farm2')).toMatchObject({ deleted_at: 'server-timestamp', deletion_job_id: farmJob.id });
+      expect(mockStore.get('Farmers/farmer1').is_active).toBe(true);
+    });
+  });
+});
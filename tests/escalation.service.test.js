@@ -0,0 +1,105 @@
+// tests/escalation.service.test.js
+jest.mock('../config/firebase.config', () => {
+  const mockStore = new Map();
+
+  const snapshot = (ref) => ({ id: ref.id, ref, exists: mockStore.has(ref.path), data: () => mockStore.get(ref.path) });
+
+  const docRef = (collection, id) => {
+    const ref = { id, path: `${collection}/${id}`, get: async () => snapshot(ref) };
+    return ref;
+  };
+
+  const matches = (data, [field, op, value]) => (op === 'in' ? value.includes(data[field]) : data[field] === value);
+
+  const query = (collection, filters = []) => ({
+    where: (field, op, value) => query(collection, [...filters, [field, op, value]]),
+    get: async () => {
+      const docs = [...mockStore.keys()]
+        .filter(path => path.startsWith(`${collection}/`))
+        .map(path => snapshot(docRef(collection, path.slice(collection.length + 1))))
+        .filter(doc => filters.every(filter => matches(doc.data(), filter)));
+      return { docs, empty: docs.length === 0, size: docs.length, forEach: (fn) => docs.forEach(fn) };
+    }
+  });
+
+  return {
+    mockStore,
+    admin: {},
+    realtimeDb: {},
+    FieldValue: { arrayUnion: (...entries) => ({ arrayUnion: entries }) },
+    Timestamp: { now: () => ({ toMillis: () => Date.now() }) },
+    firestore: {
+      collection: (collection) => ({ ...query(collection), doc: (id) => docRef(collection, id) }),
+      runTransaction: async (fn) => fn({
+        get: (ref) => ref.get(),
+        update: (ref, data) => {
+          const current = { ...mockStore.get(ref.path) };
+          Object.entries(data).forEach(([field, value]) => {
+            current[field] = value && value.arrayUnion ? [...(current[field] || []), ...value.arrayUnion] : value;
+          });
+          mockStore.set(ref.path, current);
+        }
+      })
+    }
+  };
+});
+
+jest.mock('../services/notification.service', () => ({
+  farmTopic: (farmId) => `farm_${farmId}`,
+  getUserTokens: jest.fn(async () => []),
+  deliverAlert: jest.fn(async () => {}),
+  logDelivery: jest.fn(async () => {})
+}));
+
+jest.mock('../services/sms.service', () => ({
+  sendSms: jest.fn(async () => ({ id: 'sms1' }))
+}));
+
+const { mockStore } = require('../config/firebase.config');
+const { sendSms } = require('../services/sms.service');
+const { runEscalationSweep } = require('../services/escalation.service');
+
+const openedMinutesAgo = (minutes) => ({ toMillis: () => Date.now() - minutes * 60000 });
+
+describe('escalation.service sweep', () => {
+  beforeEach(() => {
+    mockStore.clear();
+    jest.clearAllMocks();
+    mockStore.set('Farms/farm1', { farmer_id: 'owner1' });
+    mockStore.set('Farmers/owner1', { phone: '+254700000001' });
+    mockStore.set('Escalation_Policies/farm1', {
+      enabled: true,
+      steps: [{ after_minutes: 15, targets: ['owner'], channels: ['sms'] }]
+    });
+
+    const alert = (fields) => ({ farm_id: 'farm1', status: 'open', detected_at: openedMinutesAgo(30), ...fields });
+    mockStore.set('Alerts/breach', alert({ alert_type: 'Boundary Breach', is_breach: true, breach_level: 'High', zone_name: 'North', breach_distance: 3 }));
+    mockStore.set('Alerts/offline', alert({ alert_type: 'Sensor Offline', is_breach: false, description: 'Sensor S1 has not reported for 12 minutes' }));
+    mockStore.set('Alerts/battery', alert({ alert_type: 'Battery Low', is_breach: false, description: 'Sensor S1 battery at 9%' }));
+    mockStore.set('Alerts/report', alert({ alert_type: 'Status Report', is_breach: false, status: 'normal' }));
+    mockStore.set('Alerts/acknowledged', alert({ alert_type: 'Sensor Offline', is_breach: false, status: 'acknowledged' }));
+  });
+
+  test('escalates open breaches and open condition alerts alike', async () => {
+    expect(await runEscalationSweep()).toEqual({ checked: 3, escalated: 3 });
+
+    ['breach', 'offline', 'battery'].forEach(id => {
+      expect(mockStore.get(`Alerts/${id}`).escalation_steps_fired).toEqual([0]);
+    });
+    expect(mockStore.get('Alerts/acknowledged').escalation_steps_fired).toBeUndefined();
+  });
+
+  test('the SMS for a condition alert describes it rather than a zone and distance', async () => {
+    await runEscalationSweep();
+
+    const bodies = sendSms.mock.calls.map(([, body]) => body);
+    expect(bodies).toContain('ZoneAlert: High Boundary Breach at North (3m) is still unacknowledged.');
+    expect(bodies).toContain('ZoneAlert: Sensor Offline is still unacknowledged. Sensor S1 has not reported for 12 minutes');
+  });
+
+  test('does not fire the same step twice', async () => {
+    await runEscalationSweep();
+    expect(await runEscalationSweep()).toEqual({ checked: 3, escalated: 0 });
+    expect(sendSms).toHaveBeenCalledTimes(3);
+  });
+});
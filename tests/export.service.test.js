@@ -0,0 +1,90 @@
+// tests/export.service.test.js
+jest.mock('../config/firebase.config', () => ({
+  firestore: {},
+  realtimeDb: {},
+  Timestamp: class {},
+  GeoPoint: class {}
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { toCsv, writeExport, exportFilePath, removeExport, purgeExpiredExports } = require('../services/export.service');
+
+const DATA = {
+  farms: [{ farm_id: 'farm1', farm_name: 'North, "upper"' }],
+  zones: [{ zone_id: 'zone1', points: [1, 2] }, { zone_id: 'zone2', is_active: false }]
+};
+
+describe('export.service', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zonealert-exports-'));
+    process.env.EXPORT_DIR = dir;
+    delete process.env.EXPORT_TTL_HOURS;
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    delete process.env.EXPORT_DIR;
+  });
+
+  test('toCsv quotes cells and takes the union of columns', () => {
+    expect(toCsv(DATA.zones)).toBe('zone_id,points,is_active\nzone1,"[1,2]",\nzone2,,false\n');
+    expect(toCsv(DATA.farms)).toBe('farm_id,farm_name\nfarm1,"North, ""upper"""\n');
+  });
+
+  test('a CSV export is one zip with a CSV per collection', async () => {
+    const result = await writeExport('job1', 'csv', DATA);
+
+    expect(result.files).toEqual([{ name: 'job1.zip', records: 3 }]);
+    expect(result.contents).toEqual([{ name: 'farms.csv', records: 1 }, { name: 'zones.csv', records: 2 }]);
+    expect(fs.readdirSync(dir)).toEqual(['job1.zip']);
+
+    const zip = fs.readFileSync(path.join(dir, 'job1.zip'));
+    expect(zip.subarray(0, 2).toString()).toBe('PK');
+    expect(zip.includes('farms.csv')).toBe(true);
+    expect(zip.includes('zones.csv')).toBe(true);
+  });
+
+  test('a JSON export is one file and expires after EXPORT_TTL_HOURS', async () => {
+    process.env.EXPORT_TTL_HOURS = '2';
+    const before = Date.now();
+    const result = await writeExport('job2', 'json', DATA);
+
+    expect(result.files).toEqual([{ name: 'job2.json', records: 3 }]);
+    expect(JSON.parse(fs.readFileSync(path.join(dir, 'job2.json'))).zones).toHaveLength(2);
+    expect(Date.parse(result.expires_at)).toBeGreaterThanOrEqual(before + 2 * 3600000);
+  });
+
+  test('exportFilePath refuses an expired export', async () => {
+    const result = await writeExport('job3', 'json', DATA);
+    expect(exportFilePath({ id: 'job3', result })).toBe(path.join(dir, 'job3.json'));
+
+    const expired = { ...result, expires_at: new Date(Date.now() - 1000).toISOString() };
+    expect(() => exportFilePath({ id: 'job3', result: expired })).toThrow('Export has expired');
+  });
+
+  test('purgeExpiredExports removes only archives past their TTL', async () => {
+    await writeExport('old', 'json', DATA);
+    await writeExport('new', 'csv', DATA);
+    const aged = new Date(Date.now() - 73 * 3600000);
+    fs.utimesSync(path.join(dir, 'old.json'), aged, aged);
+
+    expect(await purgeExpiredExports()).toBe(1);
+    expect(fs.readdirSync(dir)).toEqual(['new.zip']);
+  });
+
+  test('removeExport deletes either kind of archive', async () => {
+    await writeExport('job4', 'csv', DATA);
+    await removeExport('job4');
+    await removeExport('missing');
+    expect(fs.readdirSync(dir)).toEqual([]);
+  });
+
+  test('purgeExpiredExports copes with no export directory', async () => {
+    process.env.EXPORT_DIR = path.join(dir, 'never-created');
+    expect(await purgeExpiredExports()).toBe(0);
+  });
+});
@@ -0,0 +1,94 @@
+// tests/geofence.service.test.js
+const {
+  POSITION_STATUS,
+  validatePolygon,
+  pointInPolygon,
+  distanceToEdge,
+  evaluatePosition
+} = require('../services/geofence.service');
+
+// ~111 m square on the equator, with a ~22 m square hole in the middle
+const OUTER = [[0, 0], [0.001, 0], [0.001, 0.001], [0, 0.001], [0, 0]];
+const HOLE = [[0.0004, 0.0004], [0.0006, 0.0004], [0.0006, 0.0006], [0.0004, 0.0006], [0.0004, 0.0004]];
+const square = { type: 'Polygon', coordinates: [OUTER] };
+const withHole = { type: 'Polygon', coordinates: [OUTER, HOLE] };
+
+// One thousandth of a degree along the equator, in meters
+const METERS_PER_MILLIDEGREE = 111.195;
+
+describe('geofence.service', () => {
+  describe('validatePolygon', () => {
+    test('accepts a closed polygon with a hole', () => {
+      expect(validatePolygon(withHole)).toBeNull();
+    });
+
+    test('rejects other geometry types and broken rings', () => {
+      expect(validatePolygon({ type: 'MultiPolygon', coordinates: [[OUTER]] }))
+        .toBe('Unsupported geometry type: MultiPolygon. Only Polygon is supported');
+      expect(validatePolygon({ type: 'Polygon', coordinates: [OUTER.slice(0, 4)] }))
+        .toBe('Outer ring is not closed (first and last positions must match)');
+      expect(validatePolygon({ type: 'Polygon', coordinates: [[[0, 0], [1, 1], [2, 2], [0, 0]]] }))
+        .toBe('Outer ring has zero area');
+    });
+  });
+
+  describe('pointInPolygon', () => {
+    test('inside and outside the outer ring', () => {
+      expect(pointInPolygon([0.0002, 0.0002], square)).toBe(true);
+      expect(pointInPolygon([0.002, 0.0002], square)).toBe(false);
+      expect(pointInPolygon([-0.0001, 0.0005], square)).toBe(false);
+    });
+
+    test('a point in a hole is outside', () => {
+      expect(pointInPolygon([0.0005, 0.0005], square)).toBe(true);
+      expect(pointInPolygon([0.0005, 0.0005], withHole)).toBe(false);
+      expect(pointInPolygon([0.0002, 0.0002], withHole)).toBe(true);
+    });
+  });
+
+  describe('distanceToEdge', () => {
+    test('measures to the nearest edge in meters', () => {
+      expect(distanceToEdge([0.0005, 0.0001], square)).toBeCloseTo(0.1 * METERS_PER_MILLIDEGREE, 1);
+      expect(distanceToEdge([0.0005, 0.0005], square)).toBeCloseTo(0.5 * METERS_PER_MILLIDEGREE, 1);
+    });
+
+    test('measures from outside, to a corner when past it', () => {
+      expect(distanceToEdge([0.0015, 0.0005], square)).toBeCloseTo(0.5 * METERS_PER_MILLIDEGREE, 1);
+      expect(distanceToEdge([0.0013, 0.0014], square)).toBeCloseTo(0.5 * METERS_PER_MILLIDEGREE, 1);
+    });
+
+    test('counts hole edges', () => {
+      expect(distanceToEdge([0.0005, 0.0003], withHole)).toBeCloseTo(0.1 * METERS_PER_MILLIDEGREE, 1);
+    });
+  });
+
+  describe('evaluatePosition', () => {
+    const at = (longitude, latitude) => ({ latitude, longitude });
+
+    test('deep inside is inside', () => {
+      expect(evaluatePosition(at(0.0005, 0.0005), square, 10)).toMatchObject({
+        status: POSITION_STATUS.INSIDE,
+        inside: true,
+        distance_to_edge: 55.6
+      });
+    });
+
+    test('inside but within the edge buffer is near_edge', () => {
+      // ~5.6 m from the southern edge
+      expect(evaluatePosition(at(0.0005, 0.00005), square, 10).status).toBe(POSITION_STATUS.NEAR_EDGE);
+      expect(evaluatePosition(at(0.0005, 0.00005), square, 5).status).toBe(POSITION_STATUS.INSIDE);
+    });
+
+    test('outside is outside however close to the edge', () => {
+      expect(evaluatePosition(at(0.0005, -0.00001), square, 10)).toMatchObject({
+        status: POSITION_STATUS.OUTSIDE,
+        inside: false
+      });
+    });
+
+    test('near a hole counts as near_edge, in the hole as outside', () => {
+      expect(evaluatePosition(at(0.0005, 0.00035), withHole, 10).status).toBe(POSITION_STATUS.NEAR_EDGE);
+      expect(evaluatePosition(at(0.0005, 0.0005), withHole, 10).status).toBe(POSITION_STATUS.OUTSIDE);
+    });
+  });
+});
@@ -0,0 +1,129 @@
+// tests/history.service.test.js
+jest.mock('../config/firebase.config', () => {
+  const mockReadings = {};
+
+  // The orderByChild('timestamp') queries queryReadings makes, ordered by
+  // timestamp then key like RTDB
+  const query = (path, bounds = {}) => ({
+    orderByChild: () => query(path, bounds),
+    startAt: (value, key) => query(path, { ...bounds, start: { value, key } }),
+    endAt: (value, key) => query(path, { ...bounds, end: { value, key } }),
+    limitToFirst: (n) => query(path, { ...bounds, first: n }),
+    limitToLast: (n) => query(path, { ...bounds, last: n }),
+    once: async () => {
+      const compare = (a, b) => a.timestamp - b.timestamp || (a.key < b.key ? -1 : a.key > b.key ? 1 : 0);
+      const bound = (edge) => ({ timestamp: edge.value, key: edge.key });
+      let children = Object.entries(mockReadings[path] || {})
+        .map(([key, value]) => ({ key, timestamp: value.timestamp, value }))
+        .sort(compare)
+        .filter(child => !bounds.start || (bounds.start.key === undefined
+          ? child.timestamp >= bounds.start.value
+          : compare(child, bound(bounds.start)) >= 0))
+        .filter(child => !bounds.end || (bounds.end.key === undefined
+          ? child.timestamp <= bounds.end.value
+          : compare(child, bound(bounds.end)) <= 0));
+      if (bounds.first !== undefined) children = children.slice(0, bounds.first);
+      if (bounds.last !== undefined) children = children.slice(-bounds.last);
+
+      return { forEach: (fn) => children.forEach(child => fn({ key: child.key, val: () => child.value })) };
+    }
+  });
+
+  return { mockReadings, realtimeDb: { ref: (path) => query(path) } };
+});
+
+const { mockReadings } = require('../config/firebase.config');
+const { dateKeysBetween, parseRange, parseBucket, queryReadings } = require('../services/history.service');
+
+const DAY_1 = Date.UTC(2026, 2, 1, 22);
+const DAY_2 = Date.UTC(2026, 2, 2, 1);
+
+// Collect every page of a query
+async function allPages(sensorId, options) {
+  const pages = [];
+  let cursor = null;
+  do {
+    const page = await queryReadings(sensorId, { ...options, cursor });
+    pages.push(page.readings.map(reading => reading.id));
+    cursor = page.next_cursor;
+  } while (cursor && pages.length < 10);
+  return pages;
+}
+
+describe('history.service', () => {
+  test('dateKeysBetween covers every UTC day touched by the range', () => {
+    expect(dateKeysBetween(DAY_1, DAY_2)).toEqual(['2026-03-01', '2026-03-02']);
+    expect(dateKeysBetween(DAY_1, DAY_1 + 1000)).toEqual(['2026-03-01']);
+  });
+
+  test('parseBucket reads s, m, h and d sizes', () => {
+    expect(parseBucket('30s')).toBe(30000);
+    expect(parseBucket('5m')).toBe(300000);
+    expect(parseBucket('1h')).toBe(3600000);
+    expect(parseBucket('1d')).toBe(86400000);
+    expect(() => parseBucket('0m')).toThrow('bucket must look like');
+    expect(() => parseBucket('1w')).toThrow('bucket must look like');
+  });
+
+  describe('parseRange', () => {
+    const now = Date.UTC(2026, 2, 10);
+
+    test('defaults to the last 24 hours', () => {
+      expect(parseRange(undefined, undefined, now)).toEqual({ from: now - 86400000, to: now });
+    });
+
+    test('rejects reversed, unparseable and overlong ranges', () => {
+      expect(() => parseRange('2026-03-05', '2026-03-01', now)).toThrow('start_date must be before end_date');
+      expect(() => parseRange('last week', undefined, now)).toThrow('ISO 8601');
+      expect(() => parseRange('2024-01-01', '2026-01-01', now)).toThrow('at most 366 days');
+    });
+
+    test('the default range ends at the given end date, and errors use the caller\'s parameter names', () => {
+      const options = { names: ['startDate', 'endDate'], defaultRangeMs: 7 * 86400000 };
+      const end = Date.UTC(2026, 1, 1);
+
+      expect(parseRange(undefined, new Date(end).toISOString(), now, options)).toEqual({ from: end - 7 * 86400000, to: end });
+      expect(() => parseRange('2026-03-05', '2026-03-01', now, options)).toThrow('startDate must be before endDate');
+    });
+  });
+
+  describe('queryReadings', () => {
+    beforeAll(() => {
+      // r2 and r3 share a timestamp, so paging must order by key as well
+      mockReadings['sensor_readings/2026-03-01/s1'] = {
+        r1: { timestamp: DAY_1, distance_measured: 1 },
+        r2: { timestamp: DAY_1 + 1000, distance_measured: 2 },
+        r3: { timestamp: DAY_1 + 1000, distance_measured: 3 }
+      };
+      mockReadings['sensor_readings/2026-03-02/s1'] = {
+        r4: { timestamp: DAY_2, distance_measured: 4 },
+        r5: { timestamp: DAY_2 + 1000, distance_measured: 5 }
+      };
+    });
+
+    const range = { from: DAY_1 - 1000, to: DAY_2 + 1000 };
+
+    test('pages forward across partitions without skipping or repeating', async () => {
+      expect(await allPages('s1', { ...range, limit: 2, order: 'asc' })).toEqual([['r1', 'r2'], ['r3', 'r4'], ['r5']]);
+    });
+
+    test('pages backward across partitions without skipping or repeating', async () => {
+      expect(await allPages('s1', { ...range, limit: 2, order: 'desc' })).toEqual([['r5', 'r4'], ['r3', 'r2'], ['r1']]);
+    });
+
+    test('a full last page has no cursor', async () => {
+      const page = await queryReadings('s1', { ...range, limit: 5, order: 'asc' });
+      expect(page.readings).toHaveLength(5);
+      expect(page.next_cursor).toBeNull();
+    });
+
+    test('stays inside the range', async () => {
+      const page = await queryReadings('s1', { from: DAY_1 + 500, to: DAY_2, limit: 10, order: 'asc' });
+      expect(page.readings.map(reading => reading.id)).toEqual(['r2', 'r3', 'r4']);
+    });
+
+    test('rejects a cursor it did not issue', async () => {
+      await expect(queryReadings('s1', { ...range, limit: 2, cursor: 'not-a-cursor' })).rejects.toThrow('Invalid cursor');
+    });
+  });
+});
@@ -0,0 +1,124 @@
+// tests/identity.service.test.js
+jest.mock('../config/firebase.config', () => {
+  const mockStore = new Map();
+  let mockQueue = Promise.resolve();
+
+  const docRef = (path) => ({
+    get: async () => ({ exists: mockStore.has(path), data: () => mockStore.get(path) }),
+    set: async (data) => { mockStore.set(path, data); },
+    update: async (data) => { mockStore.set(path, { ...mockStore.get(path), ...data }); },
+    delete: async () => { mockStore.delete(path); }
+  });
+
+  const fromMillis = (ms) => ({ toMillis: () => ms, toDate: () => new Date(ms) });
+
+  return {
+    mockStore,
+    firestore: {
+      collection: (collection) => ({ doc: (id) => docRef(`${collection}/${id}`) }),
+      // One transaction at a time, as Firestore's retries would leave it
+      runTransaction: (fn) => {
+        const run = mockQueue.then(() => fn({
+          get: (ref) => ref.get(),
+          set: (ref, data) => ref.set(data)
+        }));
+        mockQueue = run.catch(() => {});
+        return run;
+      }
+    },
+    FieldValue: { serverTimestamp: () => 'server-timestamp' },
+    Timestamp: { fromMillis }
+  };
+});
+
+jest.mock('../services/audit.service', () => ({ recordAudit: jest.fn(async () => {}) }));
+
+const { mockStore } = require('../config/firebase.config');
+const { recordAudit } = require('../services/audit.service');
+const { authenticate, syncPassword, removeIdentity, getIdentityProvider } = require('../services/identity.service');
+
+const auditEvents = () => recordAudit.mock.calls.map(([event]) => event);
+
+describe('identity.service with the local provider', () => {
+  beforeAll(() => {
+    process.env.IDENTITY_PROVIDER = 'local';
+  });
+
+  afterAll(() => {
+    delete process.env.IDENTITY_PROVIDER;
+  });
+
+  beforeEach(async () => {
+    mockStore.clear();
+    recordAudit.mockClear();
+    delete process.env.LOGIN_MAX_ATTEMPTS;
+
+    mockStore.set('Farmers/farmer1', { name: 'Ada' });
+    await syncPassword('farmer1', ' Ada@Example.com ', 'correct horse');
+  });
+
+  test('is selected by IDENTITY_PROVIDER', () => {
+    expect(getIdentityProvider().name).toBe('local');
+  });
+
+  test('stores a bcrypt hash under the normalised email', () => {
+    const credential = mockStore.get('Local_Credentials/ada@example.com');
+    expect(credential).toMatchObject({ uid: 'farmer1', email: 'ada@example.com' });
+    expect(credential.password_hash).toMatch(/^\$2[aby]\$10\$/);
+  });
+
+  test('signs in with the right password in any email case', async () => {
+    const identity = await authenticate('ADA@example.com', 'correct horse', { ip: '127.0.0.1' });
+
+    expect(identity).toEqual({ uid: 'farmer1', email: 'ada@example.com', name: 'Ada', provider: 'local' });
+    expect(mockStore.get('Farmers/farmer1').last_login).toBe('server-timestamp');
+    expect(auditEvents()).toEqual(['login.success']);
+  });
+
+  test('refuses a wrong password or an unknown email the same way', async () => {
+    await expect(authenticate('ada@example.com', 'wrong')).rejects.toMatchObject({ status: 401, message: 'Invalid email or password' });
+    await expect(authenticate('nobody@example.com', 'correct horse')).rejects.toMatchObject({ status: 401, message: 'Invalid email or password' });
+    expect(auditEvents()).toEqual(['login.failure', 'login.failure']);
+  });
+
+  test('locks the email after LOGIN_MAX_ATTEMPTS failures', async () => {
+    process.env.LOGIN_MAX_ATTEMPTS = '2';
+
+    await expect(authenticate('ada@example.com', 'wrong')).rejects.toMatchObject({ status: 401 });
+    await expect(authenticate('ada@example.com', 'wrong')).rejects.toMatchObject({ status: 401 });
+
+    // Even the right password is refused while locked
+    const locked = await authenticate('ada@example.com', 'correct horse').catch(error => error);
+    expect(locked.status).toBe(429);
+    expect(locked.retryAfter).toBeGreaterThan(0);
+    expect(auditEvents()).toEqual(['login.failure', 'login.failure', 'login.lockout', 'login.locked']);
+  });
+
+  test('parallel guesses cannot get past the lockout check together', async () => {
+    process.env.LOGIN_MAX_ATTEMPTS = '2';
+
+    const results = await Promise.all(
+      Array.from({ length: 5 }, () => authenticate('ada@example.com', 'wrong').catch(error => error.status))
+    );
+
+    expect(results.filter(status => status === 401)).toHaveLength(2);
+    expect(results.filter(status => status === 429)).toHaveLength(3);
+  });
+
+  test('a successful sign-in clears the failure count', async () => {
+    process.env.LOGIN_MAX_ATTEMPTS = '2';
+
+    await expect(authenticate('ada@example.com', 'wrong')).rejects.toMatchObject({ status: 401 });
+    await authenticate('ada@example.com', 'correct horse');
+    await expect(authenticate('ada@example.com', 'wrong')).rejects.toMatchObject({ status: 401 });
+
+    await expect(authenticate('ada@example.com', 'correct horse')).resolves.toMatchObject({ uid: 'farmer1' });
+  });
+
+  test('removeIdentity drops the stored credential', async () => {
+    await removeIdentity('farmer1', 'ada@example.com');
+
+    expect(mockStore.has('Local_Credentials/ada@example.com')).toBe(false);
+    await expect(authenticate('ada@example.com', 'correct horse')).rejects.toMatchObject({ status: 401 });
+  });
+});
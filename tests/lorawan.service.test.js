@@ -0,0 +1,197 @@
+// tests/lorawan.service.test.js
+jest.mock('../config/firebase.config', () => {
+  const mockSessions = {};
+  return {
+    firestore: {},
+    mockSessions,
+    realtimeDb: {
+      // Enough of a transaction for one caller: undefined aborts
+      ref: (path) => ({
+        once: async () => ({ val: () => mockSessions[path] ?? null }),
+        transaction: async (update) => {
+          const next = update(mockSessions[path] ?? null);
+          if (next !== undefined) mockSessions[path] = next;
+          return { committed: next !== undefined };
+        },
+        remove: async () => { delete mockSessions[path]; }
+      })
+    }
+  };
+});
+
+const { mockSessions } = require('../config/firebase.config');
+const {
+  decodePayload,
+  normalizeDevEui,
+  parseUplink,
+  registerPayloadDecoder,
+  hasPayloadDecoder,
+  checkFrame,
+  claimFrame,
+  resetFrameSession
+} = require('../services/lorawan.service');
+
+const DEV_EUI = '70B3D57ED0001234';
+// 342 cm, 87 % battery, low battery flag
+const FRAME = Buffer.from([0x01, 0x56, 87, 0x04]);
+
+describe('lorawan.service', () => {
+  describe('decodePayload', () => {
+    test('decodes the distance frame for the sensor type', () => {
+      expect(decodePayload({ sensor_type: 'lidar' }, FRAME, 1)).toEqual({
+        distance_measured: 3.42,
+        battery_level: 87,
+        flags: { tamper: false, sensor_fault: false, low_battery: true }
+      });
+    });
+
+    test('reports no distance for 0xFFFF or a sensor fault', () => {
+      expect(decodePayload({ sensor_type: 'LIDAR' }, Buffer.from([0xff, 0xff, 0xff, 0x00]), 1))
+        .toMatchObject({ distance_measured: null, battery_level: null });
+      expect(decodePayload({ sensor_type: 'LIDAR' }, Buffer.from([0x01, 0x56, 50, 0x02]), 1))
+        .toMatchObject({ distance_measured: null, battery_level: 50, flags: { sensor_fault: true } });
+    });
+
+    test('accepts a bare distance', () => {
+      expect(decodePayload({ sensor_type: 'ULTRASONIC' }, Buffer.from([0x00, 0x64]), 1))
+        .toEqual({ distance_measured: 1, battery_level: null, flags: { tamper: false, sensor_fault: false, low_battery: false } });
+    });
+
+    test('rejects a frame too short to hold a distance', () => {
+      expect(() => decodePayload({ sensor_type: 'LIDAR' }, Buffer.from([0x01]), 1)).toThrow('too short');
+    });
+
+    test('prefers payload_decoder over the sensor type', () => {
+      registerPayloadDecoder('tenths', (bytes) => ({ distance_measured: bytes.readUInt8(0) / 10 }));
+
+      expect(hasPayloadDecoder('TENTHS')).toBe(true);
+      expect(decodePayload({ sensor_type: 'LIDAR', payload_decoder: 'TENTHS' }, Buffer.from([25]), 2))
+        .toEqual({ distance_measured: 2.5, battery_level: null, flags: {} });
+      expect(() => decodePayload({ sensor_type: 'RADAR' }, FRAME, 1)).toThrow('No payload decoder for "RADAR"');
+    });
+  });
+
+  test('normalizeDevEui accepts hex with separators and base64', () => {
+    expect(normalizeDevEui('70b3d57ed0001234')).toBe(DEV_EUI);
+    expect(normalizeDevEui('70-B3-D5-7E-D0-00-12-34')).toBe(DEV_EUI);
+    expect(normalizeDevEui(Buffer.from(DEV_EUI, 'hex').toString('base64'))).toBe(DEV_EUI);
+    expect(normalizeDevEui('1234')).toBeNull();
+    expect(normalizeDevEui(null)).toBeNull();
+  });
+
+  describe('parseUplink', () => {
+    test('reads a The Things Stack uplink, keeping the strongest gateway', () => {
+      const uplink = parseUplink({
+        end_device_ids: { dev_eui: DEV_EUI, dev_addr: '260B1234' },
+        uplink_message: {
+          f_port: 1,
+          f_cnt: 42,
+          frm_payload: FRAME.toString('base64'),
+          received_at: '2026-03-01T10:00:00Z',
+          rx_metadata: [
+            { gateway_ids: { gateway_id: 'gw-far' }, rssi: -118, snr: -7 },
+            { gateway_ids: { gateway_id: 'gw-near' }, rssi: -80, snr: 9.5 }
+          ]
+        }
+      });
+
+      expect(uplink).toEqual({
+        network: 'tts',
+        dev_eui: DEV_EUI,
+        dev_addr: '260B1234',
+        f_port: 1,
+        f_cnt: 42,
+        bytes: FRAME,
+        received_at: Date.parse('2026-03-01T10:00:00Z'),
+        signal: { rssi: -80, snr: 9.5, gateway_id: 'gw-near', gateway_count: 2 }
+      });
+    });
+
+    test('reads ChirpStack v4 and v3 uplinks', () => {
+      const v4 = parseUplink({
+        deviceInfo: { devEui: DEV_EUI.toLowerCase() },
+        devAddr: '01ab23cd',
+        fPort: 1,
+        fCnt: 7,
+        data: FRAME.toString('base64'),
+        time: '2026-03-01T10:00:00Z',
+        rxInfo: [{ gatewayId: 'gw-1', rssi: -90, snr: 4 }]
+      });
+      expect(v4).toMatchObject({ network: 'chirpstack', dev_eui: DEV_EUI, dev_addr: '01ab23cd', f_cnt: 7 });
+      expect(v4.signal).toEqual({ rssi: -90, snr: 4, gateway_id: 'gw-1', gateway_count: 1 });
+
+      const v3 = parseUplink({
+        devEUI: Buffer.from(DEV_EUI, 'hex').toString('base64'),
+        fPort: 1,
+        fCnt: 8,
+        data: FRAME.toString('base64'),
+        rxInfo: [{ gatewayID: 'gw-2', rssi: -95, loRaSNR: 2 }]
+      });
+      expect(v3).toMatchObject({ dev_eui: DEV_EUI, dev_addr: null, f_cnt: 8 });
+      expect(v3.signal).toMatchObject({ snr: 2, gateway_id: 'gw-2' });
+    });
+
+    test('returns null for joins and other non-uplink events', () => {
+      expect(parseUplink({ end_device_ids: { dev_eui: DEV_EUI }, join_accept: {} })).toBeNull();
+      expect(parseUplink({ deviceInfo: { devEui: DEV_EUI } })).toBeNull();
+    });
+
+    test('defaults a missing frame counter to 0', () => {
+      const uplink = parseUplink({ end_device_ids: { dev_eui: DEV_EUI }, uplink_message: { frm_payload: '' } });
+      expect(uplink.f_cnt).toBe(0);
+    });
+
+    test('rejects other formats', () => {
+      expect(() => parseUplink({ hello: 'world' })).toThrow('Unrecognised uplink format');
+    });
+  });
+
+  describe('frame counter sessions', () => {
+    const frame = (f_cnt, received_at, dev_addr = 'AAAA0001') => ({ dev_addr, f_cnt, received_at });
+
+    beforeEach(() => {
+      Object.keys(mockSessions).forEach(path => delete mockSessions[path]);
+    });
+
+    test('accepts rising frame counters and refuses repeats', async () => {
+      expect(await claimFrame('s1', frame(1, 1000))).toBeNull();
+      expect(await claimFrame('s1', frame(2, 2000))).toBeNull();
+      expect(await claimFrame('s1', frame(2, 3000))).toMatch('Frame counter 2 was already received');
+      expect(await claimFrame('s1', frame(1, 4000))).toMatch('already received');
+      expect(mockSessions['lorawan_sessions/s1']).toEqual(frame(2, 2000));
+    });
+
+    test('a new DevAddr restarts the counter only with a later frame', async () => {
+      await claimFrame('s1', frame(50, 5000));
+
+      expect(await claimFrame('s1', frame(0, 4000, 'BBBB0002'))).toMatch('earlier session');
+      expect(await claimFrame('s1', frame(0, 6000, 'BBBB0002'))).toBeNull();
+      expect(await claimFrame('s1', frame(0, 7000, 'BBBB0002'))).toMatch('already received');
+    });
+
+    test('keeps sessions per sensor', async () => {
+      await claimFrame('s1', frame(5, 1000));
+      expect(await claimFrame('s2', frame(5, 1000))).toBeNull();
+    });
+
+    test('checkFrame does not use up the frame counter, so a failed uplink can be retried', async () => {
+      await claimFrame('s1', frame(1, 1000));
+
+      expect(await checkFrame('s1', frame(2, 2000))).toBeNull();
+      expect(await checkFrame('s1', frame(2, 2000))).toBeNull();
+      expect(await checkFrame('s1', frame(1, 3000))).toMatch('already received');
+
+      await claimFrame('s1', frame(2, 2000));
+      expect(await checkFrame('s1', frame(2, 2000))).toMatch('already received');
+    });
+
+    test('a reset session accepts a restarted counter on the same DevAddr', async () => {
+      await claimFrame('s1', frame(900, 1000));
+      expect(await checkFrame('s1', frame(0, 2000))).toMatch('already received');
+
+      await resetFrameSession('s1');
+      expect(await checkFrame('s1', frame(0, 2000))).toBeNull();
+      expect(await claimFrame('s1', frame(0, 2000))).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,261 @@
+// tests/mqtt.service.test.js
+// Round trip through a local broker. aedes speaks MQTT 3.1.1, so the gateway
+// runs with MQTT_PROTOCOL_VERSION=4; the MQTT 5 user-property paths are fed to
+// handleMessage as the client would deliver them, with acks still going
+// through the broker.
+const net = require('net');
+const mqtt = require('mqtt');
+const Aedes = require('aedes');
+
+jest.mock('../config/firebase.config', () => {
+  const mockDocs = {
+    'Sensor_Units/sensor1': { farm_id: 'farm1', sensor_type: 'LIDAR', breach_thresholds: { critical: 10 } },
+    'Sensor_Units/sensor2': { farm_id: 'farm2', sensor_type: 'LIDAR' },
+    'Sensor_Units/sensor3': { farm_id: 'farm1', sensor_type: 'LIDAR', signature_required: true },
+    'Device_Secrets/sensor3': { secret: 'c'.repeat(64) },
+    'Farms/farm1': { farmer_id: 'farmer1' }
+  };
+  return {
+    firestore: {
+      collection: (collection) => ({
+        doc: (id) => ({
+          get: async () => {
+            const data = mockDocs[`${collection}/${id}`];
+            return { exists: Boolean(data), id, data: () => data };
+          }
+        })
+      })
+    },
+    realtimeDb: {}
+  };
+});
+
+jest.mock('../services/device.service', () => {
+  const { httpError } = jest.requireActual('../middleware/errorHandler');
+  return {
+    authenticateDevice: jest.fn(async (apiKey) => {
+      if (apiKey !== 'good-key') throw httpError(401, 'Invalid API key');
+      return { farmer_id: 'farmer1', farm_id: 'farm1' };
+    }),
+    assertDeviceAccess: jest.fn(async () => {})
+  };
+});
+
+jest.mock('../services/reading.service', () => ({
+  evaluateReading: jest.fn(async (sensorId, sensorData, payload) => ({
+    reading: {
+      status: 'normal',
+      breach_level: null,
+      distance_measured: payload.distance_measured,
+      distance_filtered: payload.distance_measured,
+      timestamp: payload.timestamp
+    }
+  })),
+  recordReadings: jest.fn(async () => ['reading1'])
+}));
+
+jest.mock('../services/battery.service', () => ({
+  parseBatteryLevel: jest.requireActual('../services/battery.service').parseBatteryLevel,
+  thresholdsFor: () => [20, 10],
+  recordBatteryLevel: jest.fn(async () => ({ trend: null }))
+}));
+
+const { recordReadings } = require('../services/reading.service');
+const { recordBatteryLevel } = require('../services/battery.service');
+const { computeSignature } = require('../services/signature.service');
+const { startMqttGateway, stopMqttGateway, handleMessage } = require('../services/mqtt.service');
+
+const TIMEOUT_MS = 5000;
+const SECRET = 'c'.repeat(64);
+
+// An MQTT 5 PUBLISH packet as mqtt.js hands it to the message listener
+const v5Packet = (userProperties) => ({ properties: { userProperties } });
+
+function signedProperties(body, { secret = SECRET, nonce = `nonce-${Date.now()}-${Math.random().toString(36).slice(2)}` } = {}) {
+  const timestamp = String(Date.now());
+  return {
+    'x-signature': computeSignature(secret, timestamp, nonce, body),
+    'x-signature-timestamp': timestamp,
+    'x-signature-nonce': nonce
+  };
+}
+
+// Resolve with the next JSON message on a topic
+function nextMessage(client, topic) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`No message on ${topic}`)), TIMEOUT_MS);
+    const onMessage = (received, payload, packet) => {
+      if (received !== topic) return;
+      clearTimeout(timer);
+      client.removeListener('message', onMessage);
+      resolve({ message: JSON.parse(payload.toString()), retain: packet.retain });
+    };
+    client.on('message', onMessage);
+  });
+}
+
+describe('mqtt.service against a local broker', () => {
+  let broker;
+  let server;
+  let device;
+
+  beforeAll(async () => {
+    broker = new Aedes();
+    server = net.createServer(broker.handle);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    process.env.MQTT_URL = `mqtt://127.0.0.1:${server.address().port}`;
+    process.env.MQTT_PROTOCOL_VERSION = '4';
+    process.env.MQTT_CLIENT_ID = 'zonealert-api-test';
+
+    // The gateway is ready once its three topic filters are subscribed
+    const subscribed = new Promise(resolve => {
+      let count = 0;
+      broker.on('subscribe', (subscriptions, client) => {
+        if (client && client.id === 'zonealert-api-test') {
+          count += subscriptions.length;
+          if (count >= 3) resolve();
+        }
+      });
+    });
+    startMqttGateway();
+    await subscribed;
+
+    device = await mqtt.connectAsync(process.env.MQTT_URL, { protocolVersion: 4, reconnectPeriod: 0 });
+    await device.subscribeAsync(['zonealert/+/+/ack', 'zonealert/+/+/config'], { qos: 1 });
+  });
+
+  afterAll(async () => {
+    stopMqttGateway();
+    if (device) await device.endAsync();
+    await new Promise(resolve => broker.close(resolve));
+    await new Promise(resolve => server.close(resolve));
+    delete process.env.MQTT_URL;
+    delete process.env.MQTT_PROTOCOL_VERSION;
+    delete process.env.MQTT_CLIENT_ID;
+  });
+
+  test('records a reading and acknowledges it', async () => {
+    const ack = nextMessage(device, 'zonealert/farm1/sensor1/ack');
+    await device.publishAsync('zonealert/farm1/sensor1/reading',
+      JSON.stringify({ api_key: 'good-key', distance_measured: 42.5, timestamp: 1767225600000 }), { qos: 1 });
+
+    const { message } = await ack;
+    expect(message).toEqual({
+      ok: true,
+      topic: 'reading',
+      message: 'Sensor reading recorded',
+      data: {
+        reading_id: 'reading1',
+        status: 'normal',
+        breach_level: null,
+        distance_measured: 42.5,
+        distance_filtered: 42.5,
+        timestamp: 1767225600000
+      }
+    });
+    expect(recordReadings).toHaveBeenCalledTimes(1);
+  });
+
+  test('records a battery level', async () => {
+    const ack = nextMessage(device, 'zonealert/farm1/sensor1/ack');
+    await device.publishAsync('zonealert/farm1/sensor1/battery',
+      JSON.stringify({ api_key: 'good-key', battery_level: '76%' }), { qos: 1 });
+
+    const { message } = await ack;
+    expect(message).toMatchObject({ ok: true, topic: 'battery', data: { battery_level: 76 } });
+    expect(recordBatteryLevel).toHaveBeenCalledWith('sensor1', expect.objectContaining({ farm_id: 'farm1' }), 76, expect.any(Number));
+  });
+
+  test('acknowledges failures without recording anything', async () => {
+    recordReadings.mockClear();
+
+    const badKey = nextMessage(device, 'zonealert/farm1/sensor1/ack');
+    await device.publishAsync('zonealert/farm1/sensor1/reading',
+      JSON.stringify({ api_key: 'wrong-key', distance_measured: 1 }), { qos: 1 });
+    expect((await badKey).message).toMatchObject({ ok: false, message: 'Invalid API key' });
+
+    const notJson = nextMessage(device, 'zonealert/farm1/sensor1/ack');
+    await device.publishAsync('zonealert/farm1/sensor1/reading', 'distance=1', { qos: 1 });
+    expect((await notJson).message).toMatchObject({ ok: false, message: 'Payload must be JSON' });
+
+    const wrongFarm = nextMessage(device, 'zonealert/farm1/sensor2/ack');
+    await device.publishAsync('zonealert/farm1/sensor2/reading',
+      JSON.stringify({ api_key: 'good-key', distance_measured: 1 }), { qos: 1 });
+    expect((await wrongFarm).message).toMatchObject({ ok: false, message: 'Sensor is not on this farm' });
+
+    expect(recordReadings).not.toHaveBeenCalled();
+  });
+
+  test('publishes the retained configuration on config/get', async () => {
+    const config = nextMessage(device, 'zonealert/farm1/sensor1/config');
+    const ack = nextMessage(device, 'zonealert/farm1/sensor1/ack');
+    await device.publishAsync('zonealert/farm1/sensor1/config/get', JSON.stringify({ api_key: 'good-key' }), { qos: 1 });
+
+    expect((await ack).message).toMatchObject({ ok: true, topic: 'config/get', message: 'Configuration published' });
+    expect((await config).message).toMatchObject({
+      sensor_id: 'sensor1',
+      farm_id: 'farm1',
+      breach_thresholds: { critical: 10, high: 50, warning: null },
+      battery_thresholds: [20, 10],
+      signal_conditioning: { filter: 'median' }
+    });
+
+    // A device that connects later still gets it
+    const late = await mqtt.connectAsync(process.env.MQTT_URL, { protocolVersion: 4, reconnectPeriod: 0 });
+    try {
+      const retained = nextMessage(late, 'zonealert/farm1/sensor1/config');
+      await late.subscribeAsync('zonealert/farm1/sensor1/config', { qos: 1 });
+      const { message, retain } = await retained;
+      expect(retain).toBe(true);
+      expect(message.sensor_id).toBe('sensor1');
+    } finally {
+      await late.endAsync();
+    }
+  });
+
+  describe('MQTT 5 user properties', () => {
+    const reading = (distance) => Buffer.from(JSON.stringify({ distance_measured: distance, timestamp: 1767225600000 }));
+
+    test('takes the API key from the x-api-key user property', async () => {
+      const ack = nextMessage(device, 'zonealert/farm1/sensor1/ack');
+      await handleMessage('zonealert/farm1/sensor1/reading', reading(12), v5Packet({ 'x-api-key': 'good-key' }));
+
+      expect((await ack).message).toMatchObject({ ok: true, topic: 'reading', data: { distance_measured: 12 } });
+    });
+
+    test('rejects a wrong key sent as a user property', async () => {
+      const ack = nextMessage(device, 'zonealert/farm1/sensor1/ack');
+      await handleMessage('zonealert/farm1/sensor1/reading', reading(12), v5Packet({ 'x-api-key': 'wrong-key' }));
+
+      expect((await ack).message).toMatchObject({ ok: false, message: 'Invalid API key' });
+    });
+
+    test('accepts a signed message from a sensor that requires signatures', async () => {
+      const body = reading(7);
+      const ack = nextMessage(device, 'zonealert/farm1/sensor3/ack');
+      await handleMessage('zonealert/farm1/sensor3/reading', body, v5Packet({ 'x-api-key': 'good-key', ...signedProperties(body) }));
+
+      expect((await ack).message).toMatchObject({ ok: true, data: { distance_measured: 7 } });
+    });
+
+    test('refuses unsigned, tampered and replayed messages', async () => {
+      recordReadings.mockClear();
+      const send = async (body, properties) => {
+        const ack = nextMessage(device, 'zonealert/farm1/sensor3/ack');
+        await handleMessage('zonealert/farm1/sensor3/reading', body, v5Packet({ 'x-api-key': 'good-key', ...properties }));
+        return (await ack).message;
+      };
+
+      expect(await send(reading(7), {})).toMatchObject({ ok: false, message: expect.stringMatching('requires signed requests') });
+      expect(await send(reading(8), signedProperties(reading(7)))).toMatchObject({ ok: false, message: 'Invalid signature' });
+      expect(await send(reading(7), signedProperties(reading(7), { secret: 'd'.repeat(64) }))).toMatchObject({ ok: false, message: 'Invalid signature' });
+
+      const properties = signedProperties(reading(9));
+      expect(await send(reading(9), properties)).toMatchObject({ ok: true });
+      expect(await send(reading(9), properties)).toMatchObject({ ok: false, message: expect.stringMatching('nonce reused') });
+
+      expect(recordReadings).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,158 @@
+// tests/rollup.service.test.js
+jest.mock('../config/firebase.config', () => {
+  const mockTree = {};
+
+  const split = (path) => path.split('/').filter(Boolean);
+  const get = (path) => split(path).reduce((node, key) => (node == null ? undefined : node[key]), mockTree);
+
+  // Writing null removes the value and any parents it leaves empty, as RTDB does
+  const set = (path, value) => {
+    const keys = split(path);
+    const parents = [mockTree];
+    for (const key of keys.slice(0, -1)) {
+      const parent = parents[parents.length - 1];
+      if (value === null && !parent[key]) return;
+      parent[key] = parent[key] || {};
+      parents.push(parent[key]);
+    }
+    const last = keys[keys.length - 1];
+    if (value !== null) {
+      parents[parents.length - 1][last] = value;
+      return;
+    }
+    delete parents[parents.length - 1][last];
+    for (let i = parents.length - 1; i > 0 && Object.keys(parents[i]).length === 0; i--) {
+      delete parents[i - 1][keys[i - 1]];
+    }
+  };
+
+  const snapshot = (key, value) => ({
+    key,
+    val: () => value ?? null,
+    exists: () => value != null,
+    forEach: (fn) => Object.keys(value || {}).sort().forEach(childKey => fn(snapshot(childKey, value[childKey])))
+  });
+
+  const query = (path, range = {}) => ({
+    orderByKey: () => query(path, range),
+    startAt: (start) => query(path, { ...range, start }),
+    endAt: (end) => query(path, { ...range, end }),
+    limitToFirst: (limit) => query(path, { ...range, limit }),
+    once: async () => {
+      const node = get(path);
+      if (!node || typeof node !== 'object' || Object.keys(range).length === 0) return snapshot(split(path).pop(), node);
+
+      const keys = Object.keys(node).sort()
+        .filter(key => (range.start === undefined || key >= range.start) && (range.end === undefined || key <= range.end))
+        .slice(0, range.limit);
+      return snapshot(split(path).pop(), keys.length ? Object.fromEntries(keys.map(key => [key, node[key]])) : null);
+    },
+    update: async (updates) => Object.entries(updates).forEach(([child, value]) => set(`${path}/${child}`, value))
+  });
+
+  return { mockTree, realtimeDb: { ref: (path = '') => query(path) } };
+});
+
+const { mockTree } = require('../config/firebase.config');
+const { emptyAggregate, addReading, mergeAggregates, isSettled, dateKeyOf, runRollups } = require('../services/rollup.service');
+
+describe('rollup.service', () => {
+  test('addReading tracks min, max, mean, breaches and the filtered mean', () => {
+    const aggregate = emptyAggregate(0);
+    addReading(aggregate, { distance_measured: 30, distance_filtered: 31, status: 'normal' });
+    addReading(aggregate, { distance_measured: 10, distance_filtered: null, status: 'alert' });
+    addReading(aggregate, { distance_measured: 21, distance_filtered: 19, status: 'alert' });
+
+    expect(aggregate).toEqual({
+      bucket_start: 0,
+      sample_count: 3,
+      min: 10,
+      max: 30,
+      sum: 61,
+      mean: 20.33,
+      breach_count: 2,
+      filtered_sum: 50,
+      filtered_count: 2
+    });
+  });
+
+  test('mergeAggregates gives the same result as adding the readings to one bucket', () => {
+    const readings = [5, 15, 25, 35].map(distance => ({ distance_measured: distance, distance_filtered: distance, status: distance < 20 ? 'alert' : 'normal' }));
+
+    const direct = emptyAggregate(0);
+    readings.forEach(reading => addReading(direct, reading));
+
+    const first = emptyAggregate(0);
+    const second = emptyAggregate(60000);
+    readings.slice(0, 1).forEach(reading => addReading(first, reading));
+    readings.slice(1).forEach(reading => addReading(second, reading));
+
+    const merged = mergeAggregates(mergeAggregates(emptyAggregate(0), first), second);
+    expect(merged).toEqual(direct);
+  });
+
+  test('mergeAggregates skips empty sources', () => {
+    const target = addReading(emptyAggregate(0), { distance_measured: 7 });
+    expect(mergeAggregates(target, null)).toEqual(target);
+    expect(mergeAggregates(target, emptyAggregate(0))).toEqual(target);
+  });
+
+  test('a day is settled once finalised and not written to since', () => {
+    expect(isSettled({ final: true, rolled_up_at: 200 })).toBe(true);
+    expect(isSettled({ final: true, rolled_up_at: 200, dirty_at: 300 })).toBe(false);
+    expect(isSettled({ final: false, rolled_up_at: 200 })).toBe(false);
+  });
+
+  test('dateKeyOf uses UTC days', () => {
+    expect(dateKeyOf(Date.UTC(2026, 2, 1, 23, 59))).toBe('2026-03-01');
+  });
+
+  describe('runRollups', () => {
+    const DAY_MS = 86400000;
+    const now = Date.UTC(2026, 5, 30, 12);
+    const dayStart = Date.UTC(2026, 4, 1);
+    const dateKey = dateKeyOf(dayStart);
+
+    beforeEach(() => {
+      Object.keys(mockTree).forEach(key => delete mockTree[key]);
+      // 'gone' no longer has a Sensor_Units document; its readings are rolled up all the same
+      mockTree.sensor_readings = {
+        [dateKey]: {
+          gone: {
+            r1: { distance_measured: 40, timestamp: dayStart + 1000, status: 'normal' },
+            r2: { distance_measured: 10, timestamp: dayStart + 2000, status: 'alert' },
+            r3: { distance_measured: null, timestamp: dayStart + 3000, status: 'error' }
+          }
+        }
+      };
+    });
+
+    test('rolls up and prunes every sensor in the partition, counting unusable readings', async () => {
+      expect(await runRollups(now)).toMatchObject({ readings: 2, skipped: 1 });
+
+      expect(mockTree.sensor_rollups.day.gone[dayStart]).toMatchObject({ sample_count: 2, min: 10, max: 40, breach_count: 1 });
+      expect(mockTree.rollup_state[dateKey]).toMatchObject({ final: true, pruned: true, skipped: 1 });
+      expect(mockTree.sensor_readings).toBeUndefined();
+    });
+
+    test('late readings for a pruned day are merged, and unusable ones counted before removal', async () => {
+      await runRollups(now);
+
+      mockTree.sensor_readings = {
+        [dateKey]: {
+          gone: {
+            r4: { distance_measured: 20, timestamp: dayStart + 4000, status: 'normal' },
+            r5: { distance_measured: 'n/a', timestamp: dayStart + 5000, status: 'error' }
+          }
+        }
+      };
+      // rolled_up_at is wall-clock time
+      mockTree.rollup_state[dateKey].dirty_at = Date.now() + 1000;
+
+      expect(await runRollups(now + DAY_MS)).toMatchObject({ readings: 1, skipped: 1 });
+      expect(mockTree.sensor_rollups.day.gone[dayStart]).toMatchObject({ sample_count: 3, min: 10, max: 40 });
+      expect(mockTree.rollup_state[dateKey].skipped).toBe(2);
+      expect(mockTree.sensor_readings).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,96 @@
+// tests/signature.service.test.js
+jest.mock('../config/firebase.config', () => {
+  const mockSecrets = {};
+  return {
+    mockSecrets,
+    firestore: {
+      collection: () => ({
+        doc: (id) => ({
+          get: async () => ({ exists: Boolean(mockSecrets[id]), data: () => mockSecrets[id] })
+        })
+      })
+    }
+  };
+});
+
+const { mockSecrets } = require('../config/firebase.config');
+const { computeSignature, checkSignature } = require('../services/signature.service');
+
+const SECRET = 'a'.repeat(64);
+const OLD_SECRET = 'b'.repeat(64);
+const BODY = Buffer.from('{"sensor_id":"s1","distance_measured":42}');
+
+let nonceCount = 0;
+
+// A fresh, correctly signed request unless overridden
+function signed({ secret = SECRET, timestamp = Date.now(), nonce = `nonce-${Date.now()}-${++nonceCount}`, body = BODY } = {}) {
+  return {
+    signature: computeSignature(secret, timestamp, nonce, body),
+    timestamp: String(timestamp),
+    nonce
+  };
+}
+
+const millisFromNow = (ms) => ({ toMillis: () => Date.now() + ms });
+
+describe('signature.service', () => {
+  beforeEach(() => {
+    delete process.env.SIGNATURE_MAX_SKEW_SECONDS;
+    Object.keys(mockSecrets).forEach(id => delete mockSecrets[id]);
+    mockSecrets.s1 = { secret: SECRET, previous_secret: null, previous_valid_until: null };
+  });
+
+  test('accepts a valid signature', async () => {
+    expect(await checkSignature('s1', {}, signed(), BODY)).toBeNull();
+  });
+
+  test('accepts a sha256= prefix on the signature', async () => {
+    const presented = signed();
+    presented.signature = `sha256=${presented.signature}`;
+    expect(await checkSignature('s1', {}, presented, BODY)).toBeNull();
+  });
+
+  test('rejects a signature over a different body or with another secret', async () => {
+    expect(await checkSignature('s1', {}, signed(), Buffer.from('{"distance_measured":99}'))).toBe('Invalid signature');
+    expect(await checkSignature('s1', {}, signed({ secret: OLD_SECRET }), BODY)).toBe('Invalid signature');
+  });
+
+  test('rejects a timestamp outside the allowed skew', async () => {
+    const stale = signed({ timestamp: Date.now() - 301000 });
+    expect(await checkSignature('s1', {}, stale, BODY)).toMatch('outside the allowed clock skew');
+
+    process.env.SIGNATURE_MAX_SKEW_SECONDS = '600';
+    expect(await checkSignature('s1', {}, stale, BODY)).toBeNull();
+  });
+
+  test('rejects a reused nonce, but only once the signature is valid', async () => {
+    const presented = signed();
+    const forged = { ...presented, signature: '00'.repeat(32) };
+
+    expect(await checkSignature('s1', {}, forged, BODY)).toBe('Invalid signature');
+    expect(await checkSignature('s1', {}, presented, BODY)).toBeNull();
+    expect(await checkSignature('s1', {}, presented, BODY)).toMatch('nonce reused');
+  });
+
+  test('rejects malformed timestamps and nonces', async () => {
+    expect(await checkSignature('s1', {}, { ...signed(), timestamp: 'yesterday' }, BODY)).toMatch('epoch milliseconds');
+    expect(await checkSignature('s1', {}, signed({ nonce: 'short' }), BODY)).toMatch('X-Signature-Nonce');
+  });
+
+  test('requires a signature only when the sensor says so', async () => {
+    expect(await checkSignature('s1', {}, {}, BODY)).toBeNull();
+    expect(await checkSignature('s1', { signature_required: true }, {}, BODY)).toMatch('requires signed requests');
+  });
+
+  test('rejects a signature when no secret was issued', async () => {
+    expect(await checkSignature('s2', {}, signed(), BODY)).toBe('No signing secret has been issued for this sensor');
+  });
+
+  test('accepts the previous secret only during its grace period', async () => {
+    mockSecrets.s1 = { secret: SECRET, previous_secret: OLD_SECRET, previous_valid_until: millisFromNow(60000) };
+    expect(await checkSignature('s1', {}, signed({ secret: OLD_SECRET }), BODY)).toBeNull();
+
+    mockSecrets.s1.previous_valid_until = millisFromNow(-1);
+    expect(await checkSignature('s1', {}, signed({ secret: OLD_SECRET }), BODY)).toBe('Invalid signature');
+  });
+});
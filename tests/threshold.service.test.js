@@ -0,0 +1,76 @@
+// tests/threshold.service.test.js
+jest.mock('../config/firebase.config', () => ({ firestore: {} }));
+
+const { parseBands, resolveBands, classifyDistance, outermostBand } = require('../services/threshold.service');
+
+describe('threshold.service', () => {
+  beforeEach(() => {
+    delete process.env.BREACH_THRESHOLDS;
+  });
+
+  describe('resolveBands', () => {
+    test('falls back to the defaults', () => {
+      const { bands, sources } = resolveBands();
+      expect(bands).toEqual({ critical: 25, high: 50, warning: null });
+      expect(sources).toEqual({ critical: 'default', high: 'default', warning: 'default' });
+    });
+
+    test('resolves each band from the most specific level', () => {
+      const { bands, sources } = resolveBands({
+        sensor: { breach_thresholds: { critical: 5 } },
+        zone: { breach_thresholds: { high: 30 } },
+        farm: { breach_thresholds: { warning: 80 } }
+      });
+      expect(bands).toEqual({ critical: 5, high: 30, warning: 80 });
+      expect(sources).toEqual({ critical: 'sensor', high: 'zone', warning: 'farm' });
+    });
+
+    test('null switches a band off instead of inheriting', () => {
+      const { bands } = resolveBands({
+        sensor: { breach_thresholds: { critical: null } },
+        farm: { breach_thresholds: { critical: 10 } }
+      });
+      expect(bands.critical).toBeNull();
+    });
+
+    test('a legacy max_distance_threshold drops an inherited critical band outside it', () => {
+      const { bands, sources, overridden } = resolveBands({ sensor: { max_distance_threshold: 10 } });
+
+      expect(bands).toEqual({ critical: null, high: 10, warning: null });
+      expect(sources.high).toBe('sensor');
+      expect(overridden).toEqual({ critical: 'high' });
+
+      // Before max_distance_threshold met the default bands, 20 m was normal
+      expect(classifyDistance(20, bands)).toBeNull();
+      expect(classifyDistance(5, bands)).toBe('High');
+    });
+
+    test('a less specific outer band gives way to a more specific inner one', () => {
+      const { bands, overridden } = resolveBands({
+        sensor: { breach_thresholds: { high: 100 } },
+        farm: { breach_thresholds: { warning: 80 } }
+      });
+      expect(bands).toEqual({ critical: 25, high: 100, warning: null });
+      expect(overridden).toEqual({ warning: 'high' });
+    });
+  });
+
+  describe('parseBands', () => {
+    test('rejects bands out of order', () => {
+      expect(() => parseBands({ critical: 50, high: 40 })).toThrow('high must be greater than critical');
+    });
+
+    test('rejects unknown bands', () => {
+      expect(() => parseBands({ extreme: 3 })).toThrow('Unknown threshold band');
+    });
+  });
+
+  test('classifyDistance and outermostBand use the innermost matching band', () => {
+    const bands = { critical: 10, high: 20, warning: 30 };
+    expect(classifyDistance(5, bands)).toBe('Critical');
+    expect(classifyDistance(15, bands)).toBe('High');
+    expect(classifyDistance(25, bands)).toBe('Warning');
+    expect(classifyDistance(35, bands)).toBeNull();
+    expect(outermostBand(bands)).toBe(30);
+  });
+});
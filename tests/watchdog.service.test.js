@@ -0,0 +1,118 @@
+// tests/watchdog.service.test.js
+jest.mock('../config/firebase.config', () => {
+  const mockTree = {};
+  const mockSensors = {};
+  let pushId = 0;
+
+  const get = (path) => path.split('/').reduce((node, key) => (node == null ? undefined : node[key]), mockTree);
+  const set = (path, value) => {
+    const keys = path.split('/');
+    const last = keys.pop();
+    const parent = keys.reduce((node, key) => (node[key] = node[key] || {}), mockTree);
+    if (value === null) delete parent[last];
+    else parent[last] = value;
+  };
+
+  const snapshot = (path, key) => ({
+    key,
+    val: () => get(path) ?? null,
+    child: (childKey) => snapshot(`${path}/${childKey}`, childKey),
+    forEach: (fn) => Object.keys(get(path) || {}).forEach(childKey => fn(snapshot(`${path}/${childKey}`, childKey)))
+  });
+
+  const ref = (path) => ({
+    push: () => ({ key: `interval${++pushId}` }),
+    once: async () => snapshot(path, path.split('/').pop()),
+    update: async (updates) => Object.entries(updates).forEach(([key, value]) => set(`${path}/${key}`, value)),
+    transaction: async (update) => {
+      const next = update(get(path) ?? null);
+      if (next !== undefined) set(path, next);
+      return { committed: next !== undefined };
+    }
+  });
+
+  const sensorDoc = (id) => ({
+    id,
+    get exists() { return Boolean(mockSensors[id]); },
+    data: () => mockSensors[id],
+    update: async (data) => { Object.assign(mockSensors[id], data); }
+  });
+
+  return {
+    mockTree,
+    mockSensors,
+    realtimeDb: { ref },
+    firestore: {
+      collection: () => ({ doc: sensorDoc }),
+      getAll: async (...docs) => docs
+    }
+  };
+});
+
+jest.mock('../services/alert.service', () => ({
+  ALERT_SOURCE: { WATCHDOG: 'watchdog' },
+  createAlert: jest.fn(async () => ({})),
+  autoResolveIncident: jest.fn(async () => [true])
+}));
+
+const { mockTree, mockSensors } = require('../config/firebase.config');
+const { createAlert, autoResolveIncident } = require('../services/alert.service');
+const { lastSeenAt, recordHeartbeat, runWatchdogSweep } = require('../services/watchdog.service');
+
+const MINUTE = 60 * 1000;
+
+describe('watchdog.service', () => {
+  beforeEach(() => {
+    Object.keys(mockTree).forEach(key => delete mockTree[key]);
+    Object.keys(mockSensors).forEach(key => delete mockSensors[key]);
+    mockSensors.sensor1 = { sensor_type: 'LIDAR', farm_id: 'farm1' };
+    jest.clearAllMocks();
+  });
+
+  test('lastSeenAt prefers the server heartbeat over the device time', () => {
+    expect(lastSeenAt({ last_heartbeat: 1000, last_timestamp: 9999 })).toBe(1000);
+    expect(lastSeenAt({ last_timestamp: 5000 })).toBe(5000);
+    expect(lastSeenAt({})).toBe(0);
+  });
+
+  test('a heartbeat is stamped with the receipt time and opens an online interval', async () => {
+    const receivedAt = Date.now();
+    expect(await recordHeartbeat('sensor1', receivedAt)).toBe(true);
+
+    const status = mockTree.sensor_status.sensor1;
+    expect(status).toMatchObject({ is_online: true, last_heartbeat: receivedAt });
+    expect(mockTree.sensor_uptime.sensor1[status.uptime_interval_id]).toEqual({
+      state: 'online', started_at: receivedAt, ended_at: null
+    });
+  });
+
+  test('a device clock running ahead does not keep a silent sensor online', async () => {
+    const now = Date.now();
+    await recordHeartbeat('sensor1', now - 10 * MINUTE);
+    // The reading carried a device time a day in the future
+    mockTree.sensor_status.sensor1.last_timestamp = now + 24 * 60 * MINUTE;
+
+    expect(await runWatchdogSweep(now)).toEqual({ checked: 1, offline: 1 });
+    expect(mockTree.sensor_status.sensor1).toMatchObject({ is_online: false, offline_since: now - 10 * MINUTE });
+    expect(createAlert).toHaveBeenCalledWith(expect.objectContaining({ alert_type: 'Sensor Offline' }));
+  });
+
+  test('a recent heartbeat keeps a sensor online whatever its device time says', async () => {
+    const now = Date.now();
+    await recordHeartbeat('sensor1', now - MINUTE);
+    mockTree.sensor_status.sensor1.last_timestamp = now - 60 * MINUTE;
+
+    expect(await runWatchdogSweep(now)).toEqual({ checked: 1, offline: 0 });
+  });
+
+  test('the next heartbeat brings an offline sensor back and resolves its alert', async () => {
+    const now = Date.now();
+    await recordHeartbeat('sensor1', now - 10 * MINUTE);
+    await runWatchdogSweep(now);
+
+    expect(await recordHeartbeat('sensor1', now + MINUTE)).toBe(true);
+    expect(mockTree.sensor_status.sensor1).toMatchObject({ is_online: true, offline_since: null });
+    expect(autoResolveIncident).toHaveBeenCalledWith('offline:sensor:sensor1', 'Sensor reporting again');
+    expect(mockSensors.sensor1.is_operational).toBe(true);
+  });
+});